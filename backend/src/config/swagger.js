@@ -149,12 +149,23 @@ const options = {
               properties: {
                 startingBudget: {
                   type: 'number',
-                  minimum: 100,
+                  minimum: 1,
+                  description: 'Budget each participant starts the auction with',
+                },
+                allowProxyBids: {
+                  type: 'boolean',
+                  description: 'Whether participants may set hidden max bids',
                 },
                 auctionDuration: {
                   type: 'number',
                   minimum: 30,
                 },
+                nominationTimer: {
+                  type: 'number',
+                  minimum: 15,
+                  maximum: 600,
+                  description: 'Seconds a nominator has before the turn is skipped or auto-nominated',
+                },
                 payoutStructure: {
                   type: 'object',
                   properties: {
@@ -306,6 +317,20 @@ const options = {
               type: 'integer',
               description: 'Bid timer duration in seconds',
             },
+            nominationEndTime: {
+              type: 'string',
+              format: 'date-time',
+              description: 'When the current nominator\'s turn expires',
+            },
+            autoPausedFor: {
+              type: 'string',
+              description: 'User ID whose disconnect auto-paused the auction',
+            },
+            autoResumeAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'When an auto-paused auction resumes if the participant has not reconnected',
+            },
             participants: {
               type: 'array',
               description: 'Auction participants',
@@ -329,7 +354,12 @@ const options = {
                   },
                   isActive: {
                     type: 'boolean',
-                    description: 'Whether participant is active',
+                    description: 'Whether participant is connected to the auction room',
+                  },
+                  lastActivity: {
+                    type: 'string',
+                    format: 'date-time',
+                    description: 'When the participant last connected or disconnected',
                   },
                 },
               },
@@ -392,6 +422,10 @@ const options = {
                     type: 'boolean',
                     description: 'Whether this is the current winning bid',
                   },
+                  isProxy: {
+                    type: 'boolean',
+                    description: 'Whether the bid was placed automatically from a max bid',
+                  },
                 },
               },
             },
@@ -412,6 +446,10 @@ const options = {
                   type: 'number',
                   description: 'Maximum teams per user (null = unlimited)',
                 },
+                nominationTimer: {
+                  type: 'integer',
+                  description: 'Nomination clock duration in seconds',
+                },
                 allowProxyBids: {
                   type: 'boolean',
                   description: 'Whether proxy bids are allowed',
@@ -420,6 +458,10 @@ const options = {
                   type: 'boolean',
                   description: 'Whether to pause on user disconnect',
                 },
+                disconnectGracePeriod: {
+                  type: 'integer',
+                  description: 'Seconds an auto-paused auction waits for the participant before resuming',
+                },
               },
             },
             createdAt: {
@@ -19,6 +19,10 @@ const adminRoutes = require('./routes/admin');
 
 const { errorHandler } = require('./middleware/errorHandler');
 const setupCronJobs = require('./services/cronJobs');
+const auctionTimerService = require('./services/auctionTimerService');
+const auctionSchedulerService = require('./services/auctionSchedulerService');
+const liveScoreService = require('./services/liveScoreService');
+const socketService = require('./services/socketService');
 const { swaggerUi, specs } = require('./config/swagger');
 
 const app = express();
@@ -98,6 +102,23 @@ connectDB().then(async () => {
       }
     }
   }
+
+  // Resume server-side bid clocks for lots that were open before a restart
+  try {
+    await auctionTimerService.initialize(io);
+  } catch (error) {
+    console.error('❌ Error initializing auction bid timers:', error);
+  }
+
+  // Re-arm automatic starts for auctions scheduled before a restart
+  try {
+    await auctionSchedulerService.initialize(io);
+  } catch (error) {
+    console.error('❌ Error initializing scheduled auction starts:', error);
+  }
+
+  // Poll live scores during games and push them to league rooms
+  liveScoreService.initialize(io);
 });
 
 // Trust proxy for rate limiting (required for development)
@@ -166,24 +187,8 @@ app.get('/api/health', (req, res) => {
   });
 });
 
-// Socket.IO connection handling
-io.on('connection', (socket) => {
-  console.log('Client connected:', socket.id);
-
-  socket.on('join-league', (leagueId) => {
-    socket.join(`league-${leagueId}`);
-    console.log(`Socket ${socket.id} joined league ${leagueId}`);
-  });
-
-  socket.on('join-auction', (auctionId) => {
-    socket.join(`auction-${auctionId}`);
-    console.log(`Socket ${socket.id} joined auction ${auctionId}`);
-  });
-
-  socket.on('disconnect', () => {
-    console.log('Client disconnected:', socket.id);
-  });
-});
+// Socket.IO connection handling (authenticated; rooms restricted to league members)
+socketService.initialize(io);
 
 // Error handling middleware (must be last)
 app.use(errorHandler);
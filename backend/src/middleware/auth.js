@@ -175,6 +175,40 @@ const authorizeLeagueMember = async (req, res, next) => {
   }
 };
 
+// Socket.IO authentication - verifies the handshake JWT the same way as protect
+const authenticateSocket = async (socket, next) => {
+  try {
+    let token = socket.handshake.auth?.token;
+    
+    // Fall back to Authorization header (non-browser clients)
+    const authHeader = socket.handshake.headers?.authorization;
+    if (!token && authHeader && authHeader.startsWith('Bearer')) {
+      token = authHeader.split(' ')[1];
+    }
+    
+    if (!token) {
+      return next(new Error('Access denied. No token provided.'));
+    }
+    
+    try {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const user = await User.findById(decoded.id).select('-password');
+      
+      if (!user) {
+        return next(new Error('Access denied. User not found.'));
+      }
+      
+      socket.user = user;
+      next();
+    } catch (err) {
+      return next(new Error('Access denied. Invalid token.'));
+    }
+  } catch (error) {
+    console.error('Socket auth middleware error:', error);
+    next(new Error('Server error'));
+  }
+};
+
 // Optional authentication - doesn't fail if no token
 const optionalAuth = async (req, res, next) => {
   try {
@@ -244,6 +278,7 @@ module.exports = {
   authorizeLeagueAdmin,
   authorizeLeagueMember,
   optionalAuth,
+  authenticateSocket,
   generateToken,
   sendTokenResponse
 };
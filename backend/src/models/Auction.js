@@ -51,6 +51,10 @@ const auctionSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  nominationEndTime: {
+    type: Date,
+    default: null
+  },
   draftOrder: [{
     user: {
       type: mongoose.Schema.Types.ObjectId,
@@ -121,6 +125,11 @@ const auctionSchema = new mongoose.Schema({
     soldAt: {
       type: Date,
       default: null
+    },
+    // Kept from last season: sold before bidding opens and never reversed
+    isKeeper: {
+      type: Boolean,
+      default: false
     }
   }],
   bids: [{
@@ -145,8 +154,36 @@ const auctionSchema = new mongoose.Schema({
     isWinning: {
       type: Boolean,
       default: false
+    },
+    isProxy: {
+      type: Boolean,
+      default: false
     }
   }],
+  // Hidden maximum bids; excluded from queries and JSON unless explicitly selected
+  proxyBids: {
+    type: [{
+      team: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'NFLTeam',
+        required: true
+      },
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+      },
+      maxAmount: {
+        type: Number,
+        required: true
+      },
+      createdAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    select: false
+  },
   participants: [{
     user: {
       type: mongoose.Schema.Types.ObjectId,
@@ -185,6 +222,14 @@ const auctionSchema = new mongoose.Schema({
       type: Number,
       default: null // null means unlimited
     },
+    startingBudget: {
+      type: Number,
+      default: null // null means unlimited
+    },
+    nominationTimer: {
+      type: Number,
+      default: 90 // seconds
+    },
     allowProxyBids: {
       type: Boolean,
       default: false
@@ -192,6 +237,10 @@ const auctionSchema = new mongoose.Schema({
     pauseOnDisconnect: {
       type: Boolean,
       default: true
+    },
+    disconnectGracePeriod: {
+      type: Number,
+      default: 60 // seconds before an auto-paused auction resumes on its own
     }
   },
   statistics: {
@@ -227,10 +276,41 @@ const auctionSchema = new mongoose.Schema({
   resumedAt: {
     type: Date,
     default: null
+  },
+  // Participant whose disconnect auto-paused the auction, and when it resumes anyway
+  autoPausedFor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  autoResumeAt: {
+    type: Date,
+    default: null
+  },
+  // Notices already sent for a scheduled auction, so each goes out once
+  scheduleNotices: {
+    dayBefore: {
+      type: Boolean,
+      default: false
+    },
+    fifteenMinutes: {
+      type: Boolean,
+      default: false
+    },
+    startFailed: {
+      type: Boolean,
+      default: false
+    }
   }
 }, {
   timestamps: true,
-  toJSON: { virtuals: true },
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      delete ret.proxyBids;
+      return ret;
+    }
+  },
   toObject: { virtuals: true }
 });
 
@@ -325,6 +405,50 @@ auctionSchema.methods.generateNominationOrder = function() {
   return this;
 };
 
+// Method to replace the participants of a scheduled auction with the league's
+// current active members, picking up anyone who joined after it was scheduled.
+// Keepers ({ nflTeam, owner, price }) held by those members are sold to them
+// up front and count against their budget and roster.
+auctionSchema.methods.syncParticipants = function(memberIds, keepers = []) {
+  if (this.status !== 'scheduled') {
+    throw new Error('Participants can only be synced before the auction starts');
+  }
+  
+  const uniqueIds = [...new Set(memberIds.map(id => id.toString()))];
+  this.participants = uniqueIds.map(userId => ({
+    user: userId,
+    spent: 0,
+    teamsOwned: [],
+    isActive: true
+  }));
+  
+  this.statistics.totalValue = 0;
+  this.teams.filter(team => team.isKeeper).forEach(team => {
+    team.status = 'available';
+    team.soldTo = null;
+    team.finalPrice = 0;
+    team.soldAt = null;
+    team.isKeeper = false;
+  });
+  
+  keepers.forEach(keeper => {
+    const participant = this.participants.find(p => p.user.toString() === keeper.owner.toString());
+    const team = this.teams.find(t => t.nflTeam.toString() === keeper.nflTeam.toString());
+    if (!participant || !team || team.status !== 'available') return;
+    
+    team.status = 'sold';
+    team.soldTo = participant.user;
+    team.finalPrice = keeper.price;
+    team.soldAt = new Date();
+    team.isKeeper = true;
+    participant.spent += keeper.price;
+    participant.teamsOwned.push(team.nflTeam);
+    this.statistics.totalValue += keeper.price;
+  });
+  
+  return this.generateDraftOrder();
+};
+
 // Method to start auction
 auctionSchema.methods.start = function() {
   if (this.status !== 'scheduled') {
@@ -337,11 +461,22 @@ auctionSchema.methods.start = function() {
   // Set first nominator
   if (this.nominationOrder.length > 0) {
     this.currentNominator = this.nominationOrder[0].user;
+    this.startNominationClock();
   }
   
   return this;
 };
 
+// Method to start the clock for the current nominator's turn
+auctionSchema.methods.startNominationClock = function() {
+  if (this.status === 'active' && this.currentNominator && !this.currentTeam) {
+    this.nominationEndTime = new Date(Date.now() + (this.settings.nominationTimer * 1000));
+  } else {
+    this.nominationEndTime = null;
+  }
+  return this;
+};
+
 // Method to nominate team
 auctionSchema.methods.nominateTeam = function(teamId, nominatorId, startingBid) {
   console.log('🔍 nominateTeam called with:', {
@@ -433,6 +568,8 @@ auctionSchema.methods.nominateTeam = function(teamId, nominatorId, startingBid)
     throw new Error('Nominator is not a participant in this auction');
   }
   
+  this.validateBudget(nominatorId, startingBid);
+  
   // Update team status
   team.status = 'nominated';
   team.nominatedBy = nominatorId;
@@ -443,6 +580,7 @@ auctionSchema.methods.nominateTeam = function(teamId, nominatorId, startingBid)
   this.currentBid = startingBid;
   this.currentHighBidder = nominatorId;
   this.bidEndTime = new Date(Date.now() + (this.bidTimer * 1000));
+  this.nominationEndTime = null;
   
   // Mark nominator as having nominated
   const nominator = this.nominationOrder.find(n => 
@@ -476,6 +614,11 @@ auctionSchema.methods.placeBid = function(teamId, bidderId, bidAmount) {
     throw new Error('Team is not currently being auctioned');
   }
   
+  // The server closes the lot once the bid clock runs out
+  if (!this.bidEndTime || this.bidEndTime <= new Date()) {
+    throw new Error('Bidding has closed for this team');
+  }
+  
   if (bidAmount <= this.currentBid) {
     throw new Error('Bid must be higher than current bid');
   }
@@ -490,6 +633,15 @@ auctionSchema.methods.placeBid = function(teamId, bidderId, bidAmount) {
     throw new Error('Bidder is not a participant in this auction');
   }
   
+  this.validateBudget(bidderId, bidAmount);
+  
+  this.recordBid(teamId, bidderId, bidAmount);
+  
+  return this;
+};
+
+// Method to record an accepted bid and make it the current high bid
+auctionSchema.methods.recordBid = function(teamId, bidderId, bidAmount, isProxy = false) {
   // Mark previous winning bid as not winning
   this.bids.forEach(bid => {
     if (bid.team.toString() === teamId.toString()) {
@@ -503,7 +655,8 @@ auctionSchema.methods.placeBid = function(teamId, bidderId, bidAmount) {
     bidder: bidderId,
     amount: bidAmount,
     timestamp: new Date(),
-    isWinning: true
+    isWinning: true,
+    isProxy
   });
   
   // Update current auction state
@@ -520,9 +673,155 @@ auctionSchema.methods.placeBid = function(teamId, bidderId, bidAmount) {
     this.statistics.lowestBid = Math.min(this.statistics.lowestBid, bidAmount);
   }
   
+  return this.bids[this.bids.length - 1];
+};
+
+// Method to set (or replace) a participant's hidden maximum bid for a team
+auctionSchema.methods.setProxyBid = function(teamId, userId, maxAmount) {
+  if (!this.settings.allowProxyBids) {
+    throw new Error('Proxy bids are not enabled for this auction');
+  }
+  
+  if (['completed', 'cancelled'].includes(this.status)) {
+    throw new Error('Auction is no longer accepting bids');
+  }
+  
+  const participant = this.participants.find(p => p.user.toString() === userId.toString());
+  if (!participant) {
+    throw new Error('Bidder is not a participant in this auction');
+  }
+  
+  const team = this.teams.find(t => t.nflTeam.toString() === teamId.toString());
+  if (!team) {
+    throw new Error(`Team with ID ${teamId} not found in auction`);
+  }
+  if (team.status === 'sold') {
+    throw new Error('Team has already been sold');
+  }
+  
+  if (maxAmount < this.settings.minimumBid) {
+    throw new Error(`Max bid must be at least $${this.settings.minimumBid}`);
+  }
+  
+  const isCurrentLot = this.currentTeam && this.currentTeam.toString() === teamId.toString();
+  const isLeader = isCurrentLot && this.currentHighBidder?.toString() === userId.toString();
+  if (isCurrentLot && !isLeader && maxAmount < this.currentBid + this.settings.bidIncrement) {
+    throw new Error(`Max bid must be at least ${this.currentBid + this.settings.bidIncrement}`);
+  }
+  
+  this.validateBudget(userId, maxAmount);
+  
+  const existing = this.proxyBids.find(p =>
+    p.team.toString() === teamId.toString() && p.user.toString() === userId.toString()
+  );
+  
+  if (existing) {
+    existing.maxAmount = maxAmount;
+    existing.createdAt = new Date();
+  } else {
+    this.proxyBids.push({
+      team: teamId,
+      user: userId,
+      maxAmount,
+      createdAt: new Date()
+    });
+  }
+  
+  return this;
+};
+
+// Method to withdraw a participant's maximum bid for a team
+auctionSchema.methods.cancelProxyBid = function(teamId, userId) {
+  const index = this.proxyBids.findIndex(p =>
+    p.team.toString() === teamId.toString() && p.user.toString() === userId.toString()
+  );
+  
+  if (index === -1) {
+    throw new Error('No max bid found for this team');
+  }
+  
+  this.proxyBids.splice(index, 1);
   return this;
 };
 
+// Method to list a participant's maximum bids on teams that are still unsold
+auctionSchema.methods.getProxyBidsForUser = function(userId) {
+  return (this.proxyBids || [])
+    .filter(p => p.user.toString() === userId.toString())
+    .filter(p => {
+      const team = this.teams.find(t => t.nflTeam.toString() === p.team.toString());
+      return team && team.status !== 'sold';
+    })
+    .map(p => ({
+      team: p.team,
+      maxAmount: p.maxAmount,
+      createdAt: p.createdAt
+    }));
+};
+
+// Method to bid automatically on behalf of proxy bidders for the current lot.
+// Follows eBay-style rules: the highest ceiling wins at one increment above the
+// runner-up, and equal ceilings go to whoever set theirs first. The runner-up's
+// ceiling is recorded before the winning bid so the bid history strictly increases.
+auctionSchema.methods.resolveProxyBids = function() {
+  const placed = [];
+  
+  if (!this.settings.allowProxyBids || this.status !== 'active' || !this.currentTeam) {
+    return placed;
+  }
+  
+  const teamId = this.currentTeam;
+  const increment = this.settings.bidIncrement;
+  const leaderId = this.currentHighBidder?.toString();
+  
+  // Effective ceiling of each proxy, capped by what the bidder can still afford
+  // (the leader's ceiling is never below the bid they already hold)
+  const ceilings = (this.proxyBids || [])
+    .filter(p => p.team.toString() === teamId.toString())
+    .map(p => {
+      const maxBid = this.getMaxBid(p.user);
+      const max = maxBid === null ? p.maxAmount : Math.min(p.maxAmount, maxBid);
+      return {
+        user: p.user,
+        max: p.user.toString() === leaderId ? Math.max(max, this.currentBid) : max,
+        createdAt: p.createdAt
+      };
+    });
+  
+  const leaderProxy = ceilings.find(c => c.user.toString() === leaderId);
+  const challengers = ceilings.filter(c =>
+    c.user.toString() !== leaderId && c.max >= this.currentBid + increment
+  );
+  
+  if (challengers.length === 0) {
+    return placed;
+  }
+  
+  const contenders = [...challengers, leaderProxy]
+    .filter(Boolean)
+    .sort((a, b) => (b.max - a.max) || (a.createdAt - b.createdAt));
+  const winner = contenders[0];
+  const runnerUp = contenders[1];
+  const runnerUpCeiling = runnerUp ? runnerUp.max : this.currentBid;
+  
+  if (winner.max === runnerUpCeiling) {
+    // Equal ceilings: the earlier proxy takes the lot at the shared ceiling, so the
+    // later one's last bid is the increment below it
+    if (runnerUpCeiling - increment > this.currentBid) {
+      placed.push(this.recordBid(teamId, runnerUp.user, runnerUpCeiling - increment, true));
+    }
+    placed.push(this.recordBid(teamId, winner.user, winner.max, true));
+    return placed;
+  }
+  
+  // The runner-up is pushed to their ceiling and the winner answers one increment above
+  if (runnerUp && runnerUpCeiling > this.currentBid) {
+    placed.push(this.recordBid(teamId, runnerUp.user, runnerUpCeiling, true));
+  }
+  placed.push(this.recordBid(teamId, winner.user, Math.min(winner.max, runnerUpCeiling + increment), true));
+  return placed;
+};
+
 // Method to complete current team auction
 auctionSchema.methods.completeCurrentTeamAuction = function() {
   if (!this.currentTeam || !this.currentHighBidder) {
@@ -588,9 +887,106 @@ auctionSchema.methods.moveToNextNominator = function() {
     this.currentRound = nextNomination.round;
   }
   
+  this.startNominationClock();
   return this;
 };
 
+// Method to pass the current nominator's turn to the next participant
+auctionSchema.methods.skipNomination = function() {
+  if (this.status !== 'active') {
+    throw new Error('Auction is not active');
+  }
+  if (this.currentTeam) {
+    throw new Error('Cannot skip a nomination while a team is being auctioned');
+  }
+  
+  return this.moveToNextNominator();
+};
+
+// Method to undo the most recent sale: the team goes back to the pool, the winner
+// is refunded, and the nominator of that lot gets their turn back
+auctionSchema.methods.reverseLastSale = function() {
+  if (!['active', 'paused', 'completed'].includes(this.status)) {
+    throw new Error('Auction has not started');
+  }
+  if (this.currentTeam) {
+    throw new Error('Cannot reverse a sale while a team is being auctioned');
+  }
+
+  const team = this.teams
+    .filter(t => t.status === 'sold' && !t.isKeeper)
+    .sort((a, b) => (b.soldAt || 0) - (a.soldAt || 0))[0];
+  if (!team) {
+    throw new Error('No sales to reverse');
+  }
+
+  const reversal = {
+    team: team.nflTeam,
+    formerOwner: team.soldTo,
+    amount: team.finalPrice,
+    nominator: team.nominatedBy,
+    wasCompleted: this.status === 'completed'
+  };
+
+  // Refund the winner
+  const participant = this.participants.find(p => p.user.toString() === team.soldTo.toString());
+  if (participant) {
+    participant.spent = Math.max(0, participant.spent - team.finalPrice);
+    participant.teamsOwned = participant.teamsOwned.filter(id => id.toString() !== team.nflTeam.toString());
+  }
+
+  this.statistics.totalValue = Math.max(0, this.statistics.totalValue - team.finalPrice);
+
+  this.bids
+    .filter(bid => bid.team.toString() === team.nflTeam.toString())
+    .forEach(bid => { bid.isWinning = false; });
+
+  // Return team to the pool
+  team.status = 'available';
+  team.soldTo = null;
+  team.finalPrice = 0;
+  team.soldAt = null;
+  team.nominatedBy = null;
+  team.nominatedAt = null;
+
+  // Hand the turn back to whoever nominated the reversed lot, searching backwards
+  // from the turn that followed the sale
+  const orderLength = this.nominationOrder.length;
+  for (let step = 1; step <= orderLength && reversal.nominator; step++) {
+    const index = (this.currentNominationIndex - step + orderLength) % orderLength;
+    const entry = this.nominationOrder[index];
+    if (entry.user.toString() === reversal.nominator.toString()) {
+      entry.hasNominated = false;
+      this.currentNominationIndex = index;
+      this.currentNominator = entry.user;
+      this.currentRound = entry.round;
+      break;
+    }
+  }
+
+  if (reversal.wasCompleted) {
+    this.status = 'active';
+    this.endTime = null;
+    this.currentNominator = this.currentNominator || reversal.nominator;
+  }
+
+  this.startNominationClock();
+  return reversal;
+};
+
+// Method to reverse the most recent sale and put the same team straight back up
+// for bidding, nominated by the original nominator at the minimum bid
+auctionSchema.methods.reopenLot = function() {
+  if (this.status === 'paused') {
+    throw new Error('Resume the auction before reopening a lot');
+  }
+
+  const reversal = this.reverseLastSale();
+  this.nominateTeam(reversal.team, this.currentNominator, this.settings.minimumBid);
+
+  return { ...reversal, reopened: true };
+};
+
 // Method to check if auction can end (all teams must be auctioned)
 auctionSchema.methods.canComplete = function() {
   if (!this.teams || !Array.isArray(this.teams)) {
@@ -608,15 +1004,18 @@ auctionSchema.methods.getAvailableTeams = function() {
   return this.teams.filter(team => team.status === 'available');
 };
 
-// Method to force auto-nomination if player times out (optional enforcement)
-auctionSchema.methods.autoNominate = function() {
+// Method to force auto-nomination when the nominator times out. Takes NFL team
+// IDs ordered best-first; falls back to the first available team.
+auctionSchema.methods.autoNominate = function(rankedTeamIds = []) {
   const availableTeams = this.getAvailableTeams();
   if (availableTeams.length === 0) {
     throw new Error('No teams available for auto-nomination');
   }
   
-  // Pick first available team
-  const teamToNominate = availableTeams[0];
+  const rankedTeam = rankedTeamIds
+    .map(id => availableTeams.find(t => t.nflTeam.toString() === id.toString()))
+    .find(Boolean);
+  const teamToNominate = rankedTeam || availableTeams[0];
   const minimumBid = this.settings.minimumBid;
   
   return this.nominateTeam(teamToNominate.nflTeam, this.currentNominator, minimumBid);
@@ -637,16 +1036,63 @@ auctionSchema.methods.resume = function() {
   if (this.status === 'paused') {
     this.status = 'active';
     this.resumedAt = new Date();
+    this.autoPausedFor = null;
+    this.autoResumeAt = null;
     
-    // Extend bid timer if there was an active bid
-    if (this.bidEndTime && this.pausedAt) {
+    // Extend bid and nomination timers by the time spent paused
+    if (this.pausedAt) {
       const pauseDuration = this.resumedAt - this.pausedAt;
-      this.bidEndTime = new Date(this.bidEndTime.getTime() + pauseDuration);
+      if (this.bidEndTime) {
+        this.bidEndTime = new Date(this.bidEndTime.getTime() + pauseDuration);
+      }
+      if (this.nominationEndTime) {
+        this.nominationEndTime = new Date(this.nominationEndTime.getTime() + pauseDuration);
+      }
     }
   }
   return this;
 };
 
+// Method to get number of teams a participant still has to win
+// (every participant must fill an equal share of the teams on offer)
+auctionSchema.methods.getRosterSlotsRemaining = function(userId) {
+  const participant = this.participants.find(p => p.user.toString() === userId.toString());
+  if (!participant || this.participants.length === 0) return 0;
+  
+  const requiredTeams = Math.floor((this.teams?.length || 0) / this.participants.length);
+  return Math.max(0, requiredTeams - (participant.teamsOwned?.length || 0));
+};
+
+// Method to get remaining budget for a participant (null means unlimited)
+auctionSchema.methods.getRemainingBudget = function(userId) {
+  if (this.settings.startingBudget === null || this.settings.startingBudget === undefined) {
+    return null;
+  }
+  const participant = this.participants.find(p => p.user.toString() === userId.toString());
+  if (!participant) return 0;
+  
+  return Math.max(0, this.settings.startingBudget - (participant.spent || 0));
+};
+
+// Method to get the highest bid a participant can afford (null means unlimited)
+auctionSchema.methods.getMaxBid = function(userId) {
+  const remainingBudget = this.getRemainingBudget(userId);
+  if (remainingBudget === null) return null;
+  
+  // Keep the minimum bid in reserve for every other slot still to fill
+  const reservedSlots = Math.max(0, this.getRosterSlotsRemaining(userId) - 1);
+  return Math.max(0, remainingBudget - (reservedSlots * this.settings.minimumBid));
+};
+
+// Method to enforce the participant spending cap on a bid
+auctionSchema.methods.validateBudget = function(userId, amount) {
+  const maxBid = this.getMaxBid(userId);
+  if (maxBid !== null && amount > maxBid) {
+    throw new Error(`Bid exceeds your maximum allowable bid of $${maxBid}`);
+  }
+  return this;
+};
+
 // Method to get participant spending info
 auctionSchema.methods.getParticipantSpending = function(userId) {
   if (!this.participants || !Array.isArray(this.participants)) {
@@ -655,9 +1101,17 @@ auctionSchema.methods.getParticipantSpending = function(userId) {
   const participant = this.participants.find(p => p.user.toString() === userId.toString());
   if (!participant) return null;
   
+  // Budget figures are null when the auction has no budget limit
+  const remainingBudget = this.getRemainingBudget(userId);
+  const maxBid = this.getMaxBid(userId);
+  
   return {
     spent: participant.spent || 0,
-    teamsOwned: (participant.teamsOwned && Array.isArray(participant.teamsOwned)) ? participant.teamsOwned.length : 0
+    teamsOwned: (participant.teamsOwned && Array.isArray(participant.teamsOwned)) ? participant.teamsOwned.length : 0,
+    startingBudget: this.settings.startingBudget ?? null,
+    remainingBudget,
+    maxBid,
+    rosterSlotsRemaining: this.getRosterSlotsRemaining(userId)
   };
 };
 
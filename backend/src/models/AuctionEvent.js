@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+
+// Append-only log of every auction state transition. Events are never updated or
+// deleted, so the full draft can be replayed lot by lot.
+const auctionEventSchema = new mongoose.Schema({
+  auction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Auction',
+    required: true
+  },
+  league: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'League',
+    required: true
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: [
+      'auction-created',
+      'auction-started',
+      'team-nominated',
+      'bid-placed',
+      'team-sold',
+      'sale-reversed',
+      'nomination-skipped',
+      'auction-paused',
+      'auction-resumed',
+      'auction-completed',
+      'auction-force-completed',
+      'participants-reset'
+    ]
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null // null means the server acted on its own (timers, auto-pause)
+  },
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'NFLTeam',
+    default: null
+  },
+  amount: {
+    type: Number,
+    default: null
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auctionEventSchema.index({ auction: 1, createdAt: 1, _id: 1 });
+
+// Reject any attempt to rewrite history
+auctionEventSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Auction events are append-only'));
+  }
+  next();
+});
+
+auctionEventSchema.pre([
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+], function(next) {
+  next(new Error('Auction events are append-only'));
+});
+
+// Static method to append an event for an auction. Logging never blocks the
+// auction itself, so failures are reported rather than thrown.
+auctionEventSchema.statics.record = async function(auction, type, { actor = null, team = null, amount = null, details = {} } = {}) {
+  try {
+    return await this.create({
+      auction: auction._id,
+      league: auction.league?._id || auction.league,
+      type,
+      actor: actor?._id || actor,
+      team: team?._id || team,
+      amount,
+      details
+    });
+  } catch (error) {
+    console.error(`Error recording ${type} event for auction ${auction._id}:`, error);
+    return null;
+  }
+};
+
+// Static method to get an auction's events in order, optionally after a given event
+auctionEventSchema.statics.getTimeline = async function(auctionId, { after = null, limit = 500 } = {}) {
+  const query = { auction: auctionId };
+
+  if (after) {
+    const cursor = await this.findOne({ _id: after, auction: auctionId }).select('createdAt');
+    if (cursor) {
+      query.$or = [
+        { createdAt: { $gt: cursor.createdAt } },
+        { createdAt: cursor.createdAt, _id: { $gt: cursor._id } }
+      ];
+    }
+  }
+
+  return this.find(query)
+    .sort({ createdAt: 1, _id: 1 })
+    .limit(limit)
+    .populate([
+      { path: 'actor', select: 'username firstName lastName' },
+      { path: 'team', select: 'name city abbreviation logo' }
+    ]);
+};
+
+module.exports = mongoose.model('AuctionEvent', auctionEventSchema);
@@ -0,0 +1,152 @@
+const mongoose = require('mongoose');
+
+// A single NFL game, scheduled or played. Week numbers are per season type
+// (postseason weeks 1-4 are the wildcard, divisional, conference and Super Bowl rounds).
+const gameSchema = new mongoose.Schema({
+  season: {
+    type: Number,
+    required: [true, 'Season is required']
+  },
+  week: {
+    type: Number,
+    required: [true, 'Week is required'],
+    min: 1,
+    max: 18
+  },
+  seasonType: {
+    type: String,
+    enum: ['preseason', 'regular', 'postseason'],
+    default: 'regular'
+  },
+  playoffRound: {
+    type: String,
+    enum: ['wildcard', 'divisional', 'conference', 'superbowl', null],
+    default: null
+  },
+  homeTeam: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'NFLTeam',
+    required: true
+  },
+  awayTeam: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'NFLTeam',
+    required: true
+  },
+  kickoff: {
+    type: Date,
+    required: [true, 'Kickoff time is required']
+  },
+  status: {
+    type: String,
+    enum: ['scheduled', 'in_progress', 'final', 'postponed', 'canceled'],
+    default: 'scheduled'
+  },
+  score: {
+    home: {
+      type: Number,
+      default: null
+    },
+    away: {
+      type: Number,
+      default: null
+    }
+  },
+  // Quarter and game clock while the game is in progress
+  live: {
+    period: {
+      type: String,
+      default: null
+    },
+    clock: {
+      type: String,
+      default: null
+    }
+  },
+  // Where the game came from and its ID there
+  source: {
+    type: String,
+    default: null
+  },
+  externalId: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for whether the game is a playoff game
+gameSchema.virtual('isPlayoff').get(function() {
+  return this.seasonType === 'postseason';
+});
+
+// Indexes for better performance
+gameSchema.index({ season: 1, seasonType: 1, week: 1, homeTeam: 1, awayTeam: 1 }, { unique: true });
+gameSchema.index({ season: 1, kickoff: 1 });
+gameSchema.index({ homeTeam: 1, season: 1 });
+gameSchema.index({ awayTeam: 1, season: 1 });
+gameSchema.index({ status: 1, kickoff: 1 });
+
+// Method to check if a team plays in this game
+gameSchema.methods.involves = function(teamId) {
+  const id = teamId.toString();
+  return (this.homeTeam._id || this.homeTeam).toString() === id ||
+    (this.awayTeam._id || this.awayTeam).toString() === id;
+};
+
+// Method to describe the game from one team's point of view
+gameSchema.methods.forTeam = function(teamId) {
+  const isHome = (this.homeTeam._id || this.homeTeam).toString() === teamId.toString();
+  const teamScore = isHome ? this.score.home : this.score.away;
+  const opponentScore = isHome ? this.score.away : this.score.home;
+
+  let result = null;
+  if (this.status === 'final' && teamScore !== null && opponentScore !== null) {
+    result = teamScore > opponentScore ? 'W' : teamScore < opponentScore ? 'L' : 'T';
+  }
+
+  return {
+    _id: this._id,
+    season: this.season,
+    week: this.week,
+    seasonType: this.seasonType,
+    isPlayoff: this.isPlayoff,
+    playoffRound: this.playoffRound,
+    opponent: isHome ? this.awayTeam : this.homeTeam,
+    isHome,
+    kickoff: this.kickoff,
+    status: this.status,
+    result,
+    score: {
+      team: teamScore,
+      opponent: opponentScore
+    }
+  };
+};
+
+// Static method to get all games in a week
+gameSchema.statics.getWeek = function(season, week, seasonType = 'regular') {
+  return this.find({ season, week, seasonType })
+    .sort({ kickoff: 1 })
+    .populate('homeTeam awayTeam', 'name city abbreviation logo');
+};
+
+// Static method to get a team's games for a season, past and upcoming
+gameSchema.statics.getTeamSchedule = function(teamId, season, { seasonType = null } = {}) {
+  const query = {
+    season,
+    $or: [{ homeTeam: teamId }, { awayTeam: teamId }]
+  };
+  if (seasonType) {
+    query.seasonType = seasonType;
+  }
+
+  return this.find(query)
+    .sort({ kickoff: 1 })
+    .populate('homeTeam awayTeam', 'name city abbreviation logo');
+};
+
+module.exports = mongoose.model('Game', gameSchema);
@@ -1,6 +1,41 @@
 const mongoose = require('mongoose');
 const mongoosePaginate = require('mongoose-paginate-v2');
 
+// A custom payout rule: its share of the prize pool is split over the events it
+// matches (see payoutRuleService for how each type is evaluated)
+const payoutRuleSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: [true, 'Rule type is required'],
+    enum: ['pointDifferential', 'divisionTitle', 'worstRecord', 'risingWinBonus', 'upsetWin']
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Rule name cannot exceed 50 characters']
+  },
+  percentage: {
+    type: Number,
+    required: [true, 'Rule percentage is required'],
+    min: 0,
+    max: 100
+  },
+  // risingWinBonus: weight each week adds to a win, as a percent of a week 1 win
+  weeklyIncrease: {
+    type: Number,
+    default: 10,
+    min: 0,
+    max: 100
+  },
+  // upsetWin: how many more wins the beaten opponent must have had going into the game
+  minWinGap: {
+    type: Number,
+    default: 2,
+    min: 1,
+    max: 17
+  }
+});
+
 const leagueSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -72,6 +107,23 @@ const leagueSchema = new mongoose.Schema({
       default: 60, // seconds
       min: 30,
       max: 300
+    },
+    startingBudget: {
+      type: Number,
+      required: true,
+      default: 200, // per participant
+      min: 1
+    },
+    nominationTimer: {
+      type: Number,
+      required: true,
+      default: 90, // seconds
+      min: 15,
+      max: 600
+    },
+    allowProxyBids: {
+      type: Boolean,
+      default: true
     }
   },
   payoutStructure: {
@@ -143,7 +195,8 @@ const leagueSchema = new mongoose.Schema({
         max: 32,
         description: "Number of top teams to split among"
       }
-    }
+    },
+    rules: [payoutRuleSchema]
   },
   status: {
     type: String,
@@ -238,6 +291,10 @@ const leagueSchema = new mongoose.Schema({
           type: Number,
           default: 0
         },
+        rules: {
+          type: Number,
+          default: 0
+        },
         total: {
           type: Number,
           default: 0
@@ -287,6 +344,59 @@ const leagueSchema = new mongoose.Schema({
       description: "Allow players to skip their nomination turn"
     }
   },
+  // Season this league continues from (and the one that continued it), when renewed
+  renewedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'League',
+    default: null
+  },
+  renewedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'League',
+    default: null
+  },
+  keeperSettings: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    maxKeepers: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 16,
+      description: "Teams each owner may keep from last season"
+    },
+    inflationPercent: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 100,
+      description: "Added to last season's purchase price to get the keeper price"
+    }
+  },
+  // Teams owners keep from the previous season, assigned when the auction starts
+  keepers: [{
+    nflTeam: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'NFLTeam',
+      required: true
+    },
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    previousPrice: {
+      type: Number,
+      default: 0
+    },
+    price: {
+      type: Number,
+      required: true,
+      min: 0
+    }
+  }],
   weeklyUpdates: {
     lastUpdateWeek: {
       type: Number,
@@ -335,6 +445,14 @@ leagueSchema.index({ status: 1 });
 leagueSchema.index({ createdAt: -1 });
 
 // Pre-save middleware to calculate total prize pool
+// The payout structure, custom rules included, can't hand out more than the pool
+leagueSchema.pre('validate', function(next) {
+  if (this.isModified('payoutStructure') && !this.validatePayoutStructure()) {
+    this.invalidate('payoutStructure', `Total payout percentage (${this.getPayoutTotal().toFixed(1)}%) cannot exceed 100%`);
+  }
+  next();
+});
+
 leagueSchema.pre('save', function(next) {
   // Calculate prize pool from actual auction results
   if (this.isModified('teams')) {
@@ -399,8 +517,15 @@ leagueSchema.methods.removeMember = function(userId) {
   return this;
 };
 
-// Method to validate payout structure
-leagueSchema.methods.validatePayoutStructure = function() {
+// Method to get the price of keeping a team bought last season for previousPrice
+// (whole dollars, never below the minimum bid)
+leagueSchema.methods.getKeeperPrice = function(previousPrice) {
+  const inflated = Math.ceil(previousPrice * (1 + this.keeperSettings.inflationPercent / 100));
+  return Math.max(this.auctionSettings.minimumBid, inflated);
+};
+
+// Method to get the share of the prize pool the payout structure hands out, in percent
+leagueSchema.methods.getPayoutTotal = function() {
   let totalPercentage = this.payoutStructure.regularSeasonWins +
                        this.payoutStructure.wildCardWin +
                        this.payoutStructure.divisionalWin +
@@ -411,8 +536,17 @@ leagueSchema.methods.validatePayoutStructure = function() {
   if (this.payoutStructure.topTeamsSplit.enabled) {
     totalPercentage += this.payoutStructure.topTeamsSplit.percentage;
   }
+
+  this.payoutStructure.rules.forEach(rule => {
+    totalPercentage += rule.percentage;
+  });
   
-  return totalPercentage <= 100;
+  return totalPercentage;
+};
+
+// Method to validate payout structure
+leagueSchema.methods.validatePayoutStructure = function() {
+  return this.getPayoutTotal() <= 100;
 };
 
 // Method to calculate regular season win payout per win
@@ -434,115 +568,10 @@ leagueSchema.methods.calculatePlayoffPayout = function(type) {
   return (this.totalPrizePool * this.payoutStructure[type]) / 100;
 };
 
-// Method to update team regular season record
-leagueSchema.methods.updateTeamRecord = function(nflTeamId, wins, losses, ties = 0) {
-  const team = this.teams.find(t => t.nflTeam.toString() === nflTeamId.toString());
-  if (!team) {
-    throw new Error('Team not found in league');
-  }
-  
-  // Calculate new wins earned this update
-  const newWins = Math.max(0, wins - team.seasonStats.wins);
-  
-  // Update record
-  team.seasonStats.wins = wins;
-  team.seasonStats.losses = losses;
-  team.seasonStats.ties = ties;
-  
-  // Calculate and add earnings for new wins
-  if (newWins > 0) {
-    const winValue = this.calculateRegularSeasonWinValue();
-    const newEarnings = newWins * winValue;
-    team.seasonStats.earnings.regularSeasonWins += newEarnings;
-    team.seasonStats.earnings.total += newEarnings;
-    team.currentEarnings = team.seasonStats.earnings.total;
-  }
-  
-  return this;
-};
-
-// Method to update team playoff results
-leagueSchema.methods.updateTeamPlayoffResult = function(nflTeamId, playoffType, won = true) {
-  const team = this.teams.find(t => t.nflTeam.toString() === nflTeamId.toString());
-  if (!team) {
-    throw new Error('Team not found in league');
-  }
-  
-  const validTypes = ['wildCardWin', 'divisionalWin', 'conferenceChampionshipWin', 'superBowlAppearance', 'superBowlWin'];
-  if (!validTypes.includes(playoffType)) {
-    throw new Error('Invalid playoff type');
-  }
-  
-  // Update playoff result
-  team.seasonStats.playoffResults[playoffType] = won;
-  
-  if (won) {
-    // Calculate payout based on type
-    let payoutType;
-    switch (playoffType) {
-      case 'wildCardWin':
-        payoutType = 'wildCardWin';
-        break;
-      case 'divisionalWin':
-        payoutType = 'divisionalWin';
-        break;
-      case 'conferenceChampionshipWin':
-        payoutType = 'conferenceChampionshipWin';
-        break;
-      case 'superBowlAppearance':
-        payoutType = 'superBowlAppearance';
-        break;
-      case 'superBowlWin':
-        payoutType = 'superBowlWin';
-        break;
-    }
-    
-    const payout = this.calculatePlayoffPayout(payoutType);
-    
-    // Map playoff types to earnings fields
-    const earningsField = playoffType === 'wildCardWin' ? 'wildCard' :
-                         playoffType === 'divisionalWin' ? 'divisional' :
-                         playoffType === 'conferenceChampionshipWin' ? 'conferenceChampionship' :
-                         playoffType.replace('Win', '').replace('Appearance', 'Appearance');
-    
-    team.seasonStats.earnings[earningsField] += payout;
-    team.seasonStats.earnings.total += payout;
-    team.currentEarnings = team.seasonStats.earnings.total;
-  }
-  
-  return this;
-};
-
-// Method to distribute top teams split
-leagueSchema.methods.distributeTopTeamsSplit = function() {
-  if (!this.payoutStructure.topTeamsSplit.enabled) return this;
-  
-  // Sort teams by total earnings (excluding the split itself)
-  const sortedTeams = this.teams
-    .filter(team => team.owner) // Only owned teams
-    .sort((a, b) => {
-      const aEarnings = a.seasonStats.earnings.total - a.seasonStats.earnings.topTeamsSplit;
-      const bEarnings = b.seasonStats.earnings.total - b.seasonStats.earnings.topTeamsSplit;
-      return bEarnings - aEarnings;
-    });
-  
-  const topTeams = sortedTeams.slice(0, this.payoutStructure.topTeamsSplit.numberOfTeams);
-  const splitAmount = (this.totalPrizePool * this.payoutStructure.topTeamsSplit.percentage) / 100;
-  const perTeamAmount = splitAmount / topTeams.length;
-  
-  topTeams.forEach(team => {
-    team.seasonStats.earnings.topTeamsSplit = perTeamAmount;
-    team.seasonStats.earnings.total += perTeamAmount;
-    team.currentEarnings = team.seasonStats.earnings.total;
-  });
-  
-  return this;
-};
-
-// Method to recalculate all earnings based on current performance
-leagueSchema.methods.recalculateAllEarnings = function() {
-  // Reset all earnings
-  this.teams.forEach(team => {
+// Method to set every team's earnings from its payout ledger entries, replacing
+// whatever was there (see payoutLedgerService)
+leagueSchema.methods.applyLedgerEntries = function(entries) {
+  const byTeam = new Map(this.teams.map(team => {
     team.seasonStats.earnings = {
       regularSeasonWins: 0,
       wildCard: 0,
@@ -551,61 +580,22 @@ leagueSchema.methods.recalculateAllEarnings = function() {
       superBowlAppearance: 0,
       superBowlWin: 0,
       topTeamsSplit: 0,
+      rules: 0,
       total: 0
     };
     team.currentEarnings = 0;
-  });
-  
-  // Recalculate regular season earnings
-  const winValue = this.calculateRegularSeasonWinValue();
-  this.teams.forEach(team => {
-    if (team.seasonStats.wins > 0) {
-      const earnings = team.seasonStats.wins * winValue;
-      team.seasonStats.earnings.regularSeasonWins = earnings;
-      team.seasonStats.earnings.total += earnings;
-    }
-  });
-  
-  // Recalculate playoff earnings
-  this.teams.forEach(team => {
-    const playoffs = team.seasonStats.playoffResults;
-    
-    if (playoffs.wildCardWin) {
-      const payout = this.calculatePlayoffPayout('wildCardWin');
-      team.seasonStats.earnings.wildCard += payout;
-      team.seasonStats.earnings.total += payout;
-    }
-    
-    if (playoffs.divisionalWin) {
-      const payout = this.calculatePlayoffPayout('divisionalWin');
-      team.seasonStats.earnings.divisional += payout;
-      team.seasonStats.earnings.total += payout;
-    }
-    
-    if (playoffs.conferenceChampionshipWin) {
-      const payout = this.calculatePlayoffPayout('conferenceChampionshipWin');
-      team.seasonStats.earnings.conferenceChampionship += payout;
-      team.seasonStats.earnings.total += payout;
-    }
-    
-    if (playoffs.superBowlAppearance) {
-      const payout = this.calculatePlayoffPayout('superBowlAppearance');
-      team.seasonStats.earnings.superBowlAppearance += payout;
-      team.seasonStats.earnings.total += payout;
-    }
-    
-    if (playoffs.superBowlWin) {
-      const payout = this.calculatePlayoffPayout('superBowlWin');
-      team.seasonStats.earnings.superBowlWin += payout;
-      team.seasonStats.earnings.total += payout;
-    }
-    
+    return [(team.nflTeam._id || team.nflTeam).toString(), team];
+  }));
+
+  entries.forEach(entry => {
+    const team = byTeam.get((entry.nflTeam._id || entry.nflTeam).toString());
+    if (!team) return;
+
+    team.seasonStats.earnings[entry.category] += entry.amount;
+    team.seasonStats.earnings.total += entry.amount;
     team.currentEarnings = team.seasonStats.earnings.total;
   });
-  
-  // Distribute top teams split
-  this.distributeTopTeamsSplit();
-  
+
   return this;
 };
 
@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+
+// A league's final ownership and earnings for one season, archived when the
+// season rolls over. Owner usernames are copied so history survives account changes.
+const leagueSeasonSchema = new mongoose.Schema({
+  league: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'League',
+    required: true
+  },
+  season: {
+    type: Number,
+    required: [true, 'Season is required']
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'auction', 'active', 'completed', 'cancelled'],
+    required: true
+  },
+  totalPrizePool: {
+    type: Number,
+    default: 0
+  },
+  distributedWinnings: {
+    type: Number,
+    default: 0
+  },
+  payoutStructure: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  teams: [{
+    _id: false,
+    nflTeam: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'NFLTeam',
+      required: true
+    },
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    ownerUsername: {
+      type: String,
+      default: null
+    },
+    purchasePrice: {
+      type: Number,
+      default: 0
+    },
+    earnings: {
+      type: Number,
+      default: 0
+    },
+    wins: Number,
+    losses: Number,
+    ties: Number,
+    playoffResults: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
+    earningsBreakdown: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    }
+  }],
+  // Final standings: one entry per owner, best first
+  owners: [{
+    _id: false,
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    username: String,
+    teamsOwned: Number,
+    totalSpent: Number,
+    totalEarnings: Number,
+    netProfit: Number,
+    rank: Number
+  }],
+  archivedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+leagueSeasonSchema.index({ league: 1, season: 1 }, { unique: true });
+leagueSeasonSchema.index({ 'teams.owner': 1 });
+
+// Method to get who owned an NFL team this season and what it earned
+leagueSeasonSchema.methods.getTeamEntry = function(nflTeamId) {
+  const id = (nflTeamId._id || nflTeamId).toString();
+  return this.teams.find(team => (team.nflTeam._id || team.nflTeam).toString() === id) || null;
+};
+
+module.exports = mongoose.model('LeagueSeason', leagueSeasonSchema);
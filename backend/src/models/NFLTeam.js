@@ -100,6 +100,20 @@ const nflTeamSchema = new mongoose.Schema({
       min: 1,
       max: 16,
       default: null
+    },
+    playoffSeed: {
+      type: Number,
+      min: 1,
+      max: 7,
+      default: null
+    },
+    // Rounds won, set from the season's PlayoffBracket (same keys as league playoff payouts)
+    playoffResults: {
+      wildCardWin: { type: Boolean, default: false },
+      divisionalWin: { type: Boolean, default: false },
+      conferenceChampionshipWin: { type: Boolean, default: false },
+      superBowlAppearance: { type: Boolean, default: false },
+      superBowlWin: { type: Boolean, default: false }
     }
   },
   weeklyResults: [{
@@ -231,10 +245,14 @@ nflTeamSchema.methods.updateWeeklyResult = function(week, result, teamScore, opp
   const existingResult = this.weeklyResults.find(r => r.week === week && r.isPlayoff === isPlayoff);
   
   if (existingResult) {
-    // Update existing result
+    // Update existing result (provider data may correct the opponent or kickoff)
+    existingResult.opponent = opponent;
+    existingResult.isHome = isHome;
     existingResult.result = result;
     existingResult.score.team = teamScore;
     existingResult.score.opponent = opponentScore;
+    existingResult.playoffRound = playoffRound;
+    existingResult.gameDate = gameDate;
     existingResult.lastUpdated = new Date();
   } else {
     // Add new result
@@ -290,15 +308,15 @@ nflTeamSchema.methods.getPlayoffMultiplier = function() {
 
 // Static method to get teams by division
 nflTeamSchema.statics.getByDivision = function(conference, division) {
-  return this.find({ conference, division, isActive: true }).sort({ 'currentSeason.wins': -1 });
+  return this.find({ conference, division, isActive: true }).sort({ 'currentSeason.divisionRank': 1, 'currentSeason.wins': -1 });
 };
 
-// Static method to get playoff teams
+// Static method to get playoff teams, by conference and seed
 nflTeamSchema.statics.getPlayoffTeams = function() {
   return this.find({ 
     'currentSeason.playoffStatus': { $ne: 'none' },
     isActive: true 
-  }).sort({ 'currentSeason.playoffStatus': 1 });
+  }).sort({ conference: 1, 'currentSeason.playoffSeed': 1 });
 };
 
 // Static method to reset season
@@ -314,7 +332,9 @@ nflTeamSchema.statics.resetSeason = async function(year) {
         'currentSeason.playoffStatus': 'none',
         'currentSeason.isEliminated': false,
         'currentSeason.divisionRank': null,
-        'currentSeason.conferenceRank': null
+        'currentSeason.conferenceRank': null,
+        'currentSeason.playoffSeed': null,
+        'currentSeason.playoffResults': {}
       },
       $unset: {
         weeklyResults: 1
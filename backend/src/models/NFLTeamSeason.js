@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+// A finished season of one NFL team, archived from NFLTeam.currentSeason and
+// weeklyResults when the season rolls over
+const nflTeamSeasonSchema = new mongoose.Schema({
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'NFLTeam',
+    required: true
+  },
+  season: {
+    type: Number,
+    required: [true, 'Season is required']
+  },
+  wins: {
+    type: Number,
+    default: 0
+  },
+  losses: {
+    type: Number,
+    default: 0
+  },
+  ties: {
+    type: Number,
+    default: 0
+  },
+  divisionRank: {
+    type: Number,
+    default: null
+  },
+  conferenceRank: {
+    type: Number,
+    default: null
+  },
+  playoffSeed: {
+    type: Number,
+    default: null
+  },
+  playoffStatus: {
+    type: String,
+    enum: ['none', 'wildcard', 'divisional', 'conference', 'superbowl', 'champion'],
+    default: 'none'
+  },
+  playoffResults: {
+    wildCardWin: { type: Boolean, default: false },
+    divisionalWin: { type: Boolean, default: false },
+    conferenceChampionshipWin: { type: Boolean, default: false },
+    superBowlAppearance: { type: Boolean, default: false },
+    superBowlWin: { type: Boolean, default: false }
+  },
+  weeklyResults: [{
+    _id: false,
+    week: Number,
+    opponent: String,
+    isHome: Boolean,
+    result: {
+      type: String,
+      enum: ['W', 'L', 'T', null],
+      default: null
+    },
+    score: {
+      team: { type: Number, default: null },
+      opponent: { type: Number, default: null }
+    },
+    isPlayoff: Boolean,
+    playoffRound: String,
+    gameDate: Date
+  }],
+  archivedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for the season record
+nflTeamSeasonSchema.virtual('record').get(function() {
+  return this.ties > 0 ? `${this.wins}-${this.losses}-${this.ties}` : `${this.wins}-${this.losses}`;
+});
+
+nflTeamSeasonSchema.index({ team: 1, season: 1 }, { unique: true });
+nflTeamSeasonSchema.index({ season: 1 });
+
+// Static method to get a team's archived seasons, most recent first
+nflTeamSeasonSchema.statics.getTeamHistory = function(teamId) {
+  return this.find({ team: teamId }).select('-weeklyResults').sort({ season: -1 });
+};
+
+module.exports = mongoose.model('NFLTeamSeason', nflTeamSeasonSchema);
@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+// Earnings categories; each matches a field of League teams.seasonStats.earnings
+const PAYOUT_CATEGORIES = [
+  'regularSeasonWins',
+  'wildCard',
+  'divisional',
+  'conferenceChampionship',
+  'superBowlAppearance',
+  'superBowlWin',
+  'topTeamsSplit',
+  'rules'
+];
+
+// One earning event for a team in a league: a regular season win, a playoff round,
+// the top teams split or a custom payout rule. Entries are derived from game
+// results by payoutLedgerService and rebuilt whenever results change, so
+// rebuilding twice leaves the ledger unchanged. Team earnings, owner standings
+// and user totals are all summed from here.
+const payoutLedgerSchema = new mongoose.Schema({
+  league: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'League',
+    required: true
+  },
+  season: {
+    type: Number,
+    required: true
+  },
+  nflTeam: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'NFLTeam',
+    required: true
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Result week (playoff rounds follow week 18); null for the season-long top teams split
+  week: {
+    type: Number,
+    default: null
+  },
+  category: {
+    type: String,
+    enum: PAYOUT_CATEGORIES,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // The league payout rule that paid it (category 'rules' only)
+  rule: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // The game that earned it, when there is one
+  game: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Game',
+    default: null
+  },
+  // When the entry was last derived; entries a rebuild no longer produces are removed
+  rebuiltAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+payoutLedgerSchema.index({ league: 1, nflTeam: 1, category: 1, rule: 1, week: 1 }, { unique: true });
+payoutLedgerSchema.index({ league: 1, owner: 1, week: 1 });
+payoutLedgerSchema.index({ owner: 1 });
+
+// Static method to get the categories an entry can have
+payoutLedgerSchema.statics.getCategories = function() {
+  return [...PAYOUT_CATEGORIES];
+};
+
+// Static method to get a league's entries in week order, optionally for one owner or team
+payoutLedgerSchema.statics.getLeagueLedger = function(leagueId, { owner = null, nflTeam = null } = {}) {
+  const query = { league: leagueId };
+  if (owner) query.owner = owner;
+  if (nflTeam) query.nflTeam = nflTeam;
+
+  return this.find(query)
+    .sort({ week: 1, category: 1 })
+    .populate([
+      { path: 'nflTeam', select: 'name city abbreviation logo' },
+      { path: 'owner', select: 'username' },
+      { path: 'game', select: 'week seasonType playoffRound kickoff score homeTeam awayTeam' }
+    ]);
+};
+
+module.exports = mongoose.model('PayoutLedger', payoutLedgerSchema);
@@ -0,0 +1,178 @@
+const mongoose = require('mongoose');
+
+const PLAYOFF_ROUNDS = ['wildcard', 'divisional', 'conference', 'superbowl'];
+
+const playoffResultsSchema = {
+  wildCardWin: { type: Boolean, default: false },
+  divisionalWin: { type: Boolean, default: false },
+  conferenceChampionshipWin: { type: Boolean, default: false },
+  superBowlAppearance: { type: Boolean, default: false },
+  superBowlWin: { type: Boolean, default: false }
+};
+
+// One game slot in the bracket. Teams stay null until the earlier rounds decide them.
+const matchupSchema = new mongoose.Schema({
+  round: {
+    type: String,
+    enum: PLAYOFF_ROUNDS,
+    required: true
+  },
+  conference: {
+    type: String,
+    enum: ['AFC', 'NFC', null],
+    default: null // Super Bowl
+  },
+  slot: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  homeTeam: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'NFLTeam',
+    default: null
+  },
+  awayTeam: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'NFLTeam',
+    default: null
+  },
+  homeSeed: {
+    type: Number,
+    default: null
+  },
+  awaySeed: {
+    type: Number,
+    default: null
+  },
+  game: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Game',
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['tbd', 'scheduled', 'in_progress', 'final', 'postponed', 'canceled'],
+    default: 'tbd'
+  },
+  kickoff: {
+    type: Date,
+    default: null
+  },
+  score: {
+    home: { type: Number, default: null },
+    away: { type: Number, default: null }
+  },
+  winner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'NFLTeam',
+    default: null
+  }
+}, { _id: false });
+
+// A seeded team's run through the playoffs
+const bracketTeamSchema = new mongoose.Schema({
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'NFLTeam',
+    required: true
+  },
+  conference: {
+    type: String,
+    enum: ['AFC', 'NFC'],
+    required: true
+  },
+  seed: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 7
+  },
+  // Furthest round reached, as in NFLTeam.currentSeason.playoffStatus
+  reached: {
+    type: String,
+    enum: ['wildcard', 'divisional', 'conference', 'superbowl', 'champion'],
+    required: true
+  },
+  eliminatedIn: {
+    type: String,
+    enum: [...PLAYOFF_ROUNDS, null],
+    default: null
+  },
+  playoffResults: playoffResultsSchema
+}, { _id: false });
+
+// The playoff bracket for one season: seeds taken from the final regular-season
+// standings, advanced round by round from postseason Game results
+const playoffBracketSchema = new mongoose.Schema({
+  season: {
+    type: Number,
+    required: [true, 'Season is required']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'in_progress', 'complete'],
+    default: 'pending'
+  },
+  matchups: [matchupSchema],
+  teams: [bracketTeamSchema],
+  champion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'NFLTeam',
+    default: null
+  },
+  // Outcomes set by hand in the admin console; they win over game results until cleared
+  overrides: [{
+    _id: false,
+    team: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'NFLTeam',
+      required: true
+    },
+    playoffResults: playoffResultsSchema,
+    eliminated: {
+      type: Boolean,
+      default: false
+    },
+    setBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    setAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  lastUpdated: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+playoffBracketSchema.index({ season: 1 }, { unique: true });
+
+// Method to get the matchups of one round, in bracket order
+playoffBracketSchema.methods.getRound = function(round, conference = null) {
+  return this.matchups
+    .filter(matchup => matchup.round === round && (conference === null || matchup.conference === conference))
+    .sort((a, b) => (a.conference || '').localeCompare(b.conference || '') || a.slot - b.slot);
+};
+
+// Method to get a team's entry in the bracket (null when it did not make the playoffs)
+playoffBracketSchema.methods.getTeam = function(teamId) {
+  const id = (teamId._id || teamId).toString();
+  return this.teams.find(entry => (entry.team._id || entry.team).toString() === id) || null;
+};
+
+// Static method to get a season's bracket with teams and games populated
+playoffBracketSchema.statics.getSeason = function(season) {
+  return this.findOne({ season }).populate([
+    { path: 'matchups.homeTeam matchups.awayTeam matchups.winner teams.team champion', select: 'name city abbreviation logo conference' },
+    { path: 'matchups.game', select: 'week kickoff status score live' }
+  ]);
+};
+
+module.exports = mongoose.model('PlayoffBracket', playoffBracketSchema);
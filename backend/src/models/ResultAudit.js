@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+
+// Append-only record of every manual change an admin makes to game results or
+// playoff outcomes, with how each league's owner earnings moved as a result
+const resultAuditSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: true,
+    enum: [
+      'game-updated',
+      'playoff-outcome-set',
+      'playoff-outcome-cleared',
+      'leagues-recalculated'
+    ]
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  season: {
+    type: Number,
+    default: null
+  },
+  game: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Game',
+    default: null
+  },
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'NFLTeam',
+    default: null
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: ''
+  },
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Owner earnings before and after, for every league whose earnings changed
+  leagueChanges: [{
+    _id: false,
+    league: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'League'
+    },
+    name: String,
+    owners: [{
+      _id: false,
+      owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      username: String,
+      before: Number,
+      after: Number,
+      delta: Number
+    }]
+  }]
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+resultAuditSchema.index({ createdAt: -1 });
+resultAuditSchema.index({ game: 1, createdAt: -1 });
+
+// Reject any attempt to rewrite history
+resultAuditSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Result audits are append-only'));
+  }
+  next();
+});
+
+resultAuditSchema.pre([
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+], function(next) {
+  next(new Error('Result audits are append-only'));
+});
+
+// Static method to get the most recent audits, newest first
+resultAuditSchema.statics.getRecent = function({ limit = 50, game = null } = {}) {
+  const query = game ? { game } : {};
+
+  return this.find(query)
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .populate([
+      { path: 'actor', select: 'username firstName lastName' },
+      { path: 'team', select: 'name city abbreviation' },
+      { path: 'game', select: 'season week seasonType homeTeam awayTeam', populate: { path: 'homeTeam awayTeam', select: 'abbreviation' } }
+    ]);
+};
+
+module.exports = mongoose.model('ResultAudit', resultAuditSchema);
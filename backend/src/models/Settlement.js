@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+
+// How a league season's money changes hands offline. Each owner's buy-in (what they
+// spent at auction) is recorded when the auction completes; when the season is
+// finalized the buy-ins and winnings become net balances and a short list of
+// owner-to-owner transfers that settles them. Commissioners mark transfers paid as
+// the money arrives. Usernames are copied so the record survives account changes.
+const settlementSchema = new mongoose.Schema({
+  league: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'League',
+    required: true
+  },
+  season: {
+    type: Number,
+    required: [true, 'Season is required']
+  },
+  // collecting: buy-ins owed, season in play; settling: transfers outstanding; settled: all paid
+  status: {
+    type: String,
+    enum: ['collecting', 'settling', 'settled'],
+    default: 'collecting'
+  },
+  buyIns: [{
+    _id: false,
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    username: String,
+    teamsOwned: {
+      type: Number,
+      default: 0
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0
+    }
+  }],
+  buyInsRecordedAt: {
+    type: Date,
+    default: null
+  },
+  // Final position per owner: winnings (with their share of any unpaid pool) less buy-in
+  balances: [{
+    _id: false,
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    username: String,
+    buyIn: Number,
+    winnings: Number,
+    refund: Number,
+    net: Number
+  }],
+  transfers: [{
+    from: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    fromUsername: String,
+    to: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    toUsername: String,
+    amount: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'paid'],
+      default: 'pending'
+    },
+    paidAt: {
+      type: Date,
+      default: null
+    },
+    markedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    note: {
+      type: String,
+      maxlength: [200, 'Note cannot exceed 200 characters'],
+      default: ''
+    }
+  }],
+  finalizedAt: {
+    type: Date,
+    default: null
+  },
+  settledAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+settlementSchema.index({ league: 1, season: 1 }, { unique: true });
+
+// Method to get the total of every buy-in
+settlementSchema.methods.getTotalBuyIns = function() {
+  return this.buyIns.reduce((sum, buyIn) => sum + buyIn.amount, 0);
+};
+
+// Method to mark the settlement settled once every transfer is paid, or reopen it
+settlementSchema.methods.updateStatus = function() {
+  if (!this.finalizedAt) {
+    this.status = 'collecting';
+    this.settledAt = null;
+    return this;
+  }
+
+  const allPaid = this.transfers.every(transfer => transfer.status === 'paid');
+  this.status = allPaid ? 'settled' : 'settling';
+  this.settledAt = allPaid ? this.settledAt || new Date() : null;
+  return this;
+};
+
+module.exports = mongoose.model('Settlement', settlementSchema);
@@ -51,6 +51,7 @@ const userSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'League'
   }],
+  // Sum of the user's payout ledger entries across all leagues
   totalWinnings: {
     type: Number,
     default: 0
@@ -1,11 +1,18 @@
 const express = require('express');
-const { body, param, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const NFLTeam = require('../models/NFLTeam');
 const User = require('../models/User');
 const League = require('../models/League');
 const Auction = require('../models/Auction');
+const AuctionEvent = require('../models/AuctionEvent');
+const ResultAudit = require('../models/ResultAudit');
 const { protect, authorize } = require('../middleware/auth');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const auctionTimerService = require('../services/auctionTimerService');
+const nflDataService = require('../services/nflDataService');
+const seasonHistoryService = require('../services/seasonHistoryService');
+const resultCorrectionService = require('../services/resultCorrectionService');
+const settlementService = require('../services/settlementService');
 
 const router = express.Router();
 
@@ -167,6 +174,278 @@ router.post('/nfl-teams/reset-season',
   })
 );
 
+// @desc    Import game results for a week from the configured results provider
+// @route   POST /api/admin/nfl-teams/sync-results
+// @access  Private (Super User)
+router.post('/nfl-teams/sync-results',
+  [
+    body('season')
+      .optional()
+      .isInt({ min: 2000, max: 2100 })
+      .withMessage('Season must be a valid year'),
+    body('week')
+      .optional()
+      .isInt({ min: 1, max: 18 })
+      .withMessage('Week must be between 1 and 18 (1-4 for postseason rounds)'),
+    body('seasonType')
+      .optional()
+      .isIn(['preseason', 'regular', 'postseason'])
+      .withMessage('Season type must be preseason, regular or postseason')
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const options = {};
+    if (req.body.season) options.season = parseInt(req.body.season);
+    if (req.body.week) options.week = parseInt(req.body.week);
+    if (req.body.seasonType) options.seasonType = req.body.seasonType;
+
+    let result;
+    try {
+      result = await nflDataService.updateWeeklyResults(options);
+    } catch (error) {
+      throw new AppError(`Could not import results: ${error.message}`, 502);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: result.skipped
+        ? 'No NFL week has been played yet this season'
+        : `Imported ${result.season} ${result.seasonType} week ${result.week} results from ${result.provider}`,
+      data: result
+    });
+  })
+);
+
+// @desc    Recompute NFL standings, ranks and playoff seeds from game results
+// @route   POST /api/admin/nfl-teams/update-standings
+// @access  Private (Super User)
+router.post('/nfl-teams/update-standings',
+  [
+    body('season')
+      .optional()
+      .isInt({ min: 2000, max: 2100 })
+      .withMessage('Season must be a valid year')
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const result = await nflDataService.updatePlayoffStandings(
+      req.body.season ? parseInt(req.body.season) : undefined
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `NFL standings updated for ${result.season}`,
+      data: result
+    });
+  })
+);
+
+// @desc    Archive a finished season to history and reset teams for the next one
+// @route   POST /api/admin/seasons/rollover
+// @access  Private (Super User)
+router.post('/seasons/rollover',
+  [
+    body('season')
+      .isInt({ min: 2000, max: 2100 })
+      .withMessage('Season must be a valid year'),
+    body('force')
+      .optional()
+      .isBoolean()
+      .withMessage('Force must be a boolean')
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const season = parseInt(req.body.season);
+    const result = await seasonHistoryService.rolloverSeason(season, {
+      force: req.body.force === true || req.body.force === 'true'
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Archived the ${season} season and started ${result.nextSeason}`,
+      data: result
+    });
+  })
+);
+
+const PLAYOFF_RESULT_KEYS = ['wildCardWin', 'divisionalWin', 'conferenceChampionshipWin', 'superBowlAppearance', 'superBowlWin'];
+
+const reasonValidator = body('reason')
+  .optional()
+  .isString()
+  .isLength({ max: 500 })
+  .withMessage('Reason cannot exceed 500 characters');
+
+// @desc    Enter or correct a game's score and status, then recalculate its season's leagues
+// @route   PUT /api/admin/games/:id
+// @access  Private (Super User)
+router.put('/games/:id',
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid game ID'),
+    body('homeScore')
+      .optional({ nullable: true })
+      .isInt({ min: 0 })
+      .withMessage('Home score must be a positive integer'),
+    body('awayScore')
+      .optional({ nullable: true })
+      .isInt({ min: 0 })
+      .withMessage('Away score must be a positive integer'),
+    body('status')
+      .optional()
+      .isIn(['scheduled', 'in_progress', 'final', 'postponed', 'canceled'])
+      .withMessage('Invalid game status'),
+    reasonValidator
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const toScore = (value) => value === undefined || value === null ? value : parseInt(value);
+
+    const audit = await resultCorrectionService.updateGame(req.params.id, {
+      homeScore: toScore(req.body.homeScore),
+      awayScore: toScore(req.body.awayScore),
+      status: req.body.status
+    }, req.user._id, req.body.reason);
+
+    res.status(200).json({
+      success: true,
+      message: `Game updated, ${audit.leagueChanges.length} league(s) recalculated with changes`,
+      data: audit
+    });
+  })
+);
+
+// @desc    Override a team's playoff outcome for a season
+// @route   PUT /api/admin/playoffs/:season/teams/:teamId
+// @access  Private (Super User)
+router.put('/playoffs/:season/teams/:teamId',
+  [
+    param('season')
+      .isInt({ min: 2000, max: 2100 })
+      .withMessage('Season must be a valid year'),
+    param('teamId')
+      .isMongoId()
+      .withMessage('Invalid team ID'),
+    body('playoffResults')
+      .isObject()
+      .withMessage('Playoff results must be an object'),
+    ...PLAYOFF_RESULT_KEYS.map(key => body(`playoffResults.${key}`)
+      .optional()
+      .isBoolean()
+      .withMessage(`${key} must be a boolean`)),
+    body('eliminated')
+      .optional()
+      .isBoolean()
+      .withMessage('Eliminated must be a boolean'),
+    reasonValidator
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const audit = await resultCorrectionService.setPlayoffOutcome(
+      parseInt(req.params.season),
+      req.params.teamId,
+      {
+        playoffResults: req.body.playoffResults,
+        eliminated: req.body.eliminated === true || req.body.eliminated === 'true'
+      },
+      req.user._id,
+      req.body.reason
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Playoff outcome set',
+      data: audit
+    });
+  })
+);
+
+// @desc    Clear a team's playoff outcome override so the game results decide it again
+// @route   DELETE /api/admin/playoffs/:season/teams/:teamId
+// @access  Private (Super User)
+router.delete('/playoffs/:season/teams/:teamId',
+  [
+    param('season')
+      .isInt({ min: 2000, max: 2100 })
+      .withMessage('Season must be a valid year'),
+    param('teamId')
+      .isMongoId()
+      .withMessage('Invalid team ID'),
+    reasonValidator
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const audit = await resultCorrectionService.clearPlayoffOutcome(
+      parseInt(req.params.season),
+      req.params.teamId,
+      req.user._id,
+      req.body.reason
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Playoff outcome override cleared',
+      data: audit
+    });
+  })
+);
+
+// @desc    Recalculate earnings for active leagues from the current NFL results
+// @route   POST /api/admin/leagues/recalculate
+// @access  Private (Super User)
+router.post('/leagues/recalculate',
+  [
+    body('season')
+      .optional()
+      .isInt({ min: 2000, max: 2100 })
+      .withMessage('Season must be a valid year'),
+    reasonValidator
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const audit = await resultCorrectionService.recalculate(req.user._id, {
+      season: req.body.season ? parseInt(req.body.season) : null,
+      reason: req.body.reason
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `${audit.leagueChanges.length} league(s) changed`,
+      data: audit
+    });
+  })
+);
+
+// @desc    Get the audit log of manual result changes, newest first
+// @route   GET /api/admin/results/audit
+// @access  Private (Super User)
+router.get('/results/audit',
+  [
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 200 })
+      .withMessage('Limit must be between 1 and 200'),
+    query('game')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid game ID')
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const audits = await ResultAudit.getRecent({
+      limit: req.query.limit ? parseInt(req.query.limit) : 50,
+      game: req.query.game || null
+    });
+
+    res.status(200).json({
+      success: true,
+      count: audits.length,
+      data: audits
+    });
+  })
+);
+
 // @desc    Get all users (admin view)
 // @route   GET /api/admin/users
 // @access  Private (Super User)
@@ -288,11 +567,23 @@ router.post('/auctions/:id/force-complete',
     auction.status = 'completed';
     auction.endTime = new Date();
     await auction.save();
+    auctionTimerService.cancel(auction._id);
+
+    await AuctionEvent.record(auction, 'auction-force-completed', {
+      actor: req.user._id,
+      details: { unsoldTeams: auction.getAvailableTeams().length }
+    });
 
     // Update league status
     await League.findByIdAndUpdate(auction.league, {
       status: 'active'
     });
+    // Buy-ins are best-effort here; a commissioner can re-record them from the settlement page
+    try {
+      await settlementService.recordBuyIns(auction.league);
+    } catch (error) {
+      console.error(`Error recording buy-ins for force completed auction ${auction._id}:`, error);
+    }
 
     res.status(200).json({
       success: true,
@@ -1,10 +1,16 @@
 const express = require('express');
-const { body, param, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const Auction = require('../models/Auction');
+const AuctionEvent = require('../models/AuctionEvent');
 const League = require('../models/League');
 const NFLTeam = require('../models/NFLTeam');
+const User = require('../models/User');
 const { protect, authorizeLeagueAdmin, authorizeLeagueMember } = require('../middleware/auth');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const auctionTimerService = require('../services/auctionTimerService');
+const auctionBidService = require('../services/auctionBidService');
+const auctionSchedulerService = require('../services/auctionSchedulerService');
+const settlementService = require('../services/settlementService');
 
 const router = express.Router();
 
@@ -40,7 +46,7 @@ const handleValidationErrors = (req, res, next) => {
  * /api/auctions:
  *   post:
  *     summary: Create auction for league
- *     description: Creates a new auction for a league with all NFL teams available for bidding
+ *     description: Creates a new auction for a league with all NFL teams available for bidding. With no start time (or one in the past) the auction starts immediately; a future start time schedules it, and leagues with `settings.autoStartAuction` start it automatically at that time if at least 2 members have joined. Members are reminded 24 hours and 15 minutes ahead.
  *     tags: [Auctions]
  *     security:
  *       - bearerAuth: []
@@ -60,7 +66,7 @@ const handleValidationErrors = (req, res, next) => {
  *               startTime:
  *                 type: string
  *                 format: date-time
- *                 description: Optional start time for the auction
+ *                 description: Optional start time; a future time schedules the auction
  *                 example: "2024-01-15T18:00:00Z"
  *     responses:
  *       201:
@@ -111,15 +117,30 @@ router.post('/',
   asyncHandler(async (req, res) => {
     const { startTime } = req.body;
     const league = req.league;
+    const start = startTime ? new Date(startTime) : new Date();
+    const isScheduled = start.getTime() > Date.now();
 
-    // Check if league can start auction
-    if (!league.canStartAuction) {
+    // A future auction only needs enough members by the time it starts
+    if (isScheduled) {
+      if (league.status !== 'draft') {
+        throw new AppError('League auction has already started', 400);
+      }
+    } else if (!league.canStartAuction) {
       throw new AppError('League must have at least 2 members to start auction', 400);
     }
 
     // For development: Allow creating new auctions even if one exists
     // In production, you might want to check auction status before allowing new ones
     if (league.auction) {
+      // A replaced auction that has not started yet must not start on its own later
+      const previous = await Auction.findOneAndUpdate(
+        { _id: league.auction, status: 'scheduled' },
+        { $set: { status: 'cancelled' } }
+      );
+      if (previous) {
+        auctionSchedulerService.cancel(previous._id);
+      }
+
       // Clear the existing auction reference to allow new auction
       league.auction = null;
       await league.save();
@@ -143,10 +164,10 @@ router.post('/',
       }))
     });
     
-    const auction = await Auction.create({
+    let auction = await Auction.create({
       league: league._id,
       auctioneer: req.user.id, // Set the creator as the auctioneer
-      startTime: startTime ? new Date(startTime) : new Date(),
+      startTime: start,
       bidTimer: league.auctionSettings.auctionTimer,
       teams: auctionTeams,
       participants: league.members.filter(member => member.isActive).map(member => ({
@@ -157,21 +178,31 @@ router.post('/',
       })),
       settings: {
         minimumBid: league.auctionSettings.minimumBid,
-        bidIncrement: league.auctionSettings.bidIncrement
+        bidIncrement: league.auctionSettings.bidIncrement,
+        startingBudget: league.auctionSettings.startingBudget,
+        nominationTimer: league.auctionSettings.nominationTimer,
+        allowProxyBids: league.auctionSettings.allowProxyBids !== false
       }
     });
 
-    // Generate draft order
+    // Generate draft order (regenerated from the league's members at start time)
     auction.generateDraftOrder();
-    
-    // Start the auction immediately
-    auction.start();
     await auction.save();
 
-    // Update league
-    league.auction = auction._id;
-    league.status = 'auction';
-    await league.save();
+    await AuctionEvent.record(auction, 'auction-created', {
+      actor: req.user._id,
+      details: { startTime: start }
+    });
+
+    if (isScheduled) {
+      // League stays open to new members until the auction starts
+      league.auction = auction._id;
+      await league.save();
+      auctionSchedulerService.schedule(auction);
+    } else {
+      // Start the auction immediately
+      auction = await auctionSchedulerService.startAuction(auction._id, req.user._id);
+    }
 
     // Populate auction data
     await auction.populate([
@@ -197,16 +228,18 @@ router.post('/',
       }
     ]);
 
-    // Emit auction created event
-    const io = req.app.get('io');
-    io.to(`league-${league._id}`).emit('auction-created', {
-      auction: auction,
-      message: 'Auction has been scheduled'
-    });
+    if (isScheduled) {
+      // Emit auction created event
+      const io = req.app.get('io');
+      io.to(`league-${league._id}`).emit('auction-created', {
+        auction: auction,
+        message: `Auction scheduled for ${start.toISOString()}`
+      });
+    }
 
     res.status(201).json({
       success: true,
-      message: 'Auction created successfully',
+      message: isScheduled ? 'Auction scheduled successfully' : 'Auction created successfully',
       data: auction
     });
   })
@@ -371,7 +404,7 @@ router.get('/:id',
  * /api/auctions/{id}/start:
  *   post:
  *     summary: Start auction
- *     description: Starts an auction, making it active and setting the first nominator
+ *     description: Starts a scheduled auction (early if need be), making it active with the league's current members and setting the first nominator
  *     tags: [Auctions]
  *     security:
  *       - bearerAuth: []
@@ -400,13 +433,15 @@ router.get('/:id',
  *                 data:
  *                   $ref: '#/components/schemas/Auction'
  *       400:
- *         description: Bad request - auction cannot be started
+ *         description: Bad request - auction cannot be started or fewer than 2 members
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Forbidden - not league admin
  *       404:
  *         description: Auction not found
+ *       409:
+ *         description: Auction was started by someone else first
  */
 router.post('/:id/start',
   protect,
@@ -433,21 +468,13 @@ router.post('/:id/start',
       throw new AppError('Auction cannot be started', 400);
     }
 
-    // Start auction
-    auction.start();
-    await auction.save();
-
-    // Emit auction started event
-    const io = req.app.get('io');
-    io.to(`league-${auction.league._id}`).emit('auction-started', {
-      auction: auction,
-      message: 'Auction has started!'
-    });
+    // Start auction (ahead of its scheduled time if need be)
+    const startedAuction = await auctionSchedulerService.startAuction(auction._id, req.user._id);
 
     res.status(200).json({
       success: true,
       message: 'Auction started successfully',
-      data: auction
+      data: startedAuction
     });
   })
 );
@@ -518,6 +545,8 @@ router.post('/:id/start',
  *         description: Forbidden - not your turn to nominate
  *       404:
  *         description: Auction not found
+ *       409:
+ *         description: The nomination turn ended (clock ran out or a team was nominated automatically) before the nomination landed
  */
 router.post('/:id/nominate',
   protect,
@@ -579,6 +608,7 @@ router.post('/:id/nominate',
     }
 
     const auction = await Auction.findById(req.params.id)
+      .select('+proxyBids')
       .populate([
         {
           path: 'league'
@@ -627,9 +657,36 @@ router.post('/:id/nominate',
         allTeamIds: auction.teams?.map(t => t.nflTeam?.toString()).filter(Boolean)
       });
       
+      // Land the nomination only if the turn is still open: nothing was nominated
+      // meanwhile (e.g. automatically) and the nominator's clock, if it has one, has not run out
+      const snapshot = {
+        status: 'active',
+        currentTeam: null,
+        currentNominator: auction.currentNominator,
+        $or: [{ nominationEndTime: null }, { nominationEndTime: { $gt: new Date() } }]
+      };
+
       // Nominate team
       auction.nominateTeam(teamId, req.user.id, bidAmount);
-      await auction.save();
+      const proxyBids = auction.resolveProxyBids();
+
+      auction.$where = snapshot;
+      try {
+        await auction.save();
+      } catch (error) {
+        if (error.name === 'DocumentNotFoundError') {
+          throw new AppError('Your nomination turn ended before the nomination landed', 409);
+        }
+        throw error;
+      }
+      auctionTimerService.schedule(auction);
+
+      await AuctionEvent.record(auction, 'team-nominated', {
+        actor: req.user._id,
+        team: teamId,
+        amount: bidAmount,
+        details: { nominator: req.user._id }
+      });
 
       // Populate updated data
       await auction.populate([
@@ -656,6 +713,7 @@ router.post('/:id/nominate',
         startingBid: bidAmount,
         bidEndTime: auction.bidEndTime
       });
+      await auctionTimerService.publishBids(auction, proxyBids);
 
       res.status(200).json({
         success: true,
@@ -666,6 +724,9 @@ router.post('/:id/nominate',
         }
       });
     } catch (error) {
+      if (error.statusCode) {
+        throw error;
+      }
       throw new AppError(error.message, 400);
     }
   })
@@ -734,6 +795,8 @@ router.post('/:id/nominate',
  *         description: Unauthorized
  *       404:
  *         description: Auction not found
+ *       409:
+ *         description: Outbid before your bid landed - another bid changed the lot first
  */
 router.post('/:id/bid',
   protect,
@@ -762,47 +825,27 @@ router.post('/:id/bid',
     // Ensure bidAmount is an integer
     const bidAmountInt = parseInt(bidAmount);
 
-    const auction = await Auction.findById(req.params.id);
-
-    if (!auction) {
-      throw new AppError('Auction not found', 404);
-    }
-
-    try {
-      // Place bid
-      auction.placeBid(teamId, req.user.id, bidAmountInt);
-      await auction.save();
+    // Place bid (rejected with 409 if another bid landed first)
+    const auction = await auctionBidService.placeBid(req.params.id, req.user.id, teamId, bidAmountInt);
 
-      // Populate updated data
-      await auction.populate([
-        {
-          path: 'currentHighBidder',
-          select: 'username firstName lastName'
-        }
-      ]);
+    // Populate updated data
+    await auction.populate([
+      {
+        path: 'currentHighBidder',
+        select: 'username firstName lastName'
+      }
+    ]);
 
-      // Emit bid placed event
-      const io = req.app.get('io');
-      io.to(`auction-${auction._id}`).emit('bid-placed', {
-        teamId: teamId,
-        bidder: auction.currentHighBidder,
-        bidAmount: bidAmountInt,
+    res.status(200).json({
+      success: true,
+      message: 'Bid placed successfully',
+      data: {
+        currentBid: auction.currentBid,
+        currentHighBidder: auction.currentHighBidder,
         bidEndTime: auction.bidEndTime,
         timeRemaining: auction.timeRemaining
-      });
-
-      res.status(200).json({
-        success: true,
-        message: 'Bid placed successfully',
-        data: {
-          currentBid: auction.currentBid,
-          currentHighBidder: auction.currentHighBidder,
-          timeRemaining: auction.timeRemaining
-        }
-      });
-    } catch (error) {
-      throw new AppError(error.message, 400);
-    }
+      }
+    });
   })
 );
 
@@ -1113,6 +1156,15 @@ router.post('/:id/reset-participants',
     }
     
     await auction.save();
+    auctionTimerService.schedule(auction);
+
+    await AuctionEvent.record(auction, 'participants-reset', {
+      actor: req.user._id,
+      details: {
+        participants: auction.participants.map(p => p.user),
+        nominator: auction.currentNominator
+      }
+    });
 
     // Populate updated data
     await auction.populate([
@@ -1140,7 +1192,7 @@ router.post('/:id/reset-participants',
 
 // @desc    Complete current team auction
 // @route   POST /api/auctions/:id/complete-team
-// @access  Private (Auto-triggered when timer expires)
+// @access  Private (Lots are closed by the server bid clock; this only closes expired lots)
 router.post('/:id/complete-team',
   protect,
   [
@@ -1150,17 +1202,7 @@ router.post('/:id/complete-team',
   ],
   handleValidationErrors,
   asyncHandler(async (req, res) => {
-    const auction = await Auction.findById(req.params.id)
-      .populate([
-        {
-          path: 'currentTeam',
-          select: 'name city abbreviation'
-        },
-        {
-          path: 'currentHighBidder',
-          select: 'username firstName lastName'
-        }
-      ]);
+    const auction = await Auction.findById(req.params.id);
 
     if (!auction) {
       throw new AppError('Auction not found', 404);
@@ -1174,58 +1216,229 @@ router.post('/:id/complete-team',
       throw new AppError('No active team auction to complete', 400);
     }
 
-    const soldTeam = auction.currentTeam;
-    const winner = auction.currentHighBidder;
-    const finalPrice = auction.currentBid;
+    const result = await auctionTimerService.closeLot(auction._id);
 
-    // Complete team auction
-    auction.completeCurrentTeamAuction();
-    await auction.save();
+    if (!result) {
+      throw new AppError('Bidding is still open or the lot has already been closed', 409);
+    }
 
-    // Update league with sold team
-    await League.findByIdAndUpdate(auction.league, {
-      $set: {
-        'teams.$[elem].owner': winner._id,
-        'teams.$[elem].purchasePrice': finalPrice
+    const { soldTeam, winner, finalPrice } = result;
+
+    res.status(200).json({
+      success: true,
+      message: result.isAuctionComplete ? 'Auction completed!' : 'Team sold successfully',
+      data: {
+        soldTeam,
+        winner,
+        finalPrice,
+        auctionStatus: result.auction.status,
+        progress: result.auction.progress
       }
-    }, {
-      arrayFilters: [{ 'elem.nflTeam': soldTeam._id }]
     });
+  })
+);
 
-    // Emit team sold event
-    const io = req.app.get('io');
-    io.to(`auction-${auction._id}`).emit('team-sold', {
-      team: soldTeam,
-      winner: winner,
-      finalPrice: finalPrice,
-      isAuctionComplete: auction.status === 'completed',
-      nextNominator: auction.currentNominator ? {
-        id: auction.currentNominator,
-        username: auction.currentNominator.username
-      } : null
+/**
+ * @swagger
+ * /api/auctions/{id}/reverse-sale:
+ *   post:
+ *     summary: Reverse the last sale
+ *     description: Commissioner correction tool. Undoes the most recent sale - the team returns to the pool, the winner is refunded, the league ownership is cleared and the nominator of that lot gets their turn back. With `reopen`, the same team is put straight back up for bidding at the minimum bid. Only allowed between lots.
+ *     tags: [Auctions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Auction ID
+ *         example: "60f7b3b3b3b3b3b3b3b3b3b3"
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reopen:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Re-nominate the team immediately instead of returning it to the pool
+ *               reason:
+ *                 type: string
+ *                 description: Reason for the correction, kept in the audit log
+ *                 example: "Bid entered as $500 instead of $50"
+ *     responses:
+ *       200:
+ *         description: Sale reversed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Sale reversed"
+ *                 data:
+ *                   $ref: '#/components/schemas/Auction'
+ *       400:
+ *         description: Bad request - no sale to reverse or a lot is in progress
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - not league admin
+ *       404:
+ *         description: Auction not found
+ *       409:
+ *         description: The auction changed while the sale was being reversed
+ */
+router.post('/:id/reverse-sale',
+  protect,
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid auction ID'),
+    body('reopen')
+      .optional()
+      .isBoolean()
+      .withMessage('Reopen must be a boolean'),
+    body('reason')
+      .optional()
+      .isLength({ max: 255 })
+      .withMessage('Reason cannot exceed 255 characters')
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { reopen = false, reason } = req.body;
+
+    const auction = await Auction.findById(req.params.id)
+      .select('+proxyBids')
+      .populate('league', 'creator');
+
+    if (!auction) {
+      throw new AppError('Auction not found', 404);
+    }
+
+    // Check if user is league admin
+    if (auction.league.creator.toString() !== req.user.id.toString() && !req.user.isSuperUser) {
+      throw new AppError('Access denied. Only league administrators can reverse sales.', 403);
+    }
+
+    const leagueId = auction.league._id;
+    const snapshot = {
+      status: auction.status,
+      currentTeam: null,
+      currentNominationIndex: auction.currentNominationIndex
+    };
+
+    let reversal;
+    let proxyBids = [];
+
+    try {
+      reversal = reopen ? auction.reopenLot() : auction.reverseLastSale();
+      if (reopen) {
+        proxyBids = auction.resolveProxyBids();
+      }
+    } catch (error) {
+      throw new AppError(error.message, 400);
+    }
+
+    // Only land the correction if no nomination or sale slipped in meanwhile
+    auction.$where = snapshot;
+    try {
+      await auction.save();
+    } catch (error) {
+      if (error.name === 'DocumentNotFoundError') {
+        throw new AppError('The auction changed while the sale was being reversed. Please try again.', 409);
+      }
+      throw error;
+    }
+    auctionTimerService.schedule(auction);
+
+    await League.findByIdAndUpdate(leagueId, {
+      $set: {
+        'teams.$[elem].owner': null,
+        'teams.$[elem].purchasePrice': 0,
+        ...(reversal.wasCompleted && { status: 'auction' })
+      }
+    }, {
+      arrayFilters: [{ 'elem.nflTeam': reversal.team }]
     });
 
-    // If auction is complete, update league status
-    if (auction.status === 'completed') {
-      await League.findByIdAndUpdate(auction.league, {
-        status: 'active'
-      });
+    // Buy-ins were recorded when the auction completed; the reversed sale no longer counts
+    if (reversal.wasCompleted) {
+      try {
+        await settlementService.recordBuyIns(leagueId);
+      } catch (error) {
+        console.error(`Error re-recording buy-ins after reversing a sale in auction ${auction._id}:`, error);
+      }
+    }
 
-      io.to(`league-${auction.league}`).emit('auction-completed', {
-        message: 'Auction has been completed!'
+    await AuctionEvent.record(auction, 'sale-reversed', {
+      actor: req.user._id,
+      team: reversal.team,
+      amount: reversal.amount,
+      details: {
+        formerOwner: reversal.formerOwner,
+        reopened: Boolean(reversal.reopened),
+        reason: reason || null
+      }
+    });
+    if (reversal.reopened) {
+      await AuctionEvent.record(auction, 'team-nominated', {
+        actor: req.user._id,
+        team: reversal.team,
+        amount: auction.currentBid,
+        details: { nominator: auction.currentNominator, reopened: true }
       });
     }
 
+    await auction.populate([
+      {
+        path: 'currentTeam',
+        select: 'name city abbreviation colors logo'
+      },
+      {
+        path: 'currentNominator',
+        select: 'username firstName lastName'
+      },
+      {
+        path: 'currentHighBidder',
+        select: 'username firstName lastName'
+      }
+    ]);
+
+    const [team, formerOwner] = await Promise.all([
+      NFLTeam.findById(reversal.team).select('name city abbreviation logo'),
+      User.findById(reversal.formerOwner).select('username firstName lastName')
+    ]);
+
+    const io = req.app.get('io');
+    io.to(`auction-${auction._id}`).emit('sale-reversed', {
+      team,
+      formerOwner,
+      amount: reversal.amount,
+      reopened: Boolean(reversal.reopened),
+      reason: reason || null,
+      status: auction.status,
+      currentTeam: auction.currentTeam,
+      currentBid: auction.currentBid,
+      currentHighBidder: auction.currentHighBidder,
+      bidEndTime: auction.bidEndTime,
+      nextNominator: auction.currentNominator,
+      nominationEndTime: auction.nominationEndTime
+    });
+    await auctionTimerService.publishBids(auction, proxyBids);
+
     res.status(200).json({
       success: true,
-      message: auction.status === 'completed' ? 'Auction completed!' : 'Team sold successfully',
-      data: {
-        soldTeam,
-        winner,
-        finalPrice,
-        auctionStatus: auction.status,
-        progress: auction.progress
-      }
+      message: reversal.reopened ? 'Sale reversed and lot reopened' : 'Sale reversed',
+      data: auction
     });
   })
 );
@@ -1316,6 +1529,12 @@ router.post('/:id/pause',
 
     auction.pause(reason);
     await auction.save();
+    auctionTimerService.cancel(auction._id);
+
+    await AuctionEvent.record(auction, 'auction-paused', {
+      actor: req.user._id,
+      details: { reason: reason || null }
+    });
 
     // Emit auction paused event
     const io = req.app.get('io');
@@ -1401,6 +1620,9 @@ router.post('/:id/resume',
 
     auction.resume();
     await auction.save();
+    auctionTimerService.schedule(auction);
+
+    await AuctionEvent.record(auction, 'auction-resumed', { actor: req.user._id });
 
     // Emit auction resumed event
     const io = req.app.get('io');
@@ -1469,6 +1691,9 @@ router.post('/:id/resume',
  *                       isWinning:
  *                         type: boolean
  *                         description: Whether this is the current winning bid
+ *                       isProxy:
+ *                         type: boolean
+ *                         description: Whether the bid was placed automatically from a max bid
  *       401:
  *         description: Unauthorized
  *       404:
@@ -1513,6 +1738,132 @@ router.get('/:id/bids',
   })
 );
 
+/**
+ * @swagger
+ * /api/auctions/{id}/timeline:
+ *   get:
+ *     summary: Get auction event log
+ *     description: Streams back the append-only event log (nominations, bids, sales, pauses, resumes, resets, completions) in order. Page through long logs by passing the last event ID as `after`.
+ *     tags: [Auctions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Auction ID
+ *       - in: query
+ *         name: after
+ *         schema:
+ *           type: string
+ *         description: Return only events recorded after this event ID
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 1000
+ *           default: 500
+ *         description: Maximum number of events to return
+ *     responses:
+ *       200:
+ *         description: Events retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     events:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           type:
+ *                             type: string
+ *                             example: "team-sold"
+ *                           actor:
+ *                             type: object
+ *                             description: User who caused the event (null when the server acted)
+ *                           team:
+ *                             type: object
+ *                           amount:
+ *                             type: number
+ *                           details:
+ *                             type: object
+ *                           createdAt:
+ *                             type: string
+ *                             format: date-time
+ *                     startingBudget:
+ *                       type: integer
+ *                       nullable: true
+ *                       description: Budget each participant started with (null = unlimited)
+ *                     hasMore:
+ *                       type: boolean
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - not a league member
+ *       404:
+ *         description: Auction not found
+ */
+router.get('/:id/timeline',
+  protect,
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid auction ID'),
+    query('after')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid event ID'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 1000 })
+      .withMessage('Limit must be between 1 and 1000')
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const auction = await Auction.findById(req.params.id)
+      .select('league settings')
+      .populate('league', 'members');
+
+    if (!auction) {
+      throw new AppError('Auction not found', 404);
+    }
+
+    const isMember = auction.league.members.some(member =>
+      member.user.toString() === req.user.id.toString() && member.isActive
+    );
+
+    if (!isMember && !req.user.isSuperUser) {
+      throw new AppError('Access denied. You must be a member of this league.', 403);
+    }
+
+    const limit = parseInt(req.query.limit) || 500;
+    const events = await AuctionEvent.getTimeline(auction._id, {
+      after: req.query.after,
+      limit
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        events,
+        startingBudget: auction.settings.startingBudget ?? null,
+        hasMore: events.length === limit
+      }
+    });
+  })
+);
+
 /**
  * @swagger
  * /api/auctions/{id}/budget:
@@ -1552,10 +1903,25 @@ router.get('/:id/bids',
  *                       type: integer
  *                       description: Number of teams owned
  *                       example: 2
+ *                     startingBudget:
+ *                       type: integer
+ *                       nullable: true
+ *                       description: Starting budget (null = unlimited)
+ *                       example: 200
  *                     remainingBudget:
  *                       type: integer
- *                       description: Remaining budget (unlimited = -1)
- *                       example: -1
+ *                       nullable: true
+ *                       description: Remaining budget (null = unlimited)
+ *                       example: 175
+ *                     maxBid:
+ *                       type: integer
+ *                       nullable: true
+ *                       description: Largest bid allowed while keeping the minimum bid for each remaining slot (null = unlimited)
+ *                       example: 168
+ *                     rosterSlotsRemaining:
+ *                       type: integer
+ *                       description: Teams the participant still has to win
+ *                       example: 8
  *       401:
  *         description: Unauthorized
  *       404:
@@ -1589,4 +1955,220 @@ router.get('/:id/budget',
   })
 );
 
+/**
+ * @swagger
+ * /api/auctions/{id}/proxy-bid:
+ *   post:
+ *     summary: Set a max bid
+ *     description: Sets (or replaces) a hidden maximum bid for the current lot or a team that has not been nominated yet. The server bids the minimum increment on the user's behalf up to the ceiling.
+ *     tags: [Auctions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Auction ID
+ *         example: "60f7b3b3b3b3b3b3b3b3b3b3"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - teamId
+ *               - maxBid
+ *             properties:
+ *               teamId:
+ *                 type: string
+ *                 description: NFL Team ID
+ *               maxBid:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Highest amount the server may bid for you
+ *                 example: 40
+ *     responses:
+ *       200:
+ *         description: Max bid saved
+ *       400:
+ *         description: Bad request - proxy bids disabled, team sold or max bid too low
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Auction not found
+ */
+router.post('/:id/proxy-bid',
+  protect,
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid auction ID'),
+    body('teamId')
+      .isMongoId()
+      .withMessage('Invalid team ID'),
+    body('maxBid')
+      .isInt({ min: 1 })
+      .withMessage('Max bid must be at least 1')
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { teamId } = req.body;
+    const maxBid = parseInt(req.body.maxBid);
+
+    const auction = await Auction.findById(req.params.id).select('+proxyBids');
+
+    if (!auction) {
+      throw new AppError('Auction not found', 404);
+    }
+
+    const snapshot = auctionBidService.snapshotLot(auction);
+    let proxyBids;
+
+    try {
+      auction.setProxyBid(teamId, req.user.id, maxBid);
+      proxyBids = auction.resolveProxyBids();
+    } catch (error) {
+      throw new AppError(error.message, 400);
+    }
+
+    if (proxyBids.length) {
+      // Automatic bids move the lot, so guard them like any other bid
+      await auctionBidService.saveIfLotUnchanged(auction, snapshot);
+      auctionTimerService.schedule(auction);
+      await auctionTimerService.publishBids(auction, proxyBids);
+    } else {
+      await auction.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Max bid saved',
+      data: {
+        proxyBids: auction.getProxyBidsForUser(req.user.id),
+        currentBid: auction.currentBid,
+        currentHighBidder: auction.currentHighBidder,
+        timeRemaining: auction.timeRemaining
+      }
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/auctions/{id}/proxy-bid/{teamId}:
+ *   delete:
+ *     summary: Cancel a max bid
+ *     description: Withdraws the current user's max bid for a team. Bids already placed on their behalf stand.
+ *     tags: [Auctions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Auction ID
+ *       - in: path
+ *         name: teamId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: NFL Team ID
+ *     responses:
+ *       200:
+ *         description: Max bid cancelled
+ *       400:
+ *         description: No max bid found for this team
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Auction not found
+ */
+router.delete('/:id/proxy-bid/:teamId',
+  protect,
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid auction ID'),
+    param('teamId')
+      .isMongoId()
+      .withMessage('Invalid team ID')
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const auction = await Auction.findById(req.params.id).select('+proxyBids');
+
+    if (!auction) {
+      throw new AppError('Auction not found', 404);
+    }
+
+    try {
+      auction.cancelProxyBid(req.params.teamId, req.user.id);
+      await auction.save();
+
+      res.status(200).json({
+        success: true,
+        message: 'Max bid cancelled',
+        data: {
+          proxyBids: auction.getProxyBidsForUser(req.user.id)
+        }
+      });
+    } catch (error) {
+      throw new AppError(error.message, 400);
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/auctions/{id}/proxy-bids:
+ *   get:
+ *     summary: Get my max bids
+ *     description: Lists the current user's max bids on teams that are still unsold. Other participants' max bids are never returned.
+ *     tags: [Auctions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Auction ID
+ *     responses:
+ *       200:
+ *         description: Max bids retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Auction not found
+ */
+router.get('/:id/proxy-bids',
+  protect,
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid auction ID')
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const auction = await Auction.findById(req.params.id).select('+proxyBids');
+
+    if (!auction) {
+      throw new AppError('Auction not found', 404);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        proxyBids: auction.getProxyBidsForUser(req.user.id)
+      }
+    });
+  })
+);
+
 module.exports = router;
@@ -1,13 +1,34 @@
 const express = require('express');
+const rateLimit = require('express-rate-limit');
 const { body, param, query, validationResult } = require('express-validator');
 const League = require('../models/League');
 const User = require('../models/User');
 const NFLTeam = require('../models/NFLTeam');
 const { protect, authorizeLeagueAdmin, authorizeLeagueMember } = require('../middleware/auth');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const liveScoreService = require('../services/liveScoreService');
+const seasonHistoryService = require('../services/seasonHistoryService');
+const leagueRenewalService = require('../services/leagueRenewalService');
+const payoutLedgerService = require('../services/payoutLedgerService');
+const payoutService = require('../services/payoutService');
+const payoutRuleService = require('../services/payoutRuleService');
+const payoutSimulatorService = require('../services/payoutSimulatorService');
+const leagueAnalyticsService = require('../services/leagueAnalyticsService');
+const settlementService = require('../services/settlementService');
 
 const router = express.Router();
 
+// A Monte Carlo run holds the CPU for a while, so each user gets a few a minute
+const monteCarloLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 5,
+  keyGenerator: (req) => req.user.id,
+  message: 'Too many simulations, please wait a minute and try again.',
+  standardHeaders: true,
+  legacyHeaders: false,
+  skip: () => process.env.NODE_ENV === 'development'
+});
+
 /**
  * @swagger
  * tags:
@@ -15,6 +36,56 @@ const router = express.Router();
  *   description: League management endpoints for fantasy football leagues
  */
 
+// Custom payout rules sent with a payout structure
+const payoutRuleValidators = [
+  body('payoutStructure.rules')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Payout rules must be a list of at most 20 rules'),
+  body('payoutStructure.rules.*.type')
+    .isIn(payoutRuleService.getRuleTypes())
+    .withMessage('Unknown payout rule type'),
+  body('payoutStructure.rules.*.percentage')
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Rule percentage must be between 0 and 100'),
+  body('payoutStructure.rules.*.name')
+    .optional()
+    .isLength({ max: 50 })
+    .withMessage('Rule name cannot exceed 50 characters'),
+  body('payoutStructure.rules.*.weeklyIncrease')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Weekly increase must be between 0 and 100 percent'),
+  body('payoutStructure.rules.*.minWinGap')
+    .optional()
+    .isInt({ min: 1, max: 17 })
+    .withMessage('Upset win gap must be between 1 and 17 wins')
+];
+
+// Hypothetical results sent to the payout simulator
+const scenarioValidators = [
+  body('games')
+    .optional()
+    .isArray({ max: 300 })
+    .withMessage('Games must be a list of picks'),
+  body('games.*.game')
+    .isMongoId()
+    .withMessage('Invalid game ID'),
+  body('games.*.winner')
+    .isMongoId()
+    .withMessage('Invalid winning team ID'),
+  body('playoffs')
+    .optional()
+    .isArray({ max: 32 })
+    .withMessage('Playoffs must be a list of playoff runs'),
+  body('playoffs.*.team')
+    .isMongoId()
+    .withMessage('Invalid NFL team ID'),
+  body('playoffs.*.playoffResults')
+    .isObject()
+    .withMessage('Playoff results must be an object')
+];
+
 // Handle validation errors
 const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
@@ -172,7 +243,20 @@ router.post('/',
     body('auctionSettings.auctionTimer')
       .optional()
       .isInt({ min: 30, max: 300 })
-      .withMessage('Auction timer must be between 30 and 300 seconds')
+      .withMessage('Auction timer must be between 30 and 300 seconds'),
+    body('auctionSettings.startingBudget')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Starting budget must be at least 1'),
+    body('auctionSettings.nominationTimer')
+      .optional()
+      .isInt({ min: 15, max: 600 })
+      .withMessage('Nomination timer must be between 15 and 600 seconds'),
+    body('auctionSettings.allowProxyBids')
+      .optional()
+      .isBoolean()
+      .withMessage('Allow proxy bids must be true or false'),
+    ...payoutRuleValidators
   ],
   handleValidationErrors,
   asyncHandler(async (req, res) => {
@@ -211,7 +295,10 @@ router.post('/',
       auctionSettings: {
         minimumBid: auctionSettings?.minimumBid || 1,
         bidIncrement: auctionSettings?.bidIncrement || 1,
-        auctionTimer: auctionSettings?.auctionTimer || 60
+        auctionTimer: auctionSettings?.auctionTimer || 60,
+        startingBudget: auctionSettings?.startingBudget || 200,
+        nominationTimer: auctionSettings?.nominationTimer || 90,
+        allowProxyBids: auctionSettings?.allowProxyBids !== false
       },
       payoutStructure: payoutStructure || {},
       teams: nflTeams.map(team => ({
@@ -322,13 +409,9 @@ router.put('/:id',
       .withMessage('Max members must be between 2 and 32'),
     body('payoutStructure')
       .optional()
-      .custom((payoutStructure) => {
-        const totalPercentage = Object.values(payoutStructure).reduce((sum, val) => sum + val, 0);
-        if (totalPercentage > 100) {
-          throw new Error('Total payout percentage cannot exceed 100%');
-        }
-        return true;
-      })
+      .isObject()
+      .withMessage('Payout structure must be an object'),
+    ...payoutRuleValidators
   ],
   handleValidationErrors,
   authorizeLeagueAdmin,
@@ -350,15 +433,21 @@ router.put('/:id',
     if (name) updateFields.name = name;
     if (description !== undefined) updateFields.description = description;
     if (maxMembers) updateFields.maxMembers = maxMembers;
-    if (payoutStructure) updateFields.payoutStructure = { ...req.league.payoutStructure, ...payoutStructure };
+    if (payoutStructure) {
+      updateFields.payoutStructure = { ...req.league.payoutStructure.toObject(), ...payoutStructure };
+      payoutService.validatePayoutStructure(updateFields.payoutStructure);
+    }
     if (auctionSettings) updateFields.auctionSettings = { ...req.league.auctionSettings, ...auctionSettings };
     if (settings) updateFields.settings = { ...req.league.settings, ...settings };
 
-    const league = await League.findByIdAndUpdate(
-      req.params.id,
-      updateFields,
-      { new: true, runValidators: true }
-    ).populate([
+    await League.findByIdAndUpdate(req.params.id, updateFields, { runValidators: true });
+
+    // Earnings already in the ledger were derived under the old payout structure
+    if (payoutStructure) {
+      await payoutLedgerService.rebuildLeague(req.params.id);
+    }
+
+    const league = await League.findById(req.params.id).populate([
       {
         path: 'creator',
         select: 'username firstName lastName'
@@ -590,19 +679,31 @@ router.get('/:id/standings',
         {
           path: 'teams.owner',
           select: 'username firstName lastName'
+        },
+        {
+          path: 'members.user',
+          select: 'username firstName lastName'
         }
       ]);
 
+    const timeline = await payoutLedgerService.getTimeline(league._id);
+    const ownerTimelines = new Map(timeline.owners.map(entry => [entry.owner._id.toString(), entry.weeks]));
+
     // Calculate standings
     const standings = {};
     
     league.members.forEach(member => {
-      if (member.isActive) {
-        standings[member.user.toString()] = {
+      if (member.isActive && member.user) {
+        standings[member.user._id.toString()] = {
           user: member.user,
           totalEarnings: 0,
           teams: [],
-          weeklyEarnings: []
+          weeklyEarnings: (ownerTimelines.get(member.user._id.toString()) || []).map(({ week, amount, cumulative, rank }) => ({
+            week,
+            amount,
+            cumulative,
+            rank
+          }))
         };
       }
     });
@@ -638,10 +739,505 @@ router.get('/:id/standings',
           totalPrizePool: league.totalPrizePool,
           distributedWinnings: league.distributedWinnings
         },
+        weeks: timeline.weeks,
         standings: standingsArray
       }
     });
   })
 );
 
+// @desc    Get the league's payout ledger: every earning event with owner and category totals
+// @route   GET /api/leagues/:id/ledger
+// @access  Private
+router.get('/:id/ledger',
+  protect,
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid league ID'),
+    query('owner')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid owner ID'),
+    query('nflTeam')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid NFL team ID')
+  ],
+  handleValidationErrors,
+  authorizeLeagueMember,
+  asyncHandler(async (req, res) => {
+    const ledger = await payoutLedgerService.getLeagueLedger(req.params.id, {
+      owner: req.query.owner || null,
+      nflTeam: req.query.nflTeam || null
+    });
+
+    res.status(200).json({
+      success: true,
+      count: ledger.entries.length,
+      data: ledger
+    });
+  })
+);
+
+// @desc    Get week-by-week earnings per owner and per team, by category
+// @route   GET /api/leagues/:id/earnings
+// @access  Private
+router.get('/:id/earnings',
+  protect,
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid league ID'),
+    query('week')
+      .optional()
+      .isInt({ min: 1, max: 22 })
+      .withMessage('Week must be between 1 and 22')
+      .toInt()
+  ],
+  handleValidationErrors,
+  authorizeLeagueMember,
+  asyncHandler(async (req, res) => {
+    const timeline = await payoutLedgerService.getTimeline(req.params.id, {
+      week: req.query.week || null
+    });
+
+    res.status(200).json({
+      success: true,
+      data: timeline
+    });
+  })
+);
+
+// @desc    Get ROI and value analytics for the league's auction purchases, this season and archived ones
+// @route   GET /api/leagues/:id/analytics
+// @access  Private
+router.get('/:id/analytics',
+  protect,
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid league ID')
+  ],
+  handleValidationErrors,
+  authorizeLeagueMember,
+  asyncHandler(async (req, res) => {
+    const analytics = await leagueAnalyticsService.getLeagueAnalytics(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: analytics
+    });
+  })
+);
+
+// @desc    Get the league's settlement: buy-ins, balances, transfers and ledger
+// @route   GET /api/leagues/:id/settlement
+// @access  Private
+router.get('/:id/settlement',
+  protect,
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid league ID')
+  ],
+  handleValidationErrors,
+  authorizeLeagueMember,
+  asyncHandler(async (req, res) => {
+    const settlement = await settlementService.getLeagueSettlement(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: settlement
+    });
+  })
+);
+
+// @desc    Record buy-ins from the league's auction purchases
+// @route   POST /api/leagues/:id/settlement/buy-ins
+// @access  Private (League Admin)
+router.post('/:id/settlement/buy-ins',
+  protect,
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid league ID')
+  ],
+  handleValidationErrors,
+  authorizeLeagueAdmin,
+  asyncHandler(async (req, res) => {
+    if (!['active', 'completed'].includes(req.league.status)) {
+      throw new AppError('Buy-ins can only be recorded once the auction is complete', 400);
+    }
+
+    await settlementService.recordBuyIns(req.params.id);
+    const settlement = await settlementService.getLeagueSettlement(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Buy-ins recorded',
+      data: settlement
+    });
+  })
+);
+
+// @desc    Work out balances and transfers for a completed season
+// @route   POST /api/leagues/:id/settlement/finalize
+// @access  Private (League Admin)
+router.post('/:id/settlement/finalize',
+  protect,
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid league ID')
+  ],
+  handleValidationErrors,
+  authorizeLeagueAdmin,
+  asyncHandler(async (req, res) => {
+    await settlementService.finalize(req.params.id);
+    const settlement = await settlementService.getLeagueSettlement(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Settlement calculated',
+      data: settlement
+    });
+  })
+);
+
+// @desc    Mark a settlement transfer as received or pending
+// @route   PUT /api/leagues/:id/settlement/transfers/:transferId
+// @access  Private (League Admin)
+router.put('/:id/settlement/transfers/:transferId',
+  protect,
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid league ID'),
+    param('transferId')
+      .isMongoId()
+      .withMessage('Invalid transfer ID'),
+    body('paid')
+      .isBoolean()
+      .withMessage('paid must be true or false'),
+    body('note')
+      .optional()
+      .isLength({ max: 200 })
+      .withMessage('Note cannot exceed 200 characters')
+      .trim()
+  ],
+  handleValidationErrors,
+  authorizeLeagueAdmin,
+  asyncHandler(async (req, res) => {
+    const paid = req.body.paid === true || req.body.paid === 'true';
+    const settlement = await settlementService.markTransfer(req.params.id, req.params.transferId, {
+      paid,
+      note: req.body.note
+    }, req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: paid ? 'Payment marked as received' : 'Payment marked as pending',
+      data: settlement
+    });
+  })
+);
+
+// @desc    Get the payout simulator's remaining games, owned teams and payout preview
+// @route   GET /api/leagues/:id/simulator
+// @access  Private
+router.get('/:id/simulator',
+  protect,
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid league ID')
+  ],
+  handleValidationErrors,
+  authorizeLeagueMember,
+  asyncHandler(async (req, res) => {
+    const options = await payoutSimulatorService.getOptions(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: options
+    });
+  })
+);
+
+// @desc    Project final earnings per owner from hypothetical game results and playoff runs
+// @route   POST /api/leagues/:id/simulator/scenario
+// @access  Private
+router.post('/:id/simulator/scenario',
+  protect,
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid league ID'),
+    ...scenarioValidators
+  ],
+  handleValidationErrors,
+  authorizeLeagueMember,
+  asyncHandler(async (req, res) => {
+    const projection = await payoutSimulatorService.runScenario(req.params.id, {
+      games: req.body.games || [],
+      playoffs: req.body.playoffs || []
+    });
+
+    res.status(200).json({
+      success: true,
+      data: projection
+    });
+  })
+);
+
+// @desc    Estimate expected payouts and first place odds per owner by simulating the rest of the season
+// @route   POST /api/leagues/:id/simulator/monte-carlo
+// @access  Private
+router.post('/:id/simulator/monte-carlo',
+  protect,
+  monteCarloLimiter,
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid league ID'),
+    ...scenarioValidators,
+    body('probabilities')
+      .optional()
+      .isArray({ max: 300 })
+      .withMessage('Probabilities must be a list'),
+    body('probabilities.*.game')
+      .isMongoId()
+      .withMessage('Invalid game ID'),
+    body('probabilities.*.homeWinProbability')
+      .isFloat({ min: 0, max: 1 })
+      .withMessage('Home win probability must be between 0 and 1'),
+    body('iterations')
+      .optional()
+      .isInt({ min: 1, max: 200 })
+      .withMessage('Iterations must be between 1 and 200')
+      .toInt()
+  ],
+  handleValidationErrors,
+  authorizeLeagueMember,
+  asyncHandler(async (req, res) => {
+    const simulation = await payoutSimulatorService.runMonteCarlo(req.params.id, {
+      games: req.body.games || [],
+      playoffs: req.body.playoffs || [],
+      probabilities: req.body.probabilities || [],
+      iterations: req.body.iterations
+    });
+
+    res.status(200).json({
+      success: true,
+      data: simulation
+    });
+  })
+);
+
+// @desc    Get live scores for games involving the league's owned teams
+// @route   GET /api/leagues/:id/live-scores
+// @access  Private
+router.get('/:id/live-scores',
+  protect,
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid league ID')
+  ],
+  handleValidationErrors,
+  authorizeLeagueMember,
+  asyncHandler(async (req, res) => {
+    const snapshot = await liveScoreService.getLeagueSnapshot(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: snapshot
+    });
+  })
+);
+
+// @desc    Renew a completed league into the next season
+// @route   POST /api/leagues/:id/renew
+// @access  Private (League Admin)
+router.post('/:id/renew',
+  protect,
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid league ID'),
+    body('name')
+      .optional()
+      .isLength({ min: 3, max: 50 })
+      .withMessage('League name must be between 3 and 50 characters')
+      .trim(),
+    body('keeperSettings.enabled')
+      .optional()
+      .isBoolean()
+      .withMessage('Keeper setting must be true or false'),
+    body('keeperSettings.maxKeepers')
+      .optional()
+      .isInt({ min: 0, max: 16 })
+      .withMessage('Max keepers must be between 0 and 16'),
+    body('keeperSettings.inflationPercent')
+      .optional()
+      .isFloat({ min: 0, max: 100 })
+      .withMessage('Keeper inflation must be between 0 and 100 percent')
+  ],
+  handleValidationErrors,
+  authorizeLeagueAdmin,
+  asyncHandler(async (req, res) => {
+    const { name, keeperSettings } = req.body;
+    const renewed = await leagueRenewalService.renewLeague(req.params.id, {
+      name,
+      keeperSettings: keeperSettings && {
+        enabled: keeperSettings.enabled === true || keeperSettings.enabled === 'true',
+        maxKeepers: keeperSettings.maxKeepers !== undefined ? parseInt(keeperSettings.maxKeepers) : undefined,
+        inflationPercent: keeperSettings.inflationPercent !== undefined ? parseFloat(keeperSettings.inflationPercent) : undefined
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `League renewed for the ${renewed.season.year} season`,
+      data: renewed
+    });
+  })
+);
+
+// @desc    Get the current user's keeper options and choices
+// @route   GET /api/leagues/:id/keepers
+// @access  Private
+router.get('/:id/keepers',
+  protect,
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid league ID')
+  ],
+  handleValidationErrors,
+  authorizeLeagueMember,
+  asyncHandler(async (req, res) => {
+    const options = await leagueRenewalService.getKeeperOptions(req.league, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: options
+    });
+  })
+);
+
+// @desc    Choose which of last season's teams the current user keeps
+// @route   PUT /api/leagues/:id/keepers
+// @access  Private
+router.put('/:id/keepers',
+  protect,
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid league ID'),
+    body('nflTeamIds')
+      .isArray()
+      .withMessage('nflTeamIds must be an array'),
+    body('nflTeamIds.*')
+      .isMongoId()
+      .withMessage('Invalid NFL team ID')
+  ],
+  handleValidationErrors,
+  authorizeLeagueMember,
+  asyncHandler(async (req, res) => {
+    const options = await leagueRenewalService.setKeepers(req.league, req.user.id, req.body.nflTeamIds);
+
+    res.status(200).json({
+      success: true,
+      message: 'Keepers updated',
+      data: options
+    });
+  })
+);
+
+// @desc    Get the league's archived seasons
+// @route   GET /api/leagues/:id/history
+// @access  Private
+router.get('/:id/history',
+  protect,
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid league ID')
+  ],
+  handleValidationErrors,
+  authorizeLeagueMember,
+  asyncHandler(async (req, res) => {
+    const seasons = await seasonHistoryService.getLeagueHistory(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      count: seasons.length,
+      data: seasons
+    });
+  })
+);
+
+// @desc    Get one archived season: final ownership, earnings and owner standings
+// @route   GET /api/leagues/:id/history/:season
+// @access  Private
+router.get('/:id/history/:season',
+  protect,
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid league ID'),
+    param('season')
+      .isInt({ min: 2000, max: 2100 })
+      .withMessage('Season must be a valid year')
+  ],
+  handleValidationErrors,
+  authorizeLeagueMember,
+  asyncHandler(async (req, res) => {
+    const leagueSeason = await seasonHistoryService.getLeagueSeason(req.params.id, parseInt(req.params.season));
+
+    if (!leagueSeason) {
+      throw new AppError(`No archived ${req.params.season} season for this league`, 404);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: leagueSeason
+    });
+  })
+);
+
+// @desc    Get who owned an NFL team in the league each season and what it earned
+// @route   GET /api/leagues/:id/teams/:nflTeamId/history
+// @access  Private
+router.get('/:id/teams/:nflTeamId/history',
+  protect,
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid league ID'),
+    param('nflTeamId')
+      .isMongoId()
+      .withMessage('Invalid NFL team ID')
+  ],
+  handleValidationErrors,
+  authorizeLeagueMember,
+  asyncHandler(async (req, res) => {
+    const team = await NFLTeam.findById(req.params.nflTeamId).select('name city abbreviation logo');
+
+    if (!team) {
+      throw new AppError('NFL team not found', 404);
+    }
+
+    const seasons = await seasonHistoryService.getLeagueTeamHistory(req.params.id, team._id);
+
+    res.status(200).json({
+      success: true,
+      count: seasons.length,
+      data: { team, seasons }
+    });
+  })
+);
+
 module.exports = router;
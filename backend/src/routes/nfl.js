@@ -1,11 +1,18 @@
 const express = require('express');
 const { query, param, validationResult } = require('express-validator');
 const NFLTeam = require('../models/NFLTeam');
+const Game = require('../models/Game');
+const PlayoffBracket = require('../models/PlayoffBracket');
+const NFLTeamSeason = require('../models/NFLTeamSeason');
+const seasonCalendarService = require('../services/seasonCalendarService');
+const liveScoreService = require('../services/liveScoreService');
 const { protect, authorize } = require('../middleware/auth');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
 
 const router = express.Router();
 
+const SEASON_TYPES = ['preseason', 'regular', 'postseason'];
+
 /**
  * @swagger
  * tags:
@@ -247,9 +254,11 @@ router.get('/standings',
     if (conference) query.conference = conference;
     if (division) query.division = division;
 
+    // Division ranks come from the standings engine (tiebreakers applied)
     const teams = await NFLTeam.find(query)
       .select('name city abbreviation conference division currentSeason colors logo')
       .sort({ 
+        'currentSeason.divisionRank': 1,
         'currentSeason.wins': -1, 
         'currentSeason.losses': 1,
         'currentSeason.ties': -1
@@ -267,7 +276,7 @@ router.get('/standings',
       
       standings[conf][div].push({
         ...team.toObject(),
-        rank: standings[conf][div].length + 1
+        rank: team.currentSeason.divisionRank || standings[conf][div].length + 1
       });
     });
 
@@ -278,16 +287,46 @@ router.get('/standings',
   })
 );
 
-// @desc    Get playoff teams
+// @desc    Get playoff seeds (as of the latest results while the season is on)
+// @route   GET /api/nfl/seeds
+// @access  Public
+router.get('/seeds',
+  asyncHandler(async (req, res) => {
+    const teams = await NFLTeam.find({ isActive: true, 'currentSeason.playoffSeed': { $ne: null } })
+      .select('name city abbreviation conference division currentSeason colors logo')
+      .sort({ conference: 1, 'currentSeason.playoffSeed': 1 });
+
+    const seeds = { AFC: [], NFC: [] };
+    teams.forEach(team => {
+      seeds[team.conference].push(team);
+    });
+
+    res.status(200).json({
+      success: true,
+      data: seeds
+    });
+  })
+);
+
+// @desc    Get the playoff bracket for a season
 // @route   GET /api/nfl/playoffs
 // @access  Public
 router.get('/playoffs',
+  [
+    query('season')
+      .optional()
+      .isInt({ min: 1920, max: 2100 })
+      .withMessage('Season must be a valid year')
+  ],
+  handleValidationErrors,
   asyncHandler(async (req, res) => {
-    const playoffTeams = await NFLTeam.getPlayoffTeams()
-      .select('name city abbreviation conference division currentSeason colors logo');
+    const currentSeason = seasonCalendarService.getCurrentSeason();
+    const season = req.query.season ? parseInt(req.query.season) : currentSeason;
+    const bracket = await PlayoffBracket.getSeason(season);
 
-    // Group by playoff status
-    const playoffs = {
+    // Playoff teams grouped by furthest round reached, as this endpoint returned before
+    // there were brackets; teams only carry the current season's status
+    const playoffTeams = {
       wildcard: [],
       divisional: [],
       conference: [],
@@ -295,16 +334,115 @@ router.get('/playoffs',
       champion: []
     };
 
-    playoffTeams.forEach(team => {
-      const status = team.currentSeason.playoffStatus;
-      if (playoffs[status]) {
-        playoffs[status].push(team);
-      }
+    if (season === currentSeason) {
+      const teams = await NFLTeam.getPlayoffTeams()
+        .select('name city abbreviation conference division currentSeason colors logo');
+
+      teams.forEach(team => {
+        const status = team.currentSeason.playoffStatus;
+        if (playoffTeams[status]) {
+          playoffTeams[status].push(team);
+        }
+      });
+    }
+
+    // Seasons without a bracket yet get an empty one
+    const data = bracket
+      ? bracket.toObject()
+      : { season, status: 'pending', matchups: [], teams: [], champion: null, overrides: [] };
+
+    res.status(200).json({
+      success: true,
+      data: { ...data, playoffTeams }
     });
+  })
+);
+
+// @desc    Get games for a week or team
+// @route   GET /api/nfl/games
+// @access  Public
+router.get('/games',
+  [
+    query('season')
+      .optional()
+      .isInt({ min: 1920, max: 2100 })
+      .withMessage('Season must be a valid year'),
+    query('week')
+      .optional()
+      .isInt({ min: 1, max: 18 })
+      .withMessage('Week must be between 1 and 18'),
+    query('seasonType')
+      .optional()
+      .isIn(SEASON_TYPES)
+      .withMessage('Season type must be preseason, regular or postseason'),
+    query('team')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid team ID')
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const season = req.query.season ? parseInt(req.query.season) : seasonCalendarService.getCurrentSeason();
+    const { week, seasonType, team } = req.query;
+
+    const filter = { season };
+    if (seasonType) filter.seasonType = seasonType;
+    if (week) {
+      filter.week = parseInt(week);
+      filter.seasonType = seasonType || 'regular';
+    }
+    if (team) filter.$or = [{ homeTeam: team }, { awayTeam: team }];
+
+    const games = await Game.find(filter)
+      .sort({ kickoff: 1 })
+      .populate('homeTeam awayTeam', 'name city abbreviation logo');
+
+    res.status(200).json({
+      success: true,
+      count: games.length,
+      data: games
+    });
+  })
+);
+
+// @desc    Get games in progress or recently finished
+// @route   GET /api/nfl/live-scores
+// @access  Public
+router.get('/live-scores',
+  asyncHandler(async (req, res) => {
+    const games = await liveScoreService.findTickerGames();
 
     res.status(200).json({
       success: true,
-      data: playoffs
+      count: games.length,
+      data: games
+    });
+  })
+);
+
+// @desc    Get a team's archived seasons
+// @route   GET /api/nfl/teams/:id/history
+// @access  Public
+router.get('/teams/:id/history',
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid team ID')
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const team = await NFLTeam.findById(req.params.id).select('name city abbreviation logo');
+
+    if (!team) {
+      throw new AppError('NFL team not found', 404);
+    }
+
+    const seasons = await NFLTeamSeason.getTeamHistory(team._id);
+
+    res.status(200).json({
+      success: true,
+      count: seasons.length,
+      data: { team, seasons }
     });
   })
 );
@@ -317,10 +455,18 @@ router.get('/teams/:id/schedule',
     param('id')
       .isMongoId()
       .withMessage('Invalid team ID'),
+    query('season')
+      .optional()
+      .isInt({ min: 1920, max: 2100 })
+      .withMessage('Season must be a valid year'),
     query('week')
       .optional()
-      .isInt({ min: 1, max: 22 })
-      .withMessage('Week must be between 1 and 22'),
+      .isInt({ min: 1, max: 18 })
+      .withMessage('Week must be between 1 and 18'),
+    query('seasonType')
+      .optional()
+      .isIn(SEASON_TYPES)
+      .withMessage('Season type must be preseason, regular or postseason'),
     query('isPlayoff')
       .optional()
       .isBoolean()
@@ -329,31 +475,31 @@ router.get('/teams/:id/schedule',
   handleValidationErrors,
   asyncHandler(async (req, res) => {
     const { week, isPlayoff } = req.query;
+    const season = req.query.season ? parseInt(req.query.season) : seasonCalendarService.getCurrentSeason();
 
     const team = await NFLTeam.findById(req.params.id)
-      .select('name city abbreviation weeklyResults');
+      .select('name city abbreviation');
 
     if (!team) {
       throw new AppError('Team not found', 404);
     }
 
-    let schedule = team.weeklyResults;
-
-    // Filter by week if provided
-    if (week) {
-      schedule = schedule.filter(game => game.week === parseInt(week));
+    // Preseason games only show when asked for
+    let seasonType = req.query.seasonType || null;
+    if (!seasonType && isPlayoff !== undefined) {
+      seasonType = isPlayoff === 'true' ? 'postseason' : 'regular';
     }
 
-    // Filter by playoff status if provided
-    if (isPlayoff !== undefined) {
-      schedule = schedule.filter(game => game.isPlayoff === (isPlayoff === 'true'));
+    let games = await Game.getTeamSchedule(team._id, season, { seasonType });
+
+    if (!seasonType) {
+      games = games.filter(game => game.seasonType !== 'preseason');
     }
 
-    // Sort by week and game date
-    schedule.sort((a, b) => {
-      if (a.week !== b.week) return a.week - b.week;
-      return new Date(a.gameDate) - new Date(b.gameDate);
-    });
+    // Filter by week if provided (weeks are numbered within each season type)
+    if (week) {
+      games = games.filter(game => game.week === parseInt(week));
+    }
 
     res.status(200).json({
       success: true,
@@ -364,7 +510,8 @@ router.get('/teams/:id/schedule',
           city: team.city,
           abbreviation: team.abbreviation
         },
-        schedule: schedule
+        season,
+        schedule: games.map(game => game.forTeam(team._id))
       }
     });
   })
@@ -375,27 +522,11 @@ router.get('/teams/:id/schedule',
 // @access  Public
 router.get('/current-week',
   asyncHandler(async (req, res) => {
-    // This is a simplified implementation
-    // In a real app, you'd calculate this based on the current date and NFL schedule
-    const currentDate = new Date();
-    const seasonStart = new Date(currentDate.getFullYear(), 8, 1); // September 1st
-    const weeksSinceStart = Math.floor((currentDate - seasonStart) / (7 * 24 * 60 * 60 * 1000));
-    
-    let currentWeek = Math.min(Math.max(weeksSinceStart + 1, 1), 18);
-    let isPlayoffs = false;
-    
-    if (currentWeek > 18) {
-      isPlayoffs = true;
-      currentWeek = Math.min(currentWeek - 18, 4); // Playoff weeks 1-4
-    }
+    const calendar = await seasonCalendarService.getCurrentWeek();
 
     res.status(200).json({
       success: true,
-      data: {
-        week: currentWeek,
-        isPlayoffs: isPlayoffs,
-        season: currentDate.getFullYear()
-      }
+      data: calendar
     });
   })
 );
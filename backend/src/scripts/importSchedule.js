@@ -0,0 +1,50 @@
+require('dotenv').config({ path: require('path').join(__dirname, '../../.env') });
+const mongoose = require('mongoose');
+
+const connectDB = require('../config/database');
+const NFLDataService = require('../services/nflDataService');
+const seasonCalendarService = require('../services/seasonCalendarService');
+
+// Usage: npm run import:schedule -- [--season 2024] [--type regular|postseason|preseason|all]
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--season') args.season = parseInt(argv[++i], 10);
+    else if (argv[i] === '--type') args.type = argv[++i];
+  }
+  return args;
+};
+
+const importSchedule = async () => {
+  const { season = seasonCalendarService.getCurrentSeason(), type = 'regular' } = parseArgs(process.argv.slice(2));
+  const seasonTypes = type === 'all' ? ['preseason', 'regular', 'postseason'] : [type];
+
+  try {
+    console.log(`📅 Importing ${season} NFL schedule (${seasonTypes.join(', ')})...`);
+
+    await connectDB();
+
+    // Teams must exist before games can reference them
+    await NFLDataService.seedNFLTeams();
+
+    for (const seasonType of seasonTypes) {
+      const result = await NFLDataService.importSchedule({ season, seasonType });
+      console.log(`✅ ${seasonType}: ${result.imported} games imported, ${result.skipped} skipped`);
+
+      if (result.unmapped.length > 0) {
+        console.log(`⚠️  Unmatched teams: ${result.unmapped.join(', ')}`);
+      }
+    }
+
+    console.log('\n🎉 Schedule import completed!\n');
+  } catch (error) {
+    console.error('❌ Error importing schedule:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log('📱 Database connection closed');
+    process.exit();
+  }
+};
+
+importSchedule();
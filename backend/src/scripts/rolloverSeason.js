@@ -0,0 +1,42 @@
+require('dotenv').config({ path: require('path').join(__dirname, '../../.env') });
+const mongoose = require('mongoose');
+
+const connectDB = require('../config/database');
+const seasonHistoryService = require('../services/seasonHistoryService');
+const seasonCalendarService = require('../services/seasonCalendarService');
+
+// Usage: npm run season:rollover -- [--season 2024] [--force]
+// Archives the finished season to history and resets every team for the next one.
+// --force rolls over even if the season's playoffs are not complete.
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--season') args.season = parseInt(argv[++i], 10);
+    else if (argv[i] === '--force') args.force = true;
+  }
+  return args;
+};
+
+const rolloverSeason = async () => {
+  const { season = seasonCalendarService.getCurrentSeason(), force = false } = parseArgs(process.argv.slice(2));
+
+  try {
+    console.log(`🗄️  Rolling over the ${season} NFL season...`);
+
+    await connectDB();
+
+    const result = await seasonHistoryService.rolloverSeason(season, { force });
+    console.log(`✅ Archived ${result.teamsArchived} teams and ${result.leaguesArchived} leagues`);
+
+    console.log(`\n🎉 Ready for the ${result.nextSeason} season!\n`);
+  } catch (error) {
+    console.error('❌ Error rolling over season:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log('📱 Database connection closed');
+    process.exit();
+  }
+};
+
+rolloverSeason();
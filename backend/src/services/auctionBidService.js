@@ -0,0 +1,62 @@
+const Auction = require('../models/Auction');
+const { AppError } = require('../middleware/errorHandler');
+const auctionTimerService = require('./auctionTimerService');
+
+class AuctionBidService {
+  // Capture the lot state a bid was validated against
+  snapshotLot(auction) {
+    return {
+      status: 'active',
+      currentTeam: auction.currentTeam,
+      currentBid: auction.currentBid,
+      currentHighBidder: auction.currentHighBidder
+    };
+  }
+
+  // Save only if the lot is unchanged since the snapshot and its clock is still running,
+  // so two concurrent bids cannot both land
+  async saveIfLotUnchanged(auction, snapshot) {
+    auction.$where = {
+      ...snapshot,
+      bidEndTime: { $gt: new Date() }
+    };
+
+    try {
+      await auction.save();
+    } catch (error) {
+      if (error.name === 'DocumentNotFoundError') {
+        const latest = await Auction.findById(auction._id).select('currentBid');
+        const current = latest ? ` (current bid is $${latest.currentBid})` : '';
+        throw new AppError(`You were outbid before your bid landed${current}`, 409);
+      }
+      throw error;
+    }
+  }
+
+  // Place a bid on the current lot, let max bids respond, and broadcast the result
+  async placeBid(auctionId, userId, teamId, bidAmount) {
+    const auction = await Auction.findById(auctionId).select('+proxyBids');
+
+    if (!auction) {
+      throw new AppError('Auction not found', 404);
+    }
+
+    const snapshot = this.snapshotLot(auction);
+    let bids;
+
+    try {
+      auction.placeBid(teamId, userId, bidAmount);
+      bids = [auction.bids[auction.bids.length - 1], ...auction.resolveProxyBids()];
+    } catch (error) {
+      throw new AppError(error.message, 400);
+    }
+
+    await this.saveIfLotUnchanged(auction, snapshot);
+    auctionTimerService.schedule(auction);
+    await auctionTimerService.publishBids(auction, bids);
+
+    return auction;
+  }
+}
+
+module.exports = new AuctionBidService();
@@ -0,0 +1,301 @@
+const Auction = require('../models/Auction');
+const AuctionEvent = require('../models/AuctionEvent');
+const League = require('../models/League');
+const { AppError } = require('../middleware/errorHandler');
+const auctionTimerService = require('./auctionTimerService');
+
+// setTimeout cannot wait longer than ~24.8 days; longer waits are re-armed in steps
+const MAX_TIMER_DELAY = 2147483647;
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Reminders sent ahead of a scheduled start, shortest lead first
+const REMINDERS = [
+  { key: 'fifteenMinutes', lead: 15 * MINUTE },
+  { key: 'dayBefore', lead: 24 * HOUR }
+];
+
+class AuctionSchedulerService {
+  constructor() {
+    this.io = null;
+    this.timers = new Map();
+  }
+
+  // Attach socket server and arm start timers for auctions scheduled before a restart
+  async initialize(io) {
+    this.io = io;
+
+    try {
+      const scheduled = await Auction.find({ status: 'scheduled' }).select('_id status startTime');
+      scheduled.forEach(auction => this.schedule(auction));
+
+      console.log(`Armed ${scheduled.length} scheduled auction start timers`);
+      return { success: true, scheduled: scheduled.length };
+    } catch (error) {
+      console.error('Error arming scheduled auction timers:', error);
+      throw error;
+    }
+  }
+
+  // Arm (or re-arm) the timer that starts a scheduled auction at its start time
+  schedule(auction) {
+    const auctionId = auction._id.toString();
+    this.cancel(auctionId);
+
+    if (auction.status !== 'scheduled') {
+      return;
+    }
+
+    const remaining = new Date(auction.startTime).getTime() - Date.now();
+    const delay = Math.min(Math.max(0, remaining), MAX_TIMER_DELAY);
+
+    const timer = setTimeout(() => {
+      this.timers.delete(auctionId);
+
+      if (remaining > MAX_TIMER_DELAY) {
+        this.schedule(auction);
+        return;
+      }
+
+      this.autoStart(auctionId).catch(error => {
+        console.error(`Error auto-starting auction ${auctionId}:`, error);
+      });
+    }, delay);
+
+    this.timers.set(auctionId, timer);
+  }
+
+  // Cancel a pending start timer (e.g. when the auction is started by hand)
+  cancel(auctionId) {
+    const key = auctionId.toString();
+    const timer = this.timers.get(key);
+
+    if (timer) {
+      clearTimeout(timer);
+      this.timers.delete(key);
+    }
+  }
+
+  // Start a scheduled auction with the league's current members. Used by both the
+  // commissioner's start route (actorId set) and the automatic start (actorId null).
+  async startAuction(auctionId, actorId = null) {
+    const auction = await Auction.findById(auctionId);
+
+    if (!auction) {
+      throw new AppError('Auction not found', 404);
+    }
+
+    if (auction.status !== 'scheduled') {
+      throw new AppError('Auction cannot be started', 400);
+    }
+
+    const league = await League.findById(auction.league).select('name members status keepers');
+    const memberIds = league.members
+      .filter(member => member.isActive)
+      .map(member => member.user);
+
+    if (memberIds.length < 2) {
+      throw new AppError('League must have at least 2 members to start auction', 400);
+    }
+
+    auction.syncParticipants(memberIds, league.keepers);
+    auction.start();
+
+    // Only one caller may start the auction
+    auction.$where = { status: 'scheduled' };
+    try {
+      await auction.save();
+    } catch (error) {
+      if (error.name === 'DocumentNotFoundError') {
+        throw new AppError('Auction has already been started', 409);
+      }
+      throw error;
+    }
+
+    this.cancel(auction._id);
+    auctionTimerService.schedule(auction);
+
+    await League.findByIdAndUpdate(league._id, {
+      $set: { status: 'auction', auction: auction._id }
+    });
+
+    // Kept teams belong to their owners before the first nomination
+    for (const team of auction.teams.filter(t => t.isKeeper)) {
+      await League.findByIdAndUpdate(league._id, {
+        $set: {
+          'teams.$[elem].owner': team.soldTo,
+          'teams.$[elem].purchasePrice': team.finalPrice
+        }
+      }, {
+        arrayFilters: [{ 'elem.nflTeam': team.nflTeam }]
+      });
+    }
+
+    await AuctionEvent.record(auction, 'auction-started', {
+      actor: actorId,
+      details: { nominator: auction.currentNominator, autoStarted: !actorId }
+    });
+
+    if (this.io) {
+      this.io.to(`league-${league._id}`).emit('auction-started', {
+        leagueId: league._id,
+        auction: {
+          _id: auction._id,
+          status: auction.status,
+          startTime: auction.startTime
+        },
+        autoStarted: !actorId,
+        message: `The ${league.name} draft has started!`
+      });
+    }
+
+    console.log(`Auction ${auction._id} started${actorId ? '' : ' automatically'}`);
+
+    return auction;
+  }
+
+  // Start a due auction if its league opted in to automatic starts. If the league
+  // is short of members the commissioner is told once and the auction stays scheduled.
+  async autoStart(auctionId) {
+    const auction = await Auction.findOne({
+      _id: auctionId,
+      status: 'scheduled',
+      startTime: { $lte: new Date() },
+      'scheduleNotices.startFailed': false
+    }).select('_id league');
+
+    if (!auction) {
+      return null;
+    }
+
+    const league = await League.findById(auction.league).select('name creator members settings');
+
+    if (!league?.settings?.autoStartAuction) {
+      return null;
+    }
+
+    try {
+      return await this.startAuction(auctionId);
+    } catch (error) {
+      if (error.statusCode === 409) {
+        return null;
+      }
+
+      const claimed = await Auction.findOneAndUpdate(
+        { _id: auctionId, status: 'scheduled', 'scheduleNotices.startFailed': false },
+        { $set: { 'scheduleNotices.startFailed': true } }
+      );
+
+      if (claimed) {
+        console.log(`Auction ${auctionId} could not auto-start: ${error.message}`);
+        this.notifyUsers([league.creator], {
+          type: 'warning',
+          title: 'Draft Not Started',
+          message: `The ${league.name} draft could not start automatically: ${error.message}`,
+          leagueId: league._id,
+          auctionId
+        });
+      }
+
+      return null;
+    }
+  }
+
+  // Send the T-24h and T-15m reminders that are due, each at most once per auction
+  async sendReminders() {
+    const now = Date.now();
+    let sent = 0;
+
+    for (let i = 0; i < REMINDERS.length; i++) {
+      const { key, lead } = REMINDERS[i];
+      // A shorter reminder already covers anything inside its window
+      const windowStart = i > 0 ? REMINDERS[i - 1].lead : 0;
+
+      const due = await Auction.find({
+        status: 'scheduled',
+        startTime: { $gt: new Date(now + windowStart), $lte: new Date(now + lead) },
+        [`scheduleNotices.${key}`]: false
+      }).select('_id league startTime');
+
+      for (const auction of due) {
+        // Claim the reminder atomically so it is sent once
+        const claimed = await Auction.findOneAndUpdate(
+          { _id: auction._id, status: 'scheduled', [`scheduleNotices.${key}`]: false },
+          { $set: { [`scheduleNotices.${key}`]: true } }
+        );
+
+        if (!claimed) {
+          continue;
+        }
+
+        const league = await League.findById(auction.league).select('name members settings');
+
+        if (!league || league.settings?.sendNotifications === false) {
+          continue;
+        }
+
+        this.notifyUsers(
+          league.members.filter(member => member.isActive).map(member => member.user),
+          {
+            type: 'info',
+            title: 'Draft Reminder',
+            message: `The ${league.name} draft starts in ${this.formatTimeUntil(auction.startTime - now)}`,
+            leagueId: league._id,
+            auctionId: auction._id,
+            startTime: auction.startTime
+          }
+        );
+        sent++;
+      }
+    }
+
+    return { sent };
+  }
+
+  // Safety net: start any due auctions whose timer did not fire
+  async sweepDueStarts() {
+    const due = await Auction.find({
+      status: 'scheduled',
+      startTime: { $lte: new Date() },
+      'scheduleNotices.startFailed': false
+    }).select('_id');
+
+    let started = 0;
+    for (const auction of due) {
+      try {
+        if (await this.autoStart(auction._id)) {
+          started++;
+        }
+      } catch (error) {
+        console.error(`Error auto-starting auction ${auction._id}:`, error);
+      }
+    }
+
+    return { started };
+  }
+
+  // Push a notification to each user's personal room
+  notifyUsers(userIds, notification) {
+    if (!this.io) {
+      return;
+    }
+
+    userIds.forEach(userId => {
+      this.io.to(`user-${userId}`).emit('notification', notification);
+    });
+  }
+
+  // Human-readable lead time for reminder messages
+  formatTimeUntil(ms) {
+    const minutes = Math.max(1, Math.round(ms / MINUTE));
+    if (minutes < 60) {
+      return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+    }
+
+    const hours = Math.round(minutes / 60);
+    return `${hours} hour${hours === 1 ? '' : 's'}`;
+  }
+}
+
+module.exports = new AuctionSchedulerService();
@@ -0,0 +1,568 @@
+const Auction = require('../models/Auction');
+const AuctionEvent = require('../models/AuctionEvent');
+const League = require('../models/League');
+const NFLTeam = require('../models/NFLTeam');
+const NFLTeamSeason = require('../models/NFLTeamSeason');
+const User = require('../models/User');
+const settlementService = require('./settlementService');
+
+class AuctionTimerService {
+  constructor() {
+    this.io = null;
+    this.timers = new Map();
+  }
+
+  // Attach socket server and recover timers for lots and nomination turns that
+  // were open before a restart
+  async initialize(io) {
+    this.io = io;
+
+    try {
+      const openClocks = await Auction.find({
+        $or: [
+          { status: 'active', currentTeam: { $ne: null }, bidEndTime: { $ne: null } },
+          { status: 'active', currentTeam: null, nominationEndTime: { $ne: null } },
+          { status: 'paused', autoResumeAt: { $ne: null } }
+        ]
+      }).select('_id status currentTeam bidEndTime nominationEndTime autoResumeAt');
+
+      openClocks.forEach(auction => this.schedule(auction));
+      const restarted = await this.restartStalledNominations();
+
+      console.log(`Recovered ${openClocks.length} pending auction timers, restarted ${restarted} nomination clocks`);
+      return { success: true, recovered: openClocks.length, restarted };
+    } catch (error) {
+      console.error('Error recovering auction bid timers:', error);
+      throw error;
+    }
+  }
+
+  // Schedule (or reschedule) whichever clock is running: the close of the current
+  // lot at its bidEndTime, the end of the nominator's turn at nominationEndTime, or
+  // the end of a disconnect grace period at autoResumeAt
+  schedule(auction) {
+    const auctionId = auction._id.toString();
+    this.cancel(auctionId);
+
+    let endTime;
+    let onExpire;
+
+    if (auction.status === 'paused' && auction.autoResumeAt) {
+      endTime = auction.autoResumeAt;
+      onExpire = () => this.autoResume(auctionId);
+    } else if (auction.status !== 'active') {
+      return;
+    } else if (auction.currentTeam && auction.bidEndTime) {
+      endTime = auction.bidEndTime;
+      onExpire = () => this.closeLot(auctionId);
+    } else if (!auction.currentTeam && auction.nominationEndTime) {
+      endTime = auction.nominationEndTime;
+      onExpire = () => this.expireNomination(auctionId);
+    } else {
+      return;
+    }
+
+    const delay = Math.max(0, new Date(endTime).getTime() - Date.now());
+    const timer = setTimeout(() => {
+      this.timers.delete(auctionId);
+      onExpire().catch(error => {
+        console.error(`Error running timer for auction ${auctionId}:`, error);
+      });
+    }, delay);
+
+    this.timers.set(auctionId, timer);
+  }
+
+  // Cancel a pending timer (e.g. when the auction is paused)
+  cancel(auctionId) {
+    const key = auctionId.toString();
+    const timer = this.timers.get(key);
+
+    if (timer) {
+      clearTimeout(timer);
+      this.timers.delete(key);
+    }
+  }
+
+  // Close the current lot once its bid clock has run out. Returns null if the lot
+  // was not closable (still open, already closed, or auction not active).
+  async closeLot(auctionId) {
+    const auction = await Auction.findOne({
+      _id: auctionId,
+      status: 'active',
+      currentTeam: { $ne: null },
+      currentHighBidder: { $ne: null },
+      bidEndTime: { $ne: null, $lte: new Date() }
+    });
+
+    if (!auction) {
+      return null;
+    }
+
+    const soldTeamId = auction.currentTeam;
+    const winnerId = auction.currentHighBidder;
+    const finalPrice = auction.currentBid;
+
+    // Claim and complete the lot in one conditional save, so concurrent callers cannot
+    // close it twice and a failed close leaves the lot open for the sweep to retry
+    auction.$where = {
+      status: 'active',
+      currentTeam: soldTeamId,
+      currentHighBidder: winnerId,
+      currentBid: finalPrice,
+      bidEndTime: auction.bidEndTime
+    };
+    auction.completeCurrentTeamAuction();
+
+    try {
+      await auction.save();
+    } catch (error) {
+      if (error.name === 'DocumentNotFoundError') {
+        return null;
+      }
+      throw error;
+    }
+
+    this.cancel(auctionId);
+
+    // Update league with sold team
+    await League.findByIdAndUpdate(auction.league, {
+      $set: {
+        'teams.$[elem].owner': winnerId,
+        'teams.$[elem].purchasePrice': finalPrice
+      }
+    }, {
+      arrayFilters: [{ 'elem.nflTeam': soldTeamId }]
+    });
+
+    const [soldTeam, winner] = await Promise.all([
+      NFLTeam.findById(soldTeamId).select('name city abbreviation'),
+      User.findById(winnerId).select('username firstName lastName')
+    ]);
+
+    await auction.populate({
+      path: 'currentNominator',
+      select: 'username firstName lastName'
+    });
+
+    const isAuctionComplete = auction.status === 'completed';
+
+    await AuctionEvent.record(auction, 'team-sold', {
+      team: soldTeamId,
+      amount: finalPrice,
+      details: { winner: winnerId }
+    });
+    if (isAuctionComplete) {
+      await AuctionEvent.record(auction, 'auction-completed');
+    }
+
+    // Start the next nominator's clock
+    this.schedule(auction);
+
+    if (this.io) {
+      this.io.to(`auction-${auction._id}`).emit('team-sold', {
+        team: soldTeam,
+        winner: winner,
+        finalPrice: finalPrice,
+        isAuctionComplete,
+        nextNominator: auction.currentNominator ? {
+          _id: auction.currentNominator._id,
+          username: auction.currentNominator.username
+        } : null,
+        nominationEndTime: auction.nominationEndTime
+      });
+    }
+
+    // If auction is complete, update league status
+    if (isAuctionComplete) {
+      await League.findByIdAndUpdate(auction.league, {
+        status: 'active'
+      });
+      // Buy-ins are best-effort here; a commissioner can re-record them from the settlement page
+      try {
+        await settlementService.recordBuyIns(auction.league);
+      } catch (error) {
+        console.error(`Error recording buy-ins for completed auction ${auction._id}:`, error);
+      }
+
+      if (this.io) {
+        this.io.to(`league-${auction.league}`).emit('auction-completed', {
+          message: 'Auction has been completed!'
+        });
+      }
+    }
+
+    console.log(`Lot closed for auction ${auction._id}: team ${soldTeamId} sold for $${finalPrice}`);
+
+    return {
+      auction,
+      soldTeam,
+      winner,
+      finalPrice,
+      isAuctionComplete
+    };
+  }
+
+  // Handle a nominator running out of time: skip the turn if the league allows it,
+  // otherwise nominate the best available team on their behalf. Returns null if the
+  // turn was not expirable (already nominated, already handled, or auction not active).
+  async expireNomination(auctionId) {
+    const auction = await Auction.findOne({
+      _id: auctionId,
+      status: 'active',
+      currentTeam: null,
+      currentNominator: { $ne: null },
+      nominationEndTime: { $ne: null, $lte: new Date() }
+    }).select('+proxyBids');
+
+    if (!auction) {
+      return null;
+    }
+
+    const league = await League.findById(auction.league).select('settings.allowSkipNomination');
+    const timedOutNominator = auction.currentNominator;
+    const expiredAt = auction.nominationEndTime;
+
+    let autoNominated = false;
+    let proxyBids = [];
+
+    if (!league?.settings?.allowSkipNomination) {
+      try {
+        auction.autoNominate(await this.rankTeamsByRecord(auction));
+        proxyBids = auction.resolveProxyBids();
+        autoNominated = true;
+      } catch (error) {
+        // e.g. the nominator cannot afford the minimum bid - pass the turn instead
+        console.log(`Auto-nomination failed for auction ${auction._id}: ${error.message}`);
+      }
+    }
+
+    if (!autoNominated) {
+      auction.skipNomination();
+    }
+
+    // Land the outcome only if the turn is still the expired one it read, so concurrent
+    // callers cannot handle it twice and a failed save leaves it expirable for the sweep
+    auction.$where = {
+      status: 'active',
+      currentTeam: null,
+      currentNominator: timedOutNominator,
+      nominationEndTime: expiredAt
+    };
+
+    try {
+      await auction.save();
+    } catch (error) {
+      if (error.name === 'DocumentNotFoundError') {
+        return null;
+      }
+      throw error;
+    }
+
+    this.cancel(auctionId);
+    this.schedule(auction);
+
+    const nominator = await User.findById(timedOutNominator).select('username firstName lastName');
+
+    if (autoNominated) {
+      await AuctionEvent.record(auction, 'team-nominated', {
+        team: auction.currentTeam,
+        amount: auction.currentBid,
+        details: { nominator: timedOutNominator, autoNominated: true }
+      });
+    } else {
+      await AuctionEvent.record(auction, 'nomination-skipped', {
+        details: { nominator: timedOutNominator, nextNominator: auction.currentNominator }
+      });
+    }
+
+    if (autoNominated) {
+      await auction.populate([
+        {
+          path: 'currentTeam',
+          select: 'name city abbreviation colors logo'
+        },
+        {
+          path: 'currentNominator',
+          select: 'username firstName lastName'
+        },
+        {
+          path: 'currentHighBidder',
+          select: 'username firstName lastName'
+        }
+      ]);
+
+      if (this.io) {
+        this.io.to(`auction-${auction._id}`).emit('team-nominated', {
+          auction: auction,
+          team: auction.currentTeam,
+          nominator: auction.currentNominator,
+          startingBid: auction.settings.minimumBid,
+          bidEndTime: auction.bidEndTime,
+          autoNominated: true
+        });
+        await this.publishBids(auction, proxyBids);
+      }
+
+      console.log(`Nomination timed out for auction ${auction._id}: auto-nominated team ${auction.currentTeam?._id}`);
+    } else {
+      await auction.populate({
+        path: 'currentNominator',
+        select: 'username firstName lastName'
+      });
+
+      if (this.io) {
+        this.io.to(`auction-${auction._id}`).emit('nomination-skipped', {
+          skippedNominator: nominator,
+          nextNominator: auction.currentNominator ? {
+            _id: auction.currentNominator._id,
+            username: auction.currentNominator.username
+          } : null,
+          nominationEndTime: auction.nominationEndTime
+        });
+      }
+
+      console.log(`Nomination timed out for auction ${auction._id}: turn skipped`);
+    }
+
+    return { auction, nominator, autoNominated };
+  }
+
+  // Pause an active lot because a participant lost their connection. Returns null
+  // if the auction was not eligible (no open lot, setting off, or already paused).
+  async autoPause(auctionId, user) {
+    const auction = await Auction.findOne({
+      _id: auctionId,
+      status: 'active',
+      currentTeam: { $ne: null },
+      'settings.pauseOnDisconnect': true,
+      'participants.user': user._id
+    });
+
+    if (!auction) {
+      return null;
+    }
+
+    auction.pause(`${user.username} disconnected`);
+    auction.autoPausedFor = user._id;
+    auction.autoResumeAt = new Date(Date.now() + (auction.settings.disconnectGracePeriod * 1000));
+    await auction.save();
+    this.schedule(auction);
+
+    await AuctionEvent.record(auction, 'auction-paused', {
+      details: { reason: auction.pauseReason, autoPaused: true, disconnectedUser: user._id }
+    });
+
+    if (this.io) {
+      this.io.to(`auction-${auction._id}`).emit('auction-paused', {
+        reason: auction.pauseReason,
+        message: 'Auction has been paused',
+        autoPaused: true,
+        resumeAt: auction.autoResumeAt
+      });
+    }
+
+    console.log(`Auction ${auction._id} auto-paused: ${auction.pauseReason}`);
+    return auction;
+  }
+
+  // Resume an auto-paused auction, either because the grace period ran out or
+  // because the disconnected participant (userId) came back. Returns null if the
+  // auction was not auto-paused for that participant.
+  async autoResume(auctionId, userId = null) {
+    const query = {
+      _id: auctionId,
+      status: 'paused',
+      autoPausedFor: { $ne: null }
+    };
+
+    if (userId) {
+      query.autoPausedFor = userId;
+    } else {
+      query.autoResumeAt = { $ne: null, $lte: new Date() };
+    }
+
+    // Claim the resume atomically so the reconnect and the grace timer cannot both fire
+    const auction = await Auction.findOneAndUpdate(
+      query,
+      { $set: { autoPausedFor: null } },
+      { new: true }
+    );
+
+    if (!auction) {
+      return null;
+    }
+
+    auction.resume();
+    await auction.save();
+    this.schedule(auction);
+
+    await AuctionEvent.record(auction, 'auction-resumed', {
+      actor: userId,
+      details: { autoResumed: true, reconnected: Boolean(userId) }
+    });
+
+    if (this.io) {
+      this.io.to(`auction-${auction._id}`).emit('auction-resumed', {
+        bidEndTime: auction.bidEndTime,
+        timeRemaining: auction.timeRemaining,
+        message: userId ? 'Participant reconnected - auction resumed' : 'Auction has been resumed'
+      });
+    }
+
+    console.log(`Auction ${auction._id} auto-resumed${userId ? ' after reconnect' : ' after grace period'}`);
+    return auction;
+  }
+
+  // Order the auction's available teams best-first by record: this season's, or the
+  // archived previous season's for teams yet to play (e.g. drafting after a rollover)
+  async rankTeamsByRecord(auction) {
+    const availableIds = auction.getAvailableTeams().map(t => t.nflTeam);
+    const teams = await NFLTeam.find({ _id: { $in: availableIds } })
+      .select('currentSeason allTimeStats');
+
+    const gamesPlayed = ({ wins = 0, losses = 0, ties = 0 }) => wins + losses + ties;
+    const winPct = (record) => {
+      const games = gamesPlayed(record);
+      return games === 0 ? 0 : (record.wins + (record.ties || 0) * 0.5) / games;
+    };
+
+    const unplayed = teams.filter(team => gamesPlayed(team.currentSeason) === 0);
+    const previous = new Map();
+    if (unplayed.length > 0) {
+      const archived = await NFLTeamSeason.find({
+        $or: unplayed.map(team => ({ team: team._id, season: team.currentSeason.year - 1 }))
+      }).select('team wins losses ties');
+      archived.forEach(record => previous.set(record.team.toString(), record));
+    }
+
+    const recordOf = (team) => previous.get(team._id.toString()) || team.currentSeason;
+
+    return teams
+      .sort((a, b) =>
+        (winPct(recordOf(b)) - winPct(recordOf(a))) ||
+        ((b.allTimeStats?.totalWins || 0) - (a.allTimeStats?.totalWins || 0))
+      )
+      .map(team => team._id);
+  }
+
+  // Record bids (manual or placed automatically for proxy bidders) in the event log
+  // and broadcast them to the auction room
+  async publishBids(auction, bids) {
+    if (!bids.length) return;
+
+    for (const bid of bids) {
+      await AuctionEvent.record(auction, 'bid-placed', {
+        actor: bid.bidder,
+        team: bid.team,
+        amount: bid.amount,
+        details: { isProxy: Boolean(bid.isProxy) }
+      });
+    }
+
+    if (!this.io) return;
+
+    const bidders = await User.find({
+      _id: { $in: bids.map(bid => bid.bidder) }
+    }).select('username firstName lastName');
+
+    bids.forEach(bid => {
+      this.io.to(`auction-${auction._id}`).emit('bid-placed', {
+        teamId: bid.team,
+        bidder: bidders.find(user => user._id.toString() === bid.bidder.toString()),
+        bidAmount: bid.amount,
+        bidEndTime: auction.bidEndTime,
+        timeRemaining: auction.timeRemaining,
+        isProxy: Boolean(bid.isProxy)
+      });
+    });
+  }
+
+  // Close any expired lots whose timers were lost (safety net for the cron sweep)
+  async sweepExpiredLots() {
+    const expired = await Auction.find({
+      status: 'active',
+      currentTeam: { $ne: null },
+      bidEndTime: { $ne: null, $lte: new Date() }
+    }).select('_id');
+
+    let closed = 0;
+    for (const auction of expired) {
+      const result = await this.closeLot(auction._id);
+      if (result) closed++;
+    }
+
+    return { success: true, closed };
+  }
+
+  // Resume auto-paused auctions whose grace period ended without the timer firing
+  async sweepExpiredPauses() {
+    const expired = await Auction.find({
+      status: 'paused',
+      autoResumeAt: { $ne: null, $lte: new Date() }
+    }).select('_id');
+
+    let resumed = 0;
+    for (const auction of expired) {
+      const result = await this.autoResume(auction._id);
+      if (result) resumed++;
+    }
+
+    return { success: true, resumed };
+  }
+
+  // Handle any expired nomination turns whose timers were lost (cron safety net)
+  async sweepExpiredNominations() {
+    const expired = await Auction.find({
+      status: 'active',
+      currentTeam: null,
+      nominationEndTime: { $ne: null, $lte: new Date() }
+    }).select('_id');
+
+    let handled = 0;
+    for (const auction of expired) {
+      const result = await this.expireNomination(auction._id);
+      if (result) handled++;
+    }
+
+    const restarted = await this.restartStalledNominations();
+
+    return { success: true, handled, restarted };
+  }
+
+  // Start a clock for nomination turns left without one (auctions that were active
+  // before nomination clocks existed), so they can expire and be swept again
+  async restartStalledNominations() {
+    const stalled = await Auction.find({
+      status: 'active',
+      currentTeam: null,
+      currentNominator: { $ne: null },
+      nominationEndTime: null
+    });
+
+    let restarted = 0;
+    for (const auction of stalled) {
+      auction.$where = {
+        status: 'active',
+        currentTeam: null,
+        currentNominator: auction.currentNominator,
+        nominationEndTime: null
+      };
+      auction.startNominationClock();
+
+      try {
+        await auction.save();
+      } catch (error) {
+        if (error.name === 'DocumentNotFoundError') continue;
+        throw error;
+      }
+
+      this.schedule(auction);
+      restarted++;
+    }
+
+    return restarted;
+  }
+}
+
+module.exports = new AuctionTimerService();
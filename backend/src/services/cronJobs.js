@@ -1,6 +1,9 @@
 const cron = require('node-cron');
 const NFLDataService = require('./nflDataService');
 const PayoutService = require('./payoutService');
+const AuctionTimerService = require('./auctionTimerService');
+const AuctionSchedulerService = require('./auctionSchedulerService');
+const SeasonCalendarService = require('./seasonCalendarService');
 
 const setupCronJobs = () => {
   console.log('🕐 Setting up cron jobs...');
@@ -18,10 +21,15 @@ const setupCronJobs = () => {
     timezone: "America/New_York"
   });
 
-  // Update playoff standings every day during playoffs (December-February)
+  // Update playoff standings every day from December until the season ends
   cron.schedule('0 8 * 12,1,2 *', async () => {
-    console.log('🏆 Running playoff standings update...');
     try {
+      const { phase } = await SeasonCalendarService.getCurrentWeek();
+      if (phase === 'offseason') {
+        return;
+      }
+
+      console.log('🏆 Running playoff standings update...');
       await NFLDataService.updatePlayoffStandings();
       console.log('✅ Playoff standings update completed successfully');
     } catch (error) {
@@ -44,6 +52,63 @@ const setupCronJobs = () => {
     timezone: "America/New_York"
   });
 
+  // Close any auction lots whose bid clock expired without firing (safety net)
+  cron.schedule('* * * * *', async () => {
+    try {
+      const { closed } = await AuctionTimerService.sweepExpiredLots();
+      if (closed > 0) {
+        console.log(`⏱️ Closed ${closed} expired auction lot(s)`);
+      }
+    } catch (error) {
+      console.error('❌ Error sweeping expired auction lots:', error);
+    }
+  });
+
+  // Handle any nomination turns whose clock expired without firing (safety net)
+  cron.schedule('* * * * *', async () => {
+    try {
+      const { handled, restarted } = await AuctionTimerService.sweepExpiredNominations();
+      if (handled > 0) {
+        console.log(`⏱️ Handled ${handled} expired nomination turn(s)`);
+      }
+      if (restarted > 0) {
+        console.log(`⏱️ Restarted ${restarted} nomination clock(s)`);
+      }
+    } catch (error) {
+      console.error('❌ Error sweeping expired nomination turns:', error);
+    }
+  });
+
+  // Resume auto-paused auctions whose disconnect grace period has ended (safety net)
+  cron.schedule('* * * * *', async () => {
+    try {
+      const { resumed } = await AuctionTimerService.sweepExpiredPauses();
+      if (resumed > 0) {
+        console.log(`⏱️ Resumed ${resumed} auto-paused auction(s)`);
+      }
+    } catch (error) {
+      console.error('❌ Error resuming auto-paused auctions:', error);
+    }
+  });
+
+  // Send draft reminders (T-24h, T-15m) and start any due auctions whose timer
+  // did not fire (safety net)
+  cron.schedule('* * * * *', async () => {
+    try {
+      const { sent } = await AuctionSchedulerService.sendReminders();
+      if (sent > 0) {
+        console.log(`🔔 Sent ${sent} draft reminder(s)`);
+      }
+
+      const { started } = await AuctionSchedulerService.sweepDueStarts();
+      if (started > 0) {
+        console.log(`⏱️ Auto-started ${started} scheduled auction(s)`);
+      }
+    } catch (error) {
+      console.error('❌ Error processing scheduled auctions:', error);
+    }
+  });
+
   // Health check every hour
   cron.schedule('0 * * * *', async () => {
     console.log('🏥 Running system health check...');
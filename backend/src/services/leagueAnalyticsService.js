@@ -0,0 +1,193 @@
+const League = require('../models/League');
+const LeagueSeason = require('../models/LeagueSeason');
+const { AppError } = require('../middleware/errorHandler');
+
+// How many teams each of the bargains and busts lists shows
+const HIGHLIGHT_COUNT = 5;
+
+// How far back the renewal chain is followed for archived seasons
+const MAX_PAST_LEAGUES = 20;
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// Return on each auction purchase. A team's value over price is what it earned
+// beyond its price's share of the winnings paid out so far: a team bought for 10%
+// of the league's spend should have earned 10% of the payouts. Unlike profit, it
+// is meaningful mid-season, before most of the pool has been paid out. Price
+// slots rank teams by what they cost (slot 1 is the most expensive) so seasons
+// can be compared: which slots tend to be over- or under-valued at auction.
+class LeagueAnalyticsService {
+  // ROI and value analytics for the current season and every archived one
+  async getLeagueAnalytics(leagueId) {
+    try {
+      const league = await League.findById(leagueId)
+        .populate([
+          {
+            path: 'teams.nflTeam',
+            select: 'name city abbreviation logo'
+          },
+          {
+            path: 'teams.owner',
+            select: 'username'
+          }
+        ]);
+
+      if (!league) {
+        throw new AppError('League not found', 404);
+      }
+
+      const current = {
+        season: league.season.year,
+        status: league.status,
+        ...this.analyzeSeason(league.teams
+          .filter(team => team.owner)
+          .map(team => ({
+            nflTeam: team.nflTeam,
+            owner: { _id: team.owner._id, username: team.owner.username },
+            purchasePrice: team.purchasePrice,
+            earnings: team.currentEarnings
+          })))
+      };
+
+      const archives = await this.getArchivedSeasons(league);
+      const history = archives.map(archive => ({
+        season: archive.season,
+        status: archive.status,
+        ...this.analyzeSeason(archive.teams
+          .filter(team => team.owner)
+          .map(team => ({
+            nflTeam: team.nflTeam,
+            owner: { _id: team.owner, username: team.ownerUsername },
+            purchasePrice: team.purchasePrice,
+            earnings: team.earnings
+          })))
+      }));
+
+      return {
+        league: {
+          id: league._id,
+          name: league.name,
+          season: league.season.year,
+          status: league.status,
+          totalPrizePool: league.totalPrizePool
+        },
+        current,
+        history,
+        slots: this.compareSlots([current, ...history])
+      };
+    } catch (error) {
+      console.error('Error building league analytics:', error);
+      throw error;
+    }
+  }
+
+  // Archived seasons of this league and the leagues it was renewed from, newest first
+  async getArchivedSeasons(league) {
+    const leagueIds = [league._id];
+    let previousId = league.renewedFrom;
+
+    while (previousId && leagueIds.length <= MAX_PAST_LEAGUES) {
+      leagueIds.push(previousId);
+      const previous = await League.findById(previousId).select('renewedFrom');
+      previousId = previous ? previous.renewedFrom : null;
+    }
+
+    const archives = await LeagueSeason.find({ league: { $in: leagueIds } })
+      .populate('teams.nflTeam', 'name city abbreviation logo')
+      .sort({ season: -1 });
+
+    // The current season shows live figures instead of its archive
+    return archives.filter(archive => !(archive.league.equals(league._id) && archive.season === league.season.year));
+  }
+
+  // Per-team returns, bargains and busts, and per-owner portfolios for one season's
+  // owned teams ({ nflTeam, owner, purchasePrice, earnings })
+  analyzeSeason(rows) {
+    const totalSpent = rows.reduce((sum, row) => sum + row.purchasePrice, 0);
+    const totalEarnings = rows.reduce((sum, row) => sum + row.earnings, 0);
+
+    const teams = [...rows]
+      .sort((a, b) => b.purchasePrice - a.purchasePrice)
+      .map((row, index) => {
+        const expectedEarnings = totalSpent > 0 ? (row.purchasePrice / totalSpent) * totalEarnings : 0;
+        return {
+          ...row,
+          slot: index + 1,
+          profit: round(row.earnings - row.purchasePrice),
+          roi: this.roi(row.earnings, row.purchasePrice),
+          expectedEarnings: round(expectedEarnings),
+          valueOverPrice: round(row.earnings - expectedEarnings)
+        };
+      });
+
+    const owners = new Map();
+    teams.forEach(team => {
+      const ownerId = team.owner._id.toString();
+      const owner = owners.get(ownerId) || {
+        owner: team.owner,
+        teamsOwned: 0,
+        totalSpent: 0,
+        totalEarnings: 0,
+        valueOverPrice: 0
+      };
+      owner.teamsOwned += 1;
+      owner.totalSpent += team.purchasePrice;
+      owner.totalEarnings += team.earnings;
+      owner.valueOverPrice += team.valueOverPrice;
+      owners.set(ownerId, owner);
+    });
+
+    const byValue = [...teams].sort((a, b) => b.valueOverPrice - a.valueOverPrice);
+
+    return {
+      totalSpent,
+      totalEarnings: round(totalEarnings),
+      teams,
+      owners: [...owners.values()]
+        .map(owner => ({
+          ...owner,
+          totalEarnings: round(owner.totalEarnings),
+          profit: round(owner.totalEarnings - owner.totalSpent),
+          roi: this.roi(owner.totalEarnings, owner.totalSpent),
+          valueOverPrice: round(owner.valueOverPrice)
+        }))
+        .sort((a, b) => b.valueOverPrice - a.valueOverPrice),
+      bargains: byValue.filter(team => team.valueOverPrice > 0).slice(0, HIGHLIGHT_COUNT),
+      busts: byValue.reverse().filter(team => team.valueOverPrice < 0).slice(0, HIGHLIGHT_COUNT)
+    };
+  }
+
+  // Average price, earnings and value over price of each price slot across seasons
+  compareSlots(seasons) {
+    const slots = new Map();
+
+    seasons.forEach(season => {
+      season.teams.forEach(team => {
+        const slot = slots.get(team.slot) || { slot: team.slot, seasons: 0, price: 0, earnings: 0, valueOverPrice: 0 };
+        slot.seasons += 1;
+        slot.price += team.purchasePrice;
+        slot.earnings += team.earnings;
+        slot.valueOverPrice += team.valueOverPrice;
+        slots.set(team.slot, slot);
+      });
+    });
+
+    return [...slots.values()]
+      .sort((a, b) => a.slot - b.slot)
+      .map(slot => ({
+        slot: slot.slot,
+        seasons: slot.seasons,
+        averagePrice: round(slot.price / slot.seasons),
+        averageEarnings: round(slot.earnings / slot.seasons),
+        averageValueOverPrice: round(slot.valueOverPrice / slot.seasons),
+        roi: this.roi(slot.earnings, slot.price)
+      }));
+  }
+
+  // Return on a price as a fraction (0.25 is 25%); null when nothing was paid
+  roi(earnings, price) {
+    return price > 0 ? Math.round(((earnings - price) / price) * 10000) / 10000 : null;
+  }
+}
+
+module.exports = new LeagueAnalyticsService();
@@ -0,0 +1,163 @@
+const League = require('../models/League');
+const NFLTeam = require('../models/NFLTeam');
+const User = require('../models/User');
+const { AppError } = require('../middleware/errorHandler');
+
+class LeagueRenewalService {
+  // Clone a completed league into the next season: same members, payout structure,
+  // auction settings and league settings, with an empty roster and a new invite code
+  async renewLeague(leagueId, { name, keeperSettings } = {}) {
+    const league = await League.findById(leagueId);
+
+    if (!league) {
+      throw new AppError('League not found', 404);
+    }
+
+    if (league.status !== 'completed') {
+      throw new AppError('Only a completed league can be renewed', 400);
+    }
+
+    if (league.renewedTo) {
+      throw new AppError('League has already been renewed', 409);
+    }
+
+    const nflTeams = await NFLTeam.find({ isActive: true }).select('_id');
+    const members = league.members.filter(member => member.isActive);
+
+    const renewed = new League({
+      name: name || league.name,
+      description: league.description,
+      inviteCode: await League.generateInviteCode(),
+      creator: league.creator,
+      members: members.map(member => ({
+        user: member.user,
+        joinedAt: new Date(),
+        isActive: true
+      })),
+      maxMembers: league.maxMembers,
+      season: {
+        year: league.season.year + 1
+      },
+      auctionSettings: league.auctionSettings.toObject(),
+      payoutStructure: league.payoutStructure.toObject(),
+      teams: nflTeams.map(team => ({
+        nflTeam: team._id,
+        owner: null,
+        purchasePrice: 0,
+        currentEarnings: 0
+      })),
+      isPrivate: league.isPrivate,
+      settings: league.settings.toObject(),
+      renewedFrom: league._id,
+      keeperSettings: {
+        enabled: Boolean(keeperSettings?.enabled),
+        maxKeepers: keeperSettings?.enabled ? keeperSettings.maxKeepers ?? 1 : 0,
+        inflationPercent: keeperSettings?.inflationPercent ?? 0
+      }
+    });
+
+    // Only one renewal per league
+    const claimed = await League.findOneAndUpdate(
+      { _id: league._id, renewedTo: null },
+      { $set: { renewedTo: renewed._id } }
+    );
+    if (!claimed) {
+      throw new AppError('League has already been renewed', 409);
+    }
+
+    try {
+      await renewed.save();
+      await User.updateMany(
+        { _id: { $in: members.map(member => member.user) } },
+        { $addToSet: { leagues: renewed._id } }
+      );
+    } catch (error) {
+      // Undo whatever landed and release the claim so the renewal can be retried
+      await Promise.allSettled([
+        League.deleteOne({ _id: renewed._id }),
+        User.updateMany({ leagues: renewed._id }, { $pull: { leagues: renewed._id } })
+      ]);
+      await League.findByIdAndUpdate(league._id, { $set: { renewedTo: null } });
+      throw error;
+    }
+
+    return renewed;
+  }
+
+  // The teams an owner bought last season with their keeper prices, and which they keep
+  async getKeeperOptions(league, userId) {
+    const userKey = userId.toString();
+    const eligible = [];
+
+    if (league.keeperSettings.enabled && league.renewedFrom) {
+      const previous = await League.findById(league.renewedFrom)
+        .select('teams')
+        .populate('teams.nflTeam', 'name city abbreviation logo');
+
+      previous?.teams
+        .filter(team => team.owner && team.owner.toString() === userKey)
+        .forEach(team => {
+          eligible.push({
+            nflTeam: team.nflTeam,
+            previousPrice: team.purchasePrice,
+            keeperPrice: league.getKeeperPrice(team.purchasePrice),
+            previousEarnings: team.currentEarnings
+          });
+        });
+    }
+
+    return {
+      settings: league.keeperSettings,
+      canChange: league.keeperSettings.enabled && league.status === 'draft',
+      startingBudget: league.auctionSettings.startingBudget,
+      eligible,
+      keepers: league.keepers.filter(keeper => keeper.owner.toString() === userKey)
+    };
+  }
+
+  // Replace an owner's keepers with the given NFL teams (an empty list keeps none)
+  async setKeepers(league, userId, nflTeamIds) {
+    if (!league.keeperSettings.enabled) {
+      throw new AppError('This league does not use keepers', 400);
+    }
+
+    if (league.status !== 'draft') {
+      throw new AppError('Keepers are locked once the auction starts', 400);
+    }
+
+    const uniqueIds = [...new Set(nflTeamIds.map(id => id.toString()))];
+    if (uniqueIds.length > league.keeperSettings.maxKeepers) {
+      throw new AppError(`You can keep at most ${league.keeperSettings.maxKeepers} teams`, 400);
+    }
+
+    const { eligible } = await this.getKeeperOptions(league, userId);
+    const chosen = uniqueIds.map(id => {
+      const option = eligible.find(entry => entry.nflTeam._id.toString() === id);
+      if (!option) {
+        throw new AppError('You can only keep teams you owned last season', 400);
+      }
+      return option;
+    });
+
+    const total = chosen.reduce((sum, option) => sum + option.keeperPrice, 0);
+    if (total > league.auctionSettings.startingBudget) {
+      throw new AppError(`Keepers cost $${total}, more than the $${league.auctionSettings.startingBudget} budget`, 400);
+    }
+
+    const userKey = userId.toString();
+    league.keepers = [
+      ...league.keepers.filter(keeper => keeper.owner.toString() !== userKey),
+      ...chosen.map(option => ({
+        nflTeam: option.nflTeam._id,
+        owner: userId,
+        previousPrice: option.previousPrice,
+        price: option.keeperPrice
+      }))
+    ];
+    await league.save();
+
+    return this.getKeeperOptions(league, userId);
+  }
+}
+
+module.exports = new LeagueRenewalService();
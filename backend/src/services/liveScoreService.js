@@ -0,0 +1,265 @@
+const Game = require('../models/Game');
+const League = require('../models/League');
+const nflDataService = require('./nflDataService');
+const payoutSimulatorService = require('./payoutSimulatorService');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Poll every minute while games are on, and check back at most every 15 minutes otherwise
+const ACTIVE_INTERVAL = MINUTE;
+const IDLE_INTERVAL = 15 * MINUTE;
+
+// Start polling shortly before kickoff, and give up on a game the provider never
+// marks final after this long
+const PRE_KICKOFF_LEAD = 5 * MINUTE;
+const MAX_GAME_LENGTH = 6 * HOUR;
+
+// Finished games stay on the tickers for a while after the final whistle
+const FINAL_DISPLAY_WINDOW = 12 * HOUR;
+
+const TEAM_FIELDS = 'name city abbreviation logo';
+
+class LiveScoreService {
+  constructor() {
+    this.io = null;
+    this.timer = null;
+  }
+
+  // Attach socket server and start the game-day poller
+  initialize(io) {
+    this.io = io;
+    this.scheduleNext(0);
+    console.log('Live score poller started');
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  scheduleNext(delay) {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.tick(), delay);
+  }
+
+  async tick() {
+    let delay = IDLE_INTERVAL;
+
+    try {
+      delay = await this.poll();
+    } catch (error) {
+      console.error('Error polling live scores:', error);
+      delay = ACTIVE_INTERVAL;
+    }
+
+    this.scheduleNext(delay);
+  }
+
+  // Refresh every week with a game underway from the provider and push changes to
+  // the affected leagues. Returns how long to wait before the next poll.
+  async poll(now = new Date()) {
+    const giveUpBefore = new Date(now.getTime() - MAX_GAME_LENGTH);
+    const active = await Game.find({
+      $or: [
+        { status: 'in_progress', kickoff: { $gte: giveUpBefore } },
+        {
+          status: 'scheduled',
+          kickoff: {
+            $lte: new Date(now.getTime() + PRE_KICKOFF_LEAD),
+            $gte: giveUpBefore
+          }
+        }
+      ]
+    }).select('season week seasonType');
+
+    if (active.length === 0) {
+      return this.idleDelay(now);
+    }
+
+    const weeks = new Map();
+    active.forEach(game => {
+      weeks.set(`${game.season}-${game.seasonType}-${game.week}`, {
+        season: game.season,
+        week: game.week,
+        seasonType: game.seasonType
+      });
+    });
+
+    const changed = [];
+
+    for (const week of weeks.values()) {
+      const before = new Map(
+        (await Game.find(week).select('status score live')).map(game => [game._id.toString(), game])
+      );
+
+      const games = await nflDataService.provider.fetchWeek(week);
+      await nflDataService.recordWeek(games, { results: false });
+
+      const after = await Game.find(week).select('status score live homeTeam awayTeam');
+      const weekChanges = after.filter(game => this.hasChanged(before.get(game._id.toString()), game));
+
+      // Write final scores to team records as soon as a game ends
+      if (weekChanges.some(game => game.status === 'final')) {
+        await nflDataService.recordWeek(games);
+      }
+
+      changed.push(...weekChanges);
+    }
+
+    if (changed.length > 0) {
+      await this.broadcast(changed, now);
+    }
+
+    return ACTIVE_INTERVAL;
+  }
+
+  // Sleep until shortly before the next kickoff, checking back at least every IDLE_INTERVAL
+  async idleDelay(now) {
+    const next = await Game.findOne({ status: 'scheduled', kickoff: { $gt: now } })
+      .sort({ kickoff: 1 })
+      .select('kickoff');
+
+    if (!next) {
+      return IDLE_INTERVAL;
+    }
+
+    const untilPolling = next.kickoff.getTime() - PRE_KICKOFF_LEAD - now.getTime();
+    return Math.min(Math.max(untilPolling, ACTIVE_INTERVAL), IDLE_INTERVAL);
+  }
+
+  hasChanged(before, after) {
+    return !before ||
+      before.status !== after.status ||
+      before.score.home !== after.score.home ||
+      before.score.away !== after.score.away ||
+      before.live?.period !== after.live?.period ||
+      before.live?.clock !== after.live?.clock;
+  }
+
+  // Games shown on the tickers: in progress (and not abandoned), or finished within
+  // the display window
+  findTickerGames(now = new Date()) {
+    return Game.find({
+      $or: [
+        { status: 'in_progress', kickoff: { $gte: new Date(now.getTime() - MAX_GAME_LENGTH) } },
+        { status: 'final', kickoff: { $gte: new Date(now.getTime() - FINAL_DISPLAY_WINDOW) } }
+      ]
+    })
+      .sort({ kickoff: 1 })
+      .populate('homeTeam awayTeam', TEAM_FIELDS);
+  }
+
+  // Emit a fresh `live-score` snapshot to every active league owning a team in a changed game
+  async broadcast(changedGames, now = new Date()) {
+    if (!this.io) {
+      return;
+    }
+
+    const teamIds = changedGames.flatMap(game => [game.homeTeam, game.awayTeam]);
+    const leagues = await League.find({
+      status: 'active',
+      teams: { $elemMatch: { nflTeam: { $in: teamIds }, owner: { $ne: null } } }
+    }).populate('teams.owner', 'username');
+
+    if (leagues.length === 0) {
+      return;
+    }
+
+    const games = await this.findTickerGames(now);
+
+    for (const league of leagues) {
+      const snapshot = await this.buildLeagueSnapshot(league, games);
+      if (snapshot.games.length > 0) {
+        this.io.to(`league-${league._id}`).emit('live-score', snapshot);
+      }
+    }
+  }
+
+  // Current ticker snapshot for one league (initial load before socket updates arrive)
+  async getLeagueSnapshot(leagueId) {
+    const league = await League.findById(leagueId).populate('teams.owner', 'username');
+    const games = await this.findTickerGames();
+
+    return this.buildLeagueSnapshot(league, games);
+  }
+
+  // The games involving teams the league's owners hold, with each owned team's
+  // projected earnings change if the current scores hold
+  async buildLeagueSnapshot(league, games) {
+    const ownerOf = new Map();
+    league.teams.forEach(team => {
+      if (team.owner) {
+        ownerOf.set(team.nflTeam.toString(), team.owner);
+      }
+    });
+
+    const owned = games.filter(game =>
+      ownerOf.has(game.homeTeam._id.toString()) || ownerOf.has(game.awayTeam._id.toString())
+    );
+
+    const leaders = this.currentLeaders(games);
+    const deltas = leaders.size > 0
+      ? await payoutSimulatorService.projectWinners(league._id, leaders)
+      : new Map();
+    const round = (amount) => Math.round(amount * 100) / 100;
+
+    const side = (team, score) => {
+      const teamId = team._id.toString();
+      const owner = ownerOf.get(teamId) || null;
+      return {
+        team,
+        score,
+        owner: owner ? { _id: owner._id, username: owner.username } : null,
+        projectedDelta: owner ? round(deltas.get(teamId) || 0) : null
+      };
+    };
+
+    const owners = new Map();
+    league.teams.forEach(team => {
+      if (!team.owner) return;
+      const ownerId = team.owner._id.toString();
+      const entry = owners.get(ownerId) || {
+        owner: { _id: team.owner._id, username: team.owner.username },
+        projectedDelta: 0
+      };
+      entry.projectedDelta += deltas.get(team.nflTeam.toString()) || 0;
+      owners.set(ownerId, entry);
+    });
+
+    return {
+      leagueId: league._id,
+      games: owned.map(game => ({
+        _id: game._id,
+        season: game.season,
+        week: game.week,
+        seasonType: game.seasonType,
+        playoffRound: game.playoffRound,
+        status: game.status,
+        kickoff: game.kickoff,
+        period: game.live?.period || null,
+        clock: game.live?.clock || null,
+        home: side(game.homeTeam, game.score.home),
+        away: side(game.awayTeam, game.score.away)
+      })),
+      owners: [...owners.values()]
+        .map(entry => ({ ...entry, projectedDelta: round(entry.projectedDelta) }))
+        .sort((a, b) => b.projectedDelta - a.projectedDelta),
+      updatedAt: new Date()
+    };
+  }
+
+  // The team leading each game in progress, by game id. Finished games are already
+  // in the results the projection starts from, and tied games have no leader.
+  currentLeaders(games) {
+    return new Map(games
+      .filter(game => game.status === 'in_progress')
+      .filter(({ score }) => score.home !== null && score.away !== null && score.home !== score.away)
+      .map(game => [
+        game._id.toString(),
+        (game.score.home > game.score.away ? game.homeTeam : game.awayTeam)._id
+      ]));
+  }
+}
+
+module.exports = new LiveScoreService();
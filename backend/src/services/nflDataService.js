@@ -1,141 +1,258 @@
-const axios = require('axios');
 const NFLTeam = require('../models/NFLTeam');
+const Game = require('../models/Game');
+const NFLTeamSeason = require('../models/NFLTeamSeason');
+const { createProvider, toResultWeek } = require('./nflProviders');
+const seasonCalendarService = require('./seasonCalendarService');
+const standingsService = require('./standingsService');
+
+// ESPN team IDs, stored on NFLTeam.externalIds.espnId
+const ESPN_TEAM_IDS = {
+  ARI: '22', ATL: '1', BAL: '33', BUF: '2', CAR: '29', CHI: '3', CIN: '4', CLE: '5',
+  DAL: '6', DEN: '7', DET: '8', GB: '9', HOU: '34', IND: '11', JAX: '30', KC: '12',
+  LV: '13', LAC: '24', LAR: '14', MIA: '15', MIN: '16', NE: '17', NO: '18', NYG: '19',
+  NYJ: '20', PHI: '21', PIT: '23', SF: '25', SEA: '26', TB: '27', TEN: '10', WAS: '28'
+};
 
 class NFLDataService {
   constructor() {
-    this.baseURL = 'https://api.sportsdata.io/v3/nfl';
-    this.apiKey = process.env.NFL_API_KEY;
+    this.provider = createProvider();
+  }
+
+  // Swap the results provider (e.g. a fixture provider in tests)
+  setProvider(provider) {
+    this.provider = provider;
+    return this;
   }
 
-  // Update weekly NFL game results
-  async updateWeeklyResults() {
+  // Update weekly NFL game results from the configured provider. Only final games
+  // are written; teams are matched through NFLTeam.externalIds. Without a week,
+  // the most recent week whose games have begun is used.
+  async updateWeeklyResults(options = {}) {
     try {
-      console.log('Fetching NFL weekly results...');
-      
-      // In a real implementation, you would call an actual NFL API
-      // For now, we'll simulate the data update process
-      
-      const teams = await NFLTeam.find({ isActive: true });
-      
-      // Simulate updating results for current week
-      const currentWeek = this.getCurrentWeek();
-      
-      for (const team of teams) {
-        // Simulate random game results (for demo purposes)
-        const hasPlayed = Math.random() > 0.5;
-        
-        if (hasPlayed) {
-          const teamScore = Math.floor(Math.random() * 35) + 10;
-          const opponentScore = Math.floor(Math.random() * 35) + 10;
-          const result = teamScore > opponentScore ? 'W' : teamScore < opponentScore ? 'L' : 'T';
-          
-          team.updateWeeklyResult(
-            currentWeek,
-            result,
-            teamScore,
-            opponentScore,
-            'OPP', // Opponent abbreviation
-            Math.random() > 0.5, // isHome
-            new Date(),
-            false // isPlayoff
-          );
-          
-          await team.save();
+      if (!options.week) {
+        const latest = await seasonCalendarService.getLatestPlayedWeek();
+        if (!latest) {
+          console.log('No NFL week has been played yet this season, skipping results update');
+          return { success: true, skipped: true };
         }
+        options = { season: latest.season, week: latest.week, seasonType: latest.seasonType, ...options };
       }
-      
-      console.log(`Updated results for week ${currentWeek}`);
-      return { success: true, week: currentWeek };
+
+      const {
+        season = seasonCalendarService.getCurrentSeason(),
+        week,
+        seasonType = 'regular'
+      } = options;
+
+      console.log(`Fetching NFL results from ${this.provider.name}: ${season} ${seasonType} week ${week}...`);
+
+      const games = await this.provider.fetchWeek({ season, week, seasonType });
+      const { teamsUpdated, skipped, unmapped } = await this.recordWeek(games);
+
+      console.log(`Updated results for ${season} ${seasonType} week ${week}: ${teamsUpdated} teams, ${skipped} games skipped`);
+      return {
+        success: true,
+        provider: this.provider.name,
+        season,
+        week,
+        seasonType,
+        games: games.length,
+        teamsUpdated,
+        skipped,
+        unmapped
+      };
     } catch (error) {
       console.error('Error updating NFL weekly results:', error);
       throw error;
     }
   }
 
-  // Update playoff standings and status
-  async updatePlayoffStandings() {
-    try {
-      console.log('Updating playoff standings...');
-      
-      const teams = await NFLTeam.find({ isActive: true })
-        .sort({ 
-          'currentSeason.wins': -1,
-          'currentSeason.losses': 1
-        });
-
-      // Simulate playoff bracket updates
-      const afcTeams = teams.filter(t => t.conference === 'AFC');
-      const nfcTeams = teams.filter(t => t.conference === 'NFC');
-
-      // Determine playoff teams (top 7 from each conference)
-      const afcPlayoffTeams = afcTeams.slice(0, 7);
-      const nfcPlayoffTeams = nfcTeams.slice(0, 7);
-
-      // Update playoff status
-      for (let i = 0; i < teams.length; i++) {
-        const team = teams[i];
-        const isAfcPlayoff = afcPlayoffTeams.includes(team);
-        const isNfcPlayoff = nfcPlayoffTeams.includes(team);
-
-        if (isAfcPlayoff || isNfcPlayoff) {
-          // Simulate different playoff rounds
-          if (i < 2) {
-            team.currentSeason.playoffStatus = 'superbowl';
-          } else if (i < 4) {
-            team.currentSeason.playoffStatus = 'conference';
-          } else if (i < 8) {
-            team.currentSeason.playoffStatus = 'divisional';
-          } else {
-            team.currentSeason.playoffStatus = 'wildcard';
-          }
-        } else {
-          team.currentSeason.playoffStatus = 'none';
-        }
+  // Store a batch of provider games: upsert them as Game records and, unless
+  // `results` is false, write final scores to each team's weekly results
+  async recordWeek(games, { results = true } = {}) {
+    const teams = await NFLTeam.find({ isActive: true });
+    const resolveTeam = this.buildTeamResolver(teams, this.provider.teamIdField);
 
-        await team.save();
+    // Keep the schedule in step with whatever the provider reports, played or not
+    const { unmapped } = await this.upsertGames(games, resolveTeam);
+
+    if (!results) {
+      return { teamsUpdated: 0, skipped: games.length, unmapped };
+    }
+
+    const updatedTeams = new Set();
+    let skipped = 0;
+
+    for (const game of games) {
+      if (game.status !== 'final' || game.home.score === null || game.away.score === null) {
+        skipped++;
+        continue;
       }
 
-      console.log('Playoff standings updated successfully');
-      return { success: true };
-    } catch (error) {
-      console.error('Error updating playoff standings:', error);
-      throw error;
+      const home = resolveTeam(game.home);
+      const away = resolveTeam(game.away);
+
+      if (!home || !away) {
+        skipped++;
+        continue;
+      }
+
+      this.applyResult(home, away, game.home.score, game.away.score, true, game);
+      this.applyResult(away, home, game.away.score, game.home.score, false, game);
+      updatedTeams.add(home);
+      updatedTeams.add(away);
     }
-  }
 
-  // Get current NFL week
-  getCurrentWeek() {
-    const now = new Date();
-    const seasonStart = new Date(now.getFullYear(), 8, 1); // September 1st
-    const weeksSinceStart = Math.floor((now - seasonStart) / (7 * 24 * 60 * 60 * 1000));
-    return Math.min(Math.max(weeksSinceStart + 1, 1), 18);
+    for (const team of updatedTeams) {
+      await team.save();
+    }
+
+    // New results can change division ranks and seeds
+    if (updatedTeams.size > 0) {
+      await standingsService.updateStandings(games[0].season);
+    }
+
+    return { teamsUpdated: updatedTeams.size, skipped, unmapped };
   }
 
-  // Fetch live scores (placeholder for real API integration)
-  async fetchLiveScores() {
+  // Import every game of a season type from the provider into the Game collection,
+  // so future games are known before they are played
+  async importSchedule({ season = seasonCalendarService.getCurrentSeason(), seasonType = 'regular' } = {}) {
     try {
-      // In production, this would call a real-time sports API
-      console.log('Fetching live scores...');
-      
-      const liveGames = [
-        {
-          homeTeam: 'KC',
-          awayTeam: 'BUF',
-          homeScore: 21,
-          awayScore: 14,
-          quarter: 3,
-          timeRemaining: '8:42',
-          isLive: true
-        }
-      ];
+      console.log(`Importing NFL schedule from ${this.provider.name}: ${season} ${seasonType}...`);
 
-      return liveGames;
+      const games = await this.provider.fetchSchedule({ season, seasonType });
+      const teams = await NFLTeam.find({ isActive: true });
+      const resolveTeam = this.buildTeamResolver(teams, this.provider.teamIdField);
+
+      const { imported, skipped, unmapped } = await this.upsertGames(games, resolveTeam);
+
+      console.log(`Imported ${imported} games for ${season} ${seasonType}, ${skipped} skipped`);
+      return {
+        success: true,
+        provider: this.provider.name,
+        season,
+        seasonType,
+        games: games.length,
+        imported,
+        skipped,
+        unmapped
+      };
     } catch (error) {
-      console.error('Error fetching live scores:', error);
+      console.error('Error importing NFL schedule:', error);
       throw error;
     }
   }
 
+  // Create or update Game records for normalized provider games. A game is keyed
+  // by season, season type, week and teams, so re-imports update in place.
+  async upsertGames(games, resolveTeam) {
+    const unmapped = new Set();
+    const operations = [];
+    let skipped = 0;
+
+    for (const game of games) {
+      const home = resolveTeam(game.home);
+      const away = resolveTeam(game.away);
+
+      if (!home || !away) {
+        if (!home) unmapped.add(game.home.abbreviation || game.home.id);
+        if (!away) unmapped.add(game.away.abbreviation || game.away.id);
+        skipped++;
+        continue;
+      }
+
+      // Games without a kickoff time yet (e.g. undecided flex games) are picked up on a later import
+      if (!game.gameDate || Number.isNaN(new Date(game.gameDate).getTime())) {
+        skipped++;
+        continue;
+      }
+
+      operations.push({
+        updateOne: {
+          filter: {
+            season: game.season,
+            seasonType: game.seasonType,
+            week: game.week,
+            homeTeam: home._id,
+            awayTeam: away._id
+          },
+          update: {
+            $set: {
+              playoffRound: game.seasonType === 'postseason' ? game.playoffRound : null,
+              kickoff: game.gameDate,
+              status: game.status,
+              score: {
+                home: game.home.score ?? null,
+                away: game.away.score ?? null
+              },
+              live: {
+                period: game.status === 'in_progress' && game.period ? String(game.period) : null,
+                clock: game.status === 'in_progress' ? game.clock || null : null
+              },
+              source: this.provider.name,
+              externalId: game.externalId || null
+            }
+          },
+          upsert: true
+        }
+      });
+    }
+
+    if (operations.length > 0) {
+      await Game.bulkWrite(operations, { ordered: false });
+    }
+
+    if (unmapped.size > 0) {
+      console.warn(`No NFL team matched provider team(s): ${[...unmapped].join(', ')}`);
+    }
+
+    return { imported: operations.length, skipped, unmapped: [...unmapped] };
+  }
+
+  // Build a lookup from a provider team ({ id, abbreviation }) to an NFLTeam,
+  // preferring the provider's external ID and falling back to the abbreviation
+  buildTeamResolver(teams, idField) {
+    const byExternalId = new Map();
+    const byAbbreviation = new Map();
+
+    teams.forEach(team => {
+      const externalId = idField ? team.externalIds?.[idField] : null;
+      if (externalId) {
+        byExternalId.set(String(externalId), team);
+      }
+      byAbbreviation.set(team.abbreviation, team);
+    });
+
+    return ({ id, abbreviation }) =>
+      (id !== undefined && id !== null && byExternalId.get(String(id))) ||
+      (abbreviation && byAbbreviation.get(String(abbreviation).toUpperCase())) ||
+      null;
+  }
+
+  // Write one side of a final game to a team's weekly results
+  applyResult(team, opponent, teamScore, opponentScore, isHome, game) {
+    const result = teamScore > opponentScore ? 'W' : teamScore < opponentScore ? 'L' : 'T';
+    const isPlayoff = game.seasonType === 'postseason';
+
+    team.updateWeeklyResult(
+      toResultWeek(game),
+      result,
+      teamScore,
+      opponentScore,
+      opponent.abbreviation,
+      isHome,
+      game.gameDate,
+      isPlayoff,
+      isPlayoff ? game.playoffRound : null
+    );
+  }
+
+  // Update standings, seeds and playoff status from game results
+  async updatePlayoffStandings(season = seasonCalendarService.getCurrentSeason()) {
+    return standingsService.updateStandings(season);
+  }
+
   // Clean up old data
   async cleanupOldData() {
     try {
@@ -144,12 +261,16 @@ class NFLDataService {
       const oneYearAgo = new Date();
       oneYearAgo.setFullYear(oneYearAgo.getFullYear() - 1);
 
-      // Clean up old weekly results (keep only current and previous season)
+      // Clean up old weekly results, but only for seasons already archived to team history
       const teams = await NFLTeam.find({ isActive: true });
+      const archived = new Set(
+        (await NFLTeamSeason.find().select('team season')).map(snapshot => `${snapshot.team}-${snapshot.season}`)
+      );
       
       for (const team of teams) {
-        team.weeklyResults = team.weeklyResults.filter(
-          result => new Date(result.gameDate) > oneYearAgo
+        team.weeklyResults = team.weeklyResults.filter(result =>
+          new Date(result.gameDate) > oneYearAgo ||
+          !archived.has(`${team._id}-${seasonCalendarService.getCurrentSeason(result.gameDate)}`)
         );
         await team.save();
       }
@@ -162,6 +283,30 @@ class NFLDataService {
     }
   }
 
+  // Fill in provider team IDs for teams seeded before they were tracked
+  async backfillExternalIds() {
+    const operations = Object.entries(ESPN_TEAM_IDS).flatMap(([abbreviation, espnId]) => [
+      {
+        updateOne: {
+          filter: { abbreviation, 'externalIds.espnId': { $in: [null, ''] } },
+          update: { $set: { 'externalIds.espnId': espnId } }
+        }
+      },
+      {
+        updateOne: {
+          filter: { abbreviation, 'externalIds.sportsDataId': { $in: [null, ''] } },
+          update: { $set: { 'externalIds.sportsDataId': abbreviation } }
+        }
+      }
+    ]);
+
+    const result = await NFLTeam.bulkWrite(operations);
+    if (result.modifiedCount > 0) {
+      console.log(`Backfilled ${result.modifiedCount} NFL team external IDs`);
+    }
+    return result;
+  }
+
   // Seed initial NFL team data
   async seedNFLTeams() {
     try {
@@ -170,6 +315,7 @@ class NFLDataService {
       const existingTeams = await NFLTeam.countDocuments();
       if (existingTeams > 0) {
         console.log('NFL teams already exist, skipping seed');
+        await this.backfillExternalIds();
         return;
       }
 
@@ -237,7 +383,7 @@ class NFLDataService {
           location: `${team.city}, USA`
         },
         currentSeason: {
-          year: new Date().getFullYear(),
+          year: seasonCalendarService.getCurrentSeason(),
           wins: 0,
           losses: 0,
           ties: 0
@@ -252,7 +398,11 @@ class NFLDataService {
           divisionTitles: 0
         },
         weeklyResults: [],
-        isActive: true
+        isActive: true,
+        externalIds: {
+          espnId: ESPN_TEAM_IDS[team.abbreviation],
+          sportsDataId: team.abbreviation
+        }
       }));
 
       await NFLTeam.insertMany(teamsWithDefaults);
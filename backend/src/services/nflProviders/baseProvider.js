@@ -0,0 +1,77 @@
+// Shared contract for NFL results providers. Each adapter turns its source's
+// payload into normalized games:
+//
+//   {
+//     externalId,                 // provider's game ID
+//     season,                     // season year, e.g. 2024 for the 2024-25 season
+//     week,                       // provider week within the season type
+//     seasonType,                 // 'preseason' | 'regular' | 'postseason'
+//     playoffRound,               // null | 'wildcard' | 'divisional' | 'conference' | 'superbowl'
+//     gameDate,                   // Date of kickoff
+//     status,                     // 'scheduled' | 'in_progress' | 'final' | 'postponed' | 'canceled'
+//     period, clock,              // quarter and game clock while in progress (null otherwise)
+//     home: { id, abbreviation, score },
+//     away: { id, abbreviation, score }
+//   }
+//
+// `id` is matched against NFLTeam.externalIds[teamIdField]; `abbreviation` is
+// the fallback when a team has no external ID stored for this provider.
+
+const REGULAR_SEASON_WEEKS = 18;
+const PLAYOFF_ROUNDS = ['wildcard', 'divisional', 'conference', 'superbowl'];
+
+// Weeks in each season type
+const SEASON_TYPE_WEEKS = {
+  preseason: 3,
+  regular: REGULAR_SEASON_WEEKS,
+  postseason: PLAYOFF_ROUNDS.length
+};
+
+class BaseProvider {
+  constructor(options = {}) {
+    this.options = options;
+  }
+
+  // Provider name used in logs and configuration
+  get name() {
+    throw new Error('Provider must define a name');
+  }
+
+  // Key of NFLTeam.externalIds holding this provider's team IDs (null = abbreviations)
+  get teamIdField() {
+    return null;
+  }
+
+  // Fetch all games for one week of a season: { season, week, seasonType }
+  async fetchWeek() {
+    throw new Error(`${this.name} provider does not implement fetchWeek`);
+  }
+
+  // Fetch every game of a season type, played or not: { season, seasonType }.
+  // Providers with a full-schedule endpoint override this; the default walks the weeks.
+  async fetchSchedule({ season, seasonType = 'regular' }) {
+    const games = [];
+
+    for (let week = 1; week <= SEASON_TYPE_WEEKS[seasonType]; week++) {
+      games.push(...await this.fetchWeek({ season, week, seasonType }));
+    }
+
+    return games;
+  }
+}
+
+// Week number as stored on NFLTeam.weeklyResults (playoff rounds follow week 18)
+const toResultWeek = (game) => {
+  if (game.seasonType !== 'postseason') {
+    return game.week;
+  }
+  return REGULAR_SEASON_WEEKS + PLAYOFF_ROUNDS.indexOf(game.playoffRound) + 1;
+};
+
+module.exports = {
+  BaseProvider,
+  REGULAR_SEASON_WEEKS,
+  PLAYOFF_ROUNDS,
+  SEASON_TYPE_WEEKS,
+  toResultWeek
+};
@@ -0,0 +1,95 @@
+const axios = require('axios');
+const { BaseProvider, PLAYOFF_ROUNDS } = require('./baseProvider');
+
+const SEASON_TYPES = {
+  preseason: 1,
+  regular: 2,
+  postseason: 3
+};
+
+// ESPN postseason weeks; week 4 is the Pro Bowl
+const PLAYOFF_WEEKS = {
+  1: 'wildcard',
+  2: 'divisional',
+  3: 'conference',
+  5: 'superbowl'
+};
+
+const STATUS_MAP = {
+  pre: 'scheduled',
+  in: 'in_progress',
+  post: 'final'
+};
+
+// ESPN public scoreboard JSON. Team IDs are ESPN team IDs.
+class ESPNProvider extends BaseProvider {
+  constructor(options = {}) {
+    super(options);
+    this.baseURL = options.baseURL || 'https://site.api.espn.com/apis/site/v2/sports/football/nfl';
+  }
+
+  get name() {
+    return 'espn';
+  }
+
+  get teamIdField() {
+    return 'espnId';
+  }
+
+  async fetchWeek({ season, week, seasonType = 'regular' }) {
+    const providerWeek = seasonType === 'postseason' ? this.toProviderPlayoffWeek(week) : week;
+
+    const response = await axios.get(`${this.baseURL}/scoreboard`, {
+      params: {
+        dates: season,
+        seasontype: SEASON_TYPES[seasonType] || SEASON_TYPES.regular,
+        week: providerWeek
+      },
+      timeout: 15000
+    });
+
+    return (response.data?.events || [])
+      .map(event => this.normalizeGame(event, season, seasonType))
+      .filter(game => game.seasonType !== 'postseason' || game.playoffRound);
+  }
+
+  // Playoff rounds are numbered 1-4 (wildcard..superbowl); ESPN skips a week for the Pro Bowl
+  toProviderPlayoffWeek(round) {
+    return round >= 4 ? 5 : round;
+  }
+
+  normalizeGame(event, season, seasonType) {
+    const competition = event.competitions?.[0] || {};
+    const competitors = competition.competitors || [];
+    const side = (homeAway) => {
+      const competitor = competitors.find(c => c.homeAway === homeAway) || {};
+      const score = competitor.score !== undefined && competitor.score !== '' ? Number(competitor.score) : null;
+      return {
+        id: competitor.team?.id,
+        abbreviation: competitor.team?.abbreviation,
+        score: Number.isNaN(score) ? null : score
+      };
+    };
+    const playoffRound = seasonType === 'postseason' ? PLAYOFF_WEEKS[event.week?.number] || null : null;
+
+    return {
+      externalId: String(event.id),
+      season: event.season?.year || season,
+      week: playoffRound ? PLAYOFF_ROUNDS.indexOf(playoffRound) + 1 : event.week?.number,
+      seasonType,
+      playoffRound,
+      gameDate: new Date(event.date),
+      status: competition.status?.type?.name === 'STATUS_POSTPONED'
+        ? 'postponed'
+        : competition.status?.type?.name === 'STATUS_CANCELED'
+          ? 'canceled'
+          : STATUS_MAP[competition.status?.type?.state || event.status?.type?.state] || 'scheduled',
+      period: competition.status?.period || null,
+      clock: competition.status?.displayClock || null,
+      home: side('home'),
+      away: side('away')
+    };
+  }
+}
+
+module.exports = ESPNProvider;
@@ -0,0 +1,98 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { BaseProvider, PLAYOFF_ROUNDS } = require('./baseProvider');
+
+const DEFAULT_FIXTURE = path.join(__dirname, '../../data/fixtures/sample-results.json');
+
+// Local JSON or CSV fixture for offline development and tests. Teams are
+// identified by abbreviation. Each game (JSON object or CSV row) has:
+//   season, week, seasonType, playoffRound, gameDate, status,
+//   homeTeam, awayTeam, homeScore, awayScore, and optionally period and clock
+class FixtureProvider extends BaseProvider {
+  constructor(options = {}) {
+    super(options);
+    this.filePath = options.filePath || process.env.NFL_FIXTURE_PATH || DEFAULT_FIXTURE;
+    this.games = null;
+    this.loadedAt = null;
+  }
+
+  get name() {
+    return 'fixture';
+  }
+
+  async fetchWeek({ season, week, seasonType = 'regular' }) {
+    const games = await this.loadGames();
+
+    return games.filter(game =>
+      game.season === Number(season) &&
+      game.week === Number(week) &&
+      game.seasonType === seasonType
+    );
+  }
+
+  async fetchSchedule({ season, seasonType = 'regular' }) {
+    const games = await this.loadGames();
+
+    return games.filter(game =>
+      game.season === Number(season) &&
+      game.seasonType === seasonType
+    );
+  }
+
+  async loadGames() {
+    // Re-read when the file changes, so editing it can stand in for a live feed
+    const { mtimeMs } = await fs.stat(path.resolve(this.filePath));
+    if (this.games && this.loadedAt === mtimeMs) {
+      return this.games;
+    }
+
+    const contents = await fs.readFile(path.resolve(this.filePath), 'utf8');
+    const rows = path.extname(this.filePath).toLowerCase() === '.csv'
+      ? this.parseCSV(contents)
+      : this.parseJSON(contents);
+
+    this.games = rows.map((row, index) => this.normalizeGame(row, index));
+    this.loadedAt = mtimeMs;
+    return this.games;
+  }
+
+  parseJSON(contents) {
+    const data = JSON.parse(contents);
+    return Array.isArray(data) ? data : data.games || [];
+  }
+
+  // Minimal CSV: header row, comma-separated, no quoted commas
+  parseCSV(contents) {
+    const [header, ...lines] = contents.split(/\r?\n/).filter(line => line.trim());
+    const columns = header.split(',').map(column => column.trim());
+
+    return lines.map(line => {
+      const values = line.split(',').map(value => value.trim());
+      return columns.reduce((row, column, i) => ({ ...row, [column]: values[i] }), {});
+    });
+  }
+
+  normalizeGame(row, index) {
+    const seasonType = row.seasonType || 'regular';
+    const playoffRound = seasonType === 'postseason'
+      ? row.playoffRound || PLAYOFF_ROUNDS[Number(row.week) - 1] || null
+      : null;
+    const score = (value) => (value === undefined || value === null || value === '' ? null : Number(value));
+
+    return {
+      externalId: String(row.id || row.externalId || `fixture-${index + 1}`),
+      season: Number(row.season),
+      week: Number(row.week),
+      seasonType,
+      playoffRound,
+      gameDate: new Date(row.gameDate),
+      status: row.status || (score(row.homeScore) !== null ? 'final' : 'scheduled'),
+      period: row.period || null,
+      clock: row.clock || null,
+      home: { id: row.homeTeam, abbreviation: row.homeTeam, score: score(row.homeScore) },
+      away: { id: row.awayTeam, abbreviation: row.awayTeam, score: score(row.awayScore) }
+    };
+  }
+}
+
+module.exports = FixtureProvider;
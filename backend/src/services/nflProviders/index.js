@@ -0,0 +1,35 @@
+const SportsDataIOProvider = require('./sportsDataIOProvider');
+const ESPNProvider = require('./espnProvider');
+const FixtureProvider = require('./fixtureProvider');
+const { BaseProvider, REGULAR_SEASON_WEEKS, PLAYOFF_ROUNDS, SEASON_TYPE_WEEKS, toResultWeek } = require('./baseProvider');
+
+const PROVIDERS = {
+  sportsdataio: SportsDataIOProvider,
+  espn: ESPNProvider,
+  fixture: FixtureProvider
+};
+
+// Build the configured results provider. NFL_DATA_PROVIDER picks the adapter;
+// without it, SportsDataIO is used when an API key is set and the local fixture otherwise.
+const createProvider = (name = process.env.NFL_DATA_PROVIDER, options = {}) => {
+  const key = (name || (process.env.NFL_API_KEY ? 'sportsdataio' : 'fixture')).toLowerCase();
+  const Provider = PROVIDERS[key];
+
+  if (!Provider) {
+    throw new Error(`Unknown NFL data provider "${name}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+
+  return new Provider(options);
+};
+
+module.exports = {
+  createProvider,
+  BaseProvider,
+  SportsDataIOProvider,
+  ESPNProvider,
+  FixtureProvider,
+  REGULAR_SEASON_WEEKS,
+  PLAYOFF_ROUNDS,
+  SEASON_TYPE_WEEKS,
+  toResultWeek
+};
@@ -0,0 +1,86 @@
+const axios = require('axios');
+const { BaseProvider, PLAYOFF_ROUNDS } = require('./baseProvider');
+
+const SEASON_TYPE_SUFFIX = {
+  regular: 'REG',
+  preseason: 'PRE',
+  postseason: 'POST'
+};
+
+const STATUS_MAP = {
+  Scheduled: 'scheduled',
+  InProgress: 'in_progress',
+  Final: 'final',
+  'F/OT': 'final',
+  Suspended: 'postponed',
+  Postponed: 'postponed',
+  Delayed: 'postponed',
+  Canceled: 'canceled',
+  Forfeit: 'final'
+};
+
+// SportsDataIO scores API (https://sportsdata.io). Team IDs are SportsDataIO team keys.
+class SportsDataIOProvider extends BaseProvider {
+  constructor(options = {}) {
+    super(options);
+    this.baseURL = options.baseURL || 'https://api.sportsdata.io/v3/nfl';
+    this.apiKey = options.apiKey || process.env.NFL_API_KEY;
+  }
+
+  get name() {
+    return 'sportsdataio';
+  }
+
+  get teamIdField() {
+    return 'sportsDataId';
+  }
+
+  async fetchWeek({ season, week, seasonType = 'regular' }) {
+    if (!this.apiKey) {
+      throw new Error('NFL_API_KEY is required for the SportsDataIO provider');
+    }
+
+    const seasonKey = `${season}${SEASON_TYPE_SUFFIX[seasonType] || 'REG'}`;
+    const response = await axios.get(`${this.baseURL}/scores/json/ScoresByWeek/${seasonKey}/${week}`, {
+      headers: { 'Ocp-Apim-Subscription-Key': this.apiKey },
+      timeout: 15000
+    });
+
+    return (response.data || []).map(game => this.normalizeGame(game, seasonType));
+  }
+
+  // The schedule endpoint returns the whole season type in one call, bye weeks included
+  async fetchSchedule({ season, seasonType = 'regular' }) {
+    if (!this.apiKey) {
+      throw new Error('NFL_API_KEY is required for the SportsDataIO provider');
+    }
+
+    const seasonKey = `${season}${SEASON_TYPE_SUFFIX[seasonType] || 'REG'}`;
+    const response = await axios.get(`${this.baseURL}/scores/json/Schedules/${seasonKey}`, {
+      headers: { 'Ocp-Apim-Subscription-Key': this.apiKey },
+      timeout: 30000
+    });
+
+    return (response.data || [])
+      .filter(game => game.HomeTeam !== 'BYE' && game.AwayTeam !== 'BYE')
+      .map(game => this.normalizeGame(game, seasonType));
+  }
+
+  normalizeGame(game, seasonType) {
+    return {
+      externalId: String(game.GameKey || game.ScoreID),
+      season: game.Season,
+      week: game.Week,
+      seasonType,
+      playoffRound: seasonType === 'postseason' ? PLAYOFF_ROUNDS[game.Week - 1] || null : null,
+      gameDate: new Date(game.DateTime || game.Date),
+      status: STATUS_MAP[game.Status] || (game.IsClosed ? 'final' : 'scheduled'),
+      period: game.Quarter || null,
+      clock: game.TimeRemaining || null,
+      home: { id: game.HomeTeam, abbreviation: game.HomeTeam, score: game.HomeScore },
+      away: { id: game.AwayTeam, abbreviation: game.AwayTeam, score: game.AwayScore }
+    };
+  }
+}
+
+module.exports = SportsDataIOProvider;
@@ -0,0 +1,343 @@
+const League = require('../models/League');
+const Game = require('../models/Game');
+const User = require('../models/User');
+const PayoutLedger = require('../models/PayoutLedger');
+const seasonCalendarService = require('./seasonCalendarService');
+const payoutRuleService = require('./payoutRuleService');
+const { toResultWeek, REGULAR_SEASON_WEEKS, PLAYOFF_ROUNDS } = require('./nflProviders');
+const { AppError } = require('../middleware/errorHandler');
+
+// Ledger category, league payout percentage and playoff round for each playoff result
+const PLAYOFF_PAYOUTS = [
+  { result: 'wildCardWin', category: 'wildCard', round: 'wildcard' },
+  { result: 'divisionalWin', category: 'divisional', round: 'divisional' },
+  { result: 'conferenceChampionshipWin', category: 'conferenceChampionship', round: 'conference' },
+  { result: 'superBowlAppearance', category: 'superBowlAppearance', round: 'conference' },
+  { result: 'superBowlWin', category: 'superBowlWin', round: 'superbowl' }
+];
+
+// Derives a league's payout ledger from the NFL results. A rebuild copies each owned
+// team's record and playoff results into the league, derives every earning event
+// (each regular season win, each playoff round, custom payout rules, the top teams
+// split), writes them to PayoutLedger, and sets team earnings and owners'
+// totalWinnings from the ledger.
+class PayoutLedgerService {
+  // Rebuild a league's ledger and earnings; returns each owner's earnings before and after
+  async rebuildLeague(leagueId) {
+    try {
+      const league = await League.findById(leagueId)
+        .populate([
+          {
+            path: 'teams.nflTeam',
+            select: 'name abbreviation city currentSeason weeklyResults'
+          },
+          {
+            path: 'teams.owner',
+            select: 'username'
+          }
+        ]);
+
+      if (!league) {
+        throw new Error('League not found');
+      }
+
+      const before = this.getOwnerEarnings(league);
+
+      league.teams.forEach(teamData => {
+        if (!teamData.owner) return;
+
+        const { wins, losses, ties, playoffResults } = teamData.nflTeam.currentSeason;
+        teamData.seasonStats.wins = wins;
+        teamData.seasonStats.losses = losses;
+        teamData.seasonStats.ties = ties;
+        teamData.seasonStats.playoffResults = playoffResults.toObject();
+      });
+
+      const entries = await this.deriveEntries(league);
+      await this.writeEntries(league, entries);
+
+      league.applyLedgerEntries(entries);
+      await league.save();
+      await this.syncUserTotals([...before.values()].map(entry => entry.owner));
+
+      const after = this.getOwnerEarnings(league);
+      return [...before.entries()].map(([ownerId, entry]) => ({
+        owner: entry.owner,
+        username: entry.username,
+        before: entry.total,
+        after: after.get(ownerId).total,
+        delta: after.get(ownerId).total - entry.total
+      }));
+    } catch (error) {
+      console.error('Error rebuilding payout ledger:', error);
+      throw error;
+    }
+  }
+
+  // Every earning event for the league's owned teams this season. `results` can
+  // supply the final games, every NFL team and whether the regular season is
+  // over instead of loading them; the payout simulator passes hypothetical ones.
+  async deriveEntries(league, results = {}) {
+    const season = league.season.year;
+    const games = results.games || await Game.find({ season, seasonType: { $in: ['regular', 'postseason'] }, status: 'final' })
+      .select('week seasonType playoffRound homeTeam awayTeam');
+    const gamesByTeamWeek = this.indexGames(games);
+    const gameFor = (teamId, week) => gamesByTeamWeek.get(`${teamId}:${week}`);
+
+    const owned = league.teams.filter(teamData => teamData.owner);
+    const entries = [];
+
+    // Regular season: the wins pool split evenly over every win by an owned team
+    const wins = owned.flatMap(teamData => teamData.nflTeam.weeklyResults
+      .filter(result => !result.isPlayoff && result.result === 'W')
+      .filter(result => !result.gameDate || seasonCalendarService.getCurrentSeason(result.gameDate) === season)
+      .map(result => ({ teamData, week: result.week })));
+    const winValue = wins.length > 0
+      ? (league.totalPrizePool * league.payoutStructure.regularSeasonWins) / 100 / wins.length
+      : 0;
+
+    wins.forEach(({ teamData, week }) => {
+      entries.push(this.buildEntry(teamData, 'regularSeasonWins', week, winValue, gameFor(teamData.nflTeam._id, week)));
+    });
+
+    // Playoffs: each round's payout, credited to the game that earned it
+    owned.forEach(teamData => {
+      PLAYOFF_PAYOUTS
+        .filter(({ result }) => teamData.seasonStats.playoffResults[result])
+        .forEach(({ result, category, round }) => {
+          const week = toResultWeek({ seasonType: 'postseason', playoffRound: round });
+          entries.push(this.buildEntry(teamData, category, week, league.calculatePlayoffPayout(result), gameFor(teamData.nflTeam._id, week)));
+        });
+    });
+
+    // Custom payout rules
+    const rulePayouts = await payoutRuleService.evaluateRules(league, owned, results);
+    rulePayouts.forEach(({ teamData, rule, week, amount, fromGame }) => {
+      const game = fromGame ? gameFor(teamData.nflTeam._id, week) : null;
+      entries.push(this.buildEntry(teamData, 'rules', week, amount, game, rule._id));
+    });
+
+    entries.push(...this.deriveTopTeamsSplit(league, owned, entries));
+
+    return entries.filter(entry => entry.amount > 0);
+  }
+
+  // Each game keyed by `${teamId}:${resultWeek}` for both its teams; the first game listed wins
+  indexGames(games) {
+    const index = new Map();
+
+    games.forEach(game => {
+      const week = toResultWeek(game);
+      [game.homeTeam, game.awayTeam].forEach(team => {
+        const key = `${team._id || team}:${week}`;
+        if (!index.has(key)) {
+          index.set(key, game);
+        }
+      });
+    });
+
+    return index;
+  }
+
+  // The top teams split goes in equal shares to the owned teams with the most earnings so far
+  deriveTopTeamsSplit(league, owned, entries) {
+    const { enabled, numberOfTeams, percentage } = league.payoutStructure.topTeamsSplit;
+    if (!enabled || owned.length === 0) return [];
+
+    const totals = new Map(owned.map(teamData => [teamData.nflTeam._id.toString(), 0]));
+    entries.forEach(entry => {
+      const teamId = entry.nflTeam.toString();
+      totals.set(teamId, totals.get(teamId) + entry.amount);
+    });
+
+    const topTeams = [...owned]
+      .sort((a, b) => totals.get(b.nflTeam._id.toString()) - totals.get(a.nflTeam._id.toString()))
+      .slice(0, numberOfTeams);
+    const share = (league.totalPrizePool * percentage) / 100 / topTeams.length;
+
+    return topTeams.map(teamData => this.buildEntry(teamData, 'topTeamsSplit', null, share, null));
+  }
+
+  buildEntry(teamData, category, week, amount, game, rule = null) {
+    return {
+      nflTeam: teamData.nflTeam._id,
+      owner: teamData.owner._id,
+      week,
+      category,
+      rule,
+      amount,
+      game: game ? game._id : null
+    };
+  }
+
+  // Upsert the derived entries and drop any the rebuild no longer produces
+  async writeEntries(league, entries) {
+    const rebuiltAt = new Date();
+
+    if (entries.length > 0) {
+      await PayoutLedger.bulkWrite(entries.map(entry => ({
+        updateOne: {
+          filter: { league: league._id, nflTeam: entry.nflTeam, category: entry.category, rule: entry.rule, week: entry.week },
+          update: {
+            $set: {
+              season: league.season.year,
+              owner: entry.owner,
+              amount: entry.amount,
+              game: entry.game,
+              rebuiltAt
+            }
+          },
+          upsert: true
+        }
+      })));
+    }
+
+    await PayoutLedger.deleteMany({ league: league._id, rebuiltAt: { $lt: rebuiltAt } });
+  }
+
+  // Set each owner's totalWinnings to the sum of their ledger entries across leagues
+  async syncUserTotals(ownerIds) {
+    if (ownerIds.length === 0) return;
+
+    const totals = await PayoutLedger.aggregate([
+      { $match: { owner: { $in: ownerIds } } },
+      { $group: { _id: '$owner', total: { $sum: '$amount' } } }
+    ]);
+    const byOwner = new Map(totals.map(entry => [entry._id.toString(), entry.total]));
+
+    await User.bulkWrite(ownerIds.map(ownerId => ({
+      updateOne: {
+        filter: { _id: ownerId },
+        update: { $set: { totalWinnings: byOwner.get(ownerId.toString()) || 0 } }
+      }
+    })));
+  }
+
+  // Total earnings per owner, keyed by owner id
+  getOwnerEarnings(league) {
+    const owners = new Map();
+
+    league.teams.forEach(teamData => {
+      if (!teamData.owner) return;
+
+      const ownerId = (teamData.owner._id || teamData.owner).toString();
+      const entry = owners.get(ownerId) || {
+        owner: teamData.owner._id || teamData.owner,
+        username: teamData.owner.username,
+        total: 0
+      };
+      entry.total += teamData.currentEarnings;
+      owners.set(ownerId, entry);
+    });
+
+    return owners;
+  }
+
+  // A league's ledger with per-owner and per-category totals
+  async getLeagueLedger(leagueId, filters = {}) {
+    const entries = await PayoutLedger.getLeagueLedger(leagueId, filters);
+    const byOwner = new Map();
+    const byCategory = {};
+
+    entries.forEach(entry => {
+      const ownerId = entry.owner._id.toString();
+      const owner = byOwner.get(ownerId) || { owner: entry.owner, total: 0 };
+      owner.total += entry.amount;
+      byOwner.set(ownerId, owner);
+      byCategory[entry.category] = (byCategory[entry.category] || 0) + entry.amount;
+    });
+
+    return {
+      entries,
+      totals: {
+        total: entries.reduce((sum, entry) => sum + entry.amount, 0),
+        byOwner: [...byOwner.values()].sort((a, b) => b.total - a.total),
+        byCategory
+      }
+    };
+  }
+
+  // Week-by-week earnings per owner and per team: each week's amount by category, the
+  // running total and, for owners, their rank on it. Season-long entries (the top
+  // teams split) have no week and count in the last week. `week` stops the series there.
+  async getTimeline(leagueId, { week = null } = {}) {
+    const league = await League.findById(leagueId)
+      .select('teams')
+      .populate([
+        {
+          path: 'teams.nflTeam',
+          select: 'name city abbreviation logo'
+        },
+        {
+          path: 'teams.owner',
+          select: 'username'
+        }
+      ]);
+
+    if (!league) {
+      throw new AppError('League not found', 404);
+    }
+
+    const entries = await PayoutLedger.find({ league: leagueId })
+      .select('nflTeam owner week category amount')
+      .lean();
+
+    const lastWeek = Math.max(0, ...entries.map(entry => entry.week || 0)) ||
+      (entries.length > 0 ? 1 : 0);
+    const weekCount = week ? Math.min(week, lastWeek) : lastWeek;
+    const weeks = Array.from({ length: weekCount }, (_, index) => ({
+      week: index + 1,
+      playoffRound: index + 1 > REGULAR_SEASON_WEEKS ? PLAYOFF_ROUNDS[index - REGULAR_SEASON_WEEKS] : null
+    }));
+
+    const series = () => ({ total: 0, weeks: weeks.map(({ week: number }) => ({ week: number, amount: 0, cumulative: 0, byCategory: {} })) });
+    const owners = new Map();
+    const teams = new Map();
+
+    league.teams.forEach(teamData => {
+      if (!teamData.owner) return;
+      const ownerId = teamData.owner._id.toString();
+      if (!owners.has(ownerId)) {
+        owners.set(ownerId, { owner: teamData.owner, ...series() });
+      }
+      teams.set(teamData.nflTeam._id.toString(), { nflTeam: teamData.nflTeam, owner: teamData.owner, ...series() });
+    });
+
+    entries.forEach(entry => {
+      const index = (entry.week || lastWeek) - 1;
+      if (index >= weekCount) return;
+
+      [owners.get(entry.owner.toString()), teams.get(entry.nflTeam.toString())]
+        .filter(Boolean)
+        .forEach(item => {
+          const point = item.weeks[index];
+          point.amount += entry.amount;
+          point.byCategory[entry.category] = (point.byCategory[entry.category] || 0) + entry.amount;
+        });
+    });
+
+    [...owners.values(), ...teams.values()].forEach(item => {
+      item.weeks.forEach((point, index) => {
+        point.cumulative = (index > 0 ? item.weeks[index - 1].cumulative : 0) + point.amount;
+      });
+      item.total = item.weeks.length > 0 ? item.weeks[item.weeks.length - 1].cumulative : 0;
+    });
+
+    // Rank on the running total each week; owners level on earnings share a rank
+    const ownerList = [...owners.values()];
+    weeks.forEach((_, index) => {
+      ownerList.forEach(owner => {
+        const cumulative = owner.weeks[index].cumulative;
+        owner.weeks[index].rank = 1 + ownerList.filter(other => other.weeks[index].cumulative > cumulative).length;
+      });
+    });
+
+    return {
+      weeks,
+      owners: ownerList.sort((a, b) => b.total - a.total),
+      teams: [...teams.values()].sort((a, b) => b.total - a.total)
+    };
+  }
+}
+
+module.exports = new PayoutLedgerService();
@@ -0,0 +1,120 @@
+const NFLTeam = require('../models/NFLTeam');
+const seasonCalendarService = require('./seasonCalendarService');
+const standingsService = require('./standingsService');
+const { REGULAR_SEASON_WEEKS } = require('./nflProviders');
+
+// How each payout rule type picks its events. An evaluator returns the events for
+// the league's owned teams ({ teamData, week, weight }) and, for rules with a fixed
+// number of winners, `shares`: how many NFL teams qualify in total, so an unowned
+// winner's share goes unpaid instead of being handed to the owned ones.
+const RULE_EVALUATORS = {
+  // Each regular season win earns its winning margin in points
+  pointDifferential: (rule, context) => ({
+    events: context.wins.map(win => ({ ...win, weight: win.result.score.team - win.result.score.opponent }))
+  }),
+
+  // One share per division champion, once the regular season is over
+  divisionTitle: (rule, context) => {
+    if (!context.regularSeasonComplete) return { events: [] };
+
+    const champions = context.teams.filter(team => team.currentSeason.divisionRank === 1);
+    return {
+      events: context.owned
+        .filter(teamData => champions.some(team => team._id.equals(teamData.nflTeam._id)))
+        .map(teamData => ({ teamData, week: REGULAR_SEASON_WEEKS, weight: 1 })),
+      shares: champions.length
+    };
+  },
+
+  // A consolation for the worst regular season record, split between tied teams
+  worstRecord: (rule, context) => {
+    if (!context.regularSeasonComplete) return { events: [] };
+
+    const winPercentage = ({ wins, losses, ties }) => {
+      const games = wins + losses + ties;
+      return games > 0 ? (wins + ties / 2) / games : 0;
+    };
+    const worst = Math.min(...context.teams.map(team => winPercentage(team.currentSeason)));
+    const losers = context.teams.filter(team => winPercentage(team.currentSeason) === worst);
+
+    return {
+      events: context.owned
+        .filter(teamData => losers.some(team => team._id.equals(teamData.nflTeam._id)))
+        .map(teamData => ({ teamData, week: REGULAR_SEASON_WEEKS, weight: 1 })),
+      shares: losers.length
+    };
+  },
+
+  // Regular season wins, each week adding weeklyIncrease percent of a week 1 win's weight
+  risingWinBonus: (rule, context) => ({
+    events: context.wins.map(win => ({ ...win, weight: 1 + (win.week - 1) * rule.weeklyIncrease / 100 }))
+  }),
+
+  // Wins over an opponent that had at least minWinGap more wins going into the game
+  upsetWin: (rule, context) => ({
+    events: context.wins
+      .filter(win => {
+        const opponent = context.teamsByAbbreviation.get(win.result.opponent);
+        if (!opponent) return false;
+        return context.winsBefore(opponent, win.week) - context.winsBefore(win.teamData.nflTeam, win.week) >= rule.minWinGap;
+      })
+      .map(win => ({ ...win, weight: 1 }))
+  })
+};
+
+// Evaluates a league's custom payout rules into ledger amounts. Each rule's share
+// of the prize pool is split over its events in proportion to their weight.
+class PayoutRuleService {
+  // The rule types there is an evaluator for
+  getRuleTypes() {
+    return Object.keys(RULE_EVALUATORS);
+  }
+
+  // Payouts from every rule: { teamData, rule, week, amount, fromGame }. `results`
+  // may supply every NFL team and whether the regular season is over (see
+  // payoutLedgerService.deriveEntries).
+  async evaluateRules(league, owned, results = {}) {
+    const rules = league.payoutStructure.rules || [];
+    if (rules.length === 0 || league.totalPrizePool === 0) return [];
+
+    const context = await this.buildContext(league, owned, results);
+    return rules.flatMap(rule => {
+      const { events, shares } = RULE_EVALUATORS[rule.type](rule, context);
+      const totalWeight = shares || events.reduce((sum, event) => sum + event.weight, 0);
+      if (totalWeight <= 0) return [];
+
+      const pool = (league.totalPrizePool * rule.percentage) / 100;
+      return events
+        .filter(event => event.weight > 0)
+        .map(event => ({
+          teamData: event.teamData,
+          rule,
+          week: event.week,
+          amount: pool * event.weight / totalWeight,
+          fromGame: Boolean(event.result)
+        }));
+    });
+  }
+
+  async buildContext(league, owned, results = {}) {
+    const season = league.season.year;
+    const teams = results.teams || await NFLTeam.find({ isActive: true }).select('abbreviation currentSeason weeklyResults');
+    const inSeason = (result) => !result.isPlayoff && (!result.gameDate || seasonCalendarService.getCurrentSeason(result.gameDate) === season);
+
+    return {
+      owned,
+      teams,
+      teamsByAbbreviation: new Map(teams.map(team => [team.abbreviation, team])),
+      regularSeasonComplete: results.regularSeasonComplete ?? await standingsService.isRegularSeasonComplete(season),
+      // Every regular season win by an owned team
+      wins: owned.flatMap(teamData => teamData.nflTeam.weeklyResults
+        .filter(result => inSeason(result) && result.result === 'W')
+        .map(result => ({ teamData, week: result.week, result }))),
+      winsBefore: (team, week) => team.weeklyResults
+        .filter(result => inSeason(result) && result.result === 'W' && result.week < week)
+        .length
+    };
+  }
+}
+
+module.exports = new PayoutRuleService();
@@ -1,6 +1,10 @@
 const League = require('../models/League');
 const NFLTeam = require('../models/NFLTeam');
-const User = require('../models/User');
+const seasonCalendarService = require('./seasonCalendarService');
+const payoutLedgerService = require('./payoutLedgerService');
+const payoutRuleService = require('./payoutRuleService');
+const settlementService = require('./settlementService');
+const { AppError } = require('../middleware/errorHandler');
 
 class PayoutService {
   // Calculate weekly payouts for all active leagues based on NFL results
@@ -8,23 +12,15 @@ class PayoutService {
     try {
       console.log('Calculating weekly payouts...');
       
-      const activeLeagues = await League.find({ status: 'active' })
-        .populate([
-          {
-            path: 'teams.nflTeam',
-            select: 'name abbreviation city wins losses ties playoffStatus playoffResults'
-          },
-          {
-            path: 'teams.owner',
-            select: 'username email'
-          }
-        ]);
+      const activeLeagues = await League.find({ status: 'active' }).select('name weeklyUpdates');
+
+      const { resultWeek } = await seasonCalendarService.getCurrentWeek();
 
       let totalLeaguesProcessed = 0;
       let totalPayouts = 0;
 
       for (const league of activeLeagues) {
-        const leaguePayout = await this.updateLeagueWeeklyResults(league);
+        const leaguePayout = await this.updateLeagueWeeklyResults(league, resultWeek);
         totalPayouts += leaguePayout;
         totalLeaguesProcessed++;
       }
@@ -41,98 +37,37 @@ class PayoutService {
     }
   }
 
-  // Update league with latest NFL results and recalculate earnings
-  async updateLeagueWeeklyResults(league) {
+  // Update league with latest NFL results and rebuild its payout ledger
+  async updateLeagueWeeklyResults(league, currentWeek = null) {
     try {
       console.log(`Updating results for league: ${league.name}`);
       
-      let hasChanges = false;
-      const currentWeek = this.getCurrentWeek();
+      if (currentWeek === null) {
+        ({ resultWeek: currentWeek } = await seasonCalendarService.getCurrentWeek());
+      }
 
       // Update league week tracking
       if (league.weeklyUpdates.currentWeek < currentWeek) {
-        league.weeklyUpdates.currentWeek = currentWeek;
-        league.weeklyUpdates.lastUpdateDate = new Date();
-        hasChanges = true;
-      }
-
-      // Update team records from NFL API data
-      for (const teamData of league.teams) {
-        if (!teamData.owner) continue; // Skip unowned teams
-
-        const nflTeam = teamData.nflTeam;
-        const previousWins = teamData.seasonStats.wins;
-        
-        // Update team record
-        if (nflTeam.wins !== teamData.seasonStats.wins ||
-            nflTeam.losses !== teamData.seasonStats.losses ||
-            nflTeam.ties !== teamData.seasonStats.ties) {
-          
-          league.updateTeamRecord(nflTeam._id, nflTeam.wins, nflTeam.losses, nflTeam.ties);
-          hasChanges = true;
-          
-          const newWins = nflTeam.wins - previousWins;
-          if (newWins > 0) {
-            console.log(`${teamData.owner.username}'s ${nflTeam.city} ${nflTeam.name} earned ${newWins} new wins`);
+        await League.updateOne({ _id: league._id }, {
+          $set: {
+            'weeklyUpdates.currentWeek': currentWeek,
+            'weeklyUpdates.lastUpdateDate': new Date()
           }
-        }
-
-        // Update playoff results
-        if (nflTeam.playoffResults) {
-          const playoffUpdates = this.checkPlayoffUpdates(teamData.seasonStats.playoffResults, nflTeam.playoffResults);
-          
-          for (const update of playoffUpdates) {
-            league.updateTeamPlayoffResult(nflTeam._id, update.type, true);
-            hasChanges = true;
-            console.log(`${teamData.owner.username}'s ${nflTeam.city} ${nflTeam.name} advanced in playoffs: ${update.type}`);
-          }
-        }
+        });
       }
 
-      // Recalculate all earnings if there were changes
-      if (hasChanges) {
-        league.recalculateAllEarnings();
-        await league.save();
-        
-        // Update user total winnings
-        for (const teamData of league.teams) {
-          if (teamData.owner && teamData.currentEarnings > 0) {
-            await User.findByIdAndUpdate(teamData.owner._id, {
-              $set: { 
-                [`leagueWinnings.${league._id}`]: teamData.currentEarnings
-              }
-            });
-          }
-        }
-      }
+      const owners = await payoutLedgerService.rebuildLeague(league._id);
+      owners
+        .filter(owner => owner.delta !== 0)
+        .forEach(owner => console.log(`${owner.username} earned $${owner.delta.toFixed(2)} in ${league.name}`));
 
-      const totalNewEarnings = league.teams.reduce((sum, team) => sum + team.currentEarnings, 0);
-      return totalNewEarnings;
+      return owners.reduce((sum, owner) => sum + owner.after, 0);
     } catch (error) {
       console.error(`Error updating league ${league.name}:`, error);
       throw error;
     }
   }
 
-  // Check for new playoff advancement
-  checkPlayoffUpdates(currentResults, nflResults) {
-    const updates = [];
-    
-    const checkAndAdd = (type, current, nfl) => {
-      if (!current && nfl) {
-        updates.push({ type });
-      }
-    };
-
-    checkAndAdd('wildCardWin', currentResults.wildCardWin, nflResults.wildCardWin);
-    checkAndAdd('divisionalWin', currentResults.divisionalWin, nflResults.divisionalWin);
-    checkAndAdd('conferenceChampionshipWin', currentResults.conferenceChampionshipWin, nflResults.conferenceChampionshipWin);
-    checkAndAdd('superBowlAppearance', currentResults.superBowlAppearance, nflResults.superBowlAppearance);
-    checkAndAdd('superBowlWin', currentResults.superBowlWin, nflResults.superBowlWin);
-
-    return updates;
-  }
-
   // Get league payout summary with detailed breakdown
   async getLeaguePayoutSummary(leagueId) {
     try {
@@ -140,7 +75,7 @@ class PayoutService {
         .populate([
           {
             path: 'teams.nflTeam',
-            select: 'name abbreviation city wins losses ties playoffStatus'
+            select: 'name abbreviation city currentSeason'
           },
           {
             path: 'teams.owner',
@@ -229,44 +164,19 @@ class PayoutService {
   // Finalize season and complete league
   async finalizeSeasonPayouts(leagueId) {
     try {
-      const league = await League.findById(leagueId)
-        .populate([
-          {
-            path: 'teams.nflTeam',
-            select: 'name abbreviation city playoffStatus'
-          },
-          {
-            path: 'teams.owner',
-            select: 'username email'
-          }
-        ]);
+      // Final rebuild of the ledger, including the top teams split
+      await payoutLedgerService.rebuildLeague(leagueId);
 
-      if (!league) {
-        throw new Error('League not found');
-      }
+      const league = await League.findById(leagueId);
 
-      // Perform final recalculation including top teams split
-      league.recalculateAllEarnings();
-      
       // Mark league as completed
       league.status = 'completed';
       league.distributedWinnings = league.teams.reduce((sum, team) => sum + team.currentEarnings, 0);
       
       await league.save();
 
-      // Update all user records with final winnings
-      for (const teamData of league.teams) {
-        if (teamData.owner && teamData.currentEarnings > 0) {
-          await User.findByIdAndUpdate(teamData.owner._id, {
-            $set: { 
-              [`leagueWinnings.${league._id}`]: teamData.currentEarnings
-            },
-            $inc: {
-              totalWinnings: teamData.currentEarnings
-            }
-          });
-        }
-      }
+      // Turn buy-ins and winnings into who pays whom
+      const settlement = await settlementService.finalize(league._id);
 
       console.log(`Season finalized for league: ${league.name}`);
       console.log(`Total prize pool: $${league.totalPrizePool}`);
@@ -277,6 +187,7 @@ class PayoutService {
         leagueId: league._id,
         totalPrizePool: league.totalPrizePool,
         totalDistributed: league.distributedWinnings,
+        transfers: settlement.transfers.length,
         finalStandings: await this.getLeaguePayoutSummary(leagueId)
       };
     } catch (error) {
@@ -285,30 +196,7 @@ class PayoutService {
     }
   }
 
-  // Get current week number based on NFL season
-  getCurrentWeek() {
-    const now = new Date();
-    const year = now.getFullYear();
-    
-    // NFL season typically starts first Thursday of September
-    const seasonStart = new Date(year, 8, 1); // September 1st approximation
-    const firstThursday = new Date(seasonStart);
-    const dayOfWeek = seasonStart.getDay();
-    const daysToThursday = (4 - dayOfWeek + 7) % 7;
-    firstThursday.setDate(seasonStart.getDate() + daysToThursday);
-    
-    if (now < firstThursday) {
-      // Pre-season
-      return 0;
-    }
-    
-    const weeksSinceStart = Math.floor((now - firstThursday) / (7 * 24 * 60 * 60 * 1000));
-    
-    // Regular season: weeks 1-18, Playoffs: weeks 19-22
-    return Math.min(Math.max(weeksSinceStart + 1, 1), 22);
-  }
-
-  // Validate payout structure totals
+  // Validate payout structure totals, custom rules included
   validatePayoutStructure(payoutStructure) {
     const basePercentages = [
       payoutStructure.regularSeasonWins,
@@ -324,9 +212,19 @@ class PayoutService {
     if (payoutStructure.topTeamsSplit && payoutStructure.topTeamsSplit.enabled) {
       totalPercentage += payoutStructure.topTeamsSplit.percentage;
     }
+
+    (payoutStructure.rules || []).forEach(rule => {
+      if (!payoutRuleService.getRuleTypes().includes(rule.type)) {
+        throw new AppError(`Unknown payout rule type: ${rule.type}`, 400);
+      }
+      if (typeof rule.percentage !== 'number' || rule.percentage < 0) {
+        throw new AppError('Each payout rule needs a percentage of 0 or more', 400);
+      }
+      totalPercentage += rule.percentage;
+    });
     
     if (totalPercentage > 100) {
-      throw new Error(`Total payout percentage (${totalPercentage.toFixed(1)}%) cannot exceed 100%`);
+      throw new AppError(`Total payout percentage (${totalPercentage.toFixed(1)}%) cannot exceed 100%`, 400);
     }
 
     if (totalPercentage < 80) {
@@ -360,7 +258,12 @@ class PayoutService {
       },
       topTeamsSplit: structure.topTeamsSplit.enabled 
         ? (totalPool * structure.topTeamsSplit.percentage / 100 / structure.topTeamsSplit.numberOfTeams).toFixed(2)
-        : 0
+        : 0,
+      rules: structure.rules.map(rule => ({
+        type: rule.type,
+        name: rule.name,
+        pool: (totalPool * rule.percentage / 100).toFixed(2)
+      }))
     };
   }
 }
@@ -0,0 +1,549 @@
+const Game = require('../models/Game');
+const League = require('../models/League');
+const NFLTeam = require('../models/NFLTeam');
+const PlayoffBracket = require('../models/PlayoffBracket');
+const standingsService = require('./standingsService');
+const playoffBracketService = require('./playoffBracketService');
+const payoutLedgerService = require('./payoutLedgerService');
+const payoutService = require('./payoutService');
+const { toResultWeek } = require('./nflProviders');
+const { AppError } = require('../middleware/errorHandler');
+
+// Games that can still be given a hypothetical result
+const REMAINING_STATUSES = ['scheduled', 'in_progress', 'postponed'];
+
+// Score of a hypothetical win: a touchdown margin, for rules that pay by margin
+const SIMULATED_SCORE = { winner: 24, loser: 17 };
+
+// Record-based win probabilities: each record is pulled towards .500 as if the team
+// had also split this many games, and the home team gets a small edge (none in the
+// Super Bowl, which is played at a neutral site)
+const PRIOR_GAMES = 4;
+const HOME_FIELD_EDGE = 0.03;
+const MIN_PROBABILITY = 0.05;
+
+// Monte Carlo runs are capped so one request can't hold the server for long, and
+// yield to the event loop between batches of simulated seasons
+const DEFAULT_ITERATIONS = 100;
+const MAX_ITERATIONS = 200;
+const BATCH_SIZE = 10;
+
+const PLAYOFF_RESULT_KEYS = [
+  'wildCardWin',
+  'divisionalWin',
+  'conferenceChampionshipWin',
+  'superBowlAppearance',
+  'superBowlWin'
+];
+
+const emptyResults = () => Object.fromEntries(PLAYOFF_RESULT_KEYS.map(key => [key, false]));
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// "What if" payouts for a league. Remaining games are given hypothetical results,
+// the standings and playoff bracket are played out from them, and the league's
+// payout ledger is derived in memory from the outcome, so projections follow the
+// same rules as real earnings. Nothing is saved. A scenario plays one chosen set
+// of results; a Monte Carlo run samples the unpicked games from win probabilities
+// many times over.
+class PayoutSimulatorService {
+  // What the simulator page needs: the remaining games with their win probabilities,
+  // the owned teams' current playoff results and the league's payout preview
+  async getOptions(leagueId) {
+    const data = await this.loadSeason(leagueId);
+    const describeTeam = (teamId) => {
+      const team = data.teamsById.get(teamId.toString());
+      return team ? { _id: team._id, name: team.name, city: team.city, abbreviation: team.abbreviation } : null;
+    };
+
+    return {
+      league: this.describeLeague(data.league),
+      regularSeasonComplete: data.regularSeasonComplete,
+      preview: payoutService.calculatePayoutPreview(data.league),
+      games: data.remaining.map(game => ({
+        _id: game._id,
+        week: game.week,
+        seasonType: game.seasonType,
+        playoffRound: game.playoffRound,
+        kickoff: game.kickoff,
+        status: game.status,
+        homeTeam: describeTeam(game.homeTeam),
+        awayTeam: describeTeam(game.awayTeam),
+        homeWinProbability: round(this.homeWinProbability(game, data.teamsById))
+      })),
+      teams: data.league.teams
+        .filter(teamData => teamData.owner)
+        .map(teamData => ({
+          nflTeam: describeTeam(teamData.nflTeam._id),
+          owner: { _id: teamData.owner._id, username: teamData.owner.username },
+          currentEarnings: teamData.currentEarnings,
+          playoffResults: { ...emptyResults(), ...data.teamsById.get(teamData.nflTeam._id.toString())?.currentSeason.playoffResults }
+        }))
+    };
+  }
+
+  // Project final earnings from picked game winners and playoff runs. Games without
+  // a pick stay unplayed, so their payouts are left out of the projection.
+  async runScenario(leagueId, { games = [], playoffs = [] } = {}) {
+    try {
+      const data = await this.loadSeason(leagueId);
+      const picks = this.readPicks(data, games);
+      const runs = this.readRuns(data, playoffs);
+
+      const season = await this.playSeason(data, game => picks.get(game._id?.toString()) || null, runs);
+      const projected = this.totalsBy(season.entries, 'nflTeam');
+
+      const owners = this.describeOwners(data.league).map(owner => {
+        const teams = owner.teams.map(team => ({
+          ...team,
+          projected: round(projected.get(team.nflTeam._id.toString()) || 0)
+        }));
+        const total = teams.reduce((sum, team) => sum + team.projected, 0);
+
+        return { ...owner, teams, projected: round(total), delta: round(total - owner.current) };
+      });
+
+      return {
+        league: this.describeLeague(data.league),
+        regularSeasonComplete: season.regularSeasonComplete,
+        unplayedGames: data.remaining.filter(game => !picks.has(game._id.toString())).length,
+        owners: owners.sort((a, b) => b.projected - a.projected)
+      };
+    } catch (error) {
+      console.error('Error running payout scenario:', error);
+      throw error;
+    }
+  }
+
+  // Estimate each owner's expected payout and odds of finishing first by playing the
+  // rest of the season many times. Picked games and playoff runs are held fixed;
+  // every other game is decided at random from its home win probability.
+  async runMonteCarlo(leagueId, { games = [], playoffs = [], probabilities = [], iterations = DEFAULT_ITERATIONS } = {}) {
+    try {
+      const data = await this.loadSeason(leagueId);
+      const picks = this.readPicks(data, games);
+      const runs = this.readRuns(data, playoffs);
+      const chances = this.readProbabilities(data, probabilities);
+      const runCount = Math.min(Math.max(1, iterations), MAX_ITERATIONS);
+
+      const decide = (game) => {
+        const id = game._id?.toString();
+        if (id && picks.has(id)) return picks.get(id);
+
+        const chance = id && chances.has(id) ? chances.get(id) : this.homeWinProbability(game, data.teamsById);
+        return Math.random() < chance ? game.homeTeam : game.awayTeam;
+      };
+
+      const owners = this.describeOwners(data.league);
+      const stats = new Map(owners.map(owner => [owner.owner._id.toString(), { sum: 0, first: 0, min: Infinity, max: -Infinity }]));
+
+      for (let run = 0; run < runCount; run++) {
+        if (run > 0 && run % BATCH_SIZE === 0) {
+          await new Promise(resolve => setImmediate(resolve));
+        }
+
+        const season = await this.playSeason(data, decide, runs);
+        const totals = this.totalsBy(season.entries, 'owner');
+        const best = Math.max(...owners.map(owner => round(totals.get(owner.owner._id.toString()) || 0)));
+        const leaders = owners.filter(owner => round(totals.get(owner.owner._id.toString()) || 0) === best);
+
+        stats.forEach((entry, ownerId) => {
+          const total = totals.get(ownerId) || 0;
+          entry.sum += total;
+          entry.min = Math.min(entry.min, total);
+          entry.max = Math.max(entry.max, total);
+        });
+        // Owners tied for first share the finish
+        leaders.forEach(owner => {
+          stats.get(owner.owner._id.toString()).first += 1 / leaders.length;
+        });
+      }
+
+      return {
+        league: this.describeLeague(data.league),
+        iterations: runCount,
+        owners: owners
+          .map(owner => {
+            const entry = stats.get(owner.owner._id.toString());
+            return {
+              owner: owner.owner,
+              current: owner.current,
+              expected: round(entry.sum / runCount),
+              firstPlaceOdds: Math.round((entry.first / runCount) * 1000) / 1000,
+              min: round(entry.min),
+              max: round(entry.max)
+            };
+          })
+          .sort((a, b) => b.expected - a.expected)
+      };
+    } catch (error) {
+      console.error('Error running payout Monte Carlo simulation:', error);
+      throw error;
+    }
+  }
+
+  // Each owned team's earnings change, by NFL team id, if the given remaining games
+  // end with the given winners (by game id) and nothing else is played: the ledger
+  // derived with those results less the ledger derived from the results as they stand
+  async projectWinners(leagueId, winners) {
+    try {
+      const data = await this.loadSeason(leagueId);
+      const current = await this.playSeason(data, () => null);
+      const projected = await this.playSeason(data, game => winners.get(game._id?.toString()) || null);
+
+      const before = this.totalsBy(current.entries, 'nflTeam');
+      const after = this.totalsBy(projected.entries, 'nflTeam');
+
+      return new Map(data.league.teams
+        .filter(teamData => teamData.owner)
+        .map(teamData => {
+          const teamId = teamData.nflTeam._id.toString();
+          return [teamId, (after.get(teamId) || 0) - (before.get(teamId) || 0)];
+        }));
+    } catch (error) {
+      console.error('Error projecting live results:', error);
+      throw error;
+    }
+  }
+
+  // The league and the season's teams, games and playoff seeding as they stand
+  async loadSeason(leagueId) {
+    const league = await League.findById(leagueId)
+      .populate([
+        {
+          path: 'teams.nflTeam',
+          select: 'name city abbreviation'
+        },
+        {
+          path: 'teams.owner',
+          select: 'username'
+        }
+      ]);
+
+    if (!league) {
+      throw new AppError('League not found', 404);
+    }
+
+    const season = league.season.year;
+    const [teams, storedGames, bracket, regularSeasonComplete] = await Promise.all([
+      NFLTeam.find({ isActive: true })
+        .select('name city abbreviation conference division currentSeason weeklyResults')
+        .lean(),
+      Game.find({ season, seasonType: { $in: ['regular', 'postseason'] } })
+        .select('season week seasonType playoffRound homeTeam awayTeam kickoff status score')
+        .sort({ kickoff: 1 })
+        .lean(),
+      PlayoffBracket.findOne({ season }),
+      standingsService.isRegularSeasonComplete(season)
+    ]);
+
+    // Plain games rather than documents: a Monte Carlo run reads them many thousand times
+    const games = storedGames.map(game => this.asGame(game));
+
+    return {
+      league,
+      season,
+      payoutStructure: league.payoutStructure.toObject(),
+      teams,
+      teamsById: new Map(teams.map(team => [team._id.toString(), team])),
+      regularGameCount: games.filter(game => game.seasonType === 'regular').length,
+      finals: games.filter(game => game.status === 'final'),
+      remaining: games.filter(game => REMAINING_STATUSES.includes(game.status)),
+      overrides: bracket?.overrides || [],
+      // Once the regular season is over the real seeds stand
+      seeds: regularSeasonComplete ? await playoffBracketService.getSeeds(bracket) : null,
+      regularSeasonComplete
+    };
+  }
+
+  // Play the rest of the season once. decide(game) names the winner of a remaining
+  // or projected game, or returns null to leave it unplayed; runs replace teams'
+  // playoff results. Returns the league's ledger entries for the outcome.
+  async playSeason(data, decide, runs = new Map()) {
+    const teams = data.teams.map(team => ({
+      ...team,
+      currentSeason: { ...team.currentSeason },
+      weeklyResults: [...team.weeklyResults]
+    }));
+    const teamsById = new Map(teams.map(team => [team._id.toString(), team]));
+
+    // Regular season, then the standings it produces
+    const remainingRegular = data.remaining.filter(game => game.seasonType === 'regular');
+    const played = [];
+    remainingRegular.forEach(game => {
+      const winner = decide(game);
+      if (!winner) return;
+
+      const result = this.simulatedGame(game, winner);
+      this.recordResult(result, teamsById);
+      played.push(result);
+    });
+
+    const regularSeasonComplete = data.regularGameCount > 0 && played.length === remainingRegular.length;
+    if (played.length > 0) {
+      const regularGames = [...data.finals.filter(game => game.seasonType === 'regular'), ...played];
+      standingsService.rankStandings(teams, regularGames).teams.forEach(record => {
+        record.team.currentSeason.divisionRank = record.divisionRank;
+        record.team.currentSeason.conferenceRank = record.conferenceRank;
+        record.team.currentSeason.playoffSeed = record.playoffSeed;
+      });
+    }
+
+    // Playoffs: the bracket played out from the seeds, when they are settled
+    const seeds = data.seeds || (regularSeasonComplete ? this.seedsFrom(teams) : null);
+    const playoffResults = new Map(teams.map(team => [team._id.toString(), { ...emptyResults(), ...team.currentSeason.playoffResults }]));
+    let postseason = data.finals.filter(game => game.seasonType === 'postseason');
+
+    if (seeds && seeds.size > 0) {
+      const bracket = this.playBracket(seeds, data, decide);
+      postseason = bracket.games;
+
+      playoffResults.forEach((results, teamId) => playoffResults.set(teamId, emptyResults()));
+      playoffBracketService
+        .applyOverrides(playoffBracketService.buildOutcomes(seeds, bracket.matchups), data.overrides)
+        .forEach(outcome => playoffResults.set(outcome.team.toString(), outcome.playoffResults));
+    }
+    runs.forEach((results, teamId) => playoffResults.set(teamId, results));
+
+    const owned = data.league.teams
+      .filter(teamData => teamData.owner)
+      .map(teamData => ({
+        nflTeam: teamsById.get(teamData.nflTeam._id.toString()),
+        owner: teamData.owner,
+        seasonStats: { playoffResults: playoffResults.get(teamData.nflTeam._id.toString()) || emptyResults() }
+      }))
+      .filter(teamData => teamData.nflTeam);
+
+    const league = {
+      season: data.league.season,
+      totalPrizePool: data.league.totalPrizePool,
+      payoutStructure: data.payoutStructure,
+      teams: owned,
+      calculatePlayoffPayout: (result) => data.league.calculatePlayoffPayout(result)
+    };
+
+    const entries = await payoutLedgerService.deriveEntries(league, {
+      games: [...data.finals.filter(game => game.seasonType === 'regular'), ...played, ...postseason],
+      teams,
+      regularSeasonComplete
+    });
+
+    return { entries, regularSeasonComplete };
+  }
+
+  // Decide bracket games round by round until no matchup with both teams known is
+  // left undecided. Returns the matchups and the final postseason games.
+  playBracket(seeds, data, decide) {
+    let games = [...data.finals, ...data.remaining].filter(game => game.seasonType === 'postseason');
+
+    for (;;) {
+      const matchups = playoffBracketService.buildMatchups(seeds, games);
+      const results = matchups
+        .filter(matchup => !matchup.winner && matchup.homeTeam && matchup.awayTeam)
+        .map(matchup => {
+          const game = games.find(candidate => matchup.game && candidate._id?.equals(matchup.game)) ||
+            this.projectedGame(matchup, data.season);
+          const winner = decide(game);
+          return winner ? { game, result: this.simulatedGame(game, winner) } : null;
+        })
+        .filter(Boolean);
+
+      if (results.length === 0) {
+        return { matchups, games: games.filter(game => game.status === 'final') };
+      }
+
+      games = [
+        ...games.filter(game => !results.some(({ game: decided }) => decided === game)),
+        ...results.map(({ result }) => result)
+      ];
+    }
+  }
+
+  // A bracket game that hasn't been scheduled yet
+  projectedGame(matchup, season) {
+    return this.asGame({
+      season,
+      week: null,
+      seasonType: 'postseason',
+      playoffRound: matchup.round,
+      homeTeam: matchup.homeTeam,
+      awayTeam: matchup.awayTeam,
+      kickoff: null,
+      status: 'scheduled'
+    });
+  }
+
+  // A game with a hypothetical final score
+  simulatedGame(game, winnerId) {
+    const homeWins = game.homeTeam.toString() === winnerId.toString();
+
+    return this.asGame({
+      ...game,
+      status: 'final',
+      score: {
+        home: homeWins ? SIMULATED_SCORE.winner : SIMULATED_SCORE.loser,
+        away: homeWins ? SIMULATED_SCORE.loser : SIMULATED_SCORE.winner
+      }
+    });
+  }
+
+  // Game fields with Game's involves method, as the standings, bracket and ledger code expect
+  asGame({ _id = null, season, week, seasonType, playoffRound, homeTeam, awayTeam, kickoff, status, score = null }) {
+    return {
+      _id,
+      season,
+      week,
+      seasonType,
+      playoffRound,
+      homeTeam,
+      awayTeam,
+      kickoff,
+      status,
+      score: score || { home: null, away: null },
+      involves(teamId) {
+        return [this.homeTeam, this.awayTeam].some(id => id.toString() === teamId.toString());
+      }
+    };
+  }
+
+  // Add a simulated regular season game to both teams' weekly results and records
+  recordResult(game, teamsById) {
+    const home = teamsById.get(game.homeTeam.toString());
+    const away = teamsById.get(game.awayTeam.toString());
+    if (!home || !away) return;
+
+    [[home, away, game.score.home, game.score.away, true], [away, home, game.score.away, game.score.home, false]]
+      .forEach(([team, opponent, pointsFor, pointsAgainst, isHome]) => {
+        const result = pointsFor > pointsAgainst ? 'W' : 'L';
+        team.weeklyResults.push({
+          week: toResultWeek(game),
+          opponent: opponent.abbreviation,
+          isHome,
+          result,
+          score: { team: pointsFor, opponent: pointsAgainst },
+          isPlayoff: false,
+          playoffRound: null,
+          gameDate: game.kickoff
+        });
+        team.currentSeason = {
+          ...team.currentSeason,
+          wins: team.currentSeason.wins + (result === 'W' ? 1 : 0),
+          losses: team.currentSeason.losses + (result === 'L' ? 1 : 0)
+        };
+      });
+  }
+
+  // Seeds by team id from simulated standings, shaped like playoffBracketService.getSeeds
+  seedsFrom(teams) {
+    return new Map(teams
+      .filter(team => team.currentSeason.playoffSeed)
+      .map(team => [
+        team._id.toString(),
+        { team: team._id, conference: team.conference, seed: team.currentSeason.playoffSeed }
+      ]));
+  }
+
+  // Chance the home team wins, from both teams' records (log5)
+  homeWinProbability(game, teamsById) {
+    const strength = (teamId) => {
+      const record = teamsById.get(teamId.toString())?.currentSeason;
+      if (!record) return 0.5;
+      const games = record.wins + record.losses + record.ties;
+      return (record.wins + record.ties / 2 + PRIOR_GAMES / 2) / (games + PRIOR_GAMES);
+    };
+
+    const home = strength(game.homeTeam);
+    const away = strength(game.awayTeam);
+    const neutral = (home * (1 - away)) / (home * (1 - away) + away * (1 - home));
+    const edge = game.playoffRound === 'superbowl' ? 0 : HOME_FIELD_EDGE;
+
+    return Math.min(1 - MIN_PROBABILITY, Math.max(MIN_PROBABILITY, neutral + edge));
+  }
+
+  // Picked winners by game id; only remaining games can be picked
+  readPicks(data, picks) {
+    return new Map(picks.map(({ game: gameId, winner }) => {
+      const game = this.findRemaining(data, gameId);
+      if (![game.homeTeam, game.awayTeam].some(teamId => teamId.equals(winner))) {
+        throw new AppError('A picked winner must play in that game', 400);
+      }
+      return [game._id.toString(), game.homeTeam.equals(winner) ? game.homeTeam : game.awayTeam];
+    }));
+  }
+
+  // Hypothetical playoff results by team id
+  readRuns(data, runs) {
+    return new Map(runs.map(({ team, playoffResults }) => {
+      if (!data.teamsById.has(team.toString())) {
+        throw new AppError('Playoff runs must be for an active NFL team', 400);
+      }
+
+      const results = emptyResults();
+      PLAYOFF_RESULT_KEYS.forEach(key => {
+        results[key] = Boolean(playoffResults?.[key]);
+      });
+      return [team.toString(), results];
+    }));
+  }
+
+  // Home win probabilities set by the user, by game id
+  readProbabilities(data, probabilities) {
+    return new Map(probabilities.map(({ game: gameId, homeWinProbability }) => [
+      this.findRemaining(data, gameId)._id.toString(),
+      Number(homeWinProbability)
+    ]));
+  }
+
+  findRemaining(data, gameId) {
+    const game = data.remaining.find(candidate => candidate._id.equals(gameId));
+    if (!game) {
+      throw new AppError('Only scheduled or unfinished games can be simulated', 400);
+    }
+    return game;
+  }
+
+  // Sum ledger entries by a field (owner or nflTeam), keyed by id
+  totalsBy(entries, field) {
+    const totals = new Map();
+    entries.forEach(entry => {
+      const id = entry[field].toString();
+      totals.set(id, (totals.get(id) || 0) + entry.amount);
+    });
+    return totals;
+  }
+
+  // Each owner with their teams and current earnings
+  describeOwners(league) {
+    const owners = new Map();
+
+    league.teams.forEach(teamData => {
+      if (!teamData.owner) return;
+
+      const ownerId = teamData.owner._id.toString();
+      const owner = owners.get(ownerId) || {
+        owner: { _id: teamData.owner._id, username: teamData.owner.username },
+        current: 0,
+        teams: []
+      };
+      owner.current = round(owner.current + teamData.currentEarnings);
+      owner.teams.push({
+        nflTeam: teamData.nflTeam,
+        current: teamData.currentEarnings
+      });
+      owners.set(ownerId, owner);
+    });
+
+    return [...owners.values()];
+  }
+
+  describeLeague(league) {
+    return {
+      id: league._id,
+      name: league.name,
+      season: league.season.year,
+      totalPrizePool: league.totalPrizePool
+    };
+  }
+}
+
+module.exports = new PayoutSimulatorService();
@@ -0,0 +1,265 @@
+const NFLTeam = require('../models/NFLTeam');
+const Game = require('../models/Game');
+const PlayoffBracket = require('../models/PlayoffBracket');
+
+const CONFERENCES = ['AFC', 'NFC'];
+
+// Wildcard pairings by seed (home seed first); seed 1 has a bye
+const WILDCARD_PAIRINGS = [[2, 7], [3, 6], [4, 5]];
+
+// Furthest round reached by winning a game of each round
+const ADVANCES_TO = {
+  wildcard: 'divisional',
+  divisional: 'conference',
+  conference: 'superbowl',
+  superbowl: 'champion'
+};
+
+// League playoff payout keys earned by winning a game of each round
+const ROUND_RESULTS = {
+  wildcard: ['wildCardWin'],
+  divisional: ['divisionalWin'],
+  conference: ['conferenceChampionshipWin', 'superBowlAppearance'],
+  superbowl: ['superBowlWin']
+};
+
+const emptyResults = () => ({
+  wildCardWin: false,
+  divisionalWin: false,
+  conferenceChampionshipWin: false,
+  superBowlAppearance: false,
+  superBowlWin: false
+});
+
+// Seeds 1-7 per conference become a bracket once the regular season is over. Each
+// round is paired from the previous round's winners (the divisional round reseeds,
+// with the top seed hosting the lowest remaining seed) and matched to the imported
+// postseason Games, whose final scores decide who advances. The resulting per-round
+// outcomes are written to each NFLTeam, where league payouts pick them up.
+class PlayoffBracketService {
+  // Build or advance a season's bracket and store each team's playoff outcome
+  async updateBracket(season) {
+    try {
+      let bracket = await PlayoffBracket.findOne({ season });
+      const seeds = await this.getSeeds(bracket);
+
+      if (seeds.size === 0) {
+        console.log(`No playoff seeds for ${season} yet`);
+        return null;
+      }
+
+      const games = await Game.find({ season, seasonType: 'postseason' })
+        .select('homeTeam awayTeam playoffRound status kickoff score');
+
+      const matchups = this.buildMatchups(seeds, games);
+      const teams = this.applyOverrides(this.buildOutcomes(seeds, matchups), bracket?.overrides || []);
+      const champion = teams.find(team => team.reached === 'champion');
+
+      bracket = bracket || new PlayoffBracket({ season });
+      bracket.matchups = matchups;
+      bracket.teams = teams;
+      bracket.champion = champion ? champion.team : null;
+      bracket.status = champion
+        ? 'complete'
+        : matchups.some(matchup => ['in_progress', 'final'].includes(matchup.status)) ? 'in_progress' : 'pending';
+      bracket.lastUpdated = new Date();
+      await bracket.save();
+
+      await this.applyOutcomes(teams);
+
+      console.log(`Updated ${season} playoff bracket (${bracket.status})`);
+      return bracket;
+    } catch (error) {
+      console.error('Error updating playoff bracket:', error);
+      throw error;
+    }
+  }
+
+  // Seeds by team id. They come from the standings until a playoff game has been
+  // decided, after which the bracket keeps the seeds it was played with.
+  async getSeeds(bracket) {
+    if (bracket && bracket.matchups.some(matchup => matchup.winner)) {
+      return new Map(bracket.teams.map(entry => [
+        entry.team.toString(),
+        { team: entry.team, conference: entry.conference, seed: entry.seed }
+      ]));
+    }
+
+    const teams = await NFLTeam.find({ isActive: true, 'currentSeason.playoffSeed': { $ne: null } })
+      .select('conference currentSeason.playoffSeed');
+
+    return new Map(teams.map(team => [
+      team._id.toString(),
+      { team: team._id, conference: team.conference, seed: team.currentSeason.playoffSeed }
+    ]));
+  }
+
+  // Every bracket slot for the season, filled as far as the results allow
+  buildMatchups(seeds, games) {
+    const matchups = [];
+    const champions = {};
+
+    CONFERENCES.forEach(conference => {
+      const bySeed = new Map(
+        [...seeds.values()]
+          .filter(entry => entry.conference === conference)
+          .map(entry => [entry.seed, entry])
+      );
+
+      const wildcard = this.playRound('wildcard', conference,
+        WILDCARD_PAIRINGS.map(([home, away]) => [bySeed.get(home), bySeed.get(away)]), seeds, games);
+
+      // Reseed: the top seed hosts the lowest remaining seed
+      const divisionalPairs = this.allDecided(wildcard)
+        ? this.pairBySeed([bySeed.get(1), ...wildcard.map(matchup => seeds.get(matchup.winner.toString()))])
+        : [[bySeed.get(1), null], [null, null]];
+      const divisional = this.playRound('divisional', conference, divisionalPairs, seeds, games);
+
+      const conferencePairs = this.allDecided(divisional)
+        ? this.pairBySeed(divisional.map(matchup => seeds.get(matchup.winner.toString())))
+        : [[null, null]];
+      const championship = this.playRound('conference', conference, conferencePairs, seeds, games);
+
+      champions[conference] = championship[0]?.winner ? seeds.get(championship[0].winner.toString()) : null;
+      matchups.push(...wildcard, ...divisional, ...championship);
+    });
+
+    matchups.push(...this.playRound('superbowl', null, [[champions.AFC, champions.NFC]], seeds, games));
+
+    return matchups;
+  }
+
+  allDecided(matchups) {
+    return matchups.every(matchup => matchup.winner);
+  }
+
+  // Highest seed against lowest, working inwards; the higher seed hosts
+  pairBySeed(entries) {
+    const sorted = entries.filter(Boolean).sort((a, b) => a.seed - b.seed);
+    const pairs = [];
+    while (sorted.length > 1) {
+      pairs.push([sorted.shift(), sorted.pop()]);
+    }
+    return pairs;
+  }
+
+  // Matchups for one round from [home, away] seed entries (null while undecided).
+  // The imported Game wins out over the projected pairing, including which side is home.
+  playRound(round, conference, pairs, seeds, games) {
+    return pairs.map(([home, away], index) => {
+      const known = [home, away].filter(Boolean).map(entry => entry.team.toString());
+      const game = known.length > 0
+        ? games.find(candidate => candidate.playoffRound === round && known.some(teamId => candidate.involves(teamId)))
+        : null;
+
+      const homeTeam = game ? game.homeTeam : home?.team || null;
+      const awayTeam = game ? game.awayTeam : away?.team || null;
+      const seedOf = (teamId) => (teamId ? seeds.get(teamId.toString())?.seed ?? null : null);
+
+      const matchup = {
+        round,
+        conference,
+        slot: index + 1,
+        homeTeam,
+        awayTeam,
+        homeSeed: seedOf(homeTeam),
+        awaySeed: seedOf(awayTeam),
+        game: game?._id || null,
+        status: game?.status || 'tbd',
+        kickoff: game?.kickoff || null,
+        score: { home: game?.score.home ?? null, away: game?.score.away ?? null },
+        winner: null
+      };
+
+      if (game?.status === 'final' && game.score.home !== null && game.score.home !== game.score.away) {
+        matchup.winner = game.score.home > game.score.away ? game.homeTeam : game.awayTeam;
+      }
+
+      return matchup;
+    });
+  }
+
+  // Each seeded team's furthest round, elimination and rounds won
+  buildOutcomes(seeds, matchups) {
+    const outcomes = new Map([...seeds.values()].map(entry => [entry.team.toString(), {
+      team: entry.team,
+      conference: entry.conference,
+      seed: entry.seed,
+      reached: entry.seed === 1 ? 'divisional' : 'wildcard',
+      eliminatedIn: null,
+      playoffResults: emptyResults()
+    }]));
+
+    matchups.filter(matchup => matchup.winner).forEach(matchup => {
+      const winnerId = matchup.winner.toString();
+      const loserId = (winnerId === matchup.homeTeam.toString() ? matchup.awayTeam : matchup.homeTeam).toString();
+
+      const winner = outcomes.get(winnerId);
+      if (winner) {
+        winner.reached = ADVANCES_TO[matchup.round];
+        ROUND_RESULTS[matchup.round].forEach(key => {
+          winner.playoffResults[key] = true;
+        });
+      }
+
+      const loser = outcomes.get(loserId);
+      if (loser) {
+        loser.eliminatedIn = matchup.round;
+      }
+    });
+
+    return [...outcomes.values()].sort((a, b) => a.conference.localeCompare(b.conference) || a.seed - b.seed);
+  }
+
+  // Replace the computed outcome of each overridden team with the admin's
+  applyOverrides(outcomes, overrides) {
+    overrides.forEach(override => {
+      const outcome = outcomes.find(entry => entry.team.toString() === override.team.toString());
+      if (!outcome) return;
+
+      const results = { ...emptyResults(), ...(override.playoffResults?.toObject?.() || override.playoffResults) };
+      outcome.playoffResults = results;
+      outcome.reached = this.reachedFrom(results, outcome.seed);
+      outcome.eliminatedIn = override.eliminated && outcome.reached !== 'champion' ? outcome.reached : null;
+    });
+
+    return outcomes;
+  }
+
+  // Furthest round implied by the rounds a team has won
+  reachedFrom(results, seed) {
+    if (results.superBowlWin) return 'champion';
+    if (results.superBowlAppearance || results.conferenceChampionshipWin) return 'superbowl';
+    if (results.divisionalWin) return 'conference';
+    if (results.wildCardWin || seed === 1) return 'divisional';
+    return 'wildcard';
+  }
+
+  // Write playoff status and per-round results to every team; unseeded teams are out
+  async applyOutcomes(outcomes) {
+    const byTeam = new Map(outcomes.map(outcome => [outcome.team.toString(), outcome]));
+    const teams = await NFLTeam.find({ isActive: true }).select('_id');
+
+    const operations = teams.map(team => {
+      const outcome = byTeam.get(team._id.toString());
+      return {
+        updateOne: {
+          filter: { _id: team._id },
+          update: {
+            $set: {
+              'currentSeason.playoffStatus': outcome ? outcome.reached : 'none',
+              'currentSeason.isEliminated': outcome ? Boolean(outcome.eliminatedIn) : true,
+              'currentSeason.playoffResults': outcome ? outcome.playoffResults : emptyResults()
+            }
+          }
+        }
+      };
+    });
+
+    if (operations.length > 0) {
+      await NFLTeam.bulkWrite(operations);
+    }
+  }
+}
+
+module.exports = new PlayoffBracketService();
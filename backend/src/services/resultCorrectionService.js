@@ -0,0 +1,210 @@
+const Game = require('../models/Game');
+const League = require('../models/League');
+const PlayoffBracket = require('../models/PlayoffBracket');
+const ResultAudit = require('../models/ResultAudit');
+const nflDataService = require('./nflDataService');
+const standingsService = require('./standingsService');
+const playoffBracketService = require('./playoffBracketService');
+const payoutLedgerService = require('./payoutLedgerService');
+const { toResultWeek } = require('./nflProviders');
+const { AppError } = require('../middleware/errorHandler');
+
+const PLAYOFF_RESULT_KEYS = [
+  'wildCardWin',
+  'divisionalWin',
+  'conferenceChampionshipWin',
+  'superBowlAppearance',
+  'superBowlWin'
+];
+
+// Manual result entry from the admin console, written through, audited and recalculated into active leagues
+class ResultCorrectionService {
+  // Enter or correct a game's score and status; returns the recalculation's audit
+  async updateGame(gameId, { homeScore, awayScore, status }, actorId, reason = '') {
+    try {
+      const game = await Game.findById(gameId).populate('homeTeam awayTeam');
+      if (!game) {
+        throw new AppError('Game not found', 404);
+      }
+
+      const before = this.describeGame(game);
+      const wasFinal = game.status === 'final';
+
+      if (homeScore !== undefined) game.score.home = homeScore;
+      if (awayScore !== undefined) game.score.away = awayScore;
+      if (status) game.status = status;
+
+      if (game.status === 'final' && (game.score.home === null || game.score.away === null)) {
+        throw new AppError('A final game needs both scores', 400);
+      }
+
+      if (game.status !== 'in_progress') {
+        game.live = { period: null, clock: null };
+      }
+      await game.save();
+
+      if (game.status === 'final' || wasFinal) {
+        await this.writeTeamResults(game);
+        await standingsService.updateStandings(game.season);
+      }
+
+      // Audit the correction before recalculating, so it is on record even if a league rebuild fails
+      await ResultAudit.create({
+        action: 'game-updated',
+        actor: actorId,
+        season: game.season,
+        game: game._id,
+        reason,
+        before,
+        after: this.describeGame(game)
+      });
+
+      const recalculation = await this.recalculate(actorId, { season: game.season, reason });
+
+      console.log(`Game ${game.awayTeam.abbreviation} @ ${game.homeTeam.abbreviation} corrected, ${recalculation.leagueChanges.length} leagues changed`);
+      return recalculation;
+    } catch (error) {
+      console.error('Error correcting game result:', error);
+      throw error;
+    }
+  }
+
+  // Write a final game into both teams' weekly results, or take it out again
+  // when a game is moved back from final
+  async writeTeamResults(game) {
+    const { homeTeam, awayTeam } = game;
+
+    if (game.status === 'final') {
+      const result = {
+        seasonType: game.seasonType,
+        week: game.week,
+        playoffRound: game.playoffRound,
+        gameDate: game.kickoff
+      };
+      nflDataService.applyResult(homeTeam, awayTeam, game.score.home, game.score.away, true, result);
+      nflDataService.applyResult(awayTeam, homeTeam, game.score.away, game.score.home, false, result);
+    } else {
+      const week = toResultWeek(game);
+      [homeTeam, awayTeam].forEach(team => {
+        team.weeklyResults = team.weeklyResults.filter(result => !(result.week === week && result.isPlayoff === game.isPlayoff));
+        team.updateSeasonTotals();
+      });
+    }
+
+    await homeTeam.save();
+    await awayTeam.save();
+  }
+
+  // Override a playoff team's outcome; it holds through later bracket updates until cleared
+  async setPlayoffOutcome(season, teamId, { playoffResults, eliminated = false }, actorId, reason = '') {
+    const bracket = await this.getBracket(season);
+    const entry = bracket.getTeam(teamId);
+    if (!entry) {
+      throw new AppError('That team is not in the playoffs', 400);
+    }
+
+    const results = {};
+    PLAYOFF_RESULT_KEYS.forEach(key => {
+      results[key] = Boolean(playoffResults?.[key]);
+    });
+
+    bracket.overrides = [
+      ...bracket.overrides.filter(override => override.team.toString() !== teamId.toString()),
+      { team: teamId, playoffResults: results, eliminated, setBy: actorId, setAt: new Date() }
+    ];
+
+    return this.saveOutcome(bracket, teamId, 'playoff-outcome-set', actorId, reason);
+  }
+
+  // Drop a team's override so its outcome follows the game results again
+  async clearPlayoffOutcome(season, teamId, actorId, reason = '') {
+    const bracket = await this.getBracket(season);
+    const remaining = bracket.overrides.filter(override => override.team.toString() !== teamId.toString());
+
+    if (remaining.length === bracket.overrides.length) {
+      throw new AppError('That team has no playoff override', 404);
+    }
+
+    bracket.overrides = remaining;
+    return this.saveOutcome(bracket, teamId, 'playoff-outcome-cleared', actorId, reason);
+  }
+
+  async getBracket(season) {
+    const bracket = await PlayoffBracket.findOne({ season });
+    if (!bracket) {
+      throw new AppError(`There is no ${season} playoff bracket yet`, 404);
+    }
+    return bracket;
+  }
+
+  async saveOutcome(bracket, teamId, action, actorId, reason) {
+    try {
+      const before = this.describeOutcome(bracket.getTeam(teamId));
+      await bracket.save();
+
+      const updated = await playoffBracketService.updateBracket(bracket.season);
+
+      await ResultAudit.create({
+        action,
+        actor: actorId,
+        season: bracket.season,
+        team: teamId,
+        reason,
+        before,
+        after: this.describeOutcome(updated.getTeam(teamId))
+      });
+
+      return this.recalculate(actorId, { season: bracket.season, reason });
+    } catch (error) {
+      console.error('Error setting playoff outcome:', error);
+      throw error;
+    }
+  }
+
+  // Recalculate active leagues on demand, e.g. after fixing team data by hand
+  async recalculate(actorId, { season = null, reason = '' } = {}) {
+    const leagueChanges = await this.recalculateLeagues(season ? { 'season.year': season } : {});
+
+    return ResultAudit.create({
+      action: 'leagues-recalculated',
+      actor: actorId,
+      season,
+      reason,
+      leagueChanges
+    });
+  }
+
+  // Rebuild every matching active league's payout ledger and keep the ones whose owners' earnings moved
+  async recalculateLeagues(filter = {}) {
+    const leagues = await League.find({ ...filter, status: 'active' }).select('name');
+
+    const changes = [];
+    for (const league of leagues) {
+      const owners = await payoutLedgerService.rebuildLeague(league._id);
+      if (owners.some(owner => owner.delta !== 0)) {
+        changes.push({ league: league._id, name: league.name, owners });
+      }
+    }
+
+    return changes;
+  }
+
+  describeGame(game) {
+    return {
+      status: game.status,
+      score: { home: game.score.home, away: game.score.away }
+    };
+  }
+
+  describeOutcome(entry) {
+    if (!entry) return null;
+
+    return {
+      reached: entry.reached,
+      eliminatedIn: entry.eliminatedIn,
+      playoffResults: entry.playoffResults.toObject()
+    };
+  }
+}
+
+module.exports = new ResultCorrectionService();
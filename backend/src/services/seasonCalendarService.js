@@ -0,0 +1,180 @@
+const Game = require('../models/Game');
+const { PLAYOFF_ROUNDS, REGULAR_SEASON_WEEKS, toResultWeek } = require('./nflProviders');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const WEEK = 7 * DAY;
+
+// A game still counts toward its week for a few hours after kickoff
+const IN_PROGRESS_WINDOW = 6 * HOUR;
+
+const PRESEASON_WEEKS = 3;
+
+// The season calendar: which phase of the NFL year a moment falls in and, during
+// the season, which week. Built from the imported schedule (Game records) when the
+// season has one, and otherwise estimated from the season start date.
+//
+// Phases: 'offseason' | 'preseason' | 'regular' | 'postseason' | 'bye' (the week
+// between the conference championships and the Super Bowl).
+class SeasonCalendarService {
+  // Season year a moment belongs to (January and February games belong to the previous year's season)
+  getCurrentSeason(at = new Date()) {
+    return at.getMonth() < 2 ? at.getFullYear() - 1 : at.getFullYear();
+  }
+
+  // Kickoff date of week 1. NFL_SEASON_START (YYYY-MM-DD) overrides it for its own
+  // season; otherwise it is the Thursday after Labor Day (first Monday of September).
+  getSeasonStart(season) {
+    const configured = process.env.NFL_SEASON_START ? new Date(`${process.env.NFL_SEASON_START}T00:00:00`) : null;
+    if (configured && !Number.isNaN(configured.getTime()) && configured.getFullYear() === Number(season)) {
+      return configured;
+    }
+
+    const laborDay = new Date(season, 8, 1);
+    laborDay.setDate(1 + ((8 - laborDay.getDay()) % 7));
+
+    return new Date(season, 8, laborDay.getDate() + 3);
+  }
+
+  // Calendar entry for the current moment
+  async getCurrentWeek(at = new Date()) {
+    const season = this.getCurrentSeason(at);
+    return (await this.getScheduledWeek(season, at)) || this.estimateWeek(season, at);
+  }
+
+  // The most recent regular or postseason week whose games have begun, i.e. the week
+  // results should be collected for. Null before the season's first regular-season game.
+  async getLatestPlayedWeek(at = new Date()) {
+    const season = this.getCurrentSeason(at);
+
+    const lastGame = await Game.findOne({
+      season,
+      seasonType: { $ne: 'preseason' },
+      kickoff: { $lte: at }
+    }).sort({ kickoff: -1 }).select('season week seasonType playoffRound');
+
+    if (lastGame) {
+      return this.buildEntry(season, lastGame.seasonType, lastGame.week, 'schedule');
+    }
+
+    // Look back past Monday night so a Tuesday run still sees the week that just finished
+    const estimate = this.estimateWeek(season, new Date(at.getTime() - 3 * DAY));
+
+    switch (estimate.phase) {
+      case 'regular':
+      case 'postseason':
+        return estimate;
+      case 'bye':
+        return this.buildEntry(season, 'postseason', PLAYOFF_ROUNDS.indexOf('conference') + 1, 'estimate');
+      case 'offseason':
+        return estimate.resultWeek > 0
+          ? this.buildEntry(season, 'postseason', PLAYOFF_ROUNDS.length, 'estimate')
+          : null;
+      default:
+        return null;
+    }
+  }
+
+  // Calendar entry from the imported schedule, or null when the schedule cannot place the moment
+  async getScheduledWeek(season, at) {
+    const fields = 'season week seasonType playoffRound kickoff';
+
+    const next = await Game.findOne({
+      season,
+      kickoff: { $gte: new Date(at.getTime() - IN_PROGRESS_WINDOW) }
+    }).sort({ kickoff: 1 }).select(fields);
+
+    if (!next) {
+      const last = await Game.findOne({ season }).sort({ kickoff: -1 }).select(fields);
+
+      // Past the Super Bowl the season is over; a partial schedule leaves it to the estimate
+      return last?.playoffRound === 'superbowl'
+        ? this.buildEntry(season, 'offseason', null, 'schedule', { completed: true })
+        : null;
+    }
+
+    const weekStart = await Game.findOne({
+      season,
+      seasonType: next.seasonType,
+      week: next.week
+    }).sort({ kickoff: 1 }).select('kickoff');
+
+    // Within a week of the week's first kickoff, that week is current
+    if (at.getTime() >= weekStart.kickoff.getTime() - WEEK) {
+      return this.buildEntry(season, next.seasonType, next.week, 'schedule');
+    }
+
+    if (next.playoffRound === 'superbowl') {
+      return this.buildEntry(season, 'bye', null, 'schedule');
+    }
+
+    // Long before the first game of the season
+    const earlier = await Game.exists({ season, kickoff: { $lt: at } });
+    if (!earlier) {
+      return this.buildEntry(season, 'offseason', null, 'schedule', { completed: false });
+    }
+
+    return this.buildEntry(season, next.seasonType, next.week, 'schedule');
+  }
+
+  // Calendar entry estimated from the season start date. Weeks run Tuesday to Monday.
+  estimateWeek(season, at) {
+    const weekOneStart = this.getSeasonStart(season).getTime() - 2 * DAY;
+    const index = Math.floor((at.getTime() - weekOneStart) / WEEK);
+
+    if (index < -PRESEASON_WEEKS) {
+      return this.buildEntry(season, 'offseason', null, 'estimate', { completed: false });
+    }
+    if (index < 0) {
+      return this.buildEntry(season, 'preseason', index + PRESEASON_WEEKS + 1, 'estimate');
+    }
+    if (index < REGULAR_SEASON_WEEKS) {
+      return this.buildEntry(season, 'regular', index + 1, 'estimate');
+    }
+
+    // Wildcard, divisional and conference rounds, a bye week, then the Super Bowl
+    const playoffIndex = index - REGULAR_SEASON_WEEKS;
+    if (playoffIndex < 3) {
+      return this.buildEntry(season, 'postseason', playoffIndex + 1, 'estimate');
+    }
+    if (playoffIndex === 3) {
+      return this.buildEntry(season, 'bye', null, 'estimate');
+    }
+    if (playoffIndex === 4) {
+      return this.buildEntry(season, 'postseason', PLAYOFF_ROUNDS.length, 'estimate');
+    }
+
+    return this.buildEntry(season, 'offseason', null, 'estimate', { completed: true });
+  }
+
+  // Shape a calendar entry. `week` is numbered within its season type; `resultWeek`
+  // is the 1-22 week used by weekly results and payouts (0 before the regular season).
+  buildEntry(season, phase, week, source, { completed = false } = {}) {
+    const seasonType = ['preseason', 'regular', 'postseason'].includes(phase)
+      ? phase
+      : phase === 'bye' ? 'postseason' : null;
+    const playoffRound = phase === 'postseason' ? PLAYOFF_ROUNDS[week - 1] || null : null;
+
+    let resultWeek = 0;
+    if (phase === 'regular' || phase === 'postseason') {
+      resultWeek = toResultWeek({ seasonType: phase, week, playoffRound });
+    } else if (phase === 'bye') {
+      resultWeek = REGULAR_SEASON_WEEKS + PLAYOFF_ROUNDS.indexOf('conference') + 1;
+    } else if (phase === 'offseason' && completed) {
+      resultWeek = REGULAR_SEASON_WEEKS + PLAYOFF_ROUNDS.length;
+    }
+
+    return {
+      season,
+      phase,
+      seasonType,
+      week,
+      playoffRound,
+      isPlayoffs: phase === 'postseason' || phase === 'bye',
+      resultWeek,
+      source
+    };
+  }
+}
+
+module.exports = new SeasonCalendarService();
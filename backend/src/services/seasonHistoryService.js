@@ -0,0 +1,220 @@
+const NFLTeam = require('../models/NFLTeam');
+const NFLTeamSeason = require('../models/NFLTeamSeason');
+const League = require('../models/League');
+const LeagueSeason = require('../models/LeagueSeason');
+const PlayoffBracket = require('../models/PlayoffBracket');
+const payoutService = require('./payoutService');
+const seasonCalendarService = require('./seasonCalendarService');
+const { AppError } = require('../middleware/errorHandler');
+
+// Leagues whose season is archived; drafts and cancelled leagues have nothing to keep
+const ARCHIVED_LEAGUE_STATUSES = ['active', 'completed'];
+
+class SeasonHistoryService {
+  // Archive a finished season, then reset every team's currentSeason for the next one
+  async rolloverSeason(season, { force = false } = {}) {
+    const bracket = await PlayoffBracket.findOne({ season }).select('status');
+    if (!force && bracket?.status !== 'complete') {
+      throw new AppError(`The ${season} playoffs are not complete yet`, 400);
+    }
+
+    const archived = await this.archiveSeason(season);
+
+    // Teams keep this season's results until every league is archived, so a rerun can finish the job
+    if (archived.failedLeagues.length > 0) {
+      const names = archived.failedLeagues.map(failure => failure.name).join(', ');
+      throw new AppError(`Could not archive ${archived.failedLeagues.length} league(s) (${names}), so teams were not reset. Fix them and run the rollover again.`, 500);
+    }
+
+    await NFLTeam.resetSeason(season + 1);
+
+    console.log(`Rolled over from the ${season} season to ${season + 1}`);
+    return { ...archived, nextSeason: season + 1 };
+  }
+
+  // Snapshot every team's season and each league's final ownership and earnings
+  async archiveSeason(season) {
+    try {
+      const teamsArchived = await this.archiveTeams(season);
+      const { archived: leaguesArchived, failed: failedLeagues } = await this.archiveLeagues(season);
+
+      console.log(`Archived ${season} season: ${teamsArchived} teams, ${leaguesArchived} leagues, ${failedLeagues.length} failed`);
+      return { success: failedLeagues.length === 0, season, teamsArchived, leaguesArchived, failedLeagues };
+    } catch (error) {
+      console.error('Error archiving season:', error);
+      throw error;
+    }
+  }
+
+  async archiveTeams(season) {
+    const teams = await NFLTeam.find({ isActive: true });
+    const existing = new Set(
+      (await NFLTeamSeason.find({ season }).select('team')).map(snapshot => snapshot.team.toString())
+    );
+
+    const operations = teams.flatMap(team => {
+      const { wins, losses, ties, divisionRank, conferenceRank, playoffSeed, playoffStatus, playoffResults } = team.currentSeason;
+      const weeklyResults = team.weeklyResults
+        .filter(result => seasonCalendarService.getCurrentSeason(result.gameDate) === season)
+        .map(result => ({
+          week: result.week,
+          opponent: result.opponent,
+          isHome: result.isHome,
+          result: result.result,
+          score: { team: result.score.team, opponent: result.score.opponent },
+          isPlayoff: result.isPlayoff,
+          playoffRound: result.playoffRound,
+          gameDate: result.gameDate
+        }));
+
+      // A team already rolled past this season holds the next season's (empty) data
+      if (weeklyResults.length === 0 && existing.has(team._id.toString())) {
+        return [];
+      }
+
+      return [{
+        updateOne: {
+          filter: { team: team._id, season },
+          update: {
+            $set: {
+              wins,
+              losses,
+              ties,
+              divisionRank,
+              conferenceRank,
+              playoffSeed,
+              playoffStatus,
+              playoffResults: playoffResults.toObject(),
+              weeklyResults,
+              archivedAt: new Date()
+            }
+          },
+          upsert: true
+        }
+      }];
+    });
+
+    if (operations.length > 0) {
+      await NFLTeamSeason.bulkWrite(operations);
+    }
+
+    return operations.length;
+  }
+
+  // Archive each league on its own, so one failure doesn't stop the rest; returns the
+  // number archived and the leagues that failed
+  async archiveLeagues(season) {
+    const leagues = await League.find({ 'season.year': season, status: { $in: ARCHIVED_LEAGUE_STATUSES } }).select('_id name status');
+    const failed = [];
+
+    for (const { _id, name, status } of leagues) {
+      try {
+        // Settle the final payouts (including any top teams split) before taking the snapshot
+        if (status === 'active') {
+          await payoutService.finalizeSeasonPayouts(_id);
+        }
+
+        const league = await League.findById(_id).populate('teams.owner', 'username');
+        await LeagueSeason.findOneAndUpdate(
+          { league: league._id, season },
+          this.buildLeagueSnapshot(league),
+          { upsert: true, new: true, setDefaultsOnInsert: true }
+        );
+      } catch (error) {
+        console.error(`Error archiving league ${name}:`, error);
+        failed.push({ league: _id, name, error: error.message });
+      }
+    }
+
+    return { archived: leagues.length - failed.length, failed };
+  }
+
+  buildLeagueSnapshot(league) {
+    const owners = new Map();
+
+    const teams = league.teams.map(team => {
+      const { wins, losses, ties, playoffResults, earnings } = team.seasonStats;
+
+      if (team.owner) {
+        const ownerId = team.owner._id.toString();
+        const entry = owners.get(ownerId) || {
+          owner: team.owner._id,
+          username: team.owner.username,
+          teamsOwned: 0,
+          totalSpent: 0,
+          totalEarnings: 0
+        };
+        entry.teamsOwned += 1;
+        entry.totalSpent += team.purchasePrice;
+        entry.totalEarnings += team.currentEarnings;
+        owners.set(ownerId, entry);
+      }
+
+      return {
+        nflTeam: team.nflTeam,
+        owner: team.owner?._id || null,
+        ownerUsername: team.owner?.username || null,
+        purchasePrice: team.purchasePrice,
+        earnings: team.currentEarnings,
+        wins,
+        losses,
+        ties,
+        playoffResults: playoffResults.toObject(),
+        earningsBreakdown: earnings.toObject()
+      };
+    });
+
+    return {
+      name: league.name,
+      status: league.status,
+      totalPrizePool: league.totalPrizePool,
+      distributedWinnings: league.distributedWinnings,
+      payoutStructure: league.payoutStructure.toObject(),
+      teams,
+      owners: [...owners.values()]
+        .map(entry => ({ ...entry, netProfit: entry.totalEarnings - entry.totalSpent }))
+        .sort((a, b) => b.totalEarnings - a.totalEarnings)
+        .map((entry, index) => ({ ...entry, rank: index + 1 })),
+      archivedAt: new Date()
+    };
+  }
+
+  // A league's archived seasons, most recent first
+  getLeagueHistory(leagueId) {
+    return LeagueSeason.find({ league: leagueId })
+      .select('-teams')
+      .sort({ season: -1 });
+  }
+
+  // One archived league season with full ownership
+  getLeagueSeason(leagueId, season) {
+    return LeagueSeason.findOne({ league: leagueId, season })
+      .populate('teams.nflTeam', 'name city abbreviation logo');
+  }
+
+  // Who owned an NFL team in a league each season, what they paid and what it earned
+  async getLeagueTeamHistory(leagueId, nflTeamId) {
+    const seasons = await LeagueSeason.find({ league: leagueId, 'teams.nflTeam': nflTeamId })
+      .select('season teams')
+      .sort({ season: -1 });
+    const records = await NFLTeamSeason.find({ team: nflTeamId }).select('season wins losses ties playoffStatus');
+    const recordBySeason = new Map(records.map(record => [record.season, record]));
+
+    return seasons.map(leagueSeason => {
+      const entry = leagueSeason.getTeamEntry(nflTeamId);
+      const record = recordBySeason.get(leagueSeason.season);
+      return {
+        season: leagueSeason.season,
+        owner: entry.owner ? { _id: entry.owner, username: entry.ownerUsername } : null,
+        purchasePrice: entry.purchasePrice,
+        earnings: entry.earnings,
+        netProfit: entry.earnings - entry.purchasePrice,
+        record: record ? record.record : null,
+        playoffStatus: record ? record.playoffStatus : null,
+        earningsBreakdown: entry.earningsBreakdown
+      };
+    });
+  }
+}
+
+module.exports = new SeasonHistoryService();
@@ -0,0 +1,376 @@
+const League = require('../models/League');
+const Settlement = require('../models/Settlement');
+const { AppError } = require('../middleware/errorHandler');
+
+const toCents = (amount) => Math.round(amount * 100);
+const fromCents = (cents) => cents / 100;
+
+// Who owes whom once a season is over. Each owner's buy-in is what they spent at
+// auction; at finalization they are credited their winnings plus their buy-in's share
+// of any pool left undistributed, so balances always net to zero. Transfers pair the
+// largest debtor with the largest creditor until everyone is square: every owner
+// either only pays or only receives, and there is at most one transfer fewer than
+// owners with a balance. Amounts are worked in cents so the transfers add up exactly.
+class SettlementService {
+  // Record each owner's buy-in from their auction purchases (run when the auction completes)
+  async recordBuyIns(leagueId) {
+    try {
+      const league = await League.findById(leagueId)
+        .populate('teams.owner', 'username');
+
+      if (!league) {
+        throw new AppError('League not found', 404);
+      }
+
+      let settlement = await Settlement.findOne({ league: league._id, season: league.season.year });
+
+      if (settlement && settlement.finalizedAt) {
+        throw new AppError('This season has already been settled', 400);
+      }
+
+      if (!settlement) {
+        settlement = new Settlement({ league: league._id, season: league.season.year });
+      }
+
+      settlement.buyIns = [...this.groupByOwner(league).values()].map(owner => ({
+        owner: owner.owner,
+        username: owner.username,
+        teamsOwned: owner.teamsOwned,
+        amount: fromCents(owner.spent)
+      }));
+      settlement.buyInsRecordedAt = new Date();
+      settlement.updateStatus();
+
+      await settlement.save();
+
+      console.log(`Recorded ${settlement.buyIns.length} buy-ins for league ${league.name}: $${settlement.getTotalBuyIns()}`);
+
+      return settlement;
+    } catch (error) {
+      console.error('Error recording buy-ins:', error);
+      throw error;
+    }
+  }
+
+  // Work out net balances and the transfers that settle them (run when the season is finalized)
+  async finalize(leagueId) {
+    try {
+      const league = await League.findById(leagueId)
+        .populate('teams.owner', 'username');
+
+      if (!league) {
+        throw new AppError('League not found', 404);
+      }
+
+      if (league.status !== 'completed') {
+        throw new AppError('Only completed leagues can be settled', 400);
+      }
+
+      let settlement = await Settlement.findOne({ league: league._id, season: league.season.year });
+
+      if (settlement && settlement.transfers.some(transfer => transfer.status === 'paid')) {
+        throw new AppError('Payments have already been recorded for this settlement', 400);
+      }
+
+      // Leagues that finished their auction before settlements existed
+      if (!settlement || !settlement.buyInsRecordedAt) {
+        settlement = await this.recordBuyIns(league._id);
+      }
+
+      const balances = this.computeBalances(settlement.buyIns, this.groupByOwner(league));
+
+      settlement.balances = balances.map(balance => ({
+        ...balance,
+        buyIn: fromCents(balance.buyIn),
+        winnings: fromCents(balance.winnings),
+        refund: fromCents(balance.refund),
+        net: fromCents(balance.net)
+      }));
+      settlement.transfers = this.computeTransfers(balances).map(transfer => ({
+        ...transfer,
+        amount: fromCents(transfer.amount)
+      }));
+      settlement.finalizedAt = new Date();
+      settlement.settledAt = null;
+      settlement.updateStatus();
+
+      await settlement.save();
+
+      console.log(`Settlement for league ${league.name}: ${settlement.transfers.length} transfers`);
+
+      return settlement;
+    } catch (error) {
+      console.error('Error finalizing settlement:', error);
+      throw error;
+    }
+  }
+
+  // Mark a transfer paid (or back to pending) on behalf of a commissioner
+  async markTransfer(leagueId, transferId, { paid, note }, actorId) {
+    try {
+      const league = await League.findById(leagueId).select('season');
+
+      if (!league) {
+        throw new AppError('League not found', 404);
+      }
+
+      const settlement = await this.findCurrent(league);
+
+      if (!settlement || !settlement.finalizedAt) {
+        throw new AppError('This season has not been settled yet', 400);
+      }
+
+      const transfer = settlement.transfers.id(transferId);
+
+      if (!transfer) {
+        throw new AppError('Transfer not found', 404);
+      }
+
+      transfer.status = paid ? 'paid' : 'pending';
+      transfer.paidAt = paid ? transfer.paidAt || new Date() : null;
+      transfer.markedBy = actorId;
+      if (note !== undefined) {
+        transfer.note = note;
+      }
+      settlement.updateStatus();
+
+      await settlement.save();
+
+      return this.getLeagueSettlement(leagueId);
+    } catch (error) {
+      console.error('Error updating settlement transfer:', error);
+      throw error;
+    }
+  }
+
+  // The league's current settlement with per-owner totals and a dated ledger (null
+  // until buy-ins are recorded)
+  async getLeagueSettlement(leagueId) {
+    try {
+      const league = await League.findById(leagueId).select('name season status creator');
+
+      if (!league) {
+        throw new AppError('League not found', 404);
+      }
+
+      const settlement = await this.findCurrent(league);
+
+      return {
+        league: {
+          id: league._id,
+          name: league.name,
+          season: league.season.year,
+          status: league.status,
+          creator: league.creator
+        },
+        settlement: settlement ? this.describe(settlement) : null
+      };
+    } catch (error) {
+      console.error('Error getting league settlement:', error);
+      throw error;
+    }
+  }
+
+  // The settlement for the league's current season
+  findCurrent(league) {
+    return Settlement.findOne({ league: league._id, season: league.season.year })
+      .populate('transfers.markedBy', 'username');
+  }
+
+  // Spend and winnings per owner, in cents
+  groupByOwner(league) {
+    const owners = new Map();
+
+    league.teams.forEach(team => {
+      if (!team.owner) {
+        return;
+      }
+
+      const ownerId = team.owner._id.toString();
+      const owner = owners.get(ownerId) || {
+        owner: team.owner._id,
+        username: team.owner.username,
+        teamsOwned: 0,
+        spent: 0,
+        winnings: 0
+      };
+      owner.teamsOwned += 1;
+      owner.spent += toCents(team.purchasePrice || 0);
+      owner.winnings += toCents(team.currentEarnings || 0);
+      owners.set(ownerId, owner);
+    });
+
+    return owners;
+  }
+
+  // Net balance per owner in cents: winnings and pool share less buy-in
+  computeBalances(buyIns, owners) {
+    const rows = new Map();
+
+    buyIns.forEach(buyIn => {
+      rows.set(buyIn.owner.toString(), {
+        owner: buyIn.owner,
+        username: buyIn.username,
+        buyIn: toCents(buyIn.amount),
+        winnings: 0,
+        refund: 0
+      });
+    });
+    owners.forEach((owner, ownerId) => {
+      const row = rows.get(ownerId) || { owner: owner.owner, username: owner.username, buyIn: 0, winnings: 0, refund: 0 };
+      row.winnings = owner.winnings;
+      rows.set(ownerId, row);
+    });
+
+    const balances = [...rows.values()];
+    const totalBuyIns = balances.reduce((sum, row) => sum + row.buyIn, 0);
+    const totalWinnings = balances.reduce((sum, row) => sum + row.winnings, 0);
+
+    // Whatever the payouts left in the pot goes back in proportion to buy-ins
+    // (negative if more was paid out than was put in)
+    const undistributed = totalBuyIns - totalWinnings;
+    if (undistributed !== 0 && totalBuyIns > 0) {
+      balances.forEach(row => {
+        row.refund = Math.round(undistributed * row.buyIn / totalBuyIns);
+      });
+
+      const residual = undistributed - balances.reduce((sum, row) => sum + row.refund, 0);
+      const largest = balances.reduce((max, row) => (row.buyIn > max.buyIn ? row : max), balances[0]);
+      largest.refund += residual;
+    }
+
+    return balances
+      .map(row => ({ ...row, net: row.winnings + row.refund - row.buyIn }))
+      .sort((a, b) => b.net - a.net);
+  }
+
+  // Greedy transfers in cents from owners who owe to owners who are owed
+  computeTransfers(balances) {
+    const debtors = balances
+      .filter(row => row.net < 0)
+      .map(row => ({ ...row, remaining: -row.net }));
+    const creditors = balances
+      .filter(row => row.net > 0)
+      .map(row => ({ ...row, remaining: row.net }));
+    const transfers = [];
+
+    while (debtors.length > 0 && creditors.length > 0) {
+      debtors.sort((a, b) => b.remaining - a.remaining);
+      creditors.sort((a, b) => b.remaining - a.remaining);
+
+      const debtor = debtors[0];
+      const creditor = creditors[0];
+      const amount = Math.min(debtor.remaining, creditor.remaining);
+
+      transfers.push({
+        from: debtor.owner,
+        fromUsername: debtor.username,
+        to: creditor.owner,
+        toUsername: creditor.username,
+        amount
+      });
+
+      debtor.remaining -= amount;
+      creditor.remaining -= amount;
+      if (debtor.remaining === 0) {
+        debtors.shift();
+      }
+      if (creditor.remaining === 0) {
+        creditors.shift();
+      }
+    }
+
+    return transfers;
+  }
+
+  // Settlement with per-owner outstanding amounts and its ledger lines in date order
+  describe(settlement) {
+    const data = settlement.toObject();
+    const owners = new Map();
+    const ownerFor = (ownerId, username) => {
+      const key = ownerId.toString();
+      if (!owners.has(key)) {
+        owners.set(key, { owner: ownerId, username, toPay: 0, toReceive: 0, paid: 0, received: 0 });
+      }
+      return owners.get(key);
+    };
+
+    const ledger = data.buyIns.map(buyIn => {
+      ownerFor(buyIn.owner, buyIn.username);
+      return {
+        type: 'buy-in',
+        date: data.buyInsRecordedAt,
+        owner: buyIn.owner,
+        username: buyIn.username,
+        amount: -buyIn.amount,
+        description: `Buy-in for ${buyIn.teamsOwned} team${buyIn.teamsOwned !== 1 ? 's' : ''}`
+      };
+    });
+
+    data.balances.forEach(balance => {
+      ownerFor(balance.owner, balance.username);
+      if (balance.winnings !== 0) {
+        ledger.push({
+          type: 'winnings',
+          date: data.finalizedAt,
+          owner: balance.owner,
+          username: balance.username,
+          amount: balance.winnings,
+          description: 'Season winnings'
+        });
+      }
+      if (balance.refund !== 0) {
+        ledger.push({
+          type: 'refund',
+          date: data.finalizedAt,
+          owner: balance.owner,
+          username: balance.username,
+          amount: balance.refund,
+          description: balance.refund > 0 ? 'Share of undistributed pool' : 'Share of pool overrun'
+        });
+      }
+    });
+
+    data.transfers.forEach(transfer => {
+      const payer = ownerFor(transfer.from, transfer.fromUsername);
+      const payee = ownerFor(transfer.to, transfer.toUsername);
+
+      if (transfer.status === 'paid') {
+        payer.paid += transfer.amount;
+        payee.received += transfer.amount;
+        ledger.push({
+          type: 'payment',
+          date: transfer.paidAt,
+          owner: transfer.from,
+          username: transfer.fromUsername,
+          counterparty: transfer.toUsername,
+          amount: transfer.amount,
+          description: `Paid ${transfer.toUsername}${transfer.note ? ` (${transfer.note})` : ''}`
+        });
+      } else {
+        payer.toPay += transfer.amount;
+        payee.toReceive += transfer.amount;
+      }
+    });
+
+    ledger.sort((a, b) => new Date(a.date) - new Date(b.date));
+
+    return {
+      ...data,
+      totalBuyIns: fromCents(data.buyIns.reduce((sum, buyIn) => sum + toCents(buyIn.amount), 0)),
+      outstanding: fromCents(data.transfers
+        .filter(transfer => transfer.status === 'pending')
+        .reduce((sum, transfer) => sum + toCents(transfer.amount), 0)),
+      owners: [...owners.values()].map(owner => ({
+        ...owner,
+        toPay: fromCents(toCents(owner.toPay)),
+        toReceive: fromCents(toCents(owner.toReceive)),
+        paid: fromCents(toCents(owner.paid)),
+        received: fromCents(toCents(owner.received))
+      })),
+      ledger
+    };
+  }
+}
+
+module.exports = new SettlementService();
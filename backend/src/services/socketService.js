@@ -0,0 +1,251 @@
+const mongoose = require('mongoose');
+const Auction = require('../models/Auction');
+const League = require('../models/League');
+const { authenticateSocket } = require('../middleware/auth');
+const auctionTimerService = require('./auctionTimerService');
+const auctionBidService = require('./auctionBidService');
+
+class SocketService {
+  constructor() {
+    this.io = null;
+    // auctionId -> Map(userId -> Set(socketId)) of connected auction room members
+    this.presence = new Map();
+  }
+
+  // Require an authenticated handshake and register room handlers
+  initialize(io) {
+    this.io = io;
+
+    io.use(authenticateSocket);
+    io.on('connection', socket => this.handleConnection(socket));
+  }
+
+  handleConnection(socket) {
+    console.log(`Client connected: ${socket.id} (${socket.user.username})`);
+
+    // Personal room for notifications that are not tied to a page (e.g. draft reminders)
+    socket.join(`user-${socket.user._id}`);
+
+    socket.on('join-league', async (leagueId, ack) => {
+      const result = await this.authorizeLeague(socket.user, leagueId);
+      if (result.success) {
+        socket.join(`league-${leagueId}`);
+        console.log(`Socket ${socket.id} joined league ${leagueId}`);
+      }
+      this.acknowledge(ack, result);
+    });
+
+    socket.on('leave-league', (leagueId, ack) => {
+      socket.leave(`league-${leagueId}`);
+      console.log(`Socket ${socket.id} left league ${leagueId}`);
+      this.acknowledge(ack, { success: true });
+    });
+
+    socket.on('join-auction', async (auctionId, ack) => {
+      const result = await this.authorizeAuction(socket.user, auctionId);
+      if (result.success) {
+        socket.join(`auction-${auctionId}`);
+        console.log(`Socket ${socket.id} joined auction ${auctionId}`);
+        await this.addPresence(auctionId, socket);
+      }
+      this.acknowledge(ack, result);
+    });
+
+    socket.on('leave-auction', async (auctionId, ack) => {
+      socket.leave(`auction-${auctionId}`);
+      console.log(`Socket ${socket.id} left auction ${auctionId}`);
+      await this.removePresence(auctionId, socket, false);
+      this.acknowledge(ack, { success: true });
+    });
+
+    // Bids over the socket share the REST path's concurrency guard; the ack reports
+    // the outcome to the bidder (status 409 when another bid landed first)
+    socket.on('place-bid', async (payload, ack) => {
+      const { auctionId, teamId, bidAmount } = payload || {};
+      const amount = parseInt(bidAmount);
+
+      if (!mongoose.isValidObjectId(auctionId) || !mongoose.isValidObjectId(teamId) || isNaN(amount) || amount < 1) {
+        return this.acknowledge(ack, { success: false, status: 400, message: 'Invalid bid' });
+      }
+
+      try {
+        const auction = await auctionBidService.placeBid(auctionId, socket.user._id, teamId, amount);
+        await auction.populate({
+          path: 'currentHighBidder',
+          select: 'username firstName lastName'
+        });
+
+        this.acknowledge(ack, {
+          success: true,
+          data: {
+            currentBid: auction.currentBid,
+            currentHighBidder: auction.currentHighBidder,
+            bidEndTime: auction.bidEndTime,
+            timeRemaining: auction.timeRemaining
+          }
+        });
+      } catch (error) {
+        if (!error.statusCode) {
+          console.error('Error placing socket bid:', error);
+        }
+        this.acknowledge(ack, {
+          success: false,
+          status: error.statusCode || 500,
+          message: error.statusCode ? error.message : 'Server error'
+        });
+      }
+    });
+
+    socket.on('disconnect', async () => {
+      console.log('Client disconnected:', socket.id);
+
+      const auctionIds = [...this.presence.keys()].filter(auctionId =>
+        this.presence.get(auctionId).get(socket.user._id.toString())?.has(socket.id)
+      );
+
+      for (const auctionId of auctionIds) {
+        await this.removePresence(auctionId, socket, true);
+      }
+    });
+  }
+
+  // Record a socket in an auction room; the user's first socket marks them online
+  // and resumes the auction if their disconnect had paused it
+  async addPresence(auctionId, socket) {
+    const userId = socket.user._id.toString();
+
+    if (!this.presence.has(auctionId)) {
+      this.presence.set(auctionId, new Map());
+    }
+    const room = this.presence.get(auctionId);
+    const isFirstSocket = !room.has(userId);
+
+    if (isFirstSocket) {
+      room.set(userId, new Set());
+    }
+    room.get(userId).add(socket.id);
+
+    if (isFirstSocket) {
+      try {
+        await this.updateParticipantActivity(auctionId, userId, true);
+        await auctionTimerService.autoResume(auctionId, userId);
+      } catch (error) {
+        console.error(`Error updating presence for auction ${auctionId}:`, error);
+      }
+    }
+
+    this.broadcastPresence(auctionId);
+  }
+
+  // Remove a socket from an auction room; the user's last socket marks them offline.
+  // A dropped connection (not a deliberate leave) may auto-pause the current lot.
+  async removePresence(auctionId, socket, isDisconnect) {
+    const userId = socket.user._id.toString();
+    const room = this.presence.get(auctionId);
+    const sockets = room?.get(userId);
+
+    if (!sockets || !sockets.delete(socket.id) || sockets.size > 0) {
+      return;
+    }
+
+    room.delete(userId);
+    if (room.size === 0) {
+      this.presence.delete(auctionId);
+    }
+
+    try {
+      await this.updateParticipantActivity(auctionId, userId, false);
+      if (isDisconnect) {
+        await auctionTimerService.autoPause(auctionId, socket.user);
+      }
+    } catch (error) {
+      console.error(`Error updating presence for auction ${auctionId}:`, error);
+    }
+
+    this.broadcastPresence(auctionId);
+  }
+
+  // Persist a participant's connection state on the auction
+  async updateParticipantActivity(auctionId, userId, isActive) {
+    await Auction.updateOne(
+      { _id: auctionId },
+      {
+        $set: {
+          'participants.$[p].isActive': isActive,
+          'participants.$[p].lastActivity': new Date()
+        }
+      },
+      { arrayFilters: [{ 'p.user': new mongoose.Types.ObjectId(userId) }] }
+    );
+  }
+
+  // User IDs currently connected to an auction room
+  getOnlineUsers(auctionId) {
+    return [...(this.presence.get(auctionId.toString())?.keys() || [])];
+  }
+
+  // Send the current presence list to everyone in the auction room
+  broadcastPresence(auctionId) {
+    if (!this.io) return;
+
+    this.io.to(`auction-${auctionId}`).emit('presence-updated', {
+      auctionId,
+      onlineUsers: this.getOnlineUsers(auctionId)
+    });
+  }
+
+  // Check the user may receive a league's events (active member or super user)
+  async authorizeLeague(user, leagueId) {
+    try {
+      if (!mongoose.isValidObjectId(leagueId)) {
+        return { success: false, message: 'Invalid league ID' };
+      }
+
+      const league = await League.findById(leagueId).select('members');
+      if (!league) {
+        return { success: false, message: 'League not found' };
+      }
+
+      const isMember = league.members.some(member =>
+        member.user.toString() === user._id.toString() && member.isActive
+      );
+
+      if (!isMember && !user.isSuperUser) {
+        return { success: false, message: 'Access denied. You must be a member of this league.' };
+      }
+
+      return { success: true };
+    } catch (error) {
+      console.error('Error authorizing league room:', error);
+      return { success: false, message: 'Server error' };
+    }
+  }
+
+  // Check the user may receive an auction's events (via its league)
+  async authorizeAuction(user, auctionId) {
+    try {
+      if (!mongoose.isValidObjectId(auctionId)) {
+        return { success: false, message: 'Invalid auction ID' };
+      }
+
+      const auction = await Auction.findById(auctionId).select('league');
+      if (!auction) {
+        return { success: false, message: 'Auction not found' };
+      }
+
+      return this.authorizeLeague(user, auction.league);
+    } catch (error) {
+      console.error('Error authorizing auction room:', error);
+      return { success: false, message: 'Server error' };
+    }
+  }
+
+  // Reply to the client if it asked for an acknowledgement
+  acknowledge(ack, result) {
+    if (typeof ack === 'function') {
+      ack(result);
+    }
+  }
+}
+
+module.exports = new SocketService();
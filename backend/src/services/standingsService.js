@@ -0,0 +1,348 @@
+const NFLTeam = require('../models/NFLTeam');
+const Game = require('../models/Game');
+const playoffBracketService = require('./playoffBracketService');
+
+const PLAYOFF_SEEDS = 7;
+
+// Wildcard common-games tiebreaker needs at least this many common games
+const MIN_COMMON_GAMES = 4;
+
+// Won-lost-tied percentage with ties counting half; null when no games were played
+const winPct = (games) => {
+  if (games.length === 0) return null;
+  const points = games.reduce((sum, game) => sum + (game.result === 'W' ? 1 : game.result === 'T' ? 0.5 : 0), 0);
+  return points / games.length;
+};
+
+// NFL standings from final regular-season Game results: division ranks, conference
+// ranks and playoff seeds, applying the official tiebreaking procedures
+// (head-to-head, division record, common games, conference record, strength of
+// victory, strength of schedule, then net points; a stable name order stands in
+// for the coin toss).
+class StandingsService {
+  // Compute the standings for a season without saving them
+  async computeStandings(season) {
+    const teams = await NFLTeam.find({ isActive: true }).select('name city abbreviation conference division');
+    const games = await Game.find({ season, seasonType: 'regular', status: 'final' })
+      .select('homeTeam awayTeam score');
+
+    return { season, gamesPlayed: games.length, ...this.rankStandings(teams, games) };
+  }
+
+  // Records, division ranks, conference ranks and seeds from the given teams and
+  // final games; the payout simulator ranks hypothetical results with it too
+  rankStandings(teams, games) {
+    const records = this.buildRecords(teams, games);
+    const divisions = {};
+    const conferences = {};
+
+    teams.forEach(team => {
+      const record = records.get(team._id.toString());
+      divisions[team.conference] = divisions[team.conference] || {};
+      divisions[team.conference][team.division] = divisions[team.conference][team.division] || [];
+      divisions[team.conference][team.division].push(record);
+      conferences[team.conference] = conferences[team.conference] || [];
+      conferences[team.conference].push(record);
+    });
+
+    // Division ranks first; conference ranking relies on them
+    Object.values(divisions).forEach(conference => {
+      Object.values(conference).forEach(division => {
+        this.rankDivision(division, records).forEach((record, index) => {
+          record.divisionRank = index + 1;
+        });
+      });
+    });
+
+    const seeds = {};
+    Object.entries(conferences).forEach(([conference, conferenceRecords]) => {
+      // Division winners take seeds 1-4, then the rest of the conference is ranked for the wildcards
+      const winners = conferenceRecords.filter(record => record.divisionRank === 1);
+      const others = conferenceRecords.filter(record => record.divisionRank !== 1);
+      const ranked = [
+        ...this.rankConference(winners, records),
+        ...this.rankConference(others, records)
+      ];
+
+      ranked.forEach((record, index) => {
+        record.conferenceRank = index + 1;
+        record.playoffSeed = index < PLAYOFF_SEEDS ? index + 1 : null;
+      });
+      seeds[conference] = ranked.slice(0, PLAYOFF_SEEDS);
+    });
+
+    return {
+      teams: [...records.values()],
+      divisions,
+      seeds
+    };
+  }
+
+  // Compute the standings and store ranks, seeds and playoff status on each team
+  async updateStandings(season) {
+    try {
+      const standings = await this.computeStandings(season);
+
+      const operations = standings.teams.map(record => {
+        const update = {
+          'currentSeason.divisionRank': record.divisionRank,
+          'currentSeason.conferenceRank': record.conferenceRank,
+          'currentSeason.playoffSeed': record.playoffSeed
+        };
+
+        return { updateOne: { filter: { _id: record.team._id }, update: { $set: update } } };
+      });
+
+      if (operations.length > 0) {
+        await NFLTeam.bulkWrite(operations);
+      }
+
+      // The seeds become the playoff bracket once the regular season is over
+      const bracket = await this.isRegularSeasonComplete(season)
+        ? await playoffBracketService.updateBracket(season)
+        : null;
+
+      console.log(`Updated NFL standings for ${season} from ${standings.gamesPlayed} games`);
+      return {
+        success: true,
+        season,
+        gamesPlayed: standings.gamesPlayed,
+        seeds: standings.seeds,
+        bracketStatus: bracket?.status || null
+      };
+    } catch (error) {
+      console.error('Error updating NFL standings:', error);
+      throw error;
+    }
+  }
+
+  // True once every imported regular-season game of the season is final
+  async isRegularSeasonComplete(season) {
+    const [total, unfinished] = await Promise.all([
+      Game.countDocuments({ season, seasonType: 'regular' }),
+      Game.countDocuments({ season, seasonType: 'regular', status: { $nin: ['final', 'canceled'] } })
+    ]);
+    return total > 0 && unfinished === 0;
+  }
+
+  // Per-team record with every game from that team's side
+  buildRecords(teams, games) {
+    const records = new Map();
+    const teamsById = new Map(teams.map(team => [team._id.toString(), team]));
+
+    teams.forEach(team => {
+      records.set(team._id.toString(), {
+        team,
+        games: [],
+        wins: 0,
+        losses: 0,
+        ties: 0,
+        divisionRank: null,
+        conferenceRank: null,
+        playoffSeed: null
+      });
+    });
+
+    games.forEach(game => {
+      const homeId = game.homeTeam.toString();
+      const awayId = game.awayTeam.toString();
+      const home = teamsById.get(homeId);
+      const away = teamsById.get(awayId);
+      if (!home || !away || game.score.home === null || game.score.away === null) return;
+
+      const sameConference = home.conference === away.conference;
+      const sameDivision = sameConference && home.division === away.division;
+      const add = (teamId, opponentId, pointsFor, pointsAgainst) => {
+        const record = records.get(teamId);
+        const result = pointsFor > pointsAgainst ? 'W' : pointsFor < pointsAgainst ? 'L' : 'T';
+        record.games.push({ opponent: opponentId, result, pointsFor, pointsAgainst, sameConference, sameDivision });
+        if (result === 'W') record.wins++;
+        else if (result === 'L') record.losses++;
+        else record.ties++;
+      };
+
+      add(homeId, awayId, game.score.home, game.score.away);
+      add(awayId, homeId, game.score.away, game.score.home);
+    });
+
+    records.forEach(record => {
+      record.winPct = winPct(record.games) || 0;
+    });
+
+    return records;
+  }
+
+  // Order a division's teams: best record first, ties broken with the division procedure
+  rankDivision(divisionRecords, records) {
+    return this.rankGroups(divisionRecords, tied => this.breakDivisionTie(tied, records));
+  }
+
+  // Order teams from one conference: best record first, ties broken with the wildcard
+  // procedure. Only the top remaining team of each division may take part in a tie.
+  rankConference(conferenceRecords, records) {
+    const ranked = [];
+    let remaining = [...conferenceRecords];
+
+    while (remaining.length > 0) {
+      const bestPct = Math.max(...remaining.map(record => record.winPct));
+      const tied = remaining.filter(record => record.winPct === bestPct);
+
+      const topOfDivision = new Map();
+      tied.forEach(record => {
+        const key = record.team.division;
+        if (!topOfDivision.has(key) || record.divisionRank < topOfDivision.get(key).divisionRank) {
+          topOfDivision.set(key, record);
+        }
+      });
+
+      const best = this.breakConferenceTie([...topOfDivision.values()], records);
+      ranked.push(best);
+      remaining = remaining.filter(record => record !== best);
+    }
+
+    return ranked;
+  }
+
+  // Repeatedly take the best of the teams tied on record until all are placed
+  rankGroups(group, pickBest) {
+    const ranked = [];
+    let remaining = [...group];
+
+    while (remaining.length > 0) {
+      const bestPct = Math.max(...remaining.map(record => record.winPct));
+      const tied = remaining.filter(record => record.winPct === bestPct);
+      const best = tied.length === 1 ? tied[0] : pickBest(tied);
+
+      ranked.push(best);
+      remaining = remaining.filter(record => record !== best);
+    }
+
+    return ranked;
+  }
+
+  // Division tiebreakers (same steps for two or more clubs)
+  breakDivisionTie(tied, records) {
+    return this.applySteps(tied, [
+      group => this.headToHeadPct(group),
+      group => this.subsetPct(group, game => game.sameDivision),
+      group => this.commonGamesPct(group, 1),
+      group => this.subsetPct(group, game => game.sameConference),
+      group => this.strengthOfVictory(group, records),
+      group => this.strengthOfSchedule(group, records),
+      group => this.netPoints(group)
+    ], next => this.breakDivisionTie(next, records));
+  }
+
+  // Wildcard tiebreakers: head-to-head for two clubs, a head-to-head sweep for more
+  breakConferenceTie(tied, records) {
+    if (tied.length === 1) {
+      return tied[0];
+    }
+
+    return this.applySteps(tied, [
+      group => (group.length === 2 ? this.headToHeadPct(group) : this.headToHeadSweep(group)),
+      group => this.subsetPct(group, game => game.sameConference),
+      group => this.commonGamesPct(group, MIN_COMMON_GAMES),
+      group => this.strengthOfVictory(group, records),
+      group => this.strengthOfSchedule(group, records),
+      group => this.netPoints(group)
+    ], next => this.breakConferenceTie(next, records));
+  }
+
+  // Run tiebreaking steps in order. A step returns a value per team (higher is better)
+  // or null when it does not apply. The first step that separates the teams decides:
+  // a single leader wins; a smaller tied group starts over from the first step.
+  applySteps(tied, steps, restart) {
+    for (const step of steps) {
+      const values = step(tied);
+      if (!values) continue;
+
+      const best = Math.max(...values);
+      const leaders = tied.filter((record, index) => values[index] === best);
+
+      if (leaders.length === 1) {
+        return leaders[0];
+      }
+      if (leaders.length < tied.length) {
+        return restart(leaders);
+      }
+    }
+
+    // Coin toss stand-in: a stable order so repeated runs agree
+    return [...tied].sort((a, b) => a.team.abbreviation.localeCompare(b.team.abbreviation))[0];
+  }
+
+  // Percentage in games among the tied clubs; applies only if every club played one of the others
+  headToHeadPct(tied) {
+    const ids = new Set(tied.map(record => record.team._id.toString()));
+    const values = tied.map(record => winPct(record.games.filter(game => ids.has(game.opponent))));
+    return values.some(value => value === null) ? null : values;
+  }
+
+  // A club that beat each of the others wins; a club that lost to each of the others drops out
+  headToHeadSweep(tied) {
+    const beatAll = (record) => tied.every(other => {
+      if (other === record) return true;
+      const games = record.games.filter(game => game.opponent === other.team._id.toString());
+      return games.length > 0 && games.every(game => game.result === 'W');
+    });
+    const lostToAll = (record) => tied.every(other => {
+      if (other === record) return true;
+      const games = record.games.filter(game => game.opponent === other.team._id.toString());
+      return games.length > 0 && games.every(game => game.result === 'L');
+    });
+
+    if (tied.some(beatAll)) {
+      return tied.map(record => (beatAll(record) ? 1 : 0));
+    }
+    if (tied.some(lostToAll)) {
+      return tied.map(record => (lostToAll(record) ? 0 : 1));
+    }
+    return null;
+  }
+
+  subsetPct(tied, predicate) {
+    const values = tied.map(record => winPct(record.games.filter(predicate)));
+    return values.some(value => value === null) ? null : values;
+  }
+
+  // Percentage against opponents every tied club played
+  commonGamesPct(tied, minimum) {
+    const ids = new Set(tied.map(record => record.team._id.toString()));
+    const opponentSets = tied.map(record => new Set(record.games.map(game => game.opponent)));
+    const common = [...opponentSets[0]].filter(opponent =>
+      !ids.has(opponent) && opponentSets.every(set => set.has(opponent))
+    );
+    if (common.length === 0) return null;
+
+    const commonIds = new Set(common);
+    const gamesByTeam = tied.map(record => record.games.filter(game => commonIds.has(game.opponent)));
+    if (gamesByTeam.some(games => games.length < minimum)) return null;
+
+    return gamesByTeam.map(games => winPct(games));
+  }
+
+  // Combined percentage of the opponents a club beat
+  strengthOfVictory(tied, records) {
+    return tied.map(record => this.combinedPct(
+      record.games.filter(game => game.result === 'W').map(game => game.opponent),
+      records
+    ));
+  }
+
+  // Combined percentage of every opponent a club played
+  strengthOfSchedule(tied, records) {
+    return tied.map(record => this.combinedPct(record.games.map(game => game.opponent), records));
+  }
+
+  combinedPct(opponentIds, records) {
+    const opponentGames = opponentIds.flatMap(opponentId => records.get(opponentId)?.games || []);
+    return winPct(opponentGames) || 0;
+  }
+
+  netPoints(tied) {
+    return tied.map(record => record.games.reduce((sum, game) => sum + game.pointsFor - game.pointsAgainst, 0));
+  }
+}
+
+module.exports = new StandingsService();
@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+const Auction = require('../../src/models/Auction');
+
+const id = () => new mongoose.Types.ObjectId();
+
+// An active auction with one lot open and a running bid clock
+const buildAuction = ({ startingBudget = null, currentBid = 10, leader, bidders }) => {
+  const team = id();
+  const otherTeam = id();
+
+  return new Auction({
+    league: id(),
+    auctioneer: id(),
+    startTime: new Date(),
+    status: 'active',
+    currentTeam: team,
+    currentHighBidder: leader,
+    currentBid,
+    bidEndTime: new Date(Date.now() + 60000),
+    teams: [{ nflTeam: team }, { nflTeam: otherTeam }],
+    participants: bidders.map(user => ({ user })),
+    settings: { minimumBid: 1, bidIncrement: 1, startingBudget, allowProxyBids: true }
+  });
+};
+
+const proxy = (auction, user, maxAmount, createdAt) => {
+  auction.proxyBids.push({ team: auction.currentTeam, user, maxAmount, createdAt });
+};
+
+const amounts = (bids) => bids.map(bid => bid.amount);
+
+describe('Auction.resolveProxyBids', () => {
+  const [alice, bob, carol] = [id(), id(), id()];
+
+  it('does nothing without a proxy that beats the current bid', () => {
+    const auction = buildAuction({ leader: alice, bidders: [alice, bob] });
+    proxy(auction, bob, 10, new Date(1));
+
+    expect(auction.resolveProxyBids()).toEqual([]);
+    expect(auction.currentHighBidder).toEqual(alice);
+  });
+
+  it('takes the lot one increment above a leader without a proxy', () => {
+    const auction = buildAuction({ leader: alice, bidders: [alice, bob] });
+    proxy(auction, bob, 40, new Date(1));
+
+    const placed = auction.resolveProxyBids();
+
+    expect(amounts(placed)).toEqual([11]);
+    expect(auction.currentHighBidder).toEqual(bob);
+    expect(auction.currentBid).toBe(11);
+  });
+
+  it('lets a leader with a higher proxy answer one increment above the challenger', () => {
+    const auction = buildAuction({ leader: alice, bidders: [alice, bob] });
+    proxy(auction, alice, 50, new Date(1));
+    proxy(auction, bob, 30, new Date(2));
+
+    const placed = auction.resolveProxyBids();
+
+    expect(placed.map(bid => bid.bidder)).toEqual([bob, alice]);
+    expect(amounts(placed)).toEqual([30, 31]);
+    expect(auction.currentHighBidder).toEqual(alice);
+  });
+
+  it('records the runner-up ceiling when a challenger outbids a leader with a proxy', () => {
+    const auction = buildAuction({ leader: alice, bidders: [alice, bob, carol] });
+    proxy(auction, alice, 20, new Date(1));
+    proxy(auction, bob, 35, new Date(2));
+    proxy(auction, carol, 60, new Date(3));
+
+    const placed = auction.resolveProxyBids();
+
+    expect(placed.map(bid => bid.bidder)).toEqual([bob, carol]);
+    expect(amounts(placed)).toEqual([35, 36]);
+    expect(auction.currentHighBidder).toEqual(carol);
+  });
+
+  it('gives equal ceilings to the earlier proxy with strictly increasing bids', () => {
+    const auction = buildAuction({ leader: alice, bidders: [alice, bob] });
+    proxy(auction, alice, 30, new Date(1));
+    proxy(auction, bob, 30, new Date(2));
+
+    const placed = auction.resolveProxyBids();
+
+    expect(placed.map(bid => bid.bidder)).toEqual([bob, alice]);
+    expect(amounts(placed)).toEqual([29, 30]);
+    expect(auction.currentHighBidder).toEqual(alice);
+  });
+
+  it('gives equal ceilings to an earlier challenger over a later leader proxy', () => {
+    const auction = buildAuction({ leader: alice, bidders: [alice, bob] });
+    proxy(auction, bob, 30, new Date(1));
+    proxy(auction, alice, 30, new Date(2));
+
+    const placed = auction.resolveProxyBids();
+
+    expect(amounts(placed)).toEqual([29, 30]);
+    expect(auction.currentHighBidder).toEqual(bob);
+  });
+
+  it('caps ceilings at what the bidder can still afford', () => {
+    const auction = buildAuction({ startingBudget: 30, leader: alice, bidders: [alice, bob] });
+    proxy(auction, alice, 40, new Date(1));
+    proxy(auction, bob, 500, new Date(2));
+
+    const placed = auction.resolveProxyBids();
+
+    // Both ceilings are capped at the $30 budget, so the earlier proxy holds
+    expect(amounts(placed)).toEqual([29, 30]);
+    expect(auction.currentHighBidder).toEqual(alice);
+  });
+
+  it('never records a bid that does not raise the price', () => {
+    const auction = buildAuction({ leader: alice, bidders: [alice, bob, carol] });
+    proxy(auction, alice, 12, new Date(3));
+    proxy(auction, bob, 12, new Date(1));
+    proxy(auction, carol, 11, new Date(2));
+
+    const placed = auction.resolveProxyBids();
+    const history = [10, ...amounts(placed)];
+
+    history.slice(1).forEach((amount, index) => {
+      expect(amount).toBeGreaterThan(history[index]);
+    });
+    expect(auction.currentHighBidder).toEqual(bob);
+  });
+});
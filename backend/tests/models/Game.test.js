@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const Game = require('../../src/models/Game');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const buildGame = (overrides = {}) => new Game({
+  season: 2026,
+  week: 5,
+  seasonType: 'regular',
+  homeTeam: id(),
+  awayTeam: id(),
+  kickoff: new Date('2026-10-11T17:00:00Z'),
+  status: 'final',
+  score: { home: 24, away: 17 },
+  ...overrides
+});
+
+describe('Game.forTeam', () => {
+  it('describes a final game from either side', () => {
+    const game = buildGame();
+
+    expect(game.forTeam(game.homeTeam)).toMatchObject({
+      week: 5,
+      isPlayoff: false,
+      opponent: game.awayTeam,
+      isHome: true,
+      result: 'W',
+      score: { team: 24, opponent: 17 }
+    });
+    expect(game.forTeam(game.awayTeam.toString())).toMatchObject({
+      opponent: game.homeTeam,
+      isHome: false,
+      result: 'L',
+      score: { team: 17, opponent: 24 }
+    });
+  });
+
+  it('calls a level final score a tie', () => {
+    const game = buildGame({ score: { home: 20, away: 20 } });
+
+    expect(game.forTeam(game.awayTeam).result).toBe('T');
+  });
+
+  it('has no result until the game is final', () => {
+    const game = buildGame({ status: 'in_progress', score: { home: 7, away: 0 } });
+    const upcoming = buildGame({ status: 'scheduled', score: { home: null, away: null } });
+
+    expect(game.forTeam(game.homeTeam)).toMatchObject({ status: 'in_progress', result: null, score: { team: 7, opponent: 0 } });
+    expect(upcoming.forTeam(upcoming.homeTeam)).toMatchObject({ result: null, score: { team: null, opponent: null } });
+  });
+
+  it('matches populated teams and marks playoff games', () => {
+    const [home, away] = [{ _id: id(), abbreviation: 'KC' }, { _id: id(), abbreviation: 'BUF' }];
+    const game = buildGame({ seasonType: 'postseason', week: 2, playoffRound: 'divisional' });
+    game.homeTeam = home;
+    game.awayTeam = away;
+
+    expect(game.forTeam(away._id)).toMatchObject({
+      isPlayoff: true,
+      playoffRound: 'divisional',
+      isHome: false,
+      opponent: expect.objectContaining({ _id: home._id }),
+      result: 'L'
+    });
+  });
+});
+
+describe('Game.getTeamSchedule', () => {
+  let query;
+
+  beforeEach(() => {
+    query = { sort: jest.fn(() => query), populate: jest.fn(() => query) };
+    jest.spyOn(Game, 'find').mockReturnValue(query);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('finds the team\'s home and away games for the season in kickoff order', () => {
+    const team = id();
+
+    Game.getTeamSchedule(team, 2026);
+
+    expect(Game.find).toHaveBeenCalledWith({ season: 2026, $or: [{ homeTeam: team }, { awayTeam: team }] });
+    expect(query.sort).toHaveBeenCalledWith({ kickoff: 1 });
+    expect(query.populate).toHaveBeenCalledWith('homeTeam awayTeam', 'name city abbreviation logo');
+  });
+
+  it('narrows the schedule to a season type', () => {
+    const team = id();
+
+    Game.getTeamSchedule(team, 2026, { seasonType: 'postseason' });
+
+    expect(Game.find).toHaveBeenCalledWith({
+      season: 2026,
+      $or: [{ homeTeam: team }, { awayTeam: team }],
+      seasonType: 'postseason'
+    });
+  });
+});
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+const Auction = require('../../src/models/Auction');
+const auctionBidService = require('../../src/services/auctionBidService');
+const auctionTimerService = require('../../src/services/auctionTimerService');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const documentNotFound = () => Object.assign(new Error('No document found'), { name: 'DocumentNotFoundError' });
+
+// An active auction with a lot open at $10 and a running bid clock
+const buildOpenLot = (bidders) => {
+  const lot = id();
+
+  return new Auction({
+    league: id(),
+    auctioneer: bidders[0],
+    startTime: new Date(),
+    status: 'active',
+    currentTeam: lot,
+    currentHighBidder: bidders[0],
+    currentBid: 10,
+    bidEndTime: new Date(Date.now() + 30000),
+    teams: [{ nflTeam: lot }],
+    participants: bidders.map(user => ({ user }))
+  });
+};
+
+describe('auctionBidService.placeBid', () => {
+  const [alice, bob] = [id(), id()];
+  let auction;
+  let savedWhere;
+
+  beforeEach(() => {
+    auction = buildOpenLot([alice, bob]);
+    savedWhere = null;
+
+    jest.spyOn(Auction, 'findById').mockReturnValue({ select: async () => auction });
+    jest.spyOn(auction, 'save').mockImplementation(async function() {
+      savedWhere = this.$where;
+      return this;
+    });
+    jest.spyOn(auctionTimerService, 'schedule').mockImplementation(() => {});
+    jest.spyOn(auctionTimerService, 'publishBids').mockResolvedValue(undefined);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('lands a bid only if the lot is unchanged and its clock is running', async () => {
+    const { currentTeam } = auction;
+
+    await auctionBidService.placeBid(auction._id, bob, currentTeam, 15);
+
+    expect(savedWhere).toEqual({
+      status: 'active',
+      currentTeam,
+      currentBid: 10,
+      currentHighBidder: alice,
+      bidEndTime: { $gt: expect.any(Date) }
+    });
+    expect(auction.currentBid).toBe(15);
+    expect(auction.currentHighBidder).toEqual(bob);
+    expect(auctionTimerService.schedule).toHaveBeenCalledWith(auction);
+  });
+
+  it('rejects a bid that lost the race to another bid with a 409', async () => {
+    auction.save.mockRejectedValue(documentNotFound());
+    Auction.findById
+      .mockReturnValueOnce({ select: async () => auction })
+      .mockReturnValueOnce({ select: async () => ({ currentBid: 20 }) });
+
+    await expect(auctionBidService.placeBid(auction._id, bob, auction.currentTeam, 15)).rejects.toMatchObject({
+      statusCode: 409,
+      message: 'You were outbid before your bid landed (current bid is $20)'
+    });
+    expect(auctionTimerService.publishBids).not.toHaveBeenCalled();
+  });
+
+  it('rejects a bid below the next increment with a 400 before saving', async () => {
+    await expect(auctionBidService.placeBid(auction._id, bob, auction.currentTeam, 10)).rejects.toMatchObject({
+      statusCode: 400
+    });
+    expect(auction.save).not.toHaveBeenCalled();
+  });
+
+  it('rejects a bid once the clock has run out', async () => {
+    auction.bidEndTime = new Date(Date.now() - 1000);
+
+    await expect(auctionBidService.placeBid(auction._id, bob, auction.currentTeam, 15)).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'Bidding has closed for this team'
+    });
+    expect(auction.save).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,304 @@
+const mongoose = require('mongoose');
+const Auction = require('../../src/models/Auction');
+const AuctionEvent = require('../../src/models/AuctionEvent');
+const League = require('../../src/models/League');
+const NFLTeam = require('../../src/models/NFLTeam');
+const NFLTeamSeason = require('../../src/models/NFLTeamSeason');
+const User = require('../../src/models/User');
+const settlementService = require('../../src/services/settlementService');
+const auctionTimerService = require('../../src/services/auctionTimerService');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const documentNotFound = () => Object.assign(new Error('No document found'), { name: 'DocumentNotFoundError' });
+
+// An active auction whose lot clock has just run out, with a second team still to sell
+const buildExpiredLot = () => {
+  const [lot, nextTeam, nominator, winner] = [id(), id(), id(), id()];
+
+  return new Auction({
+    league: id(),
+    auctioneer: nominator,
+    startTime: new Date(),
+    status: 'active',
+    currentTeam: lot,
+    currentHighBidder: winner,
+    currentNominator: nominator,
+    currentBid: 25,
+    bidEndTime: new Date(Date.now() - 1000),
+    teams: [{ nflTeam: lot }, { nflTeam: nextTeam }],
+    participants: [{ user: nominator }, { user: winner }],
+    nominationOrder: [{ user: nominator, round: 1 }, { user: winner, round: 1 }]
+  });
+};
+
+describe('auctionTimerService.closeLot', () => {
+  let auction;
+  let savedWhere;
+
+  beforeEach(() => {
+    auction = buildExpiredLot();
+    savedWhere = null;
+
+    jest.spyOn(Auction, 'findOne').mockResolvedValue(auction);
+    jest.spyOn(Auction, 'findOneAndUpdate');
+    jest.spyOn(auction, 'save').mockImplementation(async function() {
+      savedWhere = this.$where;
+      return this;
+    });
+    jest.spyOn(auction, 'populate').mockResolvedValue(auction);
+    jest.spyOn(League, 'findByIdAndUpdate').mockResolvedValue(null);
+    jest.spyOn(NFLTeam, 'findById').mockReturnValue({ select: async () => ({ name: 'Team' }) });
+    jest.spyOn(User, 'findById').mockReturnValue({ select: async () => ({ username: 'winner' }) });
+    jest.spyOn(AuctionEvent, 'record').mockResolvedValue(null);
+    jest.spyOn(auctionTimerService, 'schedule').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('returns null when the lot is not closable', async () => {
+    Auction.findOne.mockResolvedValue(null);
+
+    await expect(auctionTimerService.closeLot(auction._id)).resolves.toBeNull();
+    expect(League.findByIdAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('sells the lot with a save conditional on the expired lot it read', async () => {
+    const { currentTeam, currentHighBidder, bidEndTime } = auction;
+
+    const result = await auctionTimerService.closeLot(auction._id);
+
+    expect(savedWhere).toEqual({
+      status: 'active',
+      currentTeam,
+      currentHighBidder,
+      currentBid: 25,
+      bidEndTime
+    });
+    expect(result.finalPrice).toBe(25);
+    expect(auction.currentTeam).toBeNull();
+    expect(auction.teams[0].status).toBe('sold');
+    expect(League.findByIdAndUpdate).toHaveBeenCalledWith(auction.league, {
+      $set: {
+        'teams.$[elem].owner': currentHighBidder,
+        'teams.$[elem].purchasePrice': 25
+      }
+    }, {
+      arrayFilters: [{ 'elem.nflTeam': currentTeam }]
+    });
+    expect(AuctionEvent.record).toHaveBeenCalledWith(auction, 'team-sold', expect.any(Object));
+  });
+
+  it('does nothing when a concurrent close already sold the lot', async () => {
+    auction.save.mockRejectedValue(documentNotFound());
+
+    await expect(auctionTimerService.closeLot(auction._id)).resolves.toBeNull();
+    expect(League.findByIdAndUpdate).not.toHaveBeenCalled();
+    expect(AuctionEvent.record).not.toHaveBeenCalled();
+  });
+
+  it('completes the auction even if recording buy-ins fails', async () => {
+    // The last lot of the last nomination turn
+    auction.teams.pull(auction.teams[1]);
+    auction.currentNominationIndex = 1;
+    jest.spyOn(settlementService, 'recordBuyIns').mockRejectedValue(new Error('connection reset'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const result = await auctionTimerService.closeLot(auction._id);
+
+    expect(result.isAuctionComplete).toBe(true);
+    expect(League.findByIdAndUpdate).toHaveBeenCalledWith(auction.league, { status: 'active' });
+    expect(AuctionEvent.record).toHaveBeenCalledWith(auction, 'auction-completed');
+    expect(console.error).toHaveBeenCalled();
+  });
+
+  it('leaves the lot open for the sweep when the close fails', async () => {
+    auction.save.mockRejectedValue(new Error('connection reset'));
+
+    await expect(auctionTimerService.closeLot(auction._id)).rejects.toThrow('connection reset');
+    // Nothing was claimed ahead of the save, so the expired clock is still there to retry
+    expect(Auction.findOneAndUpdate).not.toHaveBeenCalled();
+    expect(League.findByIdAndUpdate).not.toHaveBeenCalled();
+  });
+});
+
+// An active auction whose nominator ran out of time with two teams still to sell
+const buildExpiredTurn = () => {
+  const [nominator, next] = [id(), id()];
+
+  return new Auction({
+    league: id(),
+    auctioneer: nominator,
+    startTime: new Date(),
+    status: 'active',
+    currentTeam: null,
+    currentNominator: nominator,
+    nominationEndTime: new Date(Date.now() - 1000),
+    teams: [{ nflTeam: id() }, { nflTeam: id() }],
+    participants: [{ user: nominator }, { user: next }],
+    nominationOrder: [{ user: nominator, round: 1 }, { user: next, round: 1 }]
+  });
+};
+
+describe('auctionTimerService.expireNomination', () => {
+  let auction;
+  let savedWhere;
+
+  beforeEach(() => {
+    auction = buildExpiredTurn();
+    savedWhere = null;
+
+    jest.spyOn(Auction, 'findOne').mockReturnValue({ select: async () => auction });
+    jest.spyOn(Auction, 'findOneAndUpdate');
+    jest.spyOn(auction, 'save').mockImplementation(async function() {
+      savedWhere = this.$where;
+      return this;
+    });
+    jest.spyOn(auction, 'populate').mockResolvedValue(auction);
+    jest.spyOn(League, 'findById').mockReturnValue({ select: async () => ({ settings: { allowSkipNomination: true } }) });
+    jest.spyOn(User, 'findById').mockReturnValue({ select: async () => ({ username: 'nominator' }) });
+    jest.spyOn(AuctionEvent, 'record').mockResolvedValue(null);
+    jest.spyOn(auctionTimerService, 'schedule').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('returns null when the turn has not expired', async () => {
+    Auction.findOne.mockReturnValue({ select: async () => null });
+
+    await expect(auctionTimerService.expireNomination(auction._id)).resolves.toBeNull();
+    expect(AuctionEvent.record).not.toHaveBeenCalled();
+  });
+
+  it('passes the turn with a save conditional on the expired turn it read', async () => {
+    const { currentNominator, nominationEndTime } = auction;
+
+    const result = await auctionTimerService.expireNomination(auction._id);
+
+    expect(savedWhere).toEqual({
+      status: 'active',
+      currentTeam: null,
+      currentNominator,
+      nominationEndTime
+    });
+    expect(result.autoNominated).toBe(false);
+    expect(auction.currentNominator).toEqual(auction.nominationOrder[1].user);
+    expect(auction.nominationEndTime.getTime()).toBeGreaterThan(Date.now());
+    expect(AuctionEvent.record).toHaveBeenCalledWith(auction, 'nomination-skipped', expect.any(Object));
+  });
+
+  it('does nothing when a concurrent caller already handled the turn', async () => {
+    auction.save.mockRejectedValue(documentNotFound());
+
+    await expect(auctionTimerService.expireNomination(auction._id)).resolves.toBeNull();
+    expect(AuctionEvent.record).not.toHaveBeenCalled();
+    expect(auctionTimerService.schedule).not.toHaveBeenCalled();
+  });
+
+  it('leaves the turn expirable for the sweep when the save fails', async () => {
+    auction.save.mockRejectedValue(new Error('connection reset'));
+
+    await expect(auctionTimerService.expireNomination(auction._id)).rejects.toThrow('connection reset');
+    // The expired clock was never cleared ahead of the save, so the sweep still finds it
+    expect(Auction.findOneAndUpdate).not.toHaveBeenCalled();
+    expect(AuctionEvent.record).not.toHaveBeenCalled();
+  });
+});
+
+describe('auctionTimerService.restartStalledNominations', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('starts a clock for a turn left without one', async () => {
+    const auction = buildExpiredTurn();
+    auction.nominationEndTime = null;
+    let savedWhere = null;
+
+    jest.spyOn(Auction, 'find').mockResolvedValue([auction]);
+    jest.spyOn(auction, 'save').mockImplementation(async function() {
+      savedWhere = this.$where;
+      return this;
+    });
+    jest.spyOn(auctionTimerService, 'schedule').mockImplementation(() => {});
+
+    await expect(auctionTimerService.restartStalledNominations()).resolves.toBe(1);
+    expect(savedWhere).toMatchObject({ currentTeam: null, nominationEndTime: null });
+    expect(auction.nominationEndTime.getTime()).toBeGreaterThan(Date.now());
+    expect(auctionTimerService.schedule).toHaveBeenCalledWith(auction);
+  });
+
+  it('skips a turn that got a clock or a nomination meanwhile', async () => {
+    const auction = buildExpiredTurn();
+    auction.nominationEndTime = null;
+
+    jest.spyOn(Auction, 'find').mockResolvedValue([auction]);
+    jest.spyOn(auction, 'save').mockRejectedValue(documentNotFound());
+    jest.spyOn(auctionTimerService, 'schedule').mockImplementation(() => {});
+
+    await expect(auctionTimerService.restartStalledNominations()).resolves.toBe(0);
+    expect(auctionTimerService.schedule).not.toHaveBeenCalled();
+  });
+});
+
+describe('auctionTimerService.rankTeamsByRecord', () => {
+  const team = (abbreviation, currentSeason, totalWins = 0) => ({
+    _id: id(),
+    abbreviation,
+    currentSeason: { year: 2027, wins: 0, losses: 0, ties: 0, ...currentSeason },
+    allTimeStats: { totalWins }
+  });
+
+  const rank = async (teams, archived = []) => {
+    const auction = buildExpiredTurn();
+    auction.teams = teams.map(entry => ({ nflTeam: entry._id }));
+
+    jest.spyOn(NFLTeam, 'find').mockReturnValue({ select: async () => teams });
+    jest.spyOn(NFLTeamSeason, 'find').mockReturnValue({ select: async () => archived });
+
+    const ranked = await auctionTimerService.rankTeamsByRecord(auction);
+    return ranked.map(teamId => teams.find(entry => entry._id.equals(teamId)).abbreviation);
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('ranks by this season\'s record once games are played', async () => {
+    const ranked = await rank([
+      team('BUF', { wins: 1, losses: 2 }, 500),
+      team('KC', { wins: 3 }),
+      team('MIA', { wins: 2, losses: 1 })
+    ]);
+
+    expect(ranked).toEqual(['KC', 'MIA', 'BUF']);
+    expect(NFLTeamSeason.find).not.toHaveBeenCalled();
+  });
+
+  it('ranks by last season\'s archived record before any games after a rollover', async () => {
+    const [buf, kc, mia] = [team('BUF', {}, 500), team('KC', {}, 400), team('MIA', {}, 300)];
+
+    const ranked = await rank([buf, kc, mia], [
+      { team: kc._id, wins: 15, losses: 2, ties: 0 },
+      { team: mia._id, wins: 11, losses: 6, ties: 0 },
+      { team: buf._id, wins: 4, losses: 13, ties: 0 }
+    ]);
+
+    expect(ranked).toEqual(['KC', 'MIA', 'BUF']);
+    expect(NFLTeamSeason.find).toHaveBeenCalledWith({
+      $or: [buf, kc, mia].map(entry => ({ team: entry._id, season: 2026 }))
+    });
+  });
+
+  it('falls back to all-time wins without an archived season', async () => {
+    const ranked = await rank([team('BUF', {}, 300), team('KC', {}, 500)]);
+
+    expect(ranked).toEqual(['KC', 'BUF']);
+  });
+});
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const leagueAnalyticsService = require('../../src/services/leagueAnalyticsService');
+
+const owner = (username) => ({ _id: new mongoose.Types.ObjectId(), username });
+const row = (abbreviation, owner, purchasePrice, earnings) => ({ nflTeam: { abbreviation }, owner, purchasePrice, earnings });
+const names = (teams) => teams.map(team => team.nflTeam.abbreviation);
+
+describe('leagueAnalyticsService.analyzeSeason', () => {
+  const [alice, bob] = [owner('alice'), owner('bob')];
+
+  // $100 spent and $100 paid out so far
+  const season = () => leagueAnalyticsService.analyzeSeason([
+    row('BUF', alice, 60, 30),
+    row('KC', bob, 40, 60),
+    row('NE', alice, 0, 10)
+  ]);
+
+  it('measures each team against its price\'s share of the payouts so far', () => {
+    expect(season().teams).toEqual([
+      expect.objectContaining({ slot: 1, expectedEarnings: 60, valueOverPrice: -30, profit: -30, roi: -0.5 }),
+      expect.objectContaining({ slot: 2, expectedEarnings: 40, valueOverPrice: 20, profit: 20, roi: 0.5 }),
+      expect.objectContaining({ slot: 3, expectedEarnings: 0, valueOverPrice: 10, profit: 10, roi: null })
+    ]);
+  });
+
+  it('lists bargains and busts by value over price', () => {
+    const { bargains, busts } = season();
+
+    expect(names(bargains)).toEqual(['KC', 'NE']);
+    expect(names(busts)).toEqual(['BUF']);
+  });
+
+  it('totals each owner\'s portfolio', () => {
+    expect(season().owners).toEqual([
+      { owner: bob, teamsOwned: 1, totalSpent: 40, totalEarnings: 60, valueOverPrice: 20, profit: 20, roi: 0.5 },
+      { owner: alice, teamsOwned: 2, totalSpent: 60, totalEarnings: 40, valueOverPrice: -20, profit: -20, roi: -0.3333 }
+    ]);
+  });
+
+  it('finds no bargains or busts before anything is paid out', () => {
+    const { teams, bargains, busts } = leagueAnalyticsService.analyzeSeason([
+      row('BUF', alice, 60, 0),
+      row('KC', bob, 40, 0)
+    ]);
+
+    expect(teams.map(team => team.valueOverPrice)).toEqual([0, 0]);
+    expect(bargains).toEqual([]);
+    expect(busts).toEqual([]);
+  });
+
+  it('expects nothing of teams when nothing was spent', () => {
+    const { teams, owners } = leagueAnalyticsService.analyzeSeason([row('BUF', alice, 0, 25)]);
+
+    expect(teams[0]).toMatchObject({ expectedEarnings: 0, valueOverPrice: 25, roi: null });
+    expect(owners[0].roi).toBeNull();
+  });
+});
+
+describe('leagueAnalyticsService.compareSlots', () => {
+  const [alice, bob] = [owner('alice'), owner('bob')];
+
+  it('averages each price slot over the seasons it appears in', () => {
+    const seasons = [
+      leagueAnalyticsService.analyzeSeason([row('BUF', alice, 60, 30), row('KC', bob, 40, 60), row('NE', alice, 0, 10)]),
+      leagueAnalyticsService.analyzeSeason([row('MIA', alice, 50, 100), row('NYJ', bob, 50, 0)])
+    ];
+
+    expect(leagueAnalyticsService.compareSlots(seasons)).toEqual([
+      { slot: 1, seasons: 2, averagePrice: 55, averageEarnings: 65, averageValueOverPrice: 10, roi: 0.1818 },
+      { slot: 2, seasons: 2, averagePrice: 45, averageEarnings: 30, averageValueOverPrice: -15, roi: -0.3333 },
+      { slot: 3, seasons: 1, averagePrice: 0, averageEarnings: 10, averageValueOverPrice: 10, roi: null }
+    ]);
+  });
+
+  it('has no slots without seasons', () => {
+    expect(leagueAnalyticsService.compareSlots([])).toEqual([]);
+  });
+});
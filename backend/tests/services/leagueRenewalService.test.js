@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+const League = require('../../src/models/League');
+const NFLTeam = require('../../src/models/NFLTeam');
+const User = require('../../src/models/User');
+const leagueRenewalService = require('../../src/services/leagueRenewalService');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('leagueRenewalService.renewLeague', () => {
+  const [creator, member] = [id(), id()];
+  let league;
+  let saved;
+
+  beforeEach(() => {
+    league = new League({
+      name: 'Sunday Owners',
+      creator,
+      inviteCode: 'ABCD1234',
+      status: 'completed',
+      season: { year: 2026 },
+      members: [{ user: creator, isActive: true }, { user: member, isActive: true }]
+    });
+    saved = null;
+
+    jest.spyOn(League, 'findById').mockResolvedValue(league);
+    jest.spyOn(NFLTeam, 'find').mockReturnValue({ select: async () => [{ _id: id() }] });
+    jest.spyOn(League, 'generateInviteCode').mockResolvedValue('WXYZ9876');
+    jest.spyOn(League, 'findOneAndUpdate').mockResolvedValue(league);
+    jest.spyOn(League, 'findByIdAndUpdate').mockResolvedValue(null);
+    jest.spyOn(League, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+    jest.spyOn(League.prototype, 'save').mockImplementation(async function() {
+      saved = this;
+      return this;
+    });
+    jest.spyOn(User, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('claims the league, saves the next season and links every member', async () => {
+    const renewed = await leagueRenewalService.renewLeague(league._id);
+
+    expect(renewed).toBe(saved);
+    expect(renewed.season.year).toBe(2027);
+    expect(League.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: league._id, renewedTo: null },
+      { $set: { renewedTo: renewed._id } }
+    );
+    expect(User.updateMany).toHaveBeenCalledWith(
+      { _id: { $in: [creator, member] } },
+      { $addToSet: { leagues: renewed._id } }
+    );
+    expect(League.findByIdAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('rejects a league another renewal already claimed', async () => {
+    League.findOneAndUpdate.mockResolvedValue(null);
+
+    await expect(leagueRenewalService.renewLeague(league._id)).rejects.toMatchObject({ statusCode: 409 });
+    expect(League.prototype.save).not.toHaveBeenCalled();
+  });
+
+  it('removes the new league and releases the claim when linking members fails', async () => {
+    User.updateMany
+      .mockRejectedValueOnce(new Error('connection reset'))
+      .mockResolvedValue({ modifiedCount: 1 });
+
+    await expect(leagueRenewalService.renewLeague(league._id)).rejects.toThrow('connection reset');
+
+    expect(League.deleteOne).toHaveBeenCalledWith({ _id: saved._id });
+    expect(User.updateMany).toHaveBeenLastCalledWith({ leagues: saved._id }, { $pull: { leagues: saved._id } });
+    expect(League.findByIdAndUpdate).toHaveBeenCalledWith(league._id, { $set: { renewedTo: null } });
+  });
+
+  it('still releases the claim when the cleanup fails too', async () => {
+    League.prototype.save.mockRejectedValue(new Error('duplicate key'));
+    League.deleteOne.mockRejectedValue(new Error('connection reset'));
+
+    await expect(leagueRenewalService.renewLeague(league._id)).rejects.toThrow('duplicate key');
+    expect(League.findByIdAndUpdate).toHaveBeenCalledWith(league._id, { $set: { renewedTo: null } });
+  });
+});
@@ -0,0 +1,156 @@
+const mongoose = require('mongoose');
+const Game = require('../../src/models/Game');
+const liveScoreService = require('../../src/services/liveScoreService');
+const payoutSimulatorService = require('../../src/services/payoutSimulatorService');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const nflTeam = (abbreviation, division, wins) => ({
+  _id: id(),
+  name: abbreviation,
+  city: abbreviation,
+  abbreviation,
+  conference: 'AFC',
+  division,
+  currentSeason: { wins: wins.length, losses: 0, ties: 0, playoffResults: {} },
+  weeklyResults: wins.map(week => ({ week, result: 'W', isPlayoff: false, gameDate: null }))
+});
+
+const game = (week, homeTeam, awayTeam, status, score) => payoutSimulatorService.asGame({
+  _id: id(),
+  season: 2026,
+  week,
+  seasonType: 'regular',
+  playoffRound: null,
+  homeTeam: homeTeam._id,
+  awayTeam: awayTeam._id,
+  kickoff: null,
+  status,
+  score
+});
+
+describe('liveScoreService.buildLeagueSnapshot', () => {
+  const alice = { _id: id(), username: 'alice' };
+  const bob = { _id: id(), username: 'bob' };
+  // A and B belong to alice, C to bob, D is unowned; A and C won in week 1
+  const [a, b, c, d] = [nflTeam('A', 'East', [1]), nflTeam('B', 'East', []), nflTeam('C', 'West', [1]), nflTeam('D', 'West', [])];
+  const week1 = [
+    game(1, a, d, 'final', { home: 20, away: 10 }),
+    game(1, c, b, 'final', { home: 27, away: 3 })
+  ];
+  // Week 2 is underway: A leads C, and unowned D leads B
+  const week2 = [
+    game(2, a, c, 'in_progress', { home: 14, away: 7 }),
+    game(2, d, b, 'in_progress', { home: 10, away: 0 })
+  ];
+
+  const league = {
+    _id: id(),
+    season: { year: 2026 },
+    totalPrizePool: 1000,
+    teams: [
+      { nflTeam: a._id, owner: alice },
+      { nflTeam: b._id, owner: alice },
+      { nflTeam: c._id, owner: bob },
+      { nflTeam: d._id, owner: null }
+    ]
+  };
+
+  // The simulator's view of the season, as loadSeason would read it
+  const season = () => {
+    const teams = [a, b, c, d];
+    return {
+      league: {
+        _id: league._id,
+        season: league.season,
+        totalPrizePool: 1000,
+        teams: league.teams.map(teamData => ({
+          nflTeam: teams.find(team => team._id.equals(teamData.nflTeam)),
+          owner: teamData.owner,
+          currentEarnings: 0
+        })),
+        calculatePlayoffPayout: () => 0
+      },
+      season: 2026,
+      payoutStructure: { regularSeasonWins: 50, topTeamsSplit: { enabled: false }, rules: [] },
+      teams,
+      teamsById: new Map(teams.map(team => [team._id.toString(), team])),
+      regularGameCount: 34,
+      finals: week1,
+      remaining: week2,
+      overrides: [],
+      seeds: null,
+      regularSeasonComplete: false
+    };
+  };
+
+  // Ticker games carry populated teams
+  const tickerGames = [...week1, ...week2].map(entry => ({
+    ...entry,
+    homeTeam: [a, b, c, d].find(team => team._id.equals(entry.homeTeam)),
+    awayTeam: [a, b, c, d].find(team => team._id.equals(entry.awayTeam))
+  }));
+
+  beforeEach(() => {
+    jest.spyOn(payoutSimulatorService, 'loadSeason').mockImplementation(async () => season());
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('projects what the ledger would pay if the in-progress games end as they stand', async () => {
+    const snapshot = await liveScoreService.buildLeagueSnapshot(league, tickerGames);
+
+    // Two owned wins pay $250 each; a third (A's) makes it $166.67 a win. D's win is
+    // unowned and does not dilute the pool, and week 1's finals are not counted again.
+    const deltaFor = (team) => snapshot.games
+      .flatMap(entry => [entry.home, entry.away])
+      .find(side => side.team._id.equals(team._id)).projectedDelta;
+
+    expect(deltaFor(a)).toBeCloseTo(83.33, 2);
+    expect(deltaFor(c)).toBeCloseTo(-83.33, 2);
+    expect(deltaFor(b)).toBe(0);
+    expect(deltaFor(d)).toBeNull();
+    expect(snapshot.owners).toEqual([
+      { owner: alice, projectedDelta: 83.33 },
+      { owner: bob, projectedDelta: -83.33 }
+    ]);
+  });
+
+  it('skips the projection when no game is in progress', async () => {
+    const snapshot = await liveScoreService.buildLeagueSnapshot(league, tickerGames.slice(0, 2));
+
+    expect(payoutSimulatorService.loadSeason).not.toHaveBeenCalled();
+    expect(snapshot.owners.every(owner => owner.projectedDelta === 0)).toBe(true);
+  });
+});
+
+describe('liveScoreService game windows', () => {
+  const now = new Date('2026-10-18T20:00:00Z');
+  const sixHoursAgo = new Date('2026-10-18T14:00:00Z');
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('stops polling an in-progress game the provider never marked final', async () => {
+    jest.spyOn(Game, 'find').mockReturnValue({ select: async () => [] });
+    jest.spyOn(Game, 'findOne').mockReturnValue({ sort: () => ({ select: async () => null }) });
+
+    await liveScoreService.poll(now);
+
+    expect(Game.find.mock.calls[0][0].$or).toEqual([
+      { status: 'in_progress', kickoff: { $gte: sixHoursAgo } },
+      { status: 'scheduled', kickoff: { $lte: new Date('2026-10-18T20:05:00Z'), $gte: sixHoursAgo } }
+    ]);
+  });
+
+  it('drops an abandoned in-progress game from the tickers', () => {
+    jest.spyOn(Game, 'find').mockReturnValue({ sort: () => ({ populate: () => [] }) });
+
+    liveScoreService.findTickerGames(now);
+
+    expect(Game.find.mock.calls[0][0].$or[0]).toEqual({ status: 'in_progress', kickoff: { $gte: sixHoursAgo } });
+  });
+});
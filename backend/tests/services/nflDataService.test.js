@@ -0,0 +1,122 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Game = require('../../src/models/Game');
+const NFLTeam = require('../../src/models/NFLTeam');
+const standingsService = require('../../src/services/standingsService');
+const nflDataService = require('../../src/services/nflDataService');
+const { FixtureProvider, toResultWeek } = require('../../src/services/nflProviders');
+
+const FIXTURE = [
+  'id,season,week,seasonType,playoffRound,gameDate,status,homeTeam,awayTeam,homeScore,awayScore',
+  'reg-1,2026,3,regular,,2026-09-21T17:00:00Z,,KC,buf,27,20',
+  'reg-2,2026,3,regular,,2026-09-21T20:25:00Z,,MIA,NYJ,17,17',
+  'reg-3,2026,4,regular,,2026-09-28T17:00:00Z,,BUF,MIA,,',
+  'post-1,2026,1,postseason,,2027-01-16T21:30:00Z,final,BUF,NYJ,31,10'
+].join('\n');
+
+describe('nflDataService with the fixture provider', () => {
+  const originalProvider = nflDataService.provider;
+  let directory;
+  let provider;
+  let teams;
+
+  beforeAll(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'nfl-fixture-'));
+    fs.writeFileSync(path.join(directory, 'results.csv'), FIXTURE);
+  });
+
+  afterAll(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    provider = new FixtureProvider({ filePath: path.join(directory, 'results.csv') });
+    nflDataService.setProvider(provider);
+
+    teams = ['BUF', 'KC', 'MIA', 'NYJ'].map(abbreviation => new NFLTeam({
+      name: abbreviation,
+      city: abbreviation,
+      abbreviation,
+      conference: 'AFC',
+      division: 'East'
+    }));
+
+    jest.spyOn(NFLTeam, 'find').mockResolvedValue(teams);
+    jest.spyOn(NFLTeam.prototype, 'save').mockImplementation(async function() { return this; });
+    jest.spyOn(Game, 'bulkWrite').mockResolvedValue({});
+    jest.spyOn(standingsService, 'updateStandings').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    nflDataService.setProvider(originalProvider);
+    jest.restoreAllMocks();
+  });
+
+  const team = (abbreviation) => teams.find(entry => entry.abbreviation === abbreviation);
+
+  it('normalizes CSV rows into provider games', async () => {
+    const [game] = await provider.fetchWeek({ season: 2026, week: 3 });
+    const [playoff] = await provider.fetchWeek({ season: 2026, week: 1, seasonType: 'postseason' });
+    const [unplayed] = await provider.fetchWeek({ season: 2026, week: 4 });
+
+    expect(game).toMatchObject({
+      externalId: 'reg-1',
+      season: 2026,
+      week: 3,
+      status: 'final',
+      gameDate: new Date('2026-09-21T17:00:00Z'),
+      home: { abbreviation: 'KC', score: 27 },
+      away: { abbreviation: 'buf', score: 20 }
+    });
+    expect(unplayed).toMatchObject({ status: 'scheduled', home: { score: null }, away: { score: null } });
+    expect(playoff.playoffRound).toBe('wildcard');
+    expect([game, playoff].map(toResultWeek)).toEqual([3, 19]);
+  });
+
+  it('records a regular season week as games and weekly results', async () => {
+    const games = await provider.fetchWeek({ season: 2026, week: 3 });
+    const result = await nflDataService.recordWeek(games);
+
+    expect(result).toEqual({ teamsUpdated: 4, skipped: 0, unmapped: [] });
+    expect(Game.bulkWrite.mock.calls[0][0].map(({ updateOne }) => updateOne.filter)).toEqual([
+      { season: 2026, seasonType: 'regular', week: 3, homeTeam: team('KC')._id, awayTeam: team('BUF')._id },
+      { season: 2026, seasonType: 'regular', week: 3, homeTeam: team('MIA')._id, awayTeam: team('NYJ')._id }
+    ]);
+    expect(team('KC').weeklyResults[0]).toMatchObject({
+      week: 3,
+      opponent: 'BUF',
+      isHome: true,
+      result: 'W',
+      score: { team: 27, opponent: 20 },
+      isPlayoff: false
+    });
+    expect(team('BUF').currentSeason).toMatchObject({ wins: 0, losses: 1 });
+    expect(team('NYJ').weeklyResults[0]).toMatchObject({ result: 'T', isHome: false });
+    expect(standingsService.updateStandings).toHaveBeenCalledWith(2026);
+  });
+
+  it('records a playoff game under its result week without touching the record', async () => {
+    const games = await provider.fetchWeek({ season: 2026, week: 1, seasonType: 'postseason' });
+    await nflDataService.recordWeek(games);
+
+    expect(Game.bulkWrite.mock.calls[0][0][0].updateOne.update.$set.playoffRound).toBe('wildcard');
+    expect(team('BUF').weeklyResults[0]).toMatchObject({ week: 19, isPlayoff: true, playoffRound: 'wildcard', result: 'W' });
+    expect(team('BUF').currentSeason.wins).toBe(0);
+  });
+
+  it('stores unplayed games on the schedule without results', async () => {
+    const games = await provider.fetchWeek({ season: 2026, week: 4 });
+    const result = await nflDataService.recordWeek(games);
+
+    expect(result).toEqual({ teamsUpdated: 0, skipped: 1, unmapped: [] });
+    expect(Game.bulkWrite.mock.calls[0][0][0].updateOne.update.$set).toMatchObject({
+      status: 'scheduled',
+      score: { home: null, away: null },
+      source: 'fixture',
+      externalId: 'reg-3'
+    });
+    expect(NFLTeam.prototype.save).not.toHaveBeenCalled();
+    expect(standingsService.updateStandings).not.toHaveBeenCalled();
+  });
+});
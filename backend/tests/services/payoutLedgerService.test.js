@@ -0,0 +1,213 @@
+const mongoose = require('mongoose');
+const League = require('../../src/models/League');
+const PayoutLedger = require('../../src/models/PayoutLedger');
+const payoutLedgerService = require('../../src/services/payoutLedgerService');
+const { toResultWeek } = require('../../src/services/nflProviders');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const nflTeam = (abbreviation, weeklyResults = [], playoffResults = {}) => ({
+  _id: id(),
+  abbreviation,
+  currentSeason: { wins: weeklyResults.filter(result => result.result === 'W').length, losses: 0, ties: 0, divisionRank: null, playoffResults },
+  weeklyResults
+});
+
+const win = (week, opponent, score) => ({ week, result: 'W', isPlayoff: false, gameDate: null, opponent: opponent.abbreviation, score });
+
+const game = (week, homeTeam, awayTeam, seasonType = 'regular', playoffRound = null) => ({
+  _id: id(),
+  week,
+  seasonType,
+  playoffRound,
+  homeTeam: homeTeam._id,
+  awayTeam: awayTeam._id
+});
+
+// A league as the ledger rebuild sees it: populated teams and owners, season stats
+// already copied from the NFL results
+const buildLeague = (teams, payoutStructure = {}) => ({
+  _id: id(),
+  season: { year: 2026 },
+  totalPrizePool: 1000,
+  payoutStructure: {
+    regularSeasonWins: 50,
+    wildCardWin: 5,
+    divisionalWin: 5,
+    conferenceChampionshipWin: 5,
+    superBowlAppearance: 5,
+    superBowlWin: 10,
+    topTeamsSplit: { enabled: false, numberOfTeams: 1, percentage: 0 },
+    rules: [],
+    ...payoutStructure
+  },
+  teams: teams.map(({ team, owner }) => ({
+    nflTeam: team,
+    owner,
+    seasonStats: { playoffResults: team.currentSeason.playoffResults }
+  })),
+  calculatePlayoffPayout: League.schema.methods.calculatePlayoffPayout
+});
+
+const entriesFor = (entries, team, category) => entries.filter(entry => entry.nflTeam.equals(team._id) && entry.category === category);
+
+describe('payoutLedgerService.deriveEntries', () => {
+  const alice = { _id: id(), username: 'alice' };
+  const bob = { _id: id(), username: 'bob' };
+
+  it('splits the wins pool over owned wins and credits each to its game', async () => {
+    const [buf, mia, nyj, ne] = [nflTeam('BUF'), nflTeam('MIA'), nflTeam('NYJ'), nflTeam('NE')];
+    const week1 = [game(1, buf, mia), game(1, nyj, ne)];
+    const week2 = [game(2, buf, nyj), game(2, ne, mia)];
+    buf.weeklyResults.push(win(1, mia, { team: 24, opponent: 10 }), win(2, nyj, { team: 20, opponent: 17 }));
+    nyj.weeklyResults.push(win(1, ne, { team: 13, opponent: 6 }));
+    ne.weeklyResults.push(win(2, mia, { team: 30, opponent: 3 }));
+
+    // NE is unowned, so its win does not dilute the pool
+    const league = buildLeague([{ team: buf, owner: alice }, { team: nyj, owner: bob }, { team: ne, owner: null }]);
+    const entries = await payoutLedgerService.deriveEntries(league, { games: [...week1, ...week2], teams: [buf, mia, nyj, ne] });
+
+    expect(entries).toHaveLength(3);
+    expect(entriesFor(entries, buf, 'regularSeasonWins')).toEqual([
+      expect.objectContaining({ owner: alice._id, week: 1, amount: 500 / 3, game: week1[0]._id }),
+      expect.objectContaining({ owner: alice._id, week: 2, amount: 500 / 3, game: week2[0]._id })
+    ]);
+    expect(entriesFor(entries, nyj, 'regularSeasonWins')).toEqual([
+      expect.objectContaining({ owner: bob._id, week: 1, amount: 500 / 3, game: week1[1]._id })
+    ]);
+  });
+
+  it('pays each playoff round reached, credited to that round\'s game', async () => {
+    const kc = nflTeam('KC', [], { wildCardWin: true, divisionalWin: true });
+    const [hou, buf] = [nflTeam('HOU'), nflTeam('BUF')];
+    const wildcard = game(null, kc, hou, 'postseason', 'wildcard');
+    const divisional = game(null, kc, buf, 'postseason', 'divisional');
+
+    const league = buildLeague([{ team: kc, owner: alice }]);
+    const entries = await payoutLedgerService.deriveEntries(league, { games: [wildcard, divisional], teams: [kc, hou, buf] });
+
+    expect(entries).toEqual([
+      expect.objectContaining({ category: 'wildCard', week: toResultWeek(wildcard), amount: 50, game: wildcard._id }),
+      expect.objectContaining({ category: 'divisional', week: toResultWeek(divisional), amount: 50, game: divisional._id })
+    ]);
+  });
+
+  it('pays custom rules by weight and the top teams split to the leading earner', async () => {
+    const [buf, mia, nyj] = [nflTeam('BUF'), nflTeam('MIA'), nflTeam('NYJ')];
+    const games = [game(1, buf, mia), game(2, nyj, mia)];
+    buf.weeklyResults.push(win(1, mia, { team: 30, opponent: 0 }));
+    nyj.weeklyResults.push(win(2, mia, { team: 20, opponent: 10 }));
+
+    const rule = { _id: id(), type: 'pointDifferential', percentage: 20 };
+    const league = buildLeague([{ team: buf, owner: alice }, { team: nyj, owner: bob }], {
+      rules: [rule],
+      topTeamsSplit: { enabled: true, numberOfTeams: 1, percentage: 10 }
+    });
+    const entries = await payoutLedgerService.deriveEntries(league, { games, teams: [buf, mia, nyj], regularSeasonComplete: false });
+
+    // $200 split 30:10 over the winning margins
+    expect(entriesFor(entries, buf, 'rules')).toEqual([
+      expect.objectContaining({ rule: rule._id, week: 1, amount: 150, game: games[0]._id })
+    ]);
+    expect(entriesFor(entries, nyj, 'rules')).toEqual([
+      expect.objectContaining({ rule: rule._id, week: 2, amount: 50, game: games[1]._id })
+    ]);
+    expect(entriesFor(entries, buf, 'topTeamsSplit')).toEqual([
+      expect.objectContaining({ week: null, amount: 100, game: null })
+    ]);
+    expect(entriesFor(entries, nyj, 'topTeamsSplit')).toEqual([]);
+  });
+
+  it('derives nothing from an empty prize pool', async () => {
+    const [buf, mia] = [nflTeam('BUF'), nflTeam('MIA')];
+    buf.weeklyResults.push(win(1, mia, { team: 24, opponent: 10 }));
+
+    const league = { ...buildLeague([{ team: buf, owner: alice }]), totalPrizePool: 0 };
+    const entries = await payoutLedgerService.deriveEntries(league, { games: [game(1, buf, mia)], teams: [buf, mia] });
+
+    expect(entries).toEqual([]);
+  });
+});
+
+describe('payoutLedgerService.getTimeline', () => {
+  const [alice, bob, carol] = [{ _id: id(), username: 'alice' }, { _id: id(), username: 'bob' }, { _id: id(), username: 'carol' }];
+  const [buf, mia, ne, nyj] = [nflTeam('BUF'), nflTeam('MIA'), nflTeam('NE'), nflTeam('NYJ')];
+  const league = {
+    teams: [
+      { nflTeam: buf, owner: alice },
+      { nflTeam: mia, owner: bob },
+      { nflTeam: ne, owner: carol },
+      { nflTeam: nyj, owner: null }
+    ]
+  };
+  const entry = (team, owner, week, category, amount) => ({ nflTeam: team._id, owner: owner._id, week, category, amount });
+
+  // Alice leads after week 1, bob draws level in week 2 and the top teams split
+  // (which has no week) keeps them level in week 3, with carol just behind
+  const entries = [
+    entry(buf, alice, 1, 'regularSeasonWins', 50),
+    entry(mia, bob, 2, 'regularSeasonWins', 50),
+    entry(buf, alice, 3, 'rules', 20),
+    entry(ne, carol, 3, 'regularSeasonWins', 60),
+    entry(mia, bob, null, 'topTeamsSplit', 20)
+  ];
+
+  beforeEach(() => {
+    jest.spyOn(League, 'findById').mockReturnValue({ select: () => ({ populate: async () => league }) });
+    jest.spyOn(PayoutLedger, 'find').mockReturnValue({ select: () => ({ lean: async () => entries }) });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const ownerSeries = (timeline, owner) => timeline.owners.find(item => item.owner === owner);
+
+  it('runs each owner\'s total week by week, with season-long entries in the last week', async () => {
+    const timeline = await payoutLedgerService.getTimeline('league');
+
+    expect(timeline.weeks).toEqual([
+      { week: 1, playoffRound: null },
+      { week: 2, playoffRound: null },
+      { week: 3, playoffRound: null }
+    ]);
+    expect(ownerSeries(timeline, bob).weeks.map(({ amount, cumulative }) => [amount, cumulative])).toEqual([[0, 0], [50, 50], [20, 70]]);
+    expect(ownerSeries(timeline, bob).weeks[2].byCategory).toEqual({ topTeamsSplit: 20 });
+    expect(timeline.owners.map(item => [item.owner.username, item.total])).toEqual([['alice', 70], ['bob', 70], ['carol', 60]]);
+    expect(timeline.teams.map(item => item.nflTeam.abbreviation)).not.toContain('NYJ');
+  });
+
+  it('gives owners level on earnings the same rank', async () => {
+    const timeline = await payoutLedgerService.getTimeline('league');
+    const ranks = (owner) => ownerSeries(timeline, owner).weeks.map(point => point.rank);
+
+    expect(ranks(alice)).toEqual([1, 1, 1]);
+    expect(ranks(bob)).toEqual([2, 1, 1]);
+    expect(ranks(carol)).toEqual([2, 3, 3]);
+  });
+
+  it('stops the series at the requested week', async () => {
+    const timeline = await payoutLedgerService.getTimeline('league', { week: 2 });
+
+    expect(timeline.weeks).toHaveLength(2);
+    expect(timeline.owners.map(item => [item.owner.username, item.total])).toEqual([['alice', 50], ['bob', 50], ['carol', 0]]);
+  });
+
+  it('names playoff weeks by round', async () => {
+    PayoutLedger.find.mockReturnValue({ select: () => ({ lean: async () => [entry(buf, alice, 20, 'divisional', 25)] }) });
+
+    const timeline = await payoutLedgerService.getTimeline('league');
+
+    expect(timeline.weeks.slice(17)).toEqual([
+      { week: 18, playoffRound: null },
+      { week: 19, playoffRound: 'wildcard' },
+      { week: 20, playoffRound: 'divisional' }
+    ]);
+  });
+
+  it('rejects an unknown league with a 404', async () => {
+    League.findById.mockReturnValue({ select: () => ({ populate: async () => null }) });
+
+    await expect(payoutLedgerService.getTimeline('league')).rejects.toMatchObject({ statusCode: 404, message: 'League not found' });
+  });
+});
@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+const payoutRuleService = require('../../src/services/payoutRuleService');
+
+// A team whose weekly results are [week, result, opponent] and whose record follows from them
+const nflTeam = (abbreviation, results = [], divisionRank = null) => ({
+  _id: new mongoose.Types.ObjectId(),
+  abbreviation,
+  currentSeason: {
+    wins: results.filter(([, result]) => result === 'W').length,
+    losses: results.filter(([, result]) => result === 'L').length,
+    ties: results.filter(([, result]) => result === 'T').length,
+    divisionRank
+  },
+  weeklyResults: results.map(([week, result, opponent]) => ({
+    week,
+    result,
+    opponent,
+    score: { team: result === 'W' ? 24 : 17, opponent: result === 'W' ? 17 : 24 },
+    isPlayoff: false,
+    gameDate: null
+  }))
+});
+
+// Pay one rule worth $100 of a $1000 pool to the owned teams, by abbreviation
+const evaluate = async (rule, teams, owned, regularSeasonComplete = true) => {
+  const league = {
+    season: { year: 2026 },
+    totalPrizePool: 1000,
+    payoutStructure: { rules: [{ percentage: 10, ...rule }] }
+  };
+  const ownedTeams = teams
+    .filter(team => owned.includes(team.abbreviation))
+    .map(team => ({ nflTeam: team }));
+
+  const payouts = await payoutRuleService.evaluateRules(league, ownedTeams, { teams, regularSeasonComplete });
+  return payouts.map(payout => [payout.teamData.nflTeam.abbreviation, payout.week, Math.round(payout.amount * 100) / 100]);
+};
+
+const record = (wins, losses, ties = 0) => [
+  ...Array.from({ length: wins }, (_, i) => [i + 1, 'W', 'OPP']),
+  ...Array.from({ length: losses }, (_, i) => [wins + i + 1, 'L', 'OPP']),
+  ...Array.from({ length: ties }, (_, i) => [wins + losses + i + 1, 'T', 'OPP'])
+];
+
+describe('payoutRuleService worstRecord', () => {
+  it('splits the consolation between tied teams, leaving an unowned share unpaid', async () => {
+    const teams = [
+      nflTeam('A', record(2, 8)),
+      nflTeam('B', record(2, 7, 1)),
+      nflTeam('C', record(8, 2)),
+      nflTeam('D', record(2, 8))
+    ];
+
+    expect(await evaluate({ type: 'worstRecord' }, teams, ['A', 'B', 'C'])).toEqual([['A', 18, 50]]);
+  });
+
+  it('pays nothing until the regular season is over', async () => {
+    const teams = [nflTeam('A', record(0, 10)), nflTeam('B', record(10, 0))];
+
+    expect(await evaluate({ type: 'worstRecord' }, teams, ['A', 'B'], false)).toEqual([]);
+  });
+});
+
+describe('payoutRuleService risingWinBonus', () => {
+  it('weights later wins by weeklyIncrease percent a week', async () => {
+    const teams = [
+      nflTeam('A', [[1, 'W', 'C'], [6, 'L', 'C'], [11, 'W', 'C']]),
+      nflTeam('C', [[1, 'L', 'A'], [6, 'W', 'A'], [11, 'L', 'A']])
+    ];
+
+    // Weights 1, 1.5 and 2 share the $100
+    expect(await evaluate({ type: 'risingWinBonus', weeklyIncrease: 10 }, teams, ['A', 'C'])).toEqual([
+      ['A', 1, 22.22],
+      ['A', 11, 44.44],
+      ['C', 6, 33.33]
+    ]);
+  });
+});
+
+describe('payoutRuleService upsetWin', () => {
+  // Going into week 5, C has 3 wins, B 2 and A 1
+  const teams = () => [
+    nflTeam('A', [[1, 'W', 'D'], [5, 'W', 'C']]),
+    nflTeam('B', [[1, 'W', 'D'], [2, 'W', 'D'], [5, 'W', 'C']]),
+    nflTeam('C', [[1, 'W', 'D'], [2, 'W', 'D'], [3, 'W', 'D'], [5, 'L', 'A']]),
+    nflTeam('D', [[1, 'L', 'A']])
+  ];
+
+  it('pays wins over an opponent with at least minWinGap more wins going in', async () => {
+    expect(await evaluate({ type: 'upsetWin', minWinGap: 2 }, teams(), ['A', 'B', 'C'])).toEqual([['A', 5, 100]]);
+  });
+
+  it('counts a smaller gap when minWinGap allows it', async () => {
+    expect(await evaluate({ type: 'upsetWin', minWinGap: 1 }, teams(), ['A', 'B', 'C'])).toEqual([
+      ['A', 5, 50],
+      ['B', 5, 50]
+    ]);
+  });
+});
+
+describe('payoutRuleService divisionTitle', () => {
+  it('pays nothing while the standings have no division ranks yet', async () => {
+    const teams = [nflTeam('A', record(10, 0)), nflTeam('B', record(0, 10))];
+
+    expect(await evaluate({ type: 'divisionTitle' }, teams, ['A', 'B'])).toEqual([]);
+  });
+
+  it('pays one share per division champion once ranked', async () => {
+    const teams = [nflTeam('A', record(10, 0), 1), nflTeam('B', record(0, 10), 2), nflTeam('C', record(9, 1), 1), nflTeam('D', [], 1)];
+
+    expect(await evaluate({ type: 'divisionTitle' }, teams, ['A', 'B'])).toEqual([['A', 18, 33.33]]);
+  });
+});
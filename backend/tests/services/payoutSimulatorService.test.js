@@ -0,0 +1,222 @@
+const mongoose = require('mongoose');
+const payoutSimulatorService = require('../../src/services/payoutSimulatorService');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const nflTeam = (abbreviation, division, wins, losses = 0) => ({
+  _id: id(),
+  name: abbreviation,
+  city: abbreviation,
+  abbreviation,
+  conference: 'AFC',
+  division,
+  currentSeason: { wins: wins.length, losses, ties: 0, playoffResults: {} },
+  weeklyResults: wins.map(week => ({ week, result: 'W', isPlayoff: false, gameDate: null }))
+});
+
+const game = (week, homeTeam, awayTeam, status, score) => payoutSimulatorService.asGame({
+  _id: id(),
+  season: 2026,
+  week,
+  seasonType: 'regular',
+  playoffRound: null,
+  homeTeam: homeTeam._id,
+  awayTeam: awayTeam._id,
+  kickoff: null,
+  status,
+  score
+});
+
+const alice = { _id: id(), username: 'alice' };
+const bob = { _id: id(), username: 'bob' };
+// A and B belong to alice, C to bob, D is unowned; A and C won in week 1
+const [a, b, c, d] = [nflTeam('A', 'East', [1]), nflTeam('B', 'East', [], 1), nflTeam('C', 'West', [1]), nflTeam('D', 'West', [], 1)];
+const week1 = [
+  game(1, a, d, 'final', { home: 20, away: 10 }),
+  game(1, c, b, 'final', { home: 27, away: 3 })
+];
+const [aVsC, dVsB] = [game(2, a, c, 'scheduled'), game(2, d, b, 'scheduled')];
+
+// The season as loadSeason would read it: half the $1000 pool is shared by owned wins
+const season = () => {
+  const teams = [a, b, c, d];
+  const earnings = { A: 250, B: 0, C: 250, D: 0 };
+  return {
+    league: {
+      _id: id(),
+      name: 'Sunday Owners',
+      season: { year: 2026 },
+      totalPrizePool: 1000,
+      teams: teams.map(team => ({
+        nflTeam: team,
+        owner: { A: alice, B: alice, C: bob }[team.abbreviation] || null,
+        currentEarnings: earnings[team.abbreviation]
+      })),
+      calculatePlayoffPayout: () => 0
+    },
+    season: 2026,
+    payoutStructure: { regularSeasonWins: 50, topTeamsSplit: { enabled: false }, rules: [] },
+    teams,
+    teamsById: new Map(teams.map(team => [team._id.toString(), team])),
+    regularGameCount: 34,
+    finals: week1,
+    remaining: [aVsC, dVsB],
+    overrides: [],
+    seeds: null,
+    regularSeasonComplete: false
+  };
+};
+
+const byName = (owners) => Object.fromEntries(owners.map(({ owner, ...entry }) => [owner.username, entry]));
+
+describe('payoutSimulatorService.runScenario', () => {
+  beforeEach(() => {
+    jest.spyOn(payoutSimulatorService, 'loadSeason').mockImplementation(async () => season());
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('projects the picked winners through the ledger', async () => {
+    const result = await payoutSimulatorService.runScenario('league', {
+      games: [{ game: aVsC._id, winner: a._id }, { game: dVsB._id, winner: b._id }]
+    });
+
+    // Four owned wins pay $125 each
+    expect(result.unplayedGames).toBe(0);
+    expect(byName(result.owners)).toEqual({
+      alice: expect.objectContaining({ current: 250, projected: 375, delta: 125 }),
+      bob: expect.objectContaining({ current: 250, projected: 125, delta: -125 })
+    });
+  });
+
+  it('leaves unpicked games out of the projection', async () => {
+    const result = await payoutSimulatorService.runScenario('league', {
+      games: [{ game: aVsC._id, winner: a._id }]
+    });
+
+    expect(result.unplayedGames).toBe(1);
+    expect(byName(result.owners)).toEqual({
+      alice: expect.objectContaining({ projected: 333.33 }),
+      bob: expect.objectContaining({ projected: 166.67 })
+    });
+  });
+
+  it('rejects a pick for a game that is already final', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(payoutSimulatorService.runScenario('league', {
+      games: [{ game: week1[0]._id, winner: a._id }]
+    })).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('rejects a winner who does not play in the game', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(payoutSimulatorService.runScenario('league', {
+      games: [{ game: aVsC._id, winner: b._id }]
+    })).rejects.toMatchObject({ statusCode: 400, message: 'A picked winner must play in that game' });
+  });
+});
+
+describe('payoutSimulatorService.runMonteCarlo', () => {
+  beforeEach(() => {
+    jest.spyOn(payoutSimulatorService, 'loadSeason').mockImplementation(async () => season());
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('plays every unpicked game from its probability', async () => {
+    // Every home team wins: A beats C and unowned D beats B
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+
+    const result = await payoutSimulatorService.runMonteCarlo('league', { iterations: 25 });
+
+    expect(result.iterations).toBe(25);
+    expect(byName(result.owners)).toEqual({
+      alice: { current: 250, expected: 333.33, firstPlaceOdds: 1, min: 333.33, max: 333.33 },
+      bob: { current: 250, expected: 166.67, firstPlaceOdds: 0, min: 166.67, max: 166.67 }
+    });
+  });
+
+  it('shares first place between owners who tie', async () => {
+    // Every away team wins: C beats A and B beats D, leaving both owners on $250
+    jest.spyOn(Math, 'random').mockReturnValue(0.99);
+
+    const result = await payoutSimulatorService.runMonteCarlo('league', { iterations: 4 });
+
+    expect(byName(result.owners)).toEqual({
+      alice: expect.objectContaining({ expected: 250, firstPlaceOdds: 0.5 }),
+      bob: expect.objectContaining({ expected: 250, firstPlaceOdds: 0.5 })
+    });
+  });
+
+  it('holds picked games fixed and caps the number of runs', async () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0.99);
+
+    const result = await payoutSimulatorService.runMonteCarlo('league', {
+      games: [{ game: aVsC._id, winner: a._id }],
+      iterations: 1000
+    });
+
+    // A's pick stands; B beats D at random
+    expect(result.iterations).toBe(200);
+    expect(byName(result.owners)).toEqual({
+      alice: expect.objectContaining({ expected: 375, firstPlaceOdds: 1 }),
+      bob: expect.objectContaining({ expected: 125, firstPlaceOdds: 0 })
+    });
+  });
+});
+
+describe('payoutSimulatorService inputs', () => {
+  it('gives the home team an edge between equal records, except in the Super Bowl', () => {
+    const { teamsById } = season();
+
+    expect(payoutSimulatorService.homeWinProbability(aVsC, teamsById)).toBeCloseTo(0.53, 5);
+    expect(payoutSimulatorService.homeWinProbability({ ...aVsC, playoffRound: 'superbowl' }, teamsById)).toBeCloseTo(0.5, 5);
+  });
+
+  it('favours the better record, within the probability bounds', () => {
+    const strong = { ...a, currentSeason: { wins: 100, losses: 0, ties: 0 } };
+    const weak = { ...c, currentSeason: { wins: 0, losses: 100, ties: 0 } };
+    const teamsById = new Map([[a._id.toString(), strong], [c._id.toString(), weak]]);
+
+    expect(payoutSimulatorService.homeWinProbability(aVsC, teamsById)).toBe(0.95);
+    expect(payoutSimulatorService.homeWinProbability({ ...aVsC, homeTeam: c._id, awayTeam: a._id }, teamsById)).toBe(0.05);
+    // 1-0 against 0-1 is .600 against .400 once pulled towards .500 by the prior games
+    expect(payoutSimulatorService.homeWinProbability(game(2, a, b, 'scheduled'), season().teamsById)).toBeCloseTo(0.692 + 0.03, 3);
+  });
+
+  it('reads picks as the game\'s own team ids', () => {
+    const picks = payoutSimulatorService.readPicks(season(), [{ game: aVsC._id.toString(), winner: c._id.toString() }]);
+
+    expect(picks.get(aVsC._id.toString())).toBe(aVsC.awayTeam);
+  });
+
+  it('reads playoff runs for active teams, with unset rounds lost', () => {
+    const runs = payoutSimulatorService.readRuns(season(), [
+      { team: a._id, playoffResults: { wildCardWin: true, divisionalWin: 'yes' } }
+    ]);
+
+    expect(runs.get(a._id.toString())).toEqual({
+      wildCardWin: true,
+      divisionalWin: true,
+      conferenceChampionshipWin: false,
+      superBowlAppearance: false,
+      superBowlWin: false
+    });
+    expect(() => payoutSimulatorService.readRuns(season(), [{ team: id(), playoffResults: {} }]))
+      .toThrow('Playoff runs must be for an active NFL team');
+  });
+
+  it('reads probabilities for remaining games only', () => {
+    const chances = payoutSimulatorService.readProbabilities(season(), [{ game: dVsB._id, homeWinProbability: '0.25' }]);
+
+    expect(chances.get(dVsB._id.toString())).toBe(0.25);
+    expect(() => payoutSimulatorService.readProbabilities(season(), [{ game: week1[1]._id, homeWinProbability: 0.5 }]))
+      .toThrow('Only scheduled or unfinished games can be simulated');
+  });
+});
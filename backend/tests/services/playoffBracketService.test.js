@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+const Game = require('../../src/models/Game');
+const playoffBracketService = require('../../src/services/playoffBracketService');
+
+const id = () => new mongoose.Types.ObjectId();
+
+// Seeds 1-7 in each conference, keyed by team id as getSeeds returns them
+const seedEntries = ['AFC', 'NFC'].flatMap(conference =>
+  [1, 2, 3, 4, 5, 6, 7].map(seed => ({ team: id(), conference, seed })));
+const seeds = new Map(seedEntries.map(entry => [entry.team.toString(), entry]));
+const team = (conference, seed) => seedEntries.find(entry => entry.conference === conference && entry.seed === seed).team;
+
+// A final playoff game the home seed wins unless `upset`
+const played = (playoffRound, conference, homeSeed, awaySeed, { upset = false } = {}) => new Game({
+  season: 2026,
+  week: ['wildcard', 'divisional', 'conference', 'superbowl'].indexOf(playoffRound) + 1,
+  seasonType: 'postseason',
+  playoffRound,
+  homeTeam: team(conference, homeSeed),
+  awayTeam: team(conference, awaySeed),
+  kickoff: new Date('2027-01-16T21:30:00Z'),
+  status: 'final',
+  score: upset ? { home: 17, away: 24 } : { home: 24, away: 17 }
+});
+
+// AFC wildcard weekend: 2 beats 7, while 6 and 5 win on the road
+const afcWildcard = [
+  played('wildcard', 'AFC', 2, 7),
+  played('wildcard', 'AFC', 3, 6, { upset: true }),
+  played('wildcard', 'AFC', 4, 5, { upset: true })
+];
+
+const seedPairs = (matchups, round, conference) => matchups
+  .filter(matchup => matchup.round === round && matchup.conference === conference)
+  .map(matchup => [matchup.homeSeed, matchup.awaySeed]);
+
+describe('playoffBracketService.buildMatchups', () => {
+  it('pairs the wildcard round by seed and leaves the top seed waiting', () => {
+    const matchups = playoffBracketService.buildMatchups(seeds, []);
+
+    expect(seedPairs(matchups, 'wildcard', 'NFC')).toEqual([[2, 7], [3, 6], [4, 5]]);
+    expect(seedPairs(matchups, 'divisional', 'NFC')).toEqual([[1, null], [null, null]]);
+    expect(matchups.filter(matchup => matchup.round === 'superbowl')).toHaveLength(1);
+    expect(matchups.every(matchup => matchup.status === 'tbd' && !matchup.winner)).toBe(true);
+  });
+
+  it('reseeds the divisional round so the top seed hosts the lowest seed left', () => {
+    const matchups = playoffBracketService.buildMatchups(seeds, afcWildcard);
+
+    expect(matchups.filter(matchup => matchup.round === 'wildcard' && matchup.conference === 'AFC').map(matchup => matchup.winner))
+      .toEqual([team('AFC', 2), team('AFC', 6), team('AFC', 5)]);
+    expect(seedPairs(matchups, 'divisional', 'AFC')).toEqual([[1, 6], [2, 5]]);
+    expect(seedPairs(matchups, 'conference', 'AFC')).toEqual([[null, null]]);
+  });
+
+  it('takes home and away from the imported game over the projected pairing', () => {
+    const divisional = played('divisional', 'AFC', 5, 2);
+    divisional.status = 'scheduled';
+    divisional.score = { home: null, away: null };
+
+    const matchups = playoffBracketService.buildMatchups(seeds, [...afcWildcard, divisional]);
+    const matchup = matchups.find(entry => entry.round === 'divisional' && entry.slot === 2 && entry.conference === 'AFC');
+
+    expect(matchup).toMatchObject({ homeSeed: 5, awaySeed: 2, game: divisional._id, status: 'scheduled', winner: null });
+  });
+});
+
+describe('playoffBracketService.buildOutcomes', () => {
+  const matchups = () => playoffBracketService.buildMatchups(seeds, [
+    ...afcWildcard,
+    played('divisional', 'AFC', 1, 6),
+    played('divisional', 'AFC', 2, 5, { upset: true }),
+    played('conference', 'AFC', 1, 5)
+  ]);
+  const outcomeFor = (outcomes, seed) => outcomes.find(outcome => outcome.conference === 'AFC' && outcome.seed === seed);
+
+  it('starts the top seed in the divisional round without a wildcard win', () => {
+    const outcomes = playoffBracketService.buildOutcomes(seeds, playoffBracketService.buildMatchups(seeds, []));
+
+    expect(outcomeFor(outcomes, 1)).toMatchObject({ reached: 'divisional', eliminatedIn: null, playoffResults: { wildCardWin: false } });
+    expect(outcomeFor(outcomes, 7)).toMatchObject({ reached: 'wildcard', eliminatedIn: null });
+  });
+
+  it('records each team\'s furthest round, rounds won and elimination', () => {
+    const outcomes = playoffBracketService.buildOutcomes(seeds, matchups());
+
+    expect(outcomeFor(outcomes, 1)).toMatchObject({
+      reached: 'superbowl',
+      eliminatedIn: null,
+      playoffResults: {
+        wildCardWin: false,
+        divisionalWin: true,
+        conferenceChampionshipWin: true,
+        superBowlAppearance: true,
+        superBowlWin: false
+      }
+    });
+    expect(outcomeFor(outcomes, 5)).toMatchObject({
+      reached: 'conference',
+      eliminatedIn: 'conference',
+      playoffResults: { wildCardWin: true, divisionalWin: true, conferenceChampionshipWin: false }
+    });
+    expect(outcomeFor(outcomes, 3)).toMatchObject({ reached: 'wildcard', eliminatedIn: 'wildcard' });
+    expect(outcomes.map(outcome => `${outcome.conference}${outcome.seed}`).slice(0, 8))
+      .toEqual(['AFC1', 'AFC2', 'AFC3', 'AFC4', 'AFC5', 'AFC6', 'AFC7', 'NFC1']);
+  });
+
+  it('lets an admin override win over the computed outcome', () => {
+    const outcomes = playoffBracketService.applyOverrides(playoffBracketService.buildOutcomes(seeds, matchups()), [
+      { team: team('AFC', 3), playoffResults: { wildCardWin: true, divisionalWin: true }, eliminated: true },
+      { team: team('AFC', 1), playoffResults: { superBowlWin: true }, eliminated: true },
+      { team: id(), playoffResults: { superBowlWin: true }, eliminated: false }
+    ]);
+
+    expect(outcomeFor(outcomes, 3)).toMatchObject({
+      reached: 'conference',
+      eliminatedIn: 'conference',
+      playoffResults: { wildCardWin: true, divisionalWin: true, conferenceChampionshipWin: false }
+    });
+    // Rounds the override leaves out are unwon, and a champion is never eliminated
+    expect(outcomeFor(outcomes, 1)).toMatchObject({
+      reached: 'champion',
+      eliminatedIn: null,
+      playoffResults: { divisionalWin: false, conferenceChampionshipWin: false, superBowlWin: true }
+    });
+    expect(outcomes).toHaveLength(14);
+  });
+});
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const Game = require('../../src/models/Game');
+const ResultAudit = require('../../src/models/ResultAudit');
+const standingsService = require('../../src/services/standingsService');
+const resultCorrectionService = require('../../src/services/resultCorrectionService');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('resultCorrectionService.updateGame', () => {
+  const actor = id();
+  let game;
+  let calls;
+
+  beforeEach(() => {
+    calls = [];
+    game = new Game({
+      season: 2026,
+      week: 3,
+      seasonType: 'regular',
+      homeTeam: id(),
+      awayTeam: id(),
+      status: 'in_progress',
+      score: { home: 14, away: 10 }
+    });
+    game.homeTeam = { _id: game.homeTeam, abbreviation: 'BUF' };
+    game.awayTeam = { _id: game.awayTeam, abbreviation: 'MIA' };
+
+    jest.spyOn(Game, 'findById').mockReturnValue({ populate: async () => game });
+    jest.spyOn(game, 'save').mockResolvedValue(game);
+    jest.spyOn(resultCorrectionService, 'writeTeamResults').mockResolvedValue(undefined);
+    jest.spyOn(standingsService, 'updateStandings').mockResolvedValue({});
+    jest.spyOn(ResultAudit, 'create').mockImplementation(async (audit) => {
+      calls.push(audit.action);
+      return { leagueChanges: [], ...audit };
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('audits the correction before recalculating the leagues', async () => {
+    const changes = [{ league: id(), name: 'League', owners: [] }];
+    jest.spyOn(resultCorrectionService, 'recalculateLeagues').mockImplementation(async () => {
+      calls.push('recalculate');
+      return changes;
+    });
+
+    const result = await resultCorrectionService.updateGame(game._id, { homeScore: 17, status: 'final' }, actor, 'Late field goal');
+
+    expect(calls).toEqual(['game-updated', 'recalculate', 'leagues-recalculated']);
+    expect(ResultAudit.create).toHaveBeenNthCalledWith(1, expect.objectContaining({
+      game: game._id,
+      before: { status: 'in_progress', score: { home: 14, away: 10 } },
+      after: { status: 'final', score: { home: 17, away: 10 } }
+    }));
+    expect(result.leagueChanges).toBe(changes);
+  });
+
+  it('keeps the correction on record when a league rebuild fails', async () => {
+    jest.spyOn(resultCorrectionService, 'recalculateLeagues').mockRejectedValue(new Error('connection reset'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(resultCorrectionService.updateGame(game._id, { homeScore: 17, status: 'final' }, actor)).rejects.toThrow('connection reset');
+    expect(calls).toEqual(['game-updated']);
+  });
+});
@@ -0,0 +1,123 @@
+const Game = require('../../src/models/Game');
+const seasonCalendarService = require('../../src/services/seasonCalendarService');
+
+// Local dates, as the calendar works in server time
+const on = (year, month, day, hour = 12) => new Date(year, month - 1, day, hour);
+
+describe('seasonCalendarService.getCurrentSeason', () => {
+  it.each([
+    [on(2026, 9, 10), 2026],
+    [on(2026, 12, 31, 23), 2026],
+    [on(2027, 1, 1, 0), 2026],
+    [on(2027, 2, 28, 23), 2026],
+    [on(2027, 3, 1, 0), 2027]
+  ])('places %s in the %i season', (at, season) => {
+    expect(seasonCalendarService.getCurrentSeason(at)).toBe(season);
+  });
+});
+
+describe('seasonCalendarService.getSeasonStart', () => {
+  const configured = process.env.NFL_SEASON_START;
+
+  afterEach(() => {
+    if (configured === undefined) {
+      delete process.env.NFL_SEASON_START;
+    } else {
+      process.env.NFL_SEASON_START = configured;
+    }
+  });
+
+  // Labor Day is the first Monday of September, whatever weekday September starts on
+  it.each([
+    [2024, 5], // Sunday the 1st: Labor Day the 2nd
+    [2025, 4], // Monday the 1st
+    [2026, 10], // Tuesday the 1st: Labor Day the 7th
+    [2027, 9], // Wednesday the 1st
+    [2029, 6] // Saturday the 1st
+  ])('starts the %i season on September %i, the Thursday after Labor Day', (season, day) => {
+    delete process.env.NFL_SEASON_START;
+
+    expect(seasonCalendarService.getSeasonStart(season)).toEqual(on(season, 9, day, 0));
+  });
+
+  it('uses NFL_SEASON_START for its own season only', () => {
+    process.env.NFL_SEASON_START = '2026-09-17';
+
+    expect(seasonCalendarService.getSeasonStart(2026)).toEqual(on(2026, 9, 17, 0));
+    expect(seasonCalendarService.getSeasonStart(2027)).toEqual(on(2027, 9, 9, 0));
+  });
+});
+
+describe('seasonCalendarService.estimateWeek', () => {
+  // The 2026 season starts Thursday September 10, so its weeks begin on Tuesdays from September 8
+  it.each([
+    [on(2026, 8, 17), 'offseason', null, 0],
+    [on(2026, 8, 18), 'preseason', 1, 0],
+    [on(2026, 9, 7, 23), 'preseason', 3, 0],
+    [on(2026, 9, 8, 0), 'regular', 1, 1],
+    [on(2026, 9, 14, 23), 'regular', 1, 1],
+    [on(2026, 9, 15), 'regular', 2, 2],
+    [on(2027, 1, 5), 'regular', 18, 18],
+    [on(2027, 1, 12), 'postseason', 1, 19],
+    [on(2027, 1, 26), 'postseason', 3, 21],
+    [on(2027, 2, 2), 'bye', null, 21],
+    [on(2027, 2, 9), 'postseason', 4, 22],
+    [on(2027, 2, 16), 'offseason', null, 22]
+  ])('puts %s in the %s phase, week %s (result week %i)', (at, phase, week, resultWeek) => {
+    const entry = seasonCalendarService.estimateWeek(2026, at);
+
+    expect(entry).toMatchObject({ season: 2026, phase, week, resultWeek, source: 'estimate' });
+  });
+
+  it('names the playoff round of a postseason week and counts the bye as playoffs', () => {
+    expect(seasonCalendarService.estimateWeek(2026, on(2027, 1, 19))).toMatchObject({
+      seasonType: 'postseason',
+      playoffRound: 'divisional',
+      isPlayoffs: true
+    });
+    expect(seasonCalendarService.estimateWeek(2026, on(2027, 2, 2))).toMatchObject({
+      seasonType: 'postseason',
+      playoffRound: null,
+      isPlayoffs: true
+    });
+  });
+});
+
+describe('seasonCalendarService.getLatestPlayedWeek', () => {
+  const lastGame = (game) => jest.spyOn(Game, 'findOne').mockReturnValue({
+    sort: () => ({ select: async () => game })
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('uses the week of the last game kicked off when the schedule is imported', async () => {
+    lastGame({ season: 2026, week: 2, seasonType: 'postseason', playoffRound: 'divisional' });
+
+    expect(await seasonCalendarService.getLatestPlayedWeek(on(2027, 1, 20))).toMatchObject({
+      phase: 'postseason',
+      week: 2,
+      resultWeek: 20,
+      source: 'schedule'
+    });
+  });
+
+  // Without a schedule, the estimate looks back three days so that a Tuesday run still
+  // collects the week that ended on Monday night
+  it.each([
+    [on(2026, 9, 9), null],
+    [on(2026, 9, 14), { phase: 'regular', week: 1 }],
+    [on(2026, 9, 15), { phase: 'regular', week: 1 }],
+    [on(2026, 9, 18), { phase: 'regular', week: 2 }],
+    [on(2027, 2, 5), { phase: 'postseason', week: 3, playoffRound: 'conference' }],
+    [on(2027, 2, 16), { phase: 'postseason', week: 4, playoffRound: 'superbowl' }],
+    [on(2027, 6, 1), null]
+  ])('estimates the week played by %s as %o', async (at, expected) => {
+    lastGame(null);
+
+    const entry = await seasonCalendarService.getLatestPlayedWeek(at);
+
+    expect(entry).toEqual(expected && expect.objectContaining({ ...expected, source: 'estimate' }));
+  });
+});
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+const NFLTeam = require('../../src/models/NFLTeam');
+const League = require('../../src/models/League');
+const LeagueSeason = require('../../src/models/LeagueSeason');
+const PlayoffBracket = require('../../src/models/PlayoffBracket');
+const payoutService = require('../../src/services/payoutService');
+const seasonHistoryService = require('../../src/services/seasonHistoryService');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('seasonHistoryService.rolloverSeason', () => {
+  const leagues = [
+    { _id: id(), name: 'First', status: 'active' },
+    { _id: id(), name: 'Second', status: 'active' },
+    { _id: id(), name: 'Third', status: 'completed' }
+  ];
+
+  beforeEach(() => {
+    jest.spyOn(PlayoffBracket, 'findOne').mockReturnValue({ select: async () => ({ status: 'complete' }) });
+    jest.spyOn(seasonHistoryService, 'archiveTeams').mockResolvedValue(32);
+    jest.spyOn(League, 'find').mockReturnValue({ select: async () => leagues });
+    jest.spyOn(League, 'findById').mockImplementation(leagueId => ({ populate: async () => ({ _id: leagueId }) }));
+    jest.spyOn(seasonHistoryService, 'buildLeagueSnapshot').mockReturnValue({});
+    jest.spyOn(LeagueSeason, 'findOneAndUpdate').mockResolvedValue({});
+    jest.spyOn(payoutService, 'finalizeSeasonPayouts').mockResolvedValue({});
+    jest.spyOn(NFLTeam, 'resetSeason').mockResolvedValue({});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('archives every league, then resets the teams', async () => {
+    const result = await seasonHistoryService.rolloverSeason(2026);
+
+    expect(result).toMatchObject({ success: true, leaguesArchived: 3, failedLeagues: [], nextSeason: 2027 });
+    expect(payoutService.finalizeSeasonPayouts).toHaveBeenCalledTimes(2);
+    expect(NFLTeam.resetSeason).toHaveBeenCalledWith(2027);
+  });
+
+  it('archives the other leagues when one fails to finalize, and leaves the teams for a rerun', async () => {
+    payoutService.finalizeSeasonPayouts.mockImplementation(async leagueId => {
+      if (leagueId === leagues[0]._id) throw new Error('connection reset');
+    });
+
+    await expect(seasonHistoryService.rolloverSeason(2026)).rejects.toMatchObject({
+      statusCode: 500,
+      message: expect.stringContaining('Could not archive 1 league(s) (First)')
+    });
+    expect(LeagueSeason.findOneAndUpdate).toHaveBeenCalledTimes(2);
+    expect(NFLTeam.resetSeason).not.toHaveBeenCalled();
+  });
+
+  it('reports the leagues that failed to archive', async () => {
+    LeagueSeason.findOneAndUpdate.mockRejectedValueOnce(new Error('connection reset'));
+
+    const result = await seasonHistoryService.archiveSeason(2026);
+
+    expect(result).toMatchObject({
+      success: false,
+      leaguesArchived: 2,
+      failedLeagues: [{ league: leagues[0]._id, name: 'First', error: 'connection reset' }]
+    });
+  });
+});
@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+const settlementService = require('../../src/services/settlementService');
+
+const owner = (username) => ({ _id: new mongoose.Types.ObjectId(), username });
+
+// Buy-ins as recorded from the auction and each owner's winnings, both from the league's teams
+const balancesFor = (teams) => {
+  const owners = settlementService.groupByOwner({ teams });
+  const buyIns = [...owners.values()]
+    .filter(entry => entry.spent > 0)
+    .map(entry => ({ owner: entry.owner, username: entry.username, amount: entry.spent / 100 }));
+
+  return settlementService.computeBalances(buyIns, owners);
+};
+
+const byName = (balances) => Object.fromEntries(balances.map(({ username, ...balance }) => [username, balance]));
+
+describe('settlementService.computeBalances', () => {
+  const [alice, bob, carol] = [owner('alice'), owner('bob'), owner('carol')];
+
+  it('returns what the payouts left in the pot in proportion to buy-ins', () => {
+    const balances = balancesFor([
+      { owner: alice, purchasePrice: 60, currentEarnings: 30 },
+      { owner: bob, purchasePrice: 40, currentEarnings: 50 }
+    ]);
+
+    expect(byName(balances)).toEqual({
+      bob: expect.objectContaining({ buyIn: 4000, winnings: 5000, refund: 800, net: 1800 }),
+      alice: expect.objectContaining({ buyIn: 6000, winnings: 3000, refund: 1200, net: -1800 })
+    });
+    expect(balances.map(balance => balance.username)).toEqual(['bob', 'alice']);
+  });
+
+  it('credits winnings to owners without a buy-in and takes the shortfall from those with one', () => {
+    const balances = balancesFor([
+      { owner: alice, purchasePrice: 50, currentEarnings: 0 },
+      { owner: bob, purchasePrice: 50, currentEarnings: 80 },
+      { owner: carol, purchasePrice: 0, currentEarnings: 40 }
+    ]);
+
+    expect(byName(balances)).toEqual({
+      carol: expect.objectContaining({ buyIn: 0, winnings: 4000, net: 4000 }),
+      bob: expect.objectContaining({ buyIn: 5000, refund: -1000, net: 2000 }),
+      alice: expect.objectContaining({ buyIn: 5000, refund: -1000, net: -6000 })
+    });
+  });
+
+  it('nets to zero to the cent, giving the rounding residual to the largest buy-in', () => {
+    const balances = balancesFor([
+      { owner: alice, purchasePrice: 10, currentEarnings: 0 },
+      { owner: bob, purchasePrice: 20, currentEarnings: 29.99 },
+      { owner: carol, purchasePrice: 10, currentEarnings: 10 }
+    ]);
+
+    // 1 cent is left over, which no share rounds up to
+    expect(byName(balances)).toEqual({
+      bob: expect.objectContaining({ refund: 1, net: 1000 }),
+      carol: expect.objectContaining({ refund: 0, net: 0 }),
+      alice: expect.objectContaining({ refund: 0, net: -1000 })
+    });
+    expect(balances.reduce((sum, balance) => sum + balance.net, 0)).toBe(0);
+  });
+});
+
+describe('settlementService.computeTransfers', () => {
+  const balance = (username, net) => ({ owner: username, username, net });
+
+  it('pairs the largest debtor with the largest creditor until everyone is square', () => {
+    const transfers = settlementService.computeTransfers([
+      balance('alice', 5000),
+      balance('bob', 3000),
+      balance('carol', -6000),
+      balance('dave', -2000)
+    ]);
+
+    expect(transfers.map(({ from, to, amount }) => [from, to, amount])).toEqual([
+      ['carol', 'alice', 5000],
+      ['dave', 'bob', 2000],
+      ['carol', 'bob', 1000]
+    ]);
+  });
+
+  it('has every owner only pay or only receive, with fewer transfers than owners', () => {
+    const balances = [
+      balance('alice', 1234),
+      balance('bob', -1),
+      balance('carol', -1233),
+      balance('dave', 0)
+    ];
+    const transfers = settlementService.computeTransfers(balances);
+
+    expect(transfers.length).toBeLessThan(3);
+    expect(transfers.every(transfer => transfer.to === 'alice')).toBe(true);
+    expect(transfers.reduce((sum, transfer) => sum + transfer.amount, 0)).toBe(1234);
+  });
+
+  it('needs no transfers when everyone is already square', () => {
+    expect(settlementService.computeTransfers([balance('alice', 0), balance('bob', 0)])).toEqual([]);
+  });
+});
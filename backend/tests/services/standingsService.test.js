@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const standingsService = require('../../src/services/standingsService');
+
+const team = (abbreviation, division, conference = 'AFC') => ({
+  _id: new mongoose.Types.ObjectId(),
+  name: abbreviation,
+  city: abbreviation,
+  abbreviation,
+  conference,
+  division
+});
+
+const play = (home, away, homeScore, awayScore) => ({
+  homeTeam: home._id,
+  awayTeam: away._id,
+  score: { home: homeScore, away: awayScore }
+});
+
+const recordOf = (standings, nflTeam) => standings.teams.find(record => record.team === nflTeam);
+
+const seedOrder = (standings, conference = 'AFC') => standings.seeds[conference].map(record => record.team.abbreviation);
+
+describe('standingsService.rankStandings', () => {
+  it('counts ties as half a win and skips games it cannot score', () => {
+    const [buf, mia] = [team('BUF', 'East'), team('MIA', 'East')];
+    const stranger = team('XXX', 'East');
+
+    const standings = standingsService.rankStandings([buf, mia], [
+      play(buf, mia, 20, 20),
+      play(buf, mia, 24, 10),
+      play(buf, stranger, 30, 0),
+      play(mia, buf, null, null)
+    ]);
+
+    expect(recordOf(standings, buf)).toMatchObject({ wins: 1, losses: 0, ties: 1, winPct: 0.75 });
+    expect(recordOf(standings, mia)).toMatchObject({ wins: 0, losses: 1, ties: 1, winPct: 0.25 });
+  });
+
+  it('breaks a division tie head-to-head before the coin toss', () => {
+    const [den, kc, lv] = [team('DEN', 'West'), team('KC', 'West'), team('LV', 'West')];
+    const sea = team('SEA', 'West', 'NFC');
+
+    // KC and LV are both 1-1, and LV won their meeting
+    const standings = standingsService.rankStandings([den, kc, lv, sea], [
+      play(lv, kc, 17, 14),
+      play(kc, den, 28, 3),
+      play(sea, lv, 21, 7)
+    ]);
+
+    expect(recordOf(standings, lv).divisionRank).toBe(1);
+    expect(recordOf(standings, kc).divisionRank).toBe(2);
+    expect(recordOf(standings, den).divisionRank).toBe(3);
+  });
+
+  it('seeds division winners ahead of wildcards with better records', () => {
+    const [bal, pit] = [team('BAL', 'North'), team('PIT', 'North')];
+    const [hou, ind] = [team('HOU', 'South'), team('IND', 'South')];
+
+    const standings = standingsService.rankStandings([bal, pit, hou, ind], [
+      play(bal, pit, 27, 20),
+      play(bal, ind, 24, 17),
+      play(pit, ind, 31, 10),
+      play(pit, hou, 21, 13),
+      play(hou, ind, 20, 16)
+    ]);
+
+    // PIT (2-1) is better than South winner HOU (1-1) but only a wildcard
+    expect(seedOrder(standings)).toEqual(['BAL', 'HOU', 'PIT', 'IND']);
+    expect(recordOf(standings, pit)).toMatchObject({ divisionRank: 2, conferenceRank: 3, playoffSeed: 3 });
+  });
+
+  it('breaks a wildcard tie head-to-head between two clubs', () => {
+    const [cin, cle] = [team('CIN', 'North'), team('CLE', 'North')];
+    const [jax, ten] = [team('JAX', 'South'), team('TEN', 'South')];
+    const [dal, nyg] = [team('DAL', 'East', 'NFC'), team('NYG', 'East', 'NFC')];
+
+    // CLE (2-2) and TEN (1-1) are runners-up on .500, and TEN won their meeting
+    const standings = standingsService.rankStandings([cin, cle, jax, ten, dal, nyg], [
+      play(cin, cle, 30, 20),
+      play(jax, ten, 23, 20),
+      play(ten, cle, 19, 16),
+      play(cle, dal, 10, 7),
+      play(cle, nyg, 17, 14)
+    ]);
+
+    expect(seedOrder(standings)).toEqual(['CIN', 'JAX', 'TEN', 'CLE']);
+  });
+
+  it('seeds seven clubs per conference in a stable order when nothing separates them', () => {
+    const afc = ['NE', 'NYJ', 'BAL', 'CIN', 'HOU', 'IND', 'DEN', 'LAC']
+      .map((abbreviation, index) => team(abbreviation, ['East', 'North', 'South', 'West'][Math.floor(index / 2)]));
+    const nfc = [team('DAL', 'East', 'NFC')];
+
+    const standings = standingsService.rankStandings([...afc, ...nfc], []);
+
+    // Division winners by coin toss (NE, BAL, HOU, DEN) first, then the wildcards
+    expect(seedOrder(standings)).toEqual(['BAL', 'DEN', 'HOU', 'NE', 'CIN', 'IND', 'LAC']);
+    expect(recordOf(standings, afc[1])).toMatchObject({ conferenceRank: 8, playoffSeed: null });
+    expect(seedOrder(standings, 'NFC')).toEqual(['DAL']);
+  });
+});
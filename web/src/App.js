@@ -15,9 +15,13 @@ import LeaguesPage from './pages/leagues/LeaguesPage';
 import LeagueDetailPage from './pages/leagues/LeagueDetailPage';
 import CreateLeaguePage from './pages/leagues/CreateLeaguePage';
 import JoinLeaguePage from './pages/leagues/JoinLeaguePage';
+import PayoutSimulatorPage from './pages/leagues/PayoutSimulatorPage';
+import LeagueAnalyticsPage from './pages/leagues/LeagueAnalyticsPage';
+import SettlementPage from './pages/leagues/SettlementPage';
 import AuctionPage from './pages/auction/AuctionPage';
 import TeamsPage from './pages/TeamsPage';
 import StandingsPage from './pages/StandingsPage';
+import PlayoffsPage from './pages/PlayoffsPage';
 import ProfilePage from './pages/ProfilePage';
 import RulesPage from './pages/RulesPage';
 import NotFoundPage from './pages/NotFoundPage';
@@ -70,6 +74,7 @@ function App() {
           <Route index element={<HomePage />} />
           <Route path="rules" element={<RulesPage />} />
           <Route path="teams" element={<TeamsPage />} />
+          <Route path="playoffs" element={<PlayoffsPage />} />
         </Route>
 
         {/* Auth Routes */}
@@ -94,6 +99,9 @@ function App() {
           <Route path="leagues/join" element={<JoinLeaguePage />} />
           <Route path="leagues/:id" element={<LeagueDetailPage />} />
           <Route path="leagues/:id/standings" element={<StandingsPage />} />
+          <Route path="leagues/:id/simulator" element={<PayoutSimulatorPage />} />
+          <Route path="leagues/:id/analytics" element={<LeagueAnalyticsPage />} />
+          <Route path="leagues/:id/settlement" element={<SettlementPage />} />
           
           {/* Auction Routes */}
           <Route path="auctions/:id" element={<AuctionPage />} />
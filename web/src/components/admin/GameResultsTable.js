@@ -0,0 +1,102 @@
+import React, { useState } from 'react';
+import Button from '../common/Button';
+
+const STATUSES = ['scheduled', 'in_progress', 'final', 'postponed', 'canceled'];
+
+const toInput = (score) => (score === null || score === undefined ? '' : String(score));
+const toScore = (value) => (value === '' ? null : parseInt(value, 10));
+
+const GameRow = ({ game, saving, onSave }) => {
+  const [homeScore, setHomeScore] = useState(toInput(game.score?.home));
+  const [awayScore, setAwayScore] = useState(toInput(game.score?.away));
+  const [status, setStatus] = useState(game.status);
+
+  const changed = homeScore !== toInput(game.score?.home) ||
+    awayScore !== toInput(game.score?.away) ||
+    status !== game.status;
+  const missingScore = status === 'final' && (homeScore === '' || awayScore === '');
+
+  const scoreInput = (value, onChange, label) => (
+    <input
+      type="number"
+      min="0"
+      value={value}
+      aria-label={label}
+      onChange={(e) => onChange(e.target.value)}
+      className="w-16 px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-primary-500"
+    />
+  );
+
+  return (
+    <tr className={changed ? 'bg-yellow-50' : ''}>
+      <td className="px-4 py-2 text-sm text-gray-500 whitespace-nowrap">
+        {new Date(game.kickoff).toLocaleString([], { weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })}
+      </td>
+      <td className="px-4 py-2 text-sm font-medium text-gray-900 whitespace-nowrap">
+        {game.awayTeam?.abbreviation} @ {game.homeTeam?.abbreviation}
+      </td>
+      <td className="px-4 py-2">
+        <div className="flex items-center space-x-2">
+          {scoreInput(awayScore, setAwayScore, `${game.awayTeam?.abbreviation} score`)}
+          <span className="text-gray-400">–</span>
+          {scoreInput(homeScore, setHomeScore, `${game.homeTeam?.abbreviation} score`)}
+        </div>
+      </td>
+      <td className="px-4 py-2">
+        <select
+          value={status}
+          onChange={(e) => setStatus(e.target.value)}
+          className="px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-primary-500"
+        >
+          {STATUSES.map(option => (
+            <option key={option} value={option}>{option.replace('_', ' ')}</option>
+          ))}
+        </select>
+      </td>
+      <td className="px-4 py-2 text-right">
+        <Button
+          size="sm"
+          disabled={!changed || missingScore || saving}
+          onClick={() => onSave(game, { homeScore: toScore(homeScore), awayScore: toScore(awayScore), status })}
+        >
+          {saving ? 'Saving...' : 'Save'}
+        </Button>
+      </td>
+    </tr>
+  );
+};
+
+// One editable row per game: away and home scores, status and a save button
+const GameResultsTable = ({ games, savingId, onSave }) => {
+  if (games.length === 0) {
+    return <p className="text-sm text-gray-500 p-6">No games imported for this week.</p>;
+  }
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="min-w-full divide-y divide-gray-200">
+        <thead className="bg-gray-50">
+          <tr>
+            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Kickoff</th>
+            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Game</th>
+            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Score (away – home)</th>
+            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+            <th className="px-4 py-2" />
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-200">
+          {games.map(game => (
+            <GameRow
+              key={`${game._id}-${game.updatedAt}`}
+              game={game}
+              saving={savingId === game._id}
+              onSave={onSave}
+            />
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default GameResultsTable;
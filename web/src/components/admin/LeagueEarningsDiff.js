@@ -0,0 +1,46 @@
+import React from 'react';
+
+const formatDelta = (amount) => {
+  const value = Number(amount) || 0;
+  const sign = value > 0 ? '+' : value < 0 ? '-' : '';
+  return `${sign}$${Math.abs(value).toFixed(2)}`;
+};
+
+const deltaClass = (amount) => (
+  amount > 0 ? 'text-green-600' : amount < 0 ? 'text-red-600' : 'text-gray-500'
+);
+
+// How each owner's earnings moved in every league a result change touched
+const LeagueEarningsDiff = ({ leagueChanges }) => {
+  if (!leagueChanges || leagueChanges.length === 0) {
+    return <p className="text-sm text-gray-500">No league earnings changed.</p>;
+  }
+
+  return (
+    <div className="space-y-3">
+      {leagueChanges.map(change => (
+        <div key={change.league} className="border border-gray-200 rounded-md">
+          <div className="px-3 py-2 bg-gray-50 text-sm font-medium text-gray-900">{change.name}</div>
+          <table className="min-w-full text-sm">
+            <tbody className="divide-y divide-gray-100">
+              {change.owners
+                .filter(owner => owner.delta !== 0)
+                .map(owner => (
+                  <tr key={owner.owner}>
+                    <td className="px-3 py-1.5 text-gray-900">{owner.username}</td>
+                    <td className="px-3 py-1.5 text-right text-gray-500">${owner.before.toFixed(2)}</td>
+                    <td className="px-3 py-1.5 text-right text-gray-900">${owner.after.toFixed(2)}</td>
+                    <td className={`px-3 py-1.5 text-right font-medium ${deltaClass(owner.delta)}`}>
+                      {formatDelta(owner.delta)}
+                    </td>
+                  </tr>
+                ))}
+            </tbody>
+          </table>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default LeagueEarningsDiff;
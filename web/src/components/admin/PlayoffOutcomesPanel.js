@@ -0,0 +1,106 @@
+import React, { useState } from 'react';
+import Button from '../common/Button';
+
+const RESULT_FIELDS = [
+  { key: 'wildCardWin', label: 'WC' },
+  { key: 'divisionalWin', label: 'Div' },
+  { key: 'conferenceChampionshipWin', label: 'Conf' },
+  { key: 'superBowlAppearance', label: 'SB app' },
+  { key: 'superBowlWin', label: 'SB win' }
+];
+
+const OutcomeRow = ({ entry, override, saving, onSet, onClear }) => {
+  const [results, setResults] = useState(() => ({ ...entry.playoffResults }));
+  const [eliminated, setEliminated] = useState(Boolean(entry.eliminatedIn));
+
+  const changed = RESULT_FIELDS.some(({ key }) => Boolean(results[key]) !== Boolean(entry.playoffResults[key])) ||
+    eliminated !== Boolean(entry.eliminatedIn);
+
+  return (
+    <tr className={override ? 'bg-primary-50' : ''}>
+      <td className="px-4 py-2 text-sm text-gray-500">{entry.seed}</td>
+      <td className="px-4 py-2 text-sm font-medium text-gray-900 whitespace-nowrap">
+        {entry.team.abbreviation}
+        {override && <span className="ml-2 text-xs text-primary-700">manual</span>}
+      </td>
+      <td className="px-4 py-2 text-sm text-gray-600 capitalize">{entry.reached}</td>
+      {RESULT_FIELDS.map(({ key, label }) => (
+        <td key={key} className="px-2 py-2 text-center">
+          <input
+            type="checkbox"
+            aria-label={`${entry.team.abbreviation} ${label}`}
+            checked={Boolean(results[key])}
+            onChange={(e) => setResults(current => ({ ...current, [key]: e.target.checked }))}
+          />
+        </td>
+      ))}
+      <td className="px-2 py-2 text-center">
+        <input
+          type="checkbox"
+          aria-label={`${entry.team.abbreviation} eliminated`}
+          checked={eliminated}
+          onChange={(e) => setEliminated(e.target.checked)}
+        />
+      </td>
+      <td className="px-4 py-2 text-right whitespace-nowrap space-x-2">
+        <Button size="sm" disabled={!changed || saving} onClick={() => onSet(entry.team._id, { playoffResults: results, eliminated })}>
+          Override
+        </Button>
+        {override && (
+          <Button size="sm" variant="outline" disabled={saving} onClick={() => onClear(entry.team._id)}>
+            Clear
+          </Button>
+        )}
+      </td>
+    </tr>
+  );
+};
+
+// Each playoff team's outcome, with a manual override that holds until cleared
+const PlayoffOutcomesPanel = ({ bracket, savingId, onSet, onClear }) => {
+  const overridden = new Set((bracket.overrides || []).map(override => override.team));
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="min-w-full divide-y divide-gray-200">
+        <thead className="bg-gray-50">
+          <tr>
+            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Seed</th>
+            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Team</th>
+            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Reached</th>
+            {RESULT_FIELDS.map(({ key, label }) => (
+              <th key={key} className="px-2 py-2 text-center text-xs font-medium text-gray-500 uppercase">{label}</th>
+            ))}
+            <th className="px-2 py-2 text-center text-xs font-medium text-gray-500 uppercase">Out</th>
+            <th className="px-4 py-2" />
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-200">
+          {['AFC', 'NFC'].map(conference => (
+            <React.Fragment key={conference}>
+              <tr>
+                <td colSpan={RESULT_FIELDS.length + 5} className="px-4 py-1 text-xs font-semibold text-gray-500 bg-gray-50">
+                  {conference}
+                </td>
+              </tr>
+              {bracket.teams
+                .filter(entry => entry.conference === conference)
+                .map(entry => (
+                  <OutcomeRow
+                    key={`${entry.team._id}-${bracket.lastUpdated}`}
+                    entry={entry}
+                    override={overridden.has(entry.team._id)}
+                    saving={savingId === entry.team._id}
+                    onSet={onSet}
+                    onClear={onClear}
+                  />
+                ))}
+            </React.Fragment>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default PlayoffOutcomesPanel;
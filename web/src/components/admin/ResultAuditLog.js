@@ -0,0 +1,69 @@
+import React, { useState } from 'react';
+import LeagueEarningsDiff from './LeagueEarningsDiff';
+
+const ACTION_LABELS = {
+  'game-updated': 'Game result',
+  'playoff-outcome-set': 'Playoff override',
+  'playoff-outcome-cleared': 'Override cleared',
+  'leagues-recalculated': 'Recalculation'
+};
+
+const describeScore = (state) => (
+  state ? `${state.score.away ?? '–'}–${state.score.home ?? '–'} (${state.status.replace('_', ' ')})` : ''
+);
+
+const describeSubject = (audit) => {
+  if (audit.game) {
+    const { game } = audit;
+    return `${game.season} ${game.seasonType} wk ${game.week} ${game.awayTeam?.abbreviation} @ ${game.homeTeam?.abbreviation}: ` +
+      `${describeScore(audit.before)} → ${describeScore(audit.after)}`;
+  }
+  if (audit.team) {
+    return `${audit.season} ${audit.team.abbreviation}: ${audit.before?.reached || '–'} → ${audit.after?.reached || '–'}`;
+  }
+  return audit.season ? `${audit.season} leagues` : 'All active leagues';
+};
+
+// Recent manual result changes, newest first; each expands to its league earnings diff
+const ResultAuditLog = ({ audits }) => {
+  const [expanded, setExpanded] = useState(null);
+
+  if (audits.length === 0) {
+    return <p className="text-sm text-gray-500 p-6">No manual changes yet.</p>;
+  }
+
+  return (
+    <ul className="divide-y divide-gray-200">
+      {audits.map(audit => (
+        <li key={audit._id} className="px-4 py-3">
+          <button
+            type="button"
+            className="w-full text-left"
+            onClick={() => setExpanded(current => (current === audit._id ? null : audit._id))}
+          >
+            <div className="flex items-center justify-between">
+              <span className="text-sm font-medium text-gray-900">
+                {ACTION_LABELS[audit.action] || audit.action}
+              </span>
+              <span className="text-xs text-gray-500">
+                {audit.actor?.username} · {new Date(audit.createdAt).toLocaleString()}
+              </span>
+            </div>
+            <div className="text-sm text-gray-600">{describeSubject(audit)}</div>
+            {audit.reason && <div className="text-xs text-gray-500 italic">{audit.reason}</div>}
+            <div className="text-xs text-primary-600 mt-1">
+              {audit.leagueChanges.length} league(s) changed
+            </div>
+          </button>
+          {expanded === audit._id && (
+            <div className="mt-3">
+              <LeagueEarningsDiff leagueChanges={audit.leagueChanges} />
+            </div>
+          )}
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default ResultAuditLog;
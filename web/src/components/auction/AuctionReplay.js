@@ -0,0 +1,267 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import toast from 'react-hot-toast';
+
+import { auctionService } from '../../services/auctionService';
+import Button from '../common/Button';
+import LoadingSpinner from '../common/LoadingSpinner';
+import Modal from '../common/Modal';
+
+const PAGE_SIZE = 500;
+
+// Fold the raw event log into lots: a nomination, the bids on it, and how it ended
+const buildLots = (events) => {
+  const lots = [];
+  let current = null;
+  let spent = {};
+
+  const closeLot = (outcome, event) => {
+    if (!current) return;
+    current.outcome = outcome;
+    current.closedAt = event?.createdAt || null;
+    current.spentAfter = { ...spent };
+    lots.push(current);
+    current = null;
+  };
+
+  events.forEach(event => {
+    switch (event.type) {
+      case 'team-nominated':
+        closeLot('unsold');
+        current = {
+          team: event.team,
+          nominator: event.actor,
+          autoNominated: Boolean(event.details?.autoNominated),
+          openedAt: event.createdAt,
+          bids: []
+        };
+        break;
+      case 'bid-placed':
+        if (current) {
+          current.bids.push(event);
+        }
+        break;
+      case 'team-sold': {
+        const winner = event.details?.winner;
+        if (winner) {
+          spent[winner] = (spent[winner] || 0) + (event.amount || 0);
+        }
+        if (current) {
+          current.winner = winner;
+          current.price = event.amount;
+        }
+        closeLot('sold', event);
+        break;
+      }
+      case 'sale-reversed': {
+        const formerOwner = event.details?.formerOwner;
+        if (formerOwner) {
+          spent[formerOwner] = Math.max(0, (spent[formerOwner] || 0) - (event.amount || 0));
+        }
+        const reversedLot = [...lots].reverse().find(l => l.outcome === 'sold' && l.team?._id === event.team?._id);
+        if (reversedLot) {
+          reversedLot.outcome = 'reversed';
+          reversedLot.reversedBy = event.actor;
+          reversedLot.reversalReason = event.details?.reason || null;
+        }
+        break;
+      }
+      case 'participants-reset':
+        closeLot('unsold');
+        spent = {};
+        break;
+      default:
+        break;
+    }
+  });
+
+  // A lot still open at the end of the log is the live one
+  if (current) {
+    current.outcome = 'open';
+    current.spentAfter = { ...spent };
+    lots.push(current);
+  }
+
+  return lots;
+};
+
+const formatTime = (value) => (value ? new Date(value).toLocaleTimeString() : '');
+
+const AuctionReplay = ({ auction, isOpen, onClose }) => {
+  const [events, setEvents] = useState([]);
+  const [startingBudget, setStartingBudget] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [lotIndex, setLotIndex] = useState(0);
+
+  useEffect(() => {
+    if (!isOpen || !auction?._id) return;
+
+    let cancelled = false;
+
+    const loadTimeline = async () => {
+      setLoading(true);
+      try {
+        const collected = [];
+        let after = null;
+        let hasMore = true;
+        let budget = null;
+
+        while (hasMore) {
+          const response = await auctionService.getAuctionTimeline(auction._id, { after, limit: PAGE_SIZE });
+          const page = response.data?.events || [];
+          collected.push(...page);
+          budget = response.data?.startingBudget ?? null;
+          hasMore = Boolean(response.data?.hasMore) && page.length > 0;
+          after = page.length > 0 ? page[page.length - 1]._id : null;
+        }
+
+        if (!cancelled) {
+          setEvents(collected);
+          setStartingBudget(budget);
+          setLotIndex(0);
+        }
+      } catch (error) {
+        if (!cancelled) {
+          toast.error(error.response?.data?.error?.message || error.message || 'Failed to load auction history');
+        }
+      } finally {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      }
+    };
+
+    loadTimeline();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen, auction?._id]);
+
+  const lots = useMemo(() => buildLots(events), [events]);
+  const lot = lots[lotIndex];
+
+  const usernameFor = (userId) => {
+    const participant = auction?.participants?.find(p => (p.user?._id || p.user) === userId);
+    return String(participant?.username || participant?.user?.username || 'Unknown User');
+  };
+
+  const teamLabel = (team) => (team ? `${team.city || ''} ${team.name || ''}`.trim() : 'Unknown Team');
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="Auction Replay" size="xl">
+      {loading ? (
+        <LoadingSpinner text="Loading auction history..." />
+      ) : lots.length === 0 ? (
+        <p className="text-center text-gray-500 py-8">No lots have been nominated yet.</p>
+      ) : (
+        <div className="space-y-6">
+          {/* Scrubber */}
+          <div className="flex items-center space-x-3">
+            <Button
+              onClick={() => setLotIndex(i => Math.max(0, i - 1))}
+              disabled={lotIndex === 0}
+              variant="outline"
+              size="sm"
+            >
+              Prev
+            </Button>
+            <input
+              type="range"
+              min={0}
+              max={lots.length - 1}
+              value={lotIndex}
+              onChange={(e) => setLotIndex(Number(e.target.value))}
+              className="flex-1"
+            />
+            <Button
+              onClick={() => setLotIndex(i => Math.min(lots.length - 1, i + 1))}
+              disabled={lotIndex === lots.length - 1}
+              variant="outline"
+              size="sm"
+            >
+              Next
+            </Button>
+            <span className="text-sm text-gray-600 whitespace-nowrap">
+              Lot {lotIndex + 1} of {lots.length}
+            </span>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            {/* Lot */}
+            <div>
+              <div className="flex items-center mb-3">
+                {lot.team?.logo && (
+                  <img src={lot.team.logo} alt={teamLabel(lot.team)} className="w-10 h-10 object-contain mr-3" />
+                )}
+                <div>
+                  <h4 className="font-semibold text-gray-900">{teamLabel(lot.team)}</h4>
+                  <p className="text-xs text-gray-500">
+                    {lot.autoNominated
+                      ? 'Auto-nominated'
+                      : `Nominated by ${String(lot.nominator?.username || 'Unknown User')}`}
+                    {' '}at {formatTime(lot.openedAt)}
+                  </p>
+                </div>
+              </div>
+
+              <div className="space-y-1 max-h-64 overflow-y-auto">
+                {lot.bids.map(bid => (
+                  <div key={bid._id} className="flex justify-between items-center text-sm p-2 bg-gray-50 rounded">
+                    <span className="text-gray-900">
+                      {String(bid.actor?.username || 'Unknown User')}
+                      {bid.details?.isProxy && (
+                        <span className="ml-1 text-xs bg-indigo-100 text-indigo-700 px-1 rounded">auto</span>
+                      )}
+                    </span>
+                    <span className="font-semibold text-green-600">${bid.amount}</span>
+                  </div>
+                ))}
+              </div>
+
+              <p className="mt-3 text-sm font-medium">
+                {lot.outcome === 'sold' && (
+                  <span className="text-green-700">
+                    Sold to {usernameFor(lot.winner)} for ${lot.price} at {formatTime(lot.closedAt)}
+                  </span>
+                )}
+                {lot.outcome === 'reversed' && (
+                  <span className="text-orange-600">
+                    Sold to {usernameFor(lot.winner)} for ${lot.price}, later reversed by{' '}
+                    {String(lot.reversedBy?.username || 'the commissioner')}
+                    {lot.reversalReason ? ` (${String(lot.reversalReason)})` : ''}
+                  </span>
+                )}
+                {lot.outcome === 'unsold' && <span className="text-gray-500">Lot did not sell</span>}
+                {lot.outcome === 'open' && <span className="text-blue-600">Bidding still open</span>}
+              </p>
+            </div>
+
+            {/* Budgets after this lot */}
+            <div>
+              <h4 className="font-semibold text-gray-900 mb-3">Budgets after this lot</h4>
+              <div className="space-y-1">
+                {auction.participants?.map(participant => {
+                  const userId = participant.user?._id || participant.user;
+                  const spent = lot.spentAfter[userId] || 0;
+                  return (
+                    <div key={participant._id || userId} className="flex justify-between text-sm p-2 rounded border border-gray-100">
+                      <span className="text-gray-900">{usernameFor(userId)}</span>
+                      <span className="text-gray-700">
+                        ${spent} spent
+                        {startingBudget !== null && (
+                          <span className="ml-2 text-gray-500">(${startingBudget - spent} left)</span>
+                        )}
+                      </span>
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+    </Modal>
+  );
+};
+
+export default AuctionReplay;
@@ -6,6 +6,7 @@ import {
   TrophyIcon,
   UserGroupIcon,
   ChartBarIcon,
+  StarIcon,
   Cog6ToothIcon,
   XMarkIcon
 } from '@heroicons/react/24/outline';
@@ -23,6 +24,7 @@ const Sidebar = () => {
     { name: 'Dashboard', href: '/app/dashboard', icon: HomeIcon },
     { name: 'My Leagues', href: '/app/leagues', icon: UserGroupIcon },
     { name: 'NFL Teams', href: '/teams', icon: TrophyIcon },
+    { name: 'Playoffs', href: '/playoffs', icon: StarIcon },
     { name: 'Standings', href: '/app/standings', icon: ChartBarIcon },
     { name: 'Profile', href: '/app/profile', icon: Cog6ToothIcon },
   ];
@@ -0,0 +1,117 @@
+import React from 'react';
+import {
+  Bar,
+  BarChart,
+  CartesianGrid,
+  Legend,
+  Line,
+  LineChart,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis
+} from 'recharts';
+
+const OWNER_COLORS = [
+  '#2563eb', '#dc2626', '#16a34a', '#d97706', '#7c3aed',
+  '#0891b2', '#db2777', '#65a30d', '#ea580c', '#4b5563'
+];
+
+const ROUND_LABELS = {
+  wildcard: 'WC',
+  divisional: 'DIV',
+  conference: 'CONF',
+  superbowl: 'SB'
+};
+
+const weekLabel = ({ week, playoffRound }) => (playoffRound ? ROUND_LABELS[playoffRound] : `W${week}`);
+
+const formatMoney = (amount) => `$${(Number(amount) || 0).toFixed(2)}`;
+
+const ChartCard = ({ title, children }) => (
+  <div className="bg-white rounded-lg shadow p-6">
+    <h3 className="text-lg font-semibold text-gray-900 mb-4">{title}</h3>
+    <div className="h-72">
+      <ResponsiveContainer width="100%" height="100%">
+        {children}
+      </ResponsiveContainer>
+    </div>
+  </div>
+);
+
+// Season charts from the standings' weekly earnings: each owner's running total,
+// what they earned each week, and where they ranked after each week
+const EarningsCharts = ({ weeks, standings }) => {
+  const owners = standings.filter(standing => standing.weeklyEarnings.length > 0);
+
+  if (weeks.length === 0 || owners.length === 0) {
+    return (
+      <div className="bg-white rounded-lg shadow p-6 text-sm text-gray-500">
+        Earnings charts appear once the first payouts are in.
+      </div>
+    );
+  }
+
+  const ownerKey = (standing) => standing.user._id;
+
+  // One row per week with a column per owner for each chart
+  const rows = (field) => weeks.map((week, index) => {
+    const row = { label: weekLabel(week) };
+    owners.forEach(standing => {
+      row[ownerKey(standing)] = standing.weeklyEarnings[index]?.[field] ?? null;
+    });
+    return row;
+  });
+
+  const series = (Series, extraProps = {}) => owners.map((standing, index) => (
+    <Series
+      key={ownerKey(standing)}
+      dataKey={ownerKey(standing)}
+      name={standing.user.username}
+      stroke={OWNER_COLORS[index % OWNER_COLORS.length]}
+      fill={OWNER_COLORS[index % OWNER_COLORS.length]}
+      {...extraProps}
+    />
+  ));
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+      <div className="lg:col-span-2">
+        <ChartCard title="Cumulative Earnings">
+          <LineChart data={rows('cumulative')}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="label" />
+            <YAxis tickFormatter={(value) => `$${value}`} />
+            <Tooltip formatter={(value) => formatMoney(value)} />
+            <Legend />
+            {series(Line, { type: 'monotone', dot: false, strokeWidth: 2 })}
+          </LineChart>
+        </ChartCard>
+      </div>
+
+      <ChartCard title="Earnings by Week">
+        <BarChart data={rows('amount')}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey="label" />
+          <YAxis tickFormatter={(value) => `$${value}`} />
+          <Tooltip formatter={(value) => formatMoney(value)} />
+          <Legend />
+          {series(Bar)}
+        </BarChart>
+      </ChartCard>
+
+      <ChartCard title="Rank by Week">
+        <LineChart data={rows('rank')}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey="label" />
+          <YAxis reversed allowDecimals={false} domain={[1, owners.length]} />
+          <Tooltip formatter={(value) => `#${value}`} />
+          <Legend />
+          {series(Line, { type: 'stepAfter', dot: false, strokeWidth: 2 })}
+        </LineChart>
+      </ChartCard>
+    </div>
+  );
+};
+
+export default EarningsCharts;
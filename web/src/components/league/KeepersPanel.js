@@ -0,0 +1,126 @@
+import React, { useEffect, useState } from 'react';
+import toast from 'react-hot-toast';
+import { leagueService } from '../../services/leagueService';
+import Button from '../common/Button';
+
+// Lets an owner in a renewed league pick which of last season's teams to keep
+// before the auction starts
+const KeepersPanel = ({ leagueId }) => {
+  const [options, setOptions] = useState(null);
+  const [selected, setSelected] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    leagueService.getKeepers(leagueId)
+      .then(response => {
+        if (cancelled) return;
+        setOptions(response.data);
+        setSelected(response.data.keepers.map(keeper => keeper.nflTeam));
+      })
+      .catch(() => {
+        if (!cancelled) setOptions(null);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [leagueId]);
+
+  if (!options) {
+    return null;
+  }
+
+  const { settings, eligible, canChange, startingBudget } = options;
+  const total = eligible
+    .filter(option => selected.includes(option.nflTeam._id))
+    .reduce((sum, option) => sum + option.keeperPrice, 0);
+
+  const toggle = (teamId) => {
+    setSelected(current => current.includes(teamId)
+      ? current.filter(id => id !== teamId)
+      : [...current, teamId]);
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const response = await leagueService.setKeepers(leagueId, selected);
+      setOptions(response.data);
+      setSelected(response.data.keepers.map(keeper => keeper.nflTeam));
+      toast.success('Keepers saved');
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || error.response?.data?.message || 'Failed to save keepers');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="bg-white border border-gray-200 rounded-lg p-6">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-lg font-semibold text-gray-900">Keepers</h3>
+        <span className="text-sm text-gray-500">
+          Up to {settings.maxKeepers} · last price + {settings.inflationPercent}%
+        </span>
+      </div>
+      <p className="text-sm text-gray-600 mb-4">
+        {canChange
+          ? 'Kept teams are yours before bidding opens, at their keeper price.'
+          : 'Keepers are locked now that the auction has started.'}
+      </p>
+
+      {eligible.length === 0 ? (
+        <p className="text-sm text-gray-500">You didn't own any teams last season.</p>
+      ) : (
+        <div className="space-y-2">
+          {eligible.map(option => {
+            const teamId = option.nflTeam._id;
+            const isSelected = selected.includes(teamId);
+            const atLimit = !isSelected && selected.length >= settings.maxKeepers;
+
+            return (
+              <label
+                key={teamId}
+                className={`flex items-center justify-between p-3 border rounded-md ${isSelected ? 'border-primary-300 bg-primary-50' : 'border-gray-200'}`}
+              >
+                <div className="flex items-center space-x-3">
+                  <input
+                    type="checkbox"
+                    checked={isSelected}
+                    disabled={!canChange || atLimit}
+                    onChange={() => toggle(teamId)}
+                  />
+                  {option.nflTeam.logo && (
+                    <img src={option.nflTeam.logo} alt={option.nflTeam.abbreviation} className="w-6 h-6 object-contain" />
+                  )}
+                  <span className="text-sm font-medium text-gray-900">
+                    {option.nflTeam.city} {option.nflTeam.name}
+                  </span>
+                </div>
+                <div className="text-right text-sm">
+                  <div className="font-semibold text-gray-900">${option.keeperPrice}</div>
+                  <div className="text-xs text-gray-500">paid ${option.previousPrice}</div>
+                </div>
+              </label>
+            );
+          })}
+        </div>
+      )}
+
+      {canChange && eligible.length > 0 && (
+        <div className="flex items-center justify-between mt-4">
+          <span className={`text-sm ${total > startingBudget ? 'text-red-600' : 'text-gray-600'}`}>
+            ${total} of your ${startingBudget} budget
+          </span>
+          <Button onClick={handleSave} disabled={saving || total > startingBudget} size="sm">
+            {saving ? 'Saving...' : 'Save Keepers'}
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default KeepersPanel;
@@ -0,0 +1,115 @@
+import React from 'react';
+
+const formatDelta = (amount) => {
+  const value = Number(amount) || 0;
+  const sign = value > 0 ? '+' : value < 0 ? '-' : '';
+  return `${sign}$${Math.abs(value).toFixed(2)}`;
+};
+
+const deltaClass = (amount) => (
+  amount > 0 ? 'text-green-600' : amount < 0 ? 'text-red-600' : 'text-gray-500'
+);
+
+const gameStatus = (game) => {
+  if (game.status === 'final') return 'Final';
+  if (game.status !== 'in_progress') return new Date(game.kickoff).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+  if (!game.period) return 'Live';
+  const quarter = Number(game.period) > 4 ? 'OT' : `Q${game.period}`;
+  return game.clock ? `${quarter} ${game.clock}` : quarter;
+};
+
+const TeamLine = ({ side, leading, currentUserId }) => (
+  <div className="flex items-center justify-between">
+    <div className="flex items-center min-w-0">
+      {side.team?.logo && (
+        <img src={side.team.logo} alt={side.team.abbreviation} className="w-5 h-5 object-contain mr-2" />
+      )}
+      <span className={`text-sm ${leading ? 'font-bold text-gray-900' : 'text-gray-700'}`}>
+        {side.team?.abbreviation}
+      </span>
+      {side.owner && (
+        <span className={`ml-2 text-xs truncate ${side.owner._id === currentUserId ? 'text-primary-600 font-medium' : 'text-gray-500'}`}>
+          {String(side.owner.username || '')}
+        </span>
+      )}
+    </div>
+    <span className={`text-sm ml-3 ${leading ? 'font-bold text-gray-900' : 'text-gray-700'}`}>
+      {side.score ?? '-'}
+    </span>
+  </div>
+);
+
+// Live scores for the games a league's owners hold, with each owner's projected
+// earnings change if the current scores hold
+const LiveScoreTicker = ({ snapshot, currentUserId, title = 'Live Scores' }) => {
+  if (!snapshot?.games?.length) {
+    return null;
+  }
+
+  const isLive = snapshot.games.some(game => game.status === 'in_progress');
+  const myProjection = snapshot.owners?.find(entry => entry.owner?._id === currentUserId);
+
+  return (
+    <div className="bg-white rounded-lg shadow p-4">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-md font-semibold text-gray-900 flex items-center">
+          {isLive && <span className="w-2 h-2 rounded-full bg-red-500 animate-pulse mr-2" />}
+          {title}
+        </h3>
+        {myProjection && (
+          <span className="text-sm text-gray-600">
+            If these hold:{' '}
+            <span className={`font-semibold ${deltaClass(myProjection.projectedDelta)}`}>
+              {formatDelta(myProjection.projectedDelta)}
+            </span>
+          </span>
+        )}
+      </div>
+
+      <div className="flex space-x-3 overflow-x-auto pb-2">
+        {snapshot.games.map(game => {
+          const homeLeads = (game.home.score ?? 0) > (game.away.score ?? 0);
+          const awayLeads = (game.away.score ?? 0) > (game.home.score ?? 0);
+          const myDelta = [game.home, game.away]
+            .filter(side => side.owner?._id === currentUserId)
+            .reduce((sum, side) => sum + (side.projectedDelta || 0), 0);
+          const isMine = [game.home, game.away].some(side => side.owner?._id === currentUserId);
+
+          return (
+            <div
+              key={game._id}
+              className={`flex-shrink-0 w-52 border rounded-lg p-3 ${isMine ? 'border-primary-300 bg-primary-50' : 'border-gray-200'}`}
+            >
+              <div className="flex justify-between text-xs text-gray-500 mb-2">
+                <span>{game.status === 'in_progress' ? 'LIVE' : ''}</span>
+                <span>{gameStatus(game)}</span>
+              </div>
+              <div className="space-y-1">
+                <TeamLine side={game.away} leading={awayLeads} currentUserId={currentUserId} />
+                <TeamLine side={game.home} leading={homeLeads} currentUserId={currentUserId} />
+              </div>
+              {isMine && (
+                <div className={`mt-2 text-xs font-medium ${deltaClass(myDelta)}`}>
+                  {formatDelta(myDelta)} for you if it holds
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      {snapshot.owners?.length > 0 && (
+        <div className="mt-3 pt-3 border-t border-gray-100 flex flex-wrap gap-x-4 gap-y-1 text-xs text-gray-600">
+          {snapshot.owners.map(entry => (
+            <span key={entry.owner?._id} className={entry.owner?._id === currentUserId ? 'font-semibold' : ''}>
+              {String(entry.owner?.username || 'Unknown User')}:{' '}
+              <span className={deltaClass(entry.projectedDelta)}>{formatDelta(entry.projectedDelta)}</span>
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LiveScoreTicker;
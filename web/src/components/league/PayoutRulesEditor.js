@@ -0,0 +1,144 @@
+import React from 'react';
+import Button from '../common/Button';
+
+const RULE_TYPES = [
+  {
+    type: 'pointDifferential',
+    label: 'Point differential bonus',
+    description: 'Split over every regular season win by its winning margin'
+  },
+  {
+    type: 'divisionTitle',
+    label: 'Division title bonus',
+    description: 'One equal share per division champion'
+  },
+  {
+    type: 'worstRecord',
+    label: 'Worst record consolation',
+    description: 'Paid to the team with the worst regular season record'
+  },
+  {
+    type: 'risingWinBonus',
+    label: 'Rising weekly win bonus',
+    description: 'Split over regular season wins, later weeks worth more'
+  },
+  {
+    type: 'upsetWin',
+    label: 'Upset bonus',
+    description: 'Split over wins against an opponent with a better record'
+  }
+];
+
+const newRule = (type) => ({
+  type,
+  name: '',
+  percentage: 5,
+  weeklyIncrease: 10,
+  minWinGap: 2
+});
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-1 focus:ring-blue-500';
+
+// Edits a league's custom payout rules; each takes a percentage of the prize pool
+const PayoutRulesEditor = ({ rules, onChange }) => {
+  const updateRule = (index, field, value) => {
+    onChange(rules.map((rule, position) => (position === index ? { ...rule, [field]: value } : rule)));
+  };
+
+  const removeRule = (index) => {
+    onChange(rules.filter((rule, position) => position !== index));
+  };
+
+  return (
+    <div className="space-y-3">
+      {rules.map((rule, index) => {
+        const ruleType = RULE_TYPES.find(option => option.type === rule.type);
+
+        return (
+          <div key={index} className="border border-gray-200 rounded-md p-4">
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Rule</label>
+                <select
+                  value={rule.type}
+                  onChange={(e) => updateRule(index, 'type', e.target.value)}
+                  className={inputClass}
+                >
+                  {RULE_TYPES.map(option => (
+                    <option key={option.type} value={option.type}>{option.label}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Name (optional)</label>
+                <input
+                  type="text"
+                  value={rule.name}
+                  maxLength={50}
+                  onChange={(e) => updateRule(index, 'name', e.target.value)}
+                  className={inputClass}
+                  placeholder={ruleType?.label}
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">% of pool</label>
+                <input
+                  type="number"
+                  min="0"
+                  max="100"
+                  step="0.5"
+                  value={rule.percentage}
+                  onChange={(e) => updateRule(index, 'percentage', Number(e.target.value))}
+                  className={inputClass}
+                />
+              </div>
+              <div className="flex justify-end">
+                <Button type="button" variant="outline" size="sm" onClick={() => removeRule(index)}>
+                  Remove
+                </Button>
+              </div>
+            </div>
+
+            <div className="mt-3 flex flex-wrap items-center gap-4 text-sm text-gray-600">
+              <span>{ruleType?.description}</span>
+              {rule.type === 'risingWinBonus' && (
+                <label className="flex items-center space-x-2">
+                  <span>Each week adds</span>
+                  <input
+                    type="number"
+                    min="0"
+                    max="100"
+                    value={rule.weeklyIncrease}
+                    onChange={(e) => updateRule(index, 'weeklyIncrease', Number(e.target.value))}
+                    className="w-20 px-2 py-1 border border-gray-300 rounded-md"
+                  />
+                  <span>% of a week 1 win</span>
+                </label>
+              )}
+              {rule.type === 'upsetWin' && (
+                <label className="flex items-center space-x-2">
+                  <span>Opponent had at least</span>
+                  <input
+                    type="number"
+                    min="1"
+                    max="17"
+                    value={rule.minWinGap}
+                    onChange={(e) => updateRule(index, 'minWinGap', Number(e.target.value))}
+                    className="w-20 px-2 py-1 border border-gray-300 rounded-md"
+                  />
+                  <span>more wins</span>
+                </label>
+              )}
+            </div>
+          </div>
+        );
+      })}
+
+      <Button type="button" variant="secondary" size="sm" onClick={() => onChange([...rules, newRule('pointDifferential')])}>
+        Add Rule
+      </Button>
+    </div>
+  );
+};
+
+export default PayoutRulesEditor;
@@ -0,0 +1,80 @@
+import React from 'react';
+
+const RESULT_FIELDS = [
+  { key: 'wildCardWin', label: 'WC' },
+  { key: 'divisionalWin', label: 'Div' },
+  { key: 'conferenceChampionshipWin', label: 'Conf' },
+  { key: 'superBowlAppearance', label: 'SB app' },
+  { key: 'superBowlWin', label: 'SB win' }
+];
+
+// Hypothetical playoff runs for the league's owned teams. A team without a run
+// keeps the playoff results its games give it.
+const PlayoffRunPicker = ({ teams, runs, onChange }) => {
+  const toggleRun = (team) => {
+    const next = { ...runs };
+    if (next[team.nflTeam._id]) {
+      delete next[team.nflTeam._id];
+    } else {
+      next[team.nflTeam._id] = { ...team.playoffResults };
+    }
+    onChange(next);
+  };
+
+  const setResult = (teamId, key, value) => {
+    onChange({ ...runs, [teamId]: { ...runs[teamId], [key]: value } });
+  };
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="min-w-full divide-y divide-gray-200">
+        <thead className="bg-gray-50">
+          <tr>
+            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Team</th>
+            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Owner</th>
+            <th className="px-2 py-2 text-center text-xs font-medium text-gray-500 uppercase">What if</th>
+            {RESULT_FIELDS.map(({ key, label }) => (
+              <th key={key} className="px-2 py-2 text-center text-xs font-medium text-gray-500 uppercase">{label}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-200">
+          {teams.map(team => {
+            const run = runs[team.nflTeam._id];
+            const results = run || team.playoffResults;
+
+            return (
+              <tr key={team.nflTeam._id} className={run ? 'bg-primary-50' : ''}>
+                <td className="px-4 py-2 text-sm font-medium text-gray-900 whitespace-nowrap">
+                  {team.nflTeam.abbreviation}
+                </td>
+                <td className="px-4 py-2 text-sm text-gray-600">{team.owner.username}</td>
+                <td className="px-2 py-2 text-center">
+                  <input
+                    type="checkbox"
+                    aria-label={`Set a playoff run for ${team.nflTeam.abbreviation}`}
+                    checked={Boolean(run)}
+                    onChange={() => toggleRun(team)}
+                  />
+                </td>
+                {RESULT_FIELDS.map(({ key, label }) => (
+                  <td key={key} className="px-2 py-2 text-center">
+                    <input
+                      type="checkbox"
+                      aria-label={`${team.nflTeam.abbreviation} ${label}`}
+                      checked={Boolean(results[key])}
+                      disabled={!run}
+                      onChange={(e) => setResult(team.nflTeam._id, key, e.target.checked)}
+                    />
+                  </td>
+                ))}
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default PlayoffRunPicker;
@@ -0,0 +1,67 @@
+import React from 'react';
+import {
+  Bar,
+  BarChart,
+  CartesianGrid,
+  Legend,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis
+} from 'recharts';
+
+const formatMoney = (amount) => {
+  const value = Number(amount) || 0;
+  return `${value < 0 ? '-' : ''}$${Math.abs(value).toFixed(2)}`;
+};
+
+// Average auction price against average payout for each price slot (slot 1 is the
+// most expensive team of a season), across every season with data
+const PriceSlotChart = ({ slots }) => {
+  if (slots.length === 0) {
+    return <p className="text-sm text-gray-500">No teams have been bought yet.</p>;
+  }
+
+  const data = slots.map(slot => ({
+    label: `#${slot.slot}`,
+    price: slot.averagePrice,
+    earnings: slot.averageEarnings
+  }));
+
+  return (
+    <div className="space-y-4">
+      <div className="h-72">
+        <ResponsiveContainer width="100%" height="100%">
+          <BarChart data={data}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="label" />
+            <YAxis tickFormatter={(value) => `$${value}`} />
+            <Tooltip formatter={(value) => formatMoney(value)} />
+            <Legend />
+            <Bar dataKey="price" name="Average price" fill="#9ca3af" />
+            <Bar dataKey="earnings" name="Average payout" fill="#2563eb" />
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+
+      <div className="flex flex-wrap gap-2">
+        {slots.map(slot => (
+          <span
+            key={slot.slot}
+            title={`${slot.seasons} season${slot.seasons !== 1 ? 's' : ''}`}
+            className={`px-2 py-1 rounded text-xs font-medium ${
+              slot.averageValueOverPrice > 0
+                ? 'bg-green-100 text-green-800'
+                : slot.averageValueOverPrice < 0 ? 'bg-red-100 text-red-800' : 'bg-gray-100 text-gray-700'
+            }`}
+          >
+            #{slot.slot} {slot.averageValueOverPrice > 0 ? 'under-valued' : slot.averageValueOverPrice < 0 ? 'over-valued' : 'fair'}{' '}
+            ({formatMoney(slot.averageValueOverPrice)})
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default PriceSlotChart;
@@ -0,0 +1,95 @@
+import React from 'react';
+
+const ROUND_LABELS = {
+  wildcard: 'Wild Card',
+  divisional: 'Divisional',
+  conference: 'Conference',
+  superbowl: 'Super Bowl'
+};
+
+const weekLabel = (game) => (
+  game.seasonType === 'postseason' ? ROUND_LABELS[game.playoffRound] : `Week ${game.week}`
+);
+
+const pickClass = (selected) => (
+  `px-3 py-1 rounded-md border text-sm font-medium ${
+    selected
+      ? 'bg-primary-600 border-primary-600 text-white'
+      : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'
+  }`
+);
+
+// Remaining games grouped by week: pick a winner for each, and in Monte Carlo mode
+// adjust the home team's win probability for the games left unpicked
+const ScenarioGamePicker = ({ games, picks, onPick, probabilities, onProbability, showProbabilities }) => {
+  if (games.length === 0) {
+    return <p className="text-sm text-gray-500">There are no remaining games this season.</p>;
+  }
+
+  const weeks = [];
+  games.forEach(game => {
+    const label = weekLabel(game);
+    const week = weeks.find(entry => entry.label === label);
+    if (week) {
+      week.games.push(game);
+    } else {
+      weeks.push({ label, games: [game] });
+    }
+  });
+
+  return (
+    <div className="space-y-4">
+      {weeks.map(week => (
+        <div key={week.label}>
+          <h4 className="text-sm font-semibold text-gray-700 mb-2">{week.label}</h4>
+          <div className="divide-y divide-gray-100 border border-gray-200 rounded-md">
+            {week.games.map(game => {
+              const pick = picks[game._id];
+              const probability = probabilities[game._id] ?? Math.round(game.homeWinProbability * 100);
+
+              return (
+                <div key={game._id} className="px-3 py-2 flex flex-wrap items-center justify-between gap-2">
+                  <div className="flex items-center space-x-2">
+                    <button
+                      type="button"
+                      className={pickClass(pick === game.awayTeam?._id)}
+                      onClick={() => onPick(game._id, pick === game.awayTeam?._id ? null : game.awayTeam?._id)}
+                    >
+                      {game.awayTeam?.abbreviation}
+                    </button>
+                    <span className="text-gray-400 text-sm">@</span>
+                    <button
+                      type="button"
+                      className={pickClass(pick === game.homeTeam?._id)}
+                      onClick={() => onPick(game._id, pick === game.homeTeam?._id ? null : game.homeTeam?._id)}
+                    >
+                      {game.homeTeam?.abbreviation}
+                    </button>
+                    {game.status === 'in_progress' && (
+                      <span className="text-xs font-semibold text-red-600">LIVE</span>
+                    )}
+                  </div>
+                  {showProbabilities && !pick && (
+                    <label className="flex items-center space-x-2 text-sm text-gray-600">
+                      <span>{game.homeTeam?.abbreviation} win %</span>
+                      <input
+                        type="number"
+                        min="0"
+                        max="100"
+                        value={probability}
+                        onChange={(e) => onProbability(game._id, Number(e.target.value))}
+                        className="w-20 px-2 py-1 border border-gray-300 rounded-md"
+                      />
+                    </label>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default ScenarioGamePicker;
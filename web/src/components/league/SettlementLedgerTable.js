@@ -0,0 +1,67 @@
+import React from 'react';
+
+const formatMoney = (amount) => {
+  const value = Number(amount) || 0;
+  return `${value < 0 ? '-' : ''}$${Math.abs(value).toFixed(2)}`;
+};
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString() : '—');
+
+const TYPE_LABELS = {
+  'buy-in': 'Buy-in',
+  winnings: 'Winnings',
+  refund: 'Pool share',
+  payment: 'Payment'
+};
+
+const TYPE_CLASSES = {
+  'buy-in': 'bg-gray-100 text-gray-700',
+  winnings: 'bg-green-100 text-green-800',
+  refund: 'bg-blue-100 text-blue-800',
+  payment: 'bg-purple-100 text-purple-800'
+};
+
+const headerClass = 'px-4 py-2 text-xs font-medium text-gray-500 uppercase';
+
+// Every money movement of the season in date order: buy-ins owed, winnings and pool
+// shares credited at finalization, and payments as they are received
+const SettlementLedgerTable = ({ ledger }) => {
+  if (ledger.length === 0) {
+    return <p className="text-sm text-gray-500">Nothing has been recorded yet.</p>;
+  }
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="min-w-full divide-y divide-gray-200">
+        <thead className="bg-gray-50">
+          <tr>
+            <th className={`${headerClass} text-left`}>Date</th>
+            <th className={`${headerClass} text-left`}>Type</th>
+            <th className={`${headerClass} text-left`}>Owner</th>
+            <th className={`${headerClass} text-left`}>Description</th>
+            <th className={`${headerClass} text-right`}>Amount</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-200">
+          {ledger.map((line, index) => (
+            <tr key={`${line.type}-${line.owner}-${index}`}>
+              <td className="px-4 py-2 text-sm text-gray-500 whitespace-nowrap">{formatDate(line.date)}</td>
+              <td className="px-4 py-2 text-sm">
+                <span className={`px-2 py-1 rounded text-xs font-medium ${TYPE_CLASSES[line.type]}`}>
+                  {TYPE_LABELS[line.type]}
+                </span>
+              </td>
+              <td className="px-4 py-2 text-sm font-medium text-gray-900">{line.username}</td>
+              <td className="px-4 py-2 text-sm text-gray-600">{line.description}</td>
+              <td className={`px-4 py-2 text-sm text-right font-medium ${line.amount < 0 ? 'text-red-600' : 'text-green-600'}`}>
+                {formatMoney(line.amount)}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default SettlementLedgerTable;
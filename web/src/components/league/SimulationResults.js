@@ -0,0 +1,101 @@
+import React from 'react';
+
+const formatMoney = (amount) => `$${(Number(amount) || 0).toFixed(2)}`;
+
+const formatDelta = (amount) => {
+  const value = Number(amount) || 0;
+  const sign = value > 0 ? '+' : value < 0 ? '-' : '';
+  return `${sign}$${Math.abs(value).toFixed(2)}`;
+};
+
+const deltaClass = (amount) => (
+  amount > 0 ? 'text-green-600' : amount < 0 ? 'text-red-600' : 'text-gray-500'
+);
+
+const headerClass = 'px-4 py-2 text-xs font-medium text-gray-500 uppercase';
+
+// Projected earnings per owner from a scenario, or expected payouts and first
+// place odds from a Monte Carlo run
+const SimulationResults = ({ projection, simulation, currentUserId }) => {
+  const rowClass = (owner) => (owner._id === currentUserId ? 'bg-primary-50' : '');
+
+  if (simulation) {
+    return (
+      <div className="overflow-x-auto">
+        <p className="text-sm text-gray-500 mb-3">Over {simulation.iterations.toLocaleString()} simulated seasons</p>
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className={`${headerClass} text-left`}>Owner</th>
+              <th className={`${headerClass} text-right`}>Current</th>
+              <th className={`${headerClass} text-right`}>Expected</th>
+              <th className={`${headerClass} text-right`}>Range</th>
+              <th className={`${headerClass} text-right`}>Finishes First</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {simulation.owners.map(entry => (
+              <tr key={entry.owner._id} className={rowClass(entry.owner)}>
+                <td className="px-4 py-2 text-sm font-medium text-gray-900">{entry.owner.username}</td>
+                <td className="px-4 py-2 text-sm text-right text-gray-500">{formatMoney(entry.current)}</td>
+                <td className="px-4 py-2 text-sm text-right font-medium text-gray-900">{formatMoney(entry.expected)}</td>
+                <td className="px-4 py-2 text-sm text-right text-gray-500 whitespace-nowrap">
+                  {formatMoney(entry.min)} – {formatMoney(entry.max)}
+                </td>
+                <td className="px-4 py-2 text-sm text-right">
+                  <div className="flex items-center justify-end space-x-2">
+                    <div className="w-24 h-2 bg-gray-100 rounded-full overflow-hidden">
+                      <div className="h-2 bg-primary-600" style={{ width: `${entry.firstPlaceOdds * 100}%` }} />
+                    </div>
+                    <span className="w-12 font-medium text-gray-900">{(entry.firstPlaceOdds * 100).toFixed(1)}%</span>
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    );
+  }
+
+  if (!projection) return null;
+
+  return (
+    <div className="overflow-x-auto">
+      <p className="text-sm text-gray-500 mb-3">
+        {projection.unplayedGames > 0
+          ? `${projection.unplayedGames} games left unpicked are not counted.`
+          : 'Every remaining game is picked.'}
+        {!projection.regularSeasonComplete && ' Season-end bonuses are only paid once the regular season is complete.'}
+      </p>
+      <table className="min-w-full divide-y divide-gray-200">
+        <thead className="bg-gray-50">
+          <tr>
+            <th className={`${headerClass} text-left`}>Owner</th>
+            <th className={`${headerClass} text-left`}>Teams</th>
+            <th className={`${headerClass} text-right`}>Current</th>
+            <th className={`${headerClass} text-right`}>Projected</th>
+            <th className={`${headerClass} text-right`}>Change</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-200">
+          {projection.owners.map(entry => (
+            <tr key={entry.owner._id} className={rowClass(entry.owner)}>
+              <td className="px-4 py-2 text-sm font-medium text-gray-900">{entry.owner.username}</td>
+              <td className="px-4 py-2 text-xs text-gray-500">
+                {entry.teams.map(team => `${team.nflTeam.abbreviation} ${formatMoney(team.projected)}`).join(', ')}
+              </td>
+              <td className="px-4 py-2 text-sm text-right text-gray-500">{formatMoney(entry.current)}</td>
+              <td className="px-4 py-2 text-sm text-right font-medium text-gray-900">{formatMoney(entry.projected)}</td>
+              <td className={`px-4 py-2 text-sm text-right font-medium ${deltaClass(entry.delta)}`}>
+                {formatDelta(entry.delta)}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default SimulationResults;
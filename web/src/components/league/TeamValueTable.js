@@ -0,0 +1,54 @@
+import React from 'react';
+
+const formatMoney = (amount) => {
+  const value = Number(amount) || 0;
+  return `${value < 0 ? '-' : ''}$${Math.abs(value).toFixed(2)}`;
+};
+
+const formatRoi = (roi) => (roi === null || roi === undefined ? '—' : `${(roi * 100).toFixed(1)}%`);
+
+const valueClass = (amount) => (
+  amount > 0 ? 'text-green-600' : amount < 0 ? 'text-red-600' : 'text-gray-500'
+);
+
+const headerClass = 'px-4 py-2 text-xs font-medium text-gray-500 uppercase';
+
+// Owned teams in price order with what each returned on its auction price
+const TeamValueTable = ({ teams }) => (
+  <div className="overflow-x-auto">
+    <table className="min-w-full divide-y divide-gray-200">
+      <thead className="bg-gray-50">
+        <tr>
+          <th className={`${headerClass} text-left`}>Slot</th>
+          <th className={`${headerClass} text-left`}>Team</th>
+          <th className={`${headerClass} text-left`}>Owner</th>
+          <th className={`${headerClass} text-right`}>Price</th>
+          <th className={`${headerClass} text-right`}>Earnings</th>
+          <th className={`${headerClass} text-right`}>Profit</th>
+          <th className={`${headerClass} text-right`}>ROI</th>
+          <th className={`${headerClass} text-right`}>Value Over Price</th>
+        </tr>
+      </thead>
+      <tbody className="divide-y divide-gray-200">
+        {teams.map(team => (
+          <tr key={team.nflTeam?._id || team.slot}>
+            <td className="px-4 py-2 text-sm text-gray-500">#{team.slot}</td>
+            <td className="px-4 py-2 text-sm font-medium text-gray-900 whitespace-nowrap">
+              {team.nflTeam ? `${team.nflTeam.city} ${team.nflTeam.name}` : 'Unknown team'}
+            </td>
+            <td className="px-4 py-2 text-sm text-gray-600">{team.owner.username}</td>
+            <td className="px-4 py-2 text-sm text-right text-gray-900">{formatMoney(team.purchasePrice)}</td>
+            <td className="px-4 py-2 text-sm text-right text-gray-900">{formatMoney(team.earnings)}</td>
+            <td className={`px-4 py-2 text-sm text-right ${valueClass(team.profit)}`}>{formatMoney(team.profit)}</td>
+            <td className={`px-4 py-2 text-sm text-right ${valueClass(team.roi)}`}>{formatRoi(team.roi)}</td>
+            <td className={`px-4 py-2 text-sm text-right font-medium ${valueClass(team.valueOverPrice)}`}>
+              {formatMoney(team.valueOverPrice)}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </div>
+);
+
+export default TeamValueTable;
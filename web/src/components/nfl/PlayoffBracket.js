@@ -0,0 +1,122 @@
+import React from 'react';
+
+const ROUNDS = [
+  { key: 'wildcard', label: 'Wild Card' },
+  { key: 'divisional', label: 'Divisional' },
+  { key: 'conference', label: 'Conference' }
+];
+
+const matchupStatus = (matchup) => {
+  if (matchup.status === 'final') return 'Final';
+  if (matchup.status === 'in_progress') return 'Live';
+  if (matchup.status === 'postponed' || matchup.status === 'canceled') return matchup.status;
+  if (matchup.kickoff) {
+    return new Date(matchup.kickoff).toLocaleDateString([], { weekday: 'short', month: 'short', day: 'numeric' });
+  }
+  return 'TBD';
+};
+
+const TeamRow = ({ team, seed, score, isWinner, isLoser }) => (
+  <div className={`flex items-center justify-between px-3 py-1.5 ${isLoser ? 'text-gray-400' : 'text-gray-900'}`}>
+    <div className="flex items-center min-w-0">
+      <span className="w-4 text-xs text-gray-400 mr-1">{seed || ''}</span>
+      {team?.logo && (
+        <img src={team.logo} alt={team.abbreviation} className="w-5 h-5 object-contain mr-2" />
+      )}
+      <span className={`text-sm truncate ${isWinner ? 'font-bold' : ''}`}>
+        {team ? team.abbreviation : 'TBD'}
+      </span>
+    </div>
+    <span className={`text-sm ml-2 ${isWinner ? 'font-bold' : ''}`}>{score ?? ''}</span>
+  </div>
+);
+
+const MatchupCard = ({ matchup }) => {
+  const winnerId = matchup.winner?._id;
+  const side = (team) => ({
+    isWinner: Boolean(winnerId) && team?._id === winnerId,
+    isLoser: Boolean(winnerId) && team?._id !== winnerId
+  });
+
+  return (
+    <div className={`bg-white border rounded-lg shadow-sm w-44 ${matchup.status === 'in_progress' ? 'border-red-300' : 'border-gray-200'}`}>
+      <div className="flex justify-end px-3 pt-1 text-xs text-gray-500 capitalize">
+        {matchupStatus(matchup)}
+      </div>
+      <TeamRow team={matchup.awayTeam} seed={matchup.awaySeed} score={matchup.score?.away} {...side(matchup.awayTeam)} />
+      <TeamRow team={matchup.homeTeam} seed={matchup.homeSeed} score={matchup.score?.home} {...side(matchup.homeTeam)} />
+    </div>
+  );
+};
+
+const ConferenceBracket = ({ bracket, conference, reverse }) => {
+  const rounds = reverse ? [...ROUNDS].reverse() : ROUNDS;
+  const byeTeam = bracket.teams.find(entry => entry.conference === conference && entry.seed === 1);
+
+  return (
+    <div>
+      <h3 className="text-lg font-semibold text-gray-900 mb-3">{conference}</h3>
+      <div className="flex space-x-4">
+        {rounds.map(round => {
+          const matchups = bracket.matchups
+            .filter(matchup => matchup.round === round.key && matchup.conference === conference)
+            .sort((a, b) => a.slot - b.slot);
+
+          return (
+            <div key={round.key} className="flex flex-col">
+              <div className="text-xs font-medium text-gray-500 uppercase mb-2">{round.label}</div>
+              <div className="flex flex-col justify-around flex-1 space-y-3">
+                {matchups.map(matchup => (
+                  <MatchupCard key={`${matchup.round}-${matchup.slot}`} matchup={matchup} />
+                ))}
+                {round.key === 'wildcard' && byeTeam && (
+                  <div className="text-xs text-gray-500 w-44">
+                    Bye: 1 {byeTeam.team?.abbreviation}
+                  </div>
+                )}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+// The season's playoff bracket as returned by /api/nfl/playoffs: both conferences
+// round by round, with the Super Bowl between them
+const PlayoffBracket = ({ bracket }) => {
+  if (!bracket) {
+    return null;
+  }
+
+  const superBowl = bracket.matchups.find(matchup => matchup.round === 'superbowl');
+
+  return (
+    <div className="overflow-x-auto">
+      <div className="flex items-stretch space-x-8 min-w-max pb-4">
+        <ConferenceBracket bracket={bracket} conference="AFC" />
+
+        <div className="flex flex-col justify-center items-center">
+          <div className="text-xs font-medium text-gray-500 uppercase mb-2">Super Bowl</div>
+          {superBowl && <MatchupCard matchup={superBowl} />}
+          {bracket.champion && (
+            <div className="mt-3 text-center">
+              {bracket.champion.logo && (
+                <img src={bracket.champion.logo} alt={bracket.champion.abbreviation} className="w-12 h-12 object-contain mx-auto" />
+              )}
+              <div className="text-sm font-bold text-gray-900">
+                {bracket.champion.city} {bracket.champion.name}
+              </div>
+              <div className="text-xs text-yellow-600 font-medium">Champions</div>
+            </div>
+          )}
+        </div>
+
+        <ConferenceBracket bracket={bracket} conference="NFC" reverse />
+      </div>
+    </div>
+  );
+};
+
+export default PlayoffBracket;
@@ -3,23 +3,48 @@ import { Link } from 'react-router-dom';
 import { useDispatch, useSelector } from 'react-redux';
 import { 
   fetchLeagues, 
+  fetchLiveScores,
   selectLeagues, 
-  selectLeagueLoading 
+  selectLeagueLoading,
+  selectLiveScores
 } from '../store/slices/leagueSlice';
 import { selectUser } from '../store/slices/authSlice';
+import { socketService } from '../services/socketService';
 import Button from '../components/common/Button';
 import LoadingSpinner from '../components/common/LoadingSpinner';
+import LiveScoreTicker from '../components/league/LiveScoreTicker';
 
 const DashboardPage = () => {
   const dispatch = useDispatch();
   const user = useSelector(selectUser);
   const leagues = useSelector(selectLeagues);
   const loading = useSelector(selectLeagueLoading);
+  const liveScores = useSelector(selectLiveScores);
+
+  const activeLeagueIds = leagues
+    .filter(league => league.status === 'active')
+    .map(league => league._id)
+    .join(',');
 
   useEffect(() => {
     dispatch(fetchLeagues());
   }, [dispatch]);
 
+  // Follow live scores for every active league
+  useEffect(() => {
+    if (!activeLeagueIds) return;
+
+    const leagueIds = activeLeagueIds.split(',');
+    leagueIds.forEach(leagueId => {
+      dispatch(fetchLiveScores(leagueId));
+      socketService.joinLeague(leagueId);
+    });
+
+    return () => {
+      leagueIds.forEach(leagueId => socketService.leaveLeague(leagueId));
+    };
+  }, [dispatch, activeLeagueIds]);
+
   if (loading) {
     return <LoadingSpinner text="Loading your dashboard..." />;
   }
@@ -120,6 +145,19 @@ const DashboardPage = () => {
         </div>
       </div>
 
+      {/* Live Scores */}
+      {leagues
+        .filter(league => liveScores[league._id]?.games?.length > 0)
+        .map(league => (
+          <div key={league._id} className="mb-8">
+            <LiveScoreTicker
+              snapshot={liveScores[league._id]}
+              currentUserId={user?.id}
+              title={`${league.name}: Live Scores`}
+            />
+          </div>
+        ))}
+
       {/* Recent Leagues */}
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
         <div className="card">
@@ -0,0 +1,83 @@
+import React, { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  fetchPlayoffBracket,
+  fetchCurrentWeek,
+  selectPlayoffBracket,
+  selectCurrentWeek,
+  selectNFLLoading,
+  selectNFLError
+} from '../store/slices/nflSlice';
+import PlayoffBracket from '../components/nfl/PlayoffBracket';
+import LoadingSpinner from '../components/common/LoadingSpinner';
+
+const STATUS_LABELS = {
+  pending: 'Not started',
+  in_progress: 'In progress',
+  complete: 'Complete'
+};
+
+const PlayoffsPage = () => {
+  const dispatch = useDispatch();
+  const bracket = useSelector(selectPlayoffBracket);
+  const currentWeek = useSelector(selectCurrentWeek);
+  const loading = useSelector(selectNFLLoading);
+  const error = useSelector(selectNFLError);
+
+  const [season, setSeason] = useState(null);
+
+  useEffect(() => {
+    dispatch(fetchCurrentWeek());
+  }, [dispatch]);
+
+  useEffect(() => {
+    if (!season && currentWeek?.season) {
+      setSeason(currentWeek.season);
+    }
+  }, [season, currentWeek]);
+
+  useEffect(() => {
+    if (season) {
+      dispatch(fetchPlayoffBracket(season));
+    }
+  }, [dispatch, season]);
+
+  const latestSeason = currentWeek?.season || new Date().getFullYear();
+  const seasons = Array.from({ length: 5 }, (_, index) => latestSeason - index);
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">NFL Playoffs</h1>
+          {bracket?.matchups.length > 0 && (
+            <p className="text-gray-600">{STATUS_LABELS[bracket.status] || bracket.status}</p>
+          )}
+        </div>
+        <select
+          value={season || latestSeason}
+          onChange={(e) => setSeason(parseInt(e.target.value, 10))}
+          className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
+        >
+          {seasons.map(year => (
+            <option key={year} value={year}>{year} season</option>
+          ))}
+        </select>
+      </div>
+
+      {loading ? (
+        <LoadingSpinner text="Loading playoff bracket..." />
+      ) : bracket?.matchups.length > 0 ? (
+        <div className="bg-white rounded-lg shadow p-6">
+          <PlayoffBracket bracket={bracket} />
+        </div>
+      ) : (
+        <div className="bg-white rounded-lg shadow p-12 text-center text-gray-500">
+          {error || 'The playoff bracket is set once the regular season is over.'}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PlayoffsPage;
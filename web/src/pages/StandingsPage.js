@@ -4,12 +4,19 @@ import { useDispatch, useSelector } from 'react-redux';
 import { motion } from 'framer-motion';
 import {
   fetchLeague,
+  fetchLiveScores,
   selectCurrentLeague,
-  selectLeagueLoading
+  selectLeagueLoading,
+  selectLiveScores
 } from '../store/slices/leagueSlice';
+import { selectUser } from '../store/slices/authSlice';
 import { fetchNFLStandings, selectNFLStandings } from '../store/slices/nflSlice';
+import { socketService } from '../services/socketService';
+import { leagueService } from '../services/leagueService';
 import LoadingSpinner from '../components/common/LoadingSpinner';
 import Button from '../components/common/Button';
+import LiveScoreTicker from '../components/league/LiveScoreTicker';
+import EarningsCharts from '../components/league/EarningsCharts';
 
 const StandingsPage = () => {
   const { id } = useParams();
@@ -18,9 +25,12 @@ const StandingsPage = () => {
   const league = useSelector(selectCurrentLeague);
   const nflStandings = useSelector(selectNFLStandings);
   const loading = useSelector(selectLeagueLoading);
+  const liveScores = useSelector(selectLiveScores);
+  const user = useSelector(selectUser);
 
   const [selectedWeek, setSelectedWeek] = useState('current');
   const [viewMode, setViewMode] = useState('fantasy'); // 'fantasy' or 'nfl'
+  const [earningsTimeline, setEarningsTimeline] = useState(null);
 
   useEffect(() => {
     if (id) {
@@ -29,6 +39,27 @@ const StandingsPage = () => {
     dispatch(fetchNFLStandings());
   }, [dispatch, id]);
 
+  // Week-by-week earnings for the charts
+  useEffect(() => {
+    if (!id) return;
+
+    leagueService.getStandings(id)
+      .then(response => setEarningsTimeline(response.data))
+      .catch(error => console.error('Failed to load weekly earnings:', error));
+  }, [id]);
+
+  // Follow live scores for this league's owned teams
+  useEffect(() => {
+    if (!id) return;
+
+    dispatch(fetchLiveScores(id));
+    socketService.joinLeague(id);
+
+    return () => {
+      socketService.leaveLeague(id);
+    };
+  }, [dispatch, id]);
+
   if (loading) {
     return <LoadingSpinner text="Loading standings..." />;
   }
@@ -275,7 +306,7 @@ const StandingsPage = () => {
                       <div key={team._id} className="px-6 py-3 flex items-center justify-between">
                         <div className="flex items-center space-x-3">
                           <span className="text-sm text-gray-500 w-4">
-                            {index + 1}
+                            {team.rank || index + 1}
                           </span>
                           <img
                             src={team.logo}
@@ -288,13 +319,18 @@ const StandingsPage = () => {
                           <div>
                             <div className="text-sm font-medium text-gray-900">
                               {team.city} {team.name}
+                              {team.currentSeason?.playoffSeed && (
+                                <span className="ml-2 text-xs font-semibold text-primary-600" title="Playoff seed">
+                                  #{team.currentSeason.playoffSeed}
+                                </span>
+                              )}
                             </div>
                           </div>
                         </div>
                         
                         <div className="text-sm text-gray-600">
-                          {team.wins}-{team.losses}
-                          {team.ties > 0 && `-${team.ties}`}
+                          {team.currentSeason?.wins ?? 0}-{team.currentSeason?.losses ?? 0}
+                          {team.currentSeason?.ties > 0 && `-${team.currentSeason.ties}`}
                         </div>
                       </div>
                     ))}
@@ -373,7 +409,13 @@ const StandingsPage = () => {
         {viewMode === 'fantasy' ? (
           league ? (
             <div className="space-y-8">
+              <LiveScoreTicker snapshot={liveScores[league._id]} currentUserId={user?.id} />
+
               <FantasyStandingsTable />
+
+              {earningsTimeline && (
+                <EarningsCharts weeks={earningsTimeline.weeks} standings={earningsTimeline.standings} />
+              )}
               
               {/* League Stats */}
               <div className="bg-white rounded-lg shadow p-6">
@@ -1,10 +1,231 @@
-import React from 'react';
+import React, { useCallback, useEffect, useState } from 'react';
+import toast from 'react-hot-toast';
+import { nflService } from '../../services/nflService';
+import { adminService } from '../../services/adminService';
+import GameResultsTable from '../../components/admin/GameResultsTable';
+import PlayoffOutcomesPanel from '../../components/admin/PlayoffOutcomesPanel';
+import LeagueEarningsDiff from '../../components/admin/LeagueEarningsDiff';
+import ResultAuditLog from '../../components/admin/ResultAuditLog';
+import LoadingSpinner from '../../components/common/LoadingSpinner';
+import Button from '../../components/common/Button';
 
+const WEEKS = {
+  preseason: 3,
+  regular: 18,
+  postseason: 4
+};
+
+const PLAYOFF_ROUND_LABELS = ['Wild Card', 'Divisional', 'Conference', 'Super Bowl'];
+
+const errorMessage = (error, fallback) => (
+  error.response?.data?.error?.message || error.response?.data?.message || fallback
+);
+
+// Manual score entry and result overrides. Every save recalculates the season's
+// active leagues and is audited with how each league's earnings moved.
 const AdminNFLData = () => {
+  const [season, setSeason] = useState(null);
+  const [seasonType, setSeasonType] = useState('regular');
+  const [week, setWeek] = useState(1);
+  const [games, setGames] = useState([]);
+  const [bracket, setBracket] = useState(null);
+  const [audits, setAudits] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [reason, setReason] = useState('');
+  const [savingId, setSavingId] = useState(null);
+  const [lastChange, setLastChange] = useState(null);
+
+  useEffect(() => {
+    nflService.getCurrentWeek()
+      .then(response => {
+        const calendar = response.data;
+        setSeason(calendar.season);
+        if (calendar.seasonType) {
+          setSeasonType(calendar.seasonType);
+          setWeek(calendar.week || 1);
+        }
+      })
+      .catch(() => setSeason(new Date().getFullYear()));
+  }, []);
+
+  const loadGames = useCallback(async () => {
+    if (!season) return;
+    setLoading(true);
+    try {
+      const response = await nflService.getGames({ season, seasonType, week });
+      setGames(response.data);
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to load games'));
+    } finally {
+      setLoading(false);
+    }
+  }, [season, seasonType, week]);
+
+  const loadBracket = useCallback(async () => {
+    if (!season) return;
+    try {
+      const response = await nflService.getPlayoffBracket(season);
+      setBracket(response.data);
+    } catch (error) {
+      setBracket(null);
+    }
+  }, [season]);
+
+  const loadAudits = useCallback(async () => {
+    try {
+      const response = await adminService.getResultAudit({ limit: 25 });
+      setAudits(response.data);
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to load the audit log'));
+    }
+  }, []);
+
+  useEffect(() => {
+    loadGames();
+  }, [loadGames]);
+
+  useEffect(() => {
+    loadBracket();
+  }, [loadBracket]);
+
+  useEffect(() => {
+    loadAudits();
+  }, [loadAudits]);
+
+  const applyChange = async (savingKey, request, successMessage) => {
+    setSavingId(savingKey);
+    try {
+      const response = await request();
+      setLastChange(response.data);
+      setReason('');
+      toast.success(successMessage);
+      await Promise.all([loadGames(), loadBracket(), loadAudits()]);
+    } catch (error) {
+      toast.error(errorMessage(error, 'Update failed'));
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  const handleSaveGame = (game, updates) => applyChange(
+    game._id,
+    () => adminService.updateGame(game._id, { ...updates, reason }),
+    `${game.awayTeam?.abbreviation} @ ${game.homeTeam?.abbreviation} updated`
+  );
+
+  const handleSetOutcome = (teamId, outcome) => applyChange(
+    teamId,
+    () => adminService.setPlayoffOutcome(season, teamId, { ...outcome, reason }),
+    'Playoff outcome overridden'
+  );
+
+  const handleClearOutcome = (teamId) => applyChange(
+    teamId,
+    () => adminService.clearPlayoffOutcome(season, teamId, reason),
+    'Playoff override cleared'
+  );
+
+  const handleRecalculate = () => applyChange(
+    'recalculate',
+    () => adminService.recalculateLeagues(season, reason),
+    'Leagues recalculated'
+  );
+
+  const latestSeason = new Date().getFullYear();
+  const seasons = Array.from({ length: 5 }, (_, index) => latestSeason - index);
+  const selectClass = 'px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500';
+
   return (
-    <div className="p-6">
-      <h1 className="text-2xl font-bold">NFL Data Management</h1>
-      <p>Admin NFL data page coming soon...</p>
+    <div className="p-6 space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">NFL Results</h1>
+          <p className="text-gray-600">Enter or correct scores and playoff outcomes. Leagues are recalculated on save.</p>
+        </div>
+        <Button variant="outline" onClick={handleRecalculate} disabled={!season || savingId === 'recalculate'}>
+          {savingId === 'recalculate' ? 'Recalculating...' : 'Recalculate Leagues'}
+        </Button>
+      </div>
+
+      <div className="bg-white rounded-lg shadow p-4 flex flex-wrap items-end gap-4">
+        <label className="text-sm text-gray-700">
+          <span className="block mb-1">Season</span>
+          <select value={season || ''} onChange={(e) => setSeason(parseInt(e.target.value, 10))} className={selectClass}>
+            {seasons.map(year => (
+              <option key={year} value={year}>{year}</option>
+            ))}
+          </select>
+        </label>
+        <label className="text-sm text-gray-700">
+          <span className="block mb-1">Type</span>
+          <select
+            value={seasonType}
+            onChange={(e) => {
+              setSeasonType(e.target.value);
+              setWeek(1);
+            }}
+            className={selectClass}
+          >
+            {Object.keys(WEEKS).map(type => (
+              <option key={type} value={type}>{type}</option>
+            ))}
+          </select>
+        </label>
+        <label className="text-sm text-gray-700">
+          <span className="block mb-1">Week</span>
+          <select value={week} onChange={(e) => setWeek(parseInt(e.target.value, 10))} className={selectClass}>
+            {Array.from({ length: WEEKS[seasonType] }, (_, index) => index + 1).map(number => (
+              <option key={number} value={number}>
+                {seasonType === 'postseason' ? PLAYOFF_ROUND_LABELS[number - 1] : `Week ${number}`}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="text-sm text-gray-700 flex-1 min-w-[16rem]">
+          <span className="block mb-1">Reason (recorded with the next change)</span>
+          <input
+            type="text"
+            value={reason}
+            maxLength={500}
+            onChange={(e) => setReason(e.target.value)}
+            placeholder="e.g. Provider had the wrong final score"
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
+          />
+        </label>
+      </div>
+
+      {lastChange && (
+        <div className="bg-white rounded-lg shadow p-4">
+          <h2 className="text-lg font-semibold text-gray-900 mb-3">Earnings changes from the last update</h2>
+          <LeagueEarningsDiff leagueChanges={lastChange.leagueChanges} />
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg shadow">
+        <h2 className="text-lg font-semibold text-gray-900 px-4 pt-4">Games</h2>
+        {loading ? <LoadingSpinner text="Loading games..." /> : (
+          <GameResultsTable games={games} savingId={savingId} onSave={handleSaveGame} />
+        )}
+      </div>
+
+      <div className="bg-white rounded-lg shadow">
+        <h2 className="text-lg font-semibold text-gray-900 px-4 pt-4">Playoff Outcomes</h2>
+        {bracket?.teams.length > 0 ? (
+          <PlayoffOutcomesPanel
+            bracket={bracket}
+            savingId={savingId}
+            onSet={handleSetOutcome}
+            onClear={handleClearOutcome}
+          />
+        ) : (
+          <p className="text-sm text-gray-500 p-4">The {season} playoff bracket is set once the regular season is over.</p>
+        )}
+      </div>
+
+      <div className="bg-white rounded-lg shadow">
+        <h2 className="text-lg font-semibold text-gray-900 px-4 pt-4">Audit Log</h2>
+        <ResultAuditLog audits={audits} />
+      </div>
     </div>
   );
 };
@@ -9,15 +9,21 @@ import {
   fetchAuction,
   fetchAuctionBids,
   fetchParticipantBudget,
+  fetchProxyBids,
+  setProxyBid,
+  cancelProxyBid,
   nominateTeam,
   placeBid,
   startAuction,
   pauseAuction,
   resumeAuction,
+  reverseLastSale,
   clearError,
   selectCurrentAuction,
   selectAuctionBids,
   selectParticipantBudget,
+  selectProxyBids,
+  selectOnlineUsers,
   selectAuctionLoading,
   selectBidLoading,
   selectNominateLoading,
@@ -32,6 +38,7 @@ import ErrorBoundary from '../../components/common/ErrorBoundary';
 import Button from '../../components/common/Button';
 import LoadingSpinner from '../../components/common/LoadingSpinner';
 import Modal from '../../components/common/Modal';
+import AuctionReplay from '../../components/auction/AuctionReplay';
 
 const AuctionPage = () => {
   const { id } = useParams();
@@ -43,6 +50,8 @@ const AuctionPage = () => {
   const auction = useSelector(selectCurrentAuction);
   const bids = useSelector(selectAuctionBids);
   const budget = useSelector(selectParticipantBudget);
+  const proxyBids = useSelector(selectProxyBids);
+  const onlineUsers = useSelector(selectOnlineUsers);
   const nflTeams = useSelector(selectNFLTeams);
   const user = useSelector(selectUser);
   const loading = useSelector(selectAuctionLoading);
@@ -55,6 +64,9 @@ const AuctionPage = () => {
   const [selectedTeam, setSelectedTeam] = useState(null);
   const [startingBid, setStartingBid] = useState('');
   const [showBidHistory, setShowBidHistory] = useState(false);
+  const [showReplay, setShowReplay] = useState(false);
+  const [proxyTeamId, setProxyTeamId] = useState('');
+  const [proxyMaxBid, setProxyMaxBid] = useState('');
   
   const bidInputRef = useRef(null);
 
@@ -63,6 +75,7 @@ const AuctionPage = () => {
       dispatch(fetchAuction(id));
       dispatch(fetchAuctionBids(id));
       dispatch(fetchParticipantBudget(id));
+      dispatch(fetchProxyBids(id));
       dispatch(fetchNFLTeams());
       
       // Join auction room
@@ -84,6 +97,15 @@ const AuctionPage = () => {
     }
   }, [auction?.currentTeam, auction?.currentBid, auction?.bidIncrement]);
 
+  // Refresh spending whenever a team sells
+  const soldCount = auction?.teams?.filter(t => t.status === 'sold').length || 0;
+  useEffect(() => {
+    if (id && soldCount > 0) {
+      dispatch(fetchParticipantBudget(id));
+      dispatch(fetchProxyBids(id));
+    }
+  }, [dispatch, id, soldCount]);
+
   useEffect(() => {
     if (error) {
       toast.error(error);
@@ -127,6 +149,9 @@ const AuctionPage = () => {
   const isAuctioneer = auction.auctioneer?._id === user?.id;
   const isCurrentNominator = auction.currentNominator?._id === user?.id;
   const isMyHighBid = auction.currentHighBidder?._id === user?.id;
+  const hasBudgetLimit = budget && budget.maxBid !== null;
+  const canSetMaxBids = auction.settings?.allowProxyBids && ['scheduled', 'active', 'paused'].includes(auction.status);
+  const unsoldTeams = auction.teams?.filter(t => t.status !== 'sold' && t.nflTeam) || [];
   
   const availableTeams = nflTeams.filter(team => 
     !auction.teams?.some(auctionTeam => 
@@ -146,6 +171,17 @@ const AuctionPage = () => {
     dispatch(resumeAuction(id));
   };
 
+  const handleReverseSale = (reopen) => {
+    const reason = window.prompt(
+      reopen
+        ? 'Reopen the last lot for bidding? Enter a reason for the audit log:'
+        : 'Reverse the last sale and return the team to the pool? Enter a reason for the audit log:'
+    );
+    if (reason === null) return;
+
+    dispatch(reverseLastSale({ auctionId: id, reopen, reason: reason.trim() || undefined }));
+  };
+
   const handleNominateTeam = () => {
     if (!selectedTeam || !startingBid) {
       toast.error('Please select a team and starting bid');
@@ -159,7 +195,10 @@ const AuctionPage = () => {
       return;
     }
 
-    // No budget limit check - unlimited spending allowed
+    if (hasBudgetLimit && bid > budget.maxBid) {
+      toast.error(`Your maximum allowable bid is $${budget.maxBid}`);
+      return;
+    }
 
     dispatch(nominateTeam({
       auctionId: id,
@@ -185,7 +224,10 @@ const AuctionPage = () => {
       return;
     }
 
-    // No budget limit check - unlimited spending allowed
+    if (hasBudgetLimit && bid > budget.maxBid) {
+      toast.error(`Your maximum allowable bid is $${budget.maxBid}`);
+      return;
+    }
 
     dispatch(placeBid({
       auctionId: id,
@@ -197,6 +239,35 @@ const AuctionPage = () => {
     setTimeout(() => bidInputRef.current?.focus(), 100);
   };
 
+  const handleSetMaxBid = () => {
+    const teamId = proxyTeamId || auction.currentTeam?._id;
+    const maxBid = parseInt(proxyMaxBid);
+
+    if (!teamId || isNaN(maxBid)) {
+      toast.error('Please select a team and max bid');
+      return;
+    }
+
+    if (hasBudgetLimit && maxBid > budget.maxBid) {
+      toast.error(`Your maximum allowable bid is $${budget.maxBid}`);
+      return;
+    }
+
+    dispatch(setProxyBid({ auctionId: id, teamId, maxBid }));
+    setProxyMaxBid('');
+  };
+
+  const handleCancelMaxBid = (teamId) => {
+    dispatch(cancelProxyBid({ auctionId: id, teamId }));
+  };
+
+  const getAuctionTeamName = (teamId) => {
+    const auctionTeam = auction.teams?.find(t => t.nflTeam?._id === teamId);
+    return auctionTeam
+      ? `${String(auctionTeam.nflTeam.city || '')} ${String(auctionTeam.nflTeam.name || '')}`
+      : 'Unknown Team';
+  };
+
   const handleQuickBid = (increment) => {
     const currentBid = Number(auction.currentBid) || 0;
     const newBid = currentBid + increment;
@@ -320,6 +391,18 @@ const AuctionPage = () => {
                       Resume Auction
                     </Button>
                   )}
+                  {auction.status !== 'scheduled' && !auction.currentTeam && soldCount > 0 && (
+                    <>
+                      <Button onClick={() => handleReverseSale(false)} variant="outline" size="sm">
+                        Undo Last Sale
+                      </Button>
+                      {auction.status !== 'paused' && (
+                        <Button onClick={() => handleReverseSale(true)} variant="outline" size="sm">
+                          Reopen Lot
+                        </Button>
+                      )}
+                    </>
+                  )}
                 </>
               )}
               
@@ -330,6 +413,14 @@ const AuctionPage = () => {
               >
                 {showBidHistory ? 'Hide' : 'Show'} History
               </Button>
+
+              <Button
+                onClick={() => setShowReplay(true)}
+                variant="outline"
+                size="sm"
+              >
+                Replay
+              </Button>
               
               {/* Debug buttons (development only) */}
               {process.env.NODE_ENV === 'development' && (
@@ -373,6 +464,26 @@ const AuctionPage = () => {
           {/* Main Auction Area */}
           <div className="lg:col-span-2 space-y-6">
             
+            {/* Pause Banner */}
+            {auction.status === 'paused' && (
+              <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4">
+                <p className="text-yellow-800 font-semibold">
+                  Auction paused{auction.pauseReason ? ` - ${String(auction.pauseReason)}` : ''}
+                </p>
+                {auction.autoResumeAt && (
+                  <p className="text-sm text-yellow-700 mt-1">
+                    Resumes automatically in{' '}
+                    <Countdown
+                      key={auction.autoResumeAt}
+                      date={new Date(auction.autoResumeAt)}
+                      renderer={countdownRenderer}
+                    />{' '}
+                    or when they reconnect
+                  </p>
+                )}
+              </div>
+            )}
+
             {/* Current Team Being Auctioned */}
             {auction.currentTeam ? (
               <motion.div 
@@ -438,7 +549,7 @@ const AuctionPage = () => {
                           placeholder="Enter bid amount"
                           className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
                           min={(Number(auction.currentBid) || 0) + 1}
-                          // No max limit - unlimited spending
+                          max={hasBudgetLimit ? budget.maxBid : undefined}
                         />
                         <Button
                           onClick={handlePlaceBid}
@@ -489,6 +600,17 @@ const AuctionPage = () => {
                     'Waiting for auction to start...' : 
                     'Waiting for next team nomination...'}
                 </p>
+                {auction.status === 'active' && auction.nominationEndTime && (
+                  <div className="mt-3 text-sm text-gray-500">
+                    {String(auction.currentNominator?.username || 'Nominator')} has{' '}
+                    <Countdown
+                      key={auction.nominationEndTime}
+                      date={new Date(auction.nominationEndTime)}
+                      renderer={countdownRenderer}
+                    />{' '}
+                    to nominate
+                  </div>
+                )}
               </div>
             )}
 
@@ -564,10 +686,23 @@ const AuctionPage = () => {
                 <h3 className="text-lg font-semibold text-gray-900 mb-4">Your Spending</h3>
                 
                 <div className="space-y-3">
-                  <div className="bg-blue-50 border border-blue-200 rounded-lg p-3 mb-4">
-                    <div className="text-sm text-blue-800 font-medium">Unlimited Budget</div>
-                    <div className="text-xs text-blue-600">No spending limits - bid freely!</div>
-                  </div>
+                  {hasBudgetLimit ? (
+                    <div className="bg-blue-50 border border-blue-200 rounded-lg p-3 mb-4">
+                      <div className="flex justify-between text-sm text-blue-800 font-medium">
+                        <span>Remaining Budget</span>
+                        <span>${(budget.remainingBudget || 0).toLocaleString()}</span>
+                      </div>
+                      <div className="flex justify-between text-xs text-blue-600 mt-1">
+                        <span>Max bid ({budget.rosterSlotsRemaining} teams still to fill)</span>
+                        <span className="font-semibold">${(budget.maxBid || 0).toLocaleString()}</span>
+                      </div>
+                    </div>
+                  ) : (
+                    <div className="bg-blue-50 border border-blue-200 rounded-lg p-3 mb-4">
+                      <div className="text-sm text-blue-800 font-medium">Unlimited Budget</div>
+                      <div className="text-xs text-blue-600">No spending limits - bid freely!</div>
+                    </div>
+                  )}
                   
                   <div className="flex justify-between">
                     <span className="text-gray-600">Total Spent:</span>
@@ -587,6 +722,68 @@ const AuctionPage = () => {
               </div>
             )}
 
+            {/* Max Bids */}
+            {canSetMaxBids && (
+              <div className="bg-white rounded-lg shadow p-6">
+                <h3 className="text-lg font-semibold text-gray-900 mb-1">Max Bids</h3>
+                <p className="text-xs text-gray-500 mb-4">
+                  We'll bid the minimum increment for you, up to your max. Other bidders never see it.
+                </p>
+
+                <div className="space-y-2">
+                  <select
+                    value={proxyTeamId || auction.currentTeam?._id || ''}
+                    onChange={(e) => setProxyTeamId(e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                  >
+                    <option value="">Select a team</option>
+                    {unsoldTeams.map(({ nflTeam, status }) => (
+                      <option key={nflTeam._id} value={nflTeam._id}>
+                        {String(nflTeam.city || '')} {String(nflTeam.name || '')}{status === 'nominated' ? ' (on the block)' : ''}
+                      </option>
+                    ))}
+                  </select>
+                  <div className="flex items-center space-x-2">
+                    <input
+                      type="number"
+                      value={proxyMaxBid}
+                      onChange={(e) => setProxyMaxBid(e.target.value)}
+                      placeholder="Max bid"
+                      className="flex-1 px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                      min={Number(auction.minBid) || 1}
+                      max={hasBudgetLimit ? budget.maxBid : undefined}
+                    />
+                    <Button
+                      onClick={handleSetMaxBid}
+                      disabled={!proxyMaxBid}
+                      size="sm"
+                    >
+                      Set Max
+                    </Button>
+                  </div>
+                </div>
+
+                {proxyBids.length > 0 && (
+                  <div className="mt-4 space-y-2">
+                    {proxyBids.map(proxyBid => (
+                      <div key={proxyBid.team} className="flex items-center justify-between p-2 bg-gray-50 rounded text-sm">
+                        <span className="font-medium text-gray-900">{getAuctionTeamName(proxyBid.team)}</span>
+                        <div className="flex items-center space-x-2">
+                          <span className="font-semibold">${(proxyBid.maxAmount || 0).toLocaleString()}</span>
+                          <button
+                            onClick={() => handleCancelMaxBid(proxyBid.team)}
+                            className="text-xs text-red-600 hover:text-red-800"
+                          >
+                            Cancel
+                          </button>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            )}
+
             {/* Participants */}
             <div className="bg-white rounded-lg shadow p-6">
               <h3 className="text-lg font-semibold text-gray-900 mb-4">
@@ -611,7 +808,13 @@ const AuctionPage = () => {
                       participant.user?._id === user?.id ? 'bg-blue-50 border border-blue-200' : ''
                     }`}
                   >
-                    <span className="font-medium text-gray-900">
+                    <span className="font-medium text-gray-900 flex items-center">
+                      <span
+                        className={`inline-block w-2 h-2 rounded-full mr-2 ${
+                          onlineUsers.includes(participant.user?._id) ? 'bg-green-500' : 'bg-gray-300'
+                        }`}
+                        title={onlineUsers.includes(participant.user?._id) ? 'Online' : 'Offline'}
+                      />
                       {String(participant?.username || 'Unknown User')}
                       {participant.user?._id === user?.id && <span className="text-blue-600 ml-1">(You)</span>}
                       {participant.user?._id === auction.auctioneer?._id && <span className="text-purple-600 ml-1">(Host)</span>}
@@ -646,6 +849,9 @@ const AuctionPage = () => {
                       <div>
                         <span className="font-medium">{String(bid?.bidder?.username || 'Unknown')}</span>
                         <span className="text-gray-500 ml-2">{String(bid?.team?.city || 'Unknown Team')}</span>
+                        {bid?.isProxy && (
+                          <span className="text-xs bg-gray-200 text-gray-600 px-1.5 py-0.5 rounded ml-2">auto</span>
+                        )}
                       </div>
                       <span className="font-semibold">${(bid?.amount || 0).toLocaleString()}</span>
                     </div>
@@ -705,7 +911,7 @@ const AuctionPage = () => {
               placeholder={`Minimum: $${Number(auction.minBid) || 1}`}
               className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
               min={Number(auction.minBid) || 1}
-              // No max limit - unlimited spending
+              max={hasBudgetLimit ? budget.maxBid : undefined}
             />
           </div>
 
@@ -727,6 +933,12 @@ const AuctionPage = () => {
           </div>
         </div>
       </Modal>
+
+      <AuctionReplay
+        auction={auction}
+        isOpen={showReplay}
+        onClose={() => setShowReplay(false)}
+      />
       </div>
     </ErrorBoundary>
   );
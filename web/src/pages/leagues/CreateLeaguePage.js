@@ -4,6 +4,16 @@ import { useNavigate } from 'react-router-dom';
 import { createLeague, selectCreateLoading, selectLeagueError } from '../../store/slices/leagueSlice';
 import Button from '../../components/common/Button';
 import LoadingSpinner from '../../components/common/LoadingSpinner';
+import PayoutRulesEditor from '../../components/league/PayoutRulesEditor';
+
+const PAYOUT_FIELDS = [
+  { key: 'regularSeasonWins', label: 'Regular Season Wins' },
+  { key: 'wildCardWin', label: 'Wild Card Win' },
+  { key: 'divisionalWin', label: 'Divisional Win' },
+  { key: 'conferenceChampionshipWin', label: 'Conference Championship Win' },
+  { key: 'superBowlAppearance', label: 'Super Bowl Appearance' },
+  { key: 'superBowlWin', label: 'Super Bowl Win' }
+];
 
 const CreateLeaguePage = () => {
   const dispatch = useDispatch();
@@ -19,7 +29,13 @@ const CreateLeaguePage = () => {
     auctionSettings: {
       minimumBid: 1,
       bidIncrement: 1,
-      auctionTimer: 60
+      auctionTimer: 60,
+      nominationTimer: 90,
+      startingBudget: 200
+    },
+    settings: {
+      allowSkipNomination: false,
+      autoStartAuction: false
     },
     payoutStructure: {
       regularSeasonWins: 70.0,
@@ -27,12 +43,26 @@ const CreateLeaguePage = () => {
       divisionalWin: 2.5,
       conferenceChampionshipWin: 2.5,
       superBowlAppearance: 10.0,
-      superBowlWin: 12.5
+      superBowlWin: 12.5,
+      rules: []
     }
   });
 
   const [errors, setErrors] = useState({});
 
+  const payoutTotal = PAYOUT_FIELDS.reduce((sum, { key }) => sum + formData.payoutStructure[key], 0) +
+    formData.payoutStructure.rules.reduce((sum, rule) => sum + rule.percentage, 0);
+
+  const handleRulesChange = (rules) => {
+    setFormData(prev => ({
+      ...prev,
+      payoutStructure: {
+        ...prev.payoutStructure,
+        rules
+      }
+    }));
+  };
+
   const handleChange = (e) => {
     const { name, value, type, checked } = e.target;
     
@@ -72,12 +102,19 @@ const CreateLeaguePage = () => {
       newErrors.maxMembers = 'Max members must be between 2 and 32';
     }
 
+    if (formData.auctionSettings.startingBudget < 1) {
+      newErrors.startingBudget = 'Starting budget must be at least 1';
+    }
+
+    if (formData.auctionSettings.nominationTimer < 15 || formData.auctionSettings.nominationTimer > 600) {
+      newErrors.nominationTimer = 'Nomination timer must be between 15 and 600 seconds';
+    }
+
 
 
-    // Validate payout structure totals to 100%
-    const totalPayout = Object.values(formData.payoutStructure).reduce((sum, val) => sum + val, 0);
-    if (Math.abs(totalPayout - 100) > 0.1) {
-      newErrors.payoutStructure = 'Payout percentages must total 100%';
+    // Validate payout structure, custom rules included, doesn't exceed 100%
+    if (payoutTotal > 100) {
+      newErrors.payoutStructure = `Payout percentages total ${payoutTotal.toFixed(1)}%, more than 100%`;
     }
 
     setErrors(newErrors);
@@ -203,12 +240,30 @@ const CreateLeaguePage = () => {
                   <path fillRule="evenodd" d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7-4a1 1 0 11-2 0 1 1 0 012 0zM9 9a1 1 0 000 2v3a1 1 0 001 1h1a1 1 0 100-2v-3a1 1 0 00-1-1H9z" clipRule="evenodd" />
                 </svg>
                 <div>
-                  <h4 className="text-sm font-medium text-blue-800">Unlimited Budget</h4>
-                  <p className="text-sm text-blue-700">Players can spend unlimited money. The total prize pool will be calculated from actual spending after the auction.</p>
+                  <h4 className="text-sm font-medium text-blue-800">Auction Budget</h4>
+                  <p className="text-sm text-blue-700">Every owner starts with the same budget and must keep enough to pay the minimum bid on each team they still need. The total prize pool is calculated from actual spending after the auction.</p>
                 </div>
               </div>
             </div>
-            <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
+              <div>
+                <label htmlFor="auctionSettings.startingBudget" className="block text-sm font-medium text-gray-700 mb-2">
+                  Starting Budget
+                </label>
+                <input
+                  type="number"
+                  id="auctionSettings.startingBudget"
+                  name="auctionSettings.startingBudget"
+                  value={formData.auctionSettings.startingBudget}
+                  onChange={handleChange}
+                  min="1"
+                  className={`w-full px-3 py-2 border rounded-md shadow-sm focus:outline-none focus:ring-1 focus:ring-blue-500 ${
+                    errors.startingBudget ? 'border-red-500' : 'border-gray-300'
+                  }`}
+                />
+                {errors.startingBudget && <p className="mt-1 text-sm text-red-600">{errors.startingBudget}</p>}
+              </div>
+
               <div>
                 <label htmlFor="auctionSettings.minimumBid" className="block text-sm font-medium text-gray-700 mb-2">
                   Minimum Bid
@@ -254,9 +309,90 @@ const CreateLeaguePage = () => {
                   className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-1 focus:ring-blue-500"
                 />
               </div>
+
+              <div>
+                <label htmlFor="auctionSettings.nominationTimer" className="block text-sm font-medium text-gray-700 mb-2">
+                  Nomination Timer (seconds)
+                </label>
+                <input
+                  type="number"
+                  id="auctionSettings.nominationTimer"
+                  name="auctionSettings.nominationTimer"
+                  value={formData.auctionSettings.nominationTimer}
+                  onChange={handleChange}
+                  min="15"
+                  max="600"
+                  className={`w-full px-3 py-2 border rounded-md shadow-sm focus:outline-none focus:ring-1 focus:ring-blue-500 ${
+                    errors.nominationTimer ? 'border-red-500' : 'border-gray-300'
+                  }`}
+                />
+                {errors.nominationTimer && <p className="mt-1 text-sm text-red-600">{errors.nominationTimer}</p>}
+              </div>
+
+              <div className="md:col-span-3 flex items-center">
+                <input
+                  type="checkbox"
+                  id="settings.allowSkipNomination"
+                  name="settings.allowSkipNomination"
+                  checked={formData.settings.allowSkipNomination}
+                  onChange={handleChange}
+                  className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                />
+                <label htmlFor="settings.allowSkipNomination" className="ml-2 block text-sm text-gray-700">
+                  Skip the turn when the nomination clock runs out (otherwise the best available team is nominated automatically)
+                </label>
+              </div>
+
+              <div className="md:col-span-3 flex items-center">
+                <input
+                  type="checkbox"
+                  id="settings.autoStartAuction"
+                  name="settings.autoStartAuction"
+                  checked={formData.settings.autoStartAuction}
+                  onChange={handleChange}
+                  className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                />
+                <label htmlFor="settings.autoStartAuction" className="ml-2 block text-sm text-gray-700">
+                  Start a scheduled auction automatically at its start time (needs at least 2 members)
+                </label>
+              </div>
             </div>
           </div>
 
+          {/* Payout Structure */}
+          <div className="border-t pt-6">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-semibold text-gray-900">Payouts</h3>
+              <span className={`text-sm font-medium ${payoutTotal > 100 ? 'text-red-600' : 'text-gray-600'}`}>
+                {payoutTotal.toFixed(1)}% of the prize pool
+              </span>
+            </div>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-6">
+              {PAYOUT_FIELDS.map(({ key, label }) => (
+                <div key={key}>
+                  <label htmlFor={`payoutStructure.${key}`} className="block text-sm font-medium text-gray-700 mb-2">
+                    {label} (%)
+                  </label>
+                  <input
+                    type="number"
+                    id={`payoutStructure.${key}`}
+                    name={`payoutStructure.${key}`}
+                    value={formData.payoutStructure[key]}
+                    onChange={handleChange}
+                    min="0"
+                    max="100"
+                    step="0.5"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-1 focus:ring-blue-500"
+                  />
+                </div>
+              ))}
+            </div>
+
+            <h4 className="text-sm font-semibold text-gray-900 mb-3">Custom Rules</h4>
+            <PayoutRulesEditor rules={formData.payoutStructure.rules} onChange={handleRulesChange} />
+            {errors.payoutStructure && <p className="mt-2 text-sm text-red-600">{errors.payoutStructure}</p>}
+          </div>
+
           {/* Error Display */}
           {error && (
             <div className="bg-red-50 border border-red-200 rounded-md p-4">
@@ -0,0 +1,198 @@
+import React, { useEffect, useState } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import { leagueService } from '../../services/leagueService';
+import TeamValueTable from '../../components/league/TeamValueTable';
+import PriceSlotChart from '../../components/league/PriceSlotChart';
+import LoadingSpinner from '../../components/common/LoadingSpinner';
+import Button from '../../components/common/Button';
+
+const formatMoney = (amount) => {
+  const value = Number(amount) || 0;
+  return `${value < 0 ? '-' : ''}$${Math.abs(value).toFixed(2)}`;
+};
+
+const formatRoi = (roi) => (roi === null || roi === undefined ? '—' : `${(roi * 100).toFixed(1)}%`);
+
+const valueClass = (amount) => (
+  amount > 0 ? 'text-green-600' : amount < 0 ? 'text-red-600' : 'text-gray-500'
+);
+
+const errorMessage = (error, fallback) => (
+  error.response?.data?.error?.message || error.response?.data?.message || fallback
+);
+
+const HighlightList = ({ title, teams, emptyText }) => (
+  <div className="bg-white rounded-lg shadow-md p-6">
+    <h3 className="text-lg font-semibold text-gray-900 mb-3">{title}</h3>
+    {teams.length === 0 ? (
+      <p className="text-sm text-gray-500">{emptyText}</p>
+    ) : (
+      <ul className="divide-y divide-gray-100">
+        {teams.map(team => (
+          <li key={team.nflTeam?._id || team.slot} className="py-2 flex justify-between text-sm">
+            <div>
+              <div className="font-medium text-gray-900">{team.nflTeam?.abbreviation} · {team.owner.username}</div>
+              <div className="text-gray-500">
+                Paid {formatMoney(team.purchasePrice)}, earned {formatMoney(team.earnings)}
+              </div>
+            </div>
+            <div className={`font-semibold ${valueClass(team.valueOverPrice)}`}>{formatMoney(team.valueOverPrice)}</div>
+          </li>
+        ))}
+      </ul>
+    )}
+  </div>
+);
+
+// What each auction purchase returned: team and owner ROI, bargains and busts, and
+// how each price slot has paid out across the league's seasons
+const LeagueAnalyticsPage = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+
+  const [analytics, setAnalytics] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [selectedSeason, setSelectedSeason] = useState('current');
+
+  useEffect(() => {
+    const loadAnalytics = async () => {
+      try {
+        const response = await leagueService.getAnalytics(id);
+        setAnalytics(response.data);
+      } catch (error) {
+        toast.error(errorMessage(error, 'Failed to load league analytics'));
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadAnalytics();
+  }, [id]);
+
+  if (loading) {
+    return <LoadingSpinner text="Loading analytics..." />;
+  }
+
+  if (!analytics) {
+    return (
+      <div className="text-center py-8">
+        <h3 className="text-lg font-medium text-gray-900 mb-2">Analytics unavailable</h3>
+        <Button onClick={() => navigate(`/app/leagues/${id}`)}>Back to League</Button>
+      </div>
+    );
+  }
+
+  const season = selectedSeason === 'current'
+    ? analytics.current
+    : analytics.history.find(entry => String(entry.season) === selectedSeason) || analytics.current;
+
+  return (
+    <div className="max-w-6xl mx-auto p-6 space-y-6">
+      {/* Header */}
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <div className="flex flex-wrap justify-between items-start gap-4">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900 mb-2">{analytics.league.name} Auction Analytics</h1>
+            <p className="text-gray-600">
+              Value over price is what a team earned beyond its price's share of the payouts so far.
+            </p>
+          </div>
+          <div className="flex items-center space-x-2">
+            <select
+              value={selectedSeason}
+              onChange={(e) => setSelectedSeason(e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
+            >
+              <option value="current">{analytics.current.season} (current)</option>
+              {analytics.history.map(entry => (
+                <option key={entry.season} value={String(entry.season)}>{entry.season}</option>
+              ))}
+            </select>
+            <Button variant="outline" onClick={() => navigate(`/app/leagues/${id}`)}>
+              Back to League
+            </Button>
+          </div>
+        </div>
+
+        <div className="mt-6 grid grid-cols-2 md:grid-cols-4 gap-4">
+          <div className="bg-gray-50 rounded-lg p-4">
+            <div className="text-sm text-gray-500">Spent at auction</div>
+            <div className="text-2xl font-bold text-gray-900">{formatMoney(season.totalSpent)}</div>
+          </div>
+          <div className="bg-gray-50 rounded-lg p-4">
+            <div className="text-sm text-gray-500">Paid out</div>
+            <div className="text-2xl font-bold text-green-600">{formatMoney(season.totalEarnings)}</div>
+          </div>
+          <div className="bg-gray-50 rounded-lg p-4">
+            <div className="text-sm text-gray-500">Teams bought</div>
+            <div className="text-2xl font-bold text-blue-600">{season.teams.length}</div>
+          </div>
+          <div className="bg-gray-50 rounded-lg p-4">
+            <div className="text-sm text-gray-500">Season status</div>
+            <div className="text-2xl font-bold text-purple-600 capitalize">{season.status}</div>
+          </div>
+        </div>
+      </div>
+
+      {/* Owner portfolios */}
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <h2 className="text-xl font-semibold text-gray-900 mb-4">Owner Portfolios</h2>
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Owner</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Teams</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Spent</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Earned</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Profit</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">ROI</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Value Over Price</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {season.owners.map(owner => (
+                <tr key={owner.owner._id}>
+                  <td className="px-4 py-2 text-sm font-medium text-gray-900">{owner.owner.username}</td>
+                  <td className="px-4 py-2 text-sm text-right text-gray-600">{owner.teamsOwned}</td>
+                  <td className="px-4 py-2 text-sm text-right text-gray-900">{formatMoney(owner.totalSpent)}</td>
+                  <td className="px-4 py-2 text-sm text-right text-gray-900">{formatMoney(owner.totalEarnings)}</td>
+                  <td className={`px-4 py-2 text-sm text-right ${valueClass(owner.profit)}`}>{formatMoney(owner.profit)}</td>
+                  <td className={`px-4 py-2 text-sm text-right ${valueClass(owner.roi)}`}>{formatRoi(owner.roi)}</td>
+                  <td className={`px-4 py-2 text-sm text-right font-medium ${valueClass(owner.valueOverPrice)}`}>
+                    {formatMoney(owner.valueOverPrice)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {/* Bargains and busts */}
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <HighlightList title="Bargains" teams={season.bargains} emptyText="No team has out-earned its price yet." />
+        <HighlightList title="Busts" teams={season.busts} emptyText="No team has under-earned its price yet." />
+      </div>
+
+      {/* Price slots */}
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <h2 className="text-xl font-semibold text-gray-900 mb-1">Price Slots</h2>
+        <p className="text-sm text-gray-500 mb-4">
+          Teams ranked by auction price each season, averaged over {analytics.history.length + 1} season
+          {analytics.history.length > 0 ? 's' : ''}.
+        </p>
+        <PriceSlotChart slots={analytics.slots} />
+      </div>
+
+      {/* Every team */}
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <h2 className="text-xl font-semibold text-gray-900 mb-4">Team Returns</h2>
+        <TeamValueTable teams={season.teams} />
+      </div>
+    </div>
+  );
+};
+
+export default LeagueAnalyticsPage;
@@ -1,11 +1,15 @@
 import React, { useEffect, useState } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { useDispatch, useSelector } from 'react-redux';
+import Countdown from 'react-countdown';
 import { fetchLeague, deleteLeague, selectCurrentLeague, selectLeagueLoading, selectLeagueError } from '../../store/slices/leagueSlice';
 import { auctionService } from '../../services/auctionService';
+import { socketService } from '../../services/socketService';
 import Button from '../../components/common/Button';
 import LoadingSpinner from '../../components/common/LoadingSpinner';
 import Modal from '../../components/common/Modal';
+import KeepersPanel from '../../components/league/KeepersPanel';
+import { leagueService } from '../../services/leagueService';
 import toast from 'react-hot-toast';
 
 const InviteCodeCard = ({ inviteCode, leagueName }) => {
@@ -128,6 +132,20 @@ const MembersList = ({ members, isCreator, currentUserId }) => {
   );
 };
 
+// Countdown to a scheduled draft
+const draftCountdownRenderer = ({ days, hours, minutes, seconds, completed }) => {
+  if (completed) {
+    return <span>Starting...</span>;
+  }
+
+  return (
+    <span className="font-mono">
+      {days > 0 && `${days}d `}
+      {String(hours).padStart(2, '0')}:{String(minutes).padStart(2, '0')}:{String(seconds).padStart(2, '0')}
+    </span>
+  );
+};
+
 const LeagueDetailPage = () => {
   const { id: leagueId } = useParams();
   const navigate = useNavigate();
@@ -142,11 +160,24 @@ const LeagueDetailPage = () => {
   const [startingDraft, setStartingDraft] = useState(false);
   const [showDeleteModal, setShowDeleteModal] = useState(false);
   const [deletingLeague, setDeletingLeague] = useState(false);
+  const [scheduledTime, setScheduledTime] = useState('');
+  const [showRenewModal, setShowRenewModal] = useState(false);
+  const [renewing, setRenewing] = useState(false);
+  const [renewal, setRenewal] = useState({ keepersEnabled: false, maxKeepers: 1, inflationPercent: 10 });
 
   useEffect(() => {
     if (leagueId) {
       dispatch(fetchLeague(leagueId));
+
+      // Join league room for auction-started and other league events
+      socketService.joinLeague(leagueId);
     }
+
+    return () => {
+      if (leagueId) {
+        socketService.leaveLeague(leagueId);
+      }
+    };
   }, [dispatch, leagueId]);
 
   if (loading) {
@@ -187,6 +218,8 @@ const LeagueDetailPage = () => {
 
   const isCreator = league.creator._id === currentUserId;
   const canStartAuction = league.canStartAuction && isCreator;
+  const scheduledAuction = league.auction?.status === 'scheduled' ? league.auction : null;
+  const canScheduleAuction = isCreator && league.status === 'draft' && !scheduledAuction;
 
   const handleStartDraft = async () => {
     if (!league || startingDraft) return;
@@ -218,6 +251,78 @@ const LeagueDetailPage = () => {
     }
   };
 
+  const handleScheduleDraft = async () => {
+    if (!league || startingDraft || !scheduledTime) return;
+
+    const startTime = new Date(scheduledTime);
+    if (startTime <= new Date()) {
+      toast.error('Pick a time in the future');
+      return;
+    }
+
+    setStartingDraft(true);
+    try {
+      const response = await auctionService.createAuction({
+        leagueId: league._id,
+        startTime: startTime.toISOString()
+      });
+
+      if (response.success) {
+        toast.success(`Draft scheduled for ${startTime.toLocaleString()}`);
+        setScheduledTime('');
+        dispatch(fetchLeague(league._id));
+      }
+    } catch (error) {
+      console.error('Failed to schedule draft:', error);
+      toast.error(error.response?.data?.error?.message || error.response?.data?.message || 'Failed to schedule draft');
+    } finally {
+      setStartingDraft(false);
+    }
+  };
+
+  const handleStartScheduledDraft = async () => {
+    if (!scheduledAuction || startingDraft) return;
+
+    setStartingDraft(true);
+    try {
+      const response = await auctionService.startAuction(scheduledAuction._id);
+
+      if (response.success) {
+        toast.success('Draft started successfully! Redirecting...');
+        dispatch(fetchLeague(league._id));
+        navigate(`/app/auctions/${scheduledAuction._id}`);
+      }
+    } catch (error) {
+      console.error('Failed to start draft:', error);
+      toast.error(error.response?.data?.error?.message || error.response?.data?.message || 'Failed to start draft');
+    } finally {
+      setStartingDraft(false);
+    }
+  };
+
+  const handleRenewLeague = async () => {
+    setRenewing(true);
+    try {
+      const response = await leagueService.renewLeague(league._id, {
+        keeperSettings: {
+          enabled: renewal.keepersEnabled,
+          maxKeepers: renewal.keepersEnabled ? Number(renewal.maxKeepers) : 0,
+          inflationPercent: Number(renewal.inflationPercent)
+        }
+      });
+
+      if (response.success) {
+        toast.success(response.message || 'League renewed');
+        setShowRenewModal(false);
+        navigate(`/app/leagues/${response.data._id}`);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || error.response?.data?.message || 'Failed to renew league');
+    } finally {
+      setRenewing(false);
+    }
+  };
+
   const handleDeleteLeague = async () => {
     if (!league || deletingLeague) return;
     
@@ -252,6 +357,19 @@ const LeagueDetailPage = () => {
             )}
           </div>
           <div className="flex space-x-2">
+            {league.renewedTo && (
+              <Button
+                variant="outline"
+                onClick={() => navigate(`/app/leagues/${league.renewedTo}`)}
+              >
+                {league.season.year + 1} Season
+              </Button>
+            )}
+            {isCreator && league.status === 'completed' && !league.renewedTo && (
+              <Button onClick={() => setShowRenewModal(true)}>
+                Renew League
+              </Button>
+            )}
             {isCreator && (
               <>
                 <Button
@@ -271,6 +389,30 @@ const LeagueDetailPage = () => {
                 )}
               </>
             )}
+            {['active', 'completed'].includes(league.status) && (
+              <Button
+                variant="outline"
+                onClick={() => navigate(`/app/leagues/${league._id}/analytics`)}
+              >
+                Analytics
+              </Button>
+            )}
+            {['active', 'completed'].includes(league.status) && (
+              <Button
+                variant="outline"
+                onClick={() => navigate(`/app/leagues/${league._id}/settlement`)}
+              >
+                Settlement
+              </Button>
+            )}
+            {league.status === 'active' && (
+              <Button
+                variant="outline"
+                onClick={() => navigate(`/app/leagues/${league._id}/simulator`)}
+              >
+                Payout Simulator
+              </Button>
+            )}
             <Button
               onClick={() => navigate(`/leagues/${league._id}/standings`)}
             >
@@ -297,7 +439,46 @@ const LeagueDetailPage = () => {
           </div>
         </div>
 
-        {league.auction ? (
+        {scheduledAuction ? (
+          <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4">
+            <div className="flex items-center justify-between">
+              <div>
+                <h3 className="font-medium text-yellow-800">Draft Scheduled</h3>
+                <p className="text-sm text-yellow-700">
+                  {new Date(scheduledAuction.startTime).toLocaleString()}
+                  {league.settings?.autoStartAuction
+                    ? ' - starts automatically if at least 2 members have joined.'
+                    : ' - the commissioner will start the draft.'}
+                </p>
+              </div>
+              <div className="flex items-center space-x-4">
+                <div className="text-right">
+                  <p className="text-xs text-yellow-700 uppercase tracking-wide">Starts in</p>
+                  <p className="text-2xl font-bold text-yellow-900">
+                    <Countdown
+                      key={scheduledAuction.startTime}
+                      date={new Date(scheduledAuction.startTime)}
+                      renderer={draftCountdownRenderer}
+                      onComplete={() => {
+                        // Give the server a moment to start the auction, then refresh
+                        setTimeout(() => dispatch(fetchLeague(league._id)), 3000);
+                      }}
+                    />
+                  </p>
+                </div>
+                {isCreator && league.memberCount >= 2 && (
+                  <Button
+                    onClick={handleStartScheduledDraft}
+                    className="bg-green-600 hover:bg-green-700"
+                    disabled={startingDraft}
+                  >
+                    {startingDraft ? 'Starting...' : 'Start Now'}
+                  </Button>
+                )}
+              </div>
+            </div>
+          </div>
+        ) : league.auction && league.auction.status !== 'cancelled' ? (
           <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
             <div className="flex items-center justify-between">
               <div>
@@ -340,6 +521,34 @@ const LeagueDetailPage = () => {
             </div>
           </div>
         )}
+
+        {canScheduleAuction && (
+          <div className="mt-4 bg-gray-50 border border-gray-200 rounded-lg p-4">
+            <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-3">
+              <div>
+                <h3 className="font-medium text-gray-900">Schedule the Draft</h3>
+                <p className="text-sm text-gray-600">
+                  Members get reminders 24 hours and 15 minutes before it starts.
+                </p>
+              </div>
+              <div className="flex items-center space-x-2">
+                <input
+                  type="datetime-local"
+                  value={scheduledTime}
+                  onChange={(e) => setScheduledTime(e.target.value)}
+                  className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+                <Button
+                  onClick={handleScheduleDraft}
+                  variant="outline"
+                  disabled={startingDraft || !scheduledTime}
+                >
+                  Schedule
+                </Button>
+              </div>
+            </div>
+          </div>
+        )}
       </div>
 
       <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
@@ -352,6 +561,11 @@ const LeagueDetailPage = () => {
             currentUserId={currentUserId}
           />
 
+          {/* Keepers (renewed leagues) */}
+          {league.renewedFrom && league.keeperSettings?.enabled && (
+            <KeepersPanel leagueId={league._id} />
+          )}
+
           {/* League Settings */}
           <div className="bg-white border border-gray-200 rounded-lg p-6">
             <h3 className="text-lg font-semibold text-gray-900 mb-4">League Settings</h3>
@@ -435,6 +649,76 @@ const LeagueDetailPage = () => {
         </div>
       </div>
 
+      {/* Renew League Modal */}
+      <Modal
+        isOpen={showRenewModal}
+        onClose={() => setShowRenewModal(false)}
+        title={`Renew for ${league.season.year + 1}`}
+      >
+        <div className="space-y-4">
+          <p className="text-gray-700">
+            Starts a new season of <strong>{league.name}</strong> with the same members, payout structure and auction settings.
+          </p>
+
+          <label className="flex items-center space-x-2">
+            <input
+              type="checkbox"
+              checked={renewal.keepersEnabled}
+              onChange={(e) => setRenewal({ ...renewal, keepersEnabled: e.target.checked })}
+            />
+            <span className="text-sm font-medium text-gray-900">Allow keepers</span>
+          </label>
+
+          {renewal.keepersEnabled && (
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Teams per owner</label>
+                <input
+                  type="number"
+                  min="1"
+                  max="16"
+                  value={renewal.maxKeepers}
+                  onChange={(e) => setRenewal({ ...renewal, maxKeepers: e.target.value })}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Price increase (%)</label>
+                <input
+                  type="number"
+                  min="0"
+                  max="100"
+                  value={renewal.inflationPercent}
+                  onChange={(e) => setRenewal({ ...renewal, inflationPercent: e.target.value })}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </div>
+              <p className="col-span-2 text-sm text-gray-600">
+                Owners can keep teams they owned this season at last year's price plus the increase. Kept teams are assigned before bidding opens.
+              </p>
+            </div>
+          )}
+
+          <div className="flex space-x-3 pt-4">
+            <Button
+              onClick={() => setShowRenewModal(false)}
+              variant="outline"
+              className="flex-1"
+              disabled={renewing}
+            >
+              Cancel
+            </Button>
+            <Button
+              onClick={handleRenewLeague}
+              disabled={renewing}
+              className="flex-1"
+            >
+              {renewing ? 'Renewing...' : 'Renew League'}
+            </Button>
+          </div>
+        </div>
+      </Modal>
+
       {/* Delete Confirmation Modal */}
       <Modal
         isOpen={showDeleteModal}
@@ -0,0 +1,262 @@
+import React, { useEffect, useState } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { useSelector } from 'react-redux';
+import toast from 'react-hot-toast';
+import { leagueService } from '../../services/leagueService';
+import { selectUser } from '../../store/slices/authSlice';
+import ScenarioGamePicker from '../../components/league/ScenarioGamePicker';
+import PlayoffRunPicker from '../../components/league/PlayoffRunPicker';
+import SimulationResults from '../../components/league/SimulationResults';
+import LoadingSpinner from '../../components/common/LoadingSpinner';
+import Button from '../../components/common/Button';
+
+const PLAYOFF_PAYOUT_LABELS = {
+  wildCard: 'Wild Card win',
+  divisional: 'Divisional win',
+  conference: 'Conference win',
+  superBowlAppearance: 'Super Bowl appearance',
+  superBowlWin: 'Super Bowl win'
+};
+
+const errorMessage = (error, fallback) => (
+  error.response?.data?.error?.message || error.response?.data?.message || fallback
+);
+
+// "What if" payouts: pick winners for the remaining games and playoff runs to see
+// each owner's projected final earnings, or simulate the rest of the season many
+// times for expected payouts and odds of finishing first
+const PayoutSimulatorPage = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const user = useSelector(selectUser);
+
+  const [options, setOptions] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [mode, setMode] = useState('scenario');
+  const [picks, setPicks] = useState({});
+  const [probabilities, setProbabilities] = useState({});
+  const [runs, setRuns] = useState({});
+  const [iterations, setIterations] = useState(100);
+  const [running, setRunning] = useState(false);
+  const [projection, setProjection] = useState(null);
+  const [simulation, setSimulation] = useState(null);
+
+  useEffect(() => {
+    const loadOptions = async () => {
+      try {
+        const response = await leagueService.getSimulatorOptions(id);
+        setOptions(response.data);
+      } catch (error) {
+        toast.error(errorMessage(error, 'Failed to load the payout simulator'));
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadOptions();
+  }, [id]);
+
+  const setPick = (gameId, teamId) => {
+    setPicks(current => {
+      const next = { ...current };
+      if (teamId) {
+        next[gameId] = teamId;
+      } else {
+        delete next[gameId];
+      }
+      return next;
+    });
+  };
+
+  const pickAll = (side) => {
+    setPicks(Object.fromEntries(options.games.map(game => [game._id, game[side]._id])));
+  };
+
+  const pickFavorites = () => {
+    setPicks(Object.fromEntries(options.games.map(game => [
+      game._id,
+      game.homeWinProbability >= 0.5 ? game.homeTeam._id : game.awayTeam._id
+    ])));
+  };
+
+  const buildScenario = () => ({
+    games: Object.entries(picks).map(([game, winner]) => ({ game, winner })),
+    playoffs: Object.entries(runs).map(([team, playoffResults]) => ({ team, playoffResults }))
+  });
+
+  const handleRun = async () => {
+    setRunning(true);
+    try {
+      if (mode === 'scenario') {
+        const response = await leagueService.runScenario(id, buildScenario());
+        setProjection(response.data);
+      } else {
+        const response = await leagueService.runMonteCarlo(id, {
+          ...buildScenario(),
+          probabilities: Object.entries(probabilities)
+            .filter(([game]) => !picks[game])
+            .map(([game, percent]) => ({ game, homeWinProbability: Math.min(100, Math.max(0, percent)) / 100 })),
+          iterations
+        });
+        setSimulation(response.data);
+      }
+    } catch (error) {
+      toast.error(errorMessage(error, 'Simulation failed'));
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  if (loading) {
+    return <LoadingSpinner text="Loading payout simulator..." />;
+  }
+
+  if (!options) {
+    return (
+      <div className="text-center py-8">
+        <h3 className="text-lg font-medium text-gray-900 mb-2">Simulator unavailable</h3>
+        <Button onClick={() => navigate(`/app/leagues/${id}`)}>Back to League</Button>
+      </div>
+    );
+  }
+
+  const { preview } = options;
+
+  return (
+    <div className="max-w-6xl mx-auto p-6 space-y-6">
+      {/* Header */}
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <div className="flex justify-between items-start">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900 mb-2">{options.league.name} Payout Simulator</h1>
+            <p className="text-gray-600">
+              Try out results for the rest of the {options.league.season} season. Nothing here changes real earnings.
+            </p>
+          </div>
+          <Button variant="outline" onClick={() => navigate(`/app/leagues/${id}`)}>
+            Back to League
+          </Button>
+        </div>
+
+        {/* Payout preview */}
+        <div className="mt-6 grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+          <div className="bg-gray-50 rounded-lg p-3">
+            <div className="text-gray-500">Prize pool</div>
+            <div className="text-lg font-semibold text-gray-900">${options.league.totalPrizePool.toLocaleString()}</div>
+          </div>
+          <div className="bg-gray-50 rounded-lg p-3">
+            <div className="text-gray-500">Per regular season win (est.)</div>
+            <div className="text-lg font-semibold text-gray-900">${preview.regularSeasonWinValue}</div>
+          </div>
+          {Object.entries(preview.playoffPayouts).map(([key, amount]) => (
+            <div key={key} className="bg-gray-50 rounded-lg p-3">
+              <div className="text-gray-500">{PLAYOFF_PAYOUT_LABELS[key]}</div>
+              <div className="text-lg font-semibold text-gray-900">${amount}</div>
+            </div>
+          ))}
+          {Number(preview.topTeamsSplit) > 0 && (
+            <div className="bg-gray-50 rounded-lg p-3">
+              <div className="text-gray-500">Top teams split (each)</div>
+              <div className="text-lg font-semibold text-gray-900">${preview.topTeamsSplit}</div>
+            </div>
+          )}
+          {preview.rules.map((rule, index) => (
+            <div key={index} className="bg-gray-50 rounded-lg p-3">
+              <div className="text-gray-500">{rule.name || rule.type} (pool)</div>
+              <div className="text-lg font-semibold text-gray-900">${rule.pool}</div>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {/* Mode */}
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <div className="flex flex-wrap items-center justify-between gap-4">
+          <div className="flex space-x-2">
+            <Button variant={mode === 'scenario' ? 'primary' : 'outline'} onClick={() => setMode('scenario')}>
+              Scenario
+            </Button>
+            <Button variant={mode === 'monteCarlo' ? 'primary' : 'outline'} onClick={() => setMode('monteCarlo')}>
+              Monte Carlo
+            </Button>
+          </div>
+          {mode === 'monteCarlo' && (
+            <label className="flex items-center space-x-2 text-sm text-gray-700">
+              <span>Simulated seasons</span>
+              <input
+                type="number"
+                min="1"
+                max="200"
+                value={iterations}
+                onChange={(e) => setIterations(Math.min(200, Math.max(1, Number(e.target.value) || 1)))}
+                className="w-24 px-2 py-1 border border-gray-300 rounded-md"
+              />
+            </label>
+          )}
+          <Button onClick={handleRun} loading={running} disabled={running}>
+            {mode === 'scenario' ? 'Project Earnings' : 'Run Simulation'}
+          </Button>
+        </div>
+        <p className="mt-3 text-sm text-gray-500">
+          {mode === 'scenario'
+            ? 'Each picked game counts as a win for the team you choose. Unpicked games are left unplayed.'
+            : 'Picked games and playoff runs are held fixed; every other game is decided by its win probability, including playoff games not yet scheduled.'}
+        </p>
+      </div>
+
+      {/* Results */}
+      {(mode === 'scenario' ? projection : simulation) && (
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <h2 className="text-xl font-semibold text-gray-900 mb-4">
+            {mode === 'scenario' ? 'Projected Final Earnings' : 'Expected Payouts'}
+          </h2>
+          <SimulationResults
+            projection={mode === 'scenario' ? projection : null}
+            simulation={mode === 'monteCarlo' ? simulation : null}
+            currentUserId={user?.id}
+          />
+        </div>
+      )}
+
+      {/* Remaining games */}
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+          <h2 className="text-xl font-semibold text-gray-900">
+            Remaining Games ({Object.keys(picks).length} / {options.games.length} picked)
+          </h2>
+          {options.games.length > 0 && (
+            <div className="flex space-x-2">
+              <Button size="sm" variant="outline" onClick={pickFavorites}>Pick Favorites</Button>
+              <Button size="sm" variant="outline" onClick={() => pickAll('homeTeam')}>All Home</Button>
+              <Button size="sm" variant="outline" onClick={() => pickAll('awayTeam')}>All Away</Button>
+              <Button size="sm" variant="outline" onClick={() => setPicks({})}>Clear</Button>
+            </div>
+          )}
+        </div>
+        <ScenarioGamePicker
+          games={options.games}
+          picks={picks}
+          onPick={setPick}
+          probabilities={probabilities}
+          onProbability={(gameId, value) => setProbabilities(current => ({ ...current, [gameId]: value }))}
+          showProbabilities={mode === 'monteCarlo'}
+        />
+      </div>
+
+      {/* Playoff runs */}
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <h2 className="text-xl font-semibold text-gray-900 mb-2">Playoff Runs</h2>
+        <p className="text-sm text-gray-500 mb-4">
+          Set the rounds an owned team wins. Teams without a run follow the picked games.
+        </p>
+        {options.teams.length > 0 ? (
+          <PlayoffRunPicker teams={options.teams} runs={runs} onChange={setRuns} />
+        ) : (
+          <p className="text-sm text-gray-500">No teams are owned in this league yet.</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PayoutSimulatorPage;
@@ -0,0 +1,281 @@
+import React, { useEffect, useState } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { useSelector } from 'react-redux';
+import toast from 'react-hot-toast';
+import { leagueService } from '../../services/leagueService';
+import { selectUser } from '../../store/slices/authSlice';
+import SettlementLedgerTable from '../../components/league/SettlementLedgerTable';
+import LoadingSpinner from '../../components/common/LoadingSpinner';
+import Button from '../../components/common/Button';
+
+const formatMoney = (amount) => {
+  const value = Number(amount) || 0;
+  return `${value < 0 ? '-' : ''}$${Math.abs(value).toFixed(2)}`;
+};
+
+const valueClass = (amount) => (
+  amount > 0 ? 'text-green-600' : amount < 0 ? 'text-red-600' : 'text-gray-500'
+);
+
+const errorMessage = (error, fallback) => (
+  error.response?.data?.error?.message || error.response?.data?.message || fallback
+);
+
+const STATUS_LABELS = {
+  collecting: 'Season in play',
+  settling: 'Payments outstanding',
+  settled: 'Settled'
+};
+
+// Settling up a season's money offline: buy-ins owed from the auction, each owner's
+// net balance once the season is finalized, and the transfers that square everyone,
+// which the commissioner marks as received
+const SettlementPage = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const user = useSelector(selectUser);
+
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(null);
+  const [notes, setNotes] = useState({});
+
+  useEffect(() => {
+    const loadSettlement = async () => {
+      try {
+        const response = await leagueService.getSettlement(id);
+        setData(response.data);
+      } catch (error) {
+        toast.error(errorMessage(error, 'Failed to load the settlement'));
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadSettlement();
+  }, [id]);
+
+  const runAction = async (key, action, fallback) => {
+    setBusy(key);
+    try {
+      const response = await action();
+      setData(response.data);
+      toast.success(response.message);
+    } catch (error) {
+      toast.error(errorMessage(error, fallback));
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleRecordBuyIns = () => runAction(
+    'buy-ins',
+    () => leagueService.recordBuyIns(id),
+    'Failed to record buy-ins'
+  );
+
+  const handleFinalize = () => runAction(
+    'finalize',
+    () => leagueService.finalizeSettlement(id),
+    'Failed to calculate the settlement'
+  );
+
+  const handleMarkTransfer = (transfer, paid) => runAction(
+    transfer._id,
+    () => leagueService.markTransfer(id, transfer._id, { paid, note: notes[transfer._id] }),
+    'Failed to update the payment'
+  );
+
+  if (loading) {
+    return <LoadingSpinner text="Loading settlement..." />;
+  }
+
+  if (!data) {
+    return (
+      <div className="text-center py-8">
+        <h3 className="text-lg font-medium text-gray-900 mb-2">Settlement unavailable</h3>
+        <Button onClick={() => navigate(`/app/leagues/${id}`)}>Back to League</Button>
+      </div>
+    );
+  }
+
+  const { league, settlement } = data;
+  const isCommissioner = !!user && (String(league.creator) === String(user.id) || user.isSuperUser);
+  const balances = settlement?.balances || [];
+  const transfers = settlement?.transfers || [];
+
+  return (
+    <div className="max-w-6xl mx-auto p-6 space-y-6">
+      {/* Header */}
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <div className="flex flex-wrap justify-between items-start gap-4">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900 mb-2">{league.name} Settlement</h1>
+            <p className="text-gray-600">
+              {league.season} season · {settlement ? STATUS_LABELS[settlement.status] : 'No buy-ins recorded yet'}
+            </p>
+          </div>
+          <div className="flex items-center space-x-2">
+            {isCommissioner && ['active', 'completed'].includes(league.status) && !settlement?.finalizedAt && (
+              <Button variant="outline" loading={busy === 'buy-ins'} onClick={handleRecordBuyIns}>
+                Record Buy-ins
+              </Button>
+            )}
+            {isCommissioner && league.status === 'completed' && !transfers.some(transfer => transfer.status === 'paid') && (
+              <Button loading={busy === 'finalize'} onClick={handleFinalize}>
+                {settlement?.finalizedAt ? 'Recalculate' : 'Calculate Settlement'}
+              </Button>
+            )}
+            <Button variant="outline" onClick={() => navigate(`/app/leagues/${id}`)}>
+              Back to League
+            </Button>
+          </div>
+        </div>
+
+        {settlement && (
+          <div className="mt-6 grid grid-cols-2 md:grid-cols-4 gap-4">
+            <div className="bg-gray-50 rounded-lg p-4">
+              <div className="text-sm text-gray-500">Total buy-ins</div>
+              <div className="text-2xl font-bold text-gray-900">{formatMoney(settlement.totalBuyIns)}</div>
+            </div>
+            <div className="bg-gray-50 rounded-lg p-4">
+              <div className="text-sm text-gray-500">Owners</div>
+              <div className="text-2xl font-bold text-blue-600">{settlement.buyIns.length}</div>
+            </div>
+            <div className="bg-gray-50 rounded-lg p-4">
+              <div className="text-sm text-gray-500">Transfers</div>
+              <div className="text-2xl font-bold text-purple-600">{transfers.length}</div>
+            </div>
+            <div className="bg-gray-50 rounded-lg p-4">
+              <div className="text-sm text-gray-500">Outstanding</div>
+              <div className={`text-2xl font-bold ${settlement.outstanding > 0 ? 'text-red-600' : 'text-green-600'}`}>
+                {formatMoney(settlement.outstanding)}
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {!settlement && (
+        <div className="bg-white rounded-lg shadow-md p-6 text-center text-gray-500">
+          Buy-ins are recorded when the auction completes.
+        </div>
+      )}
+
+      {/* Buy-ins before finalization, balances after */}
+      {settlement && !settlement.finalizedAt && (
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <h2 className="text-xl font-semibold text-gray-900 mb-1">Buy-ins Owed</h2>
+          <p className="text-sm text-gray-500 mb-4">
+            What each owner spent at auction. Balances and transfers are worked out when the season is finalized.
+          </p>
+          <ul className="divide-y divide-gray-100">
+            {settlement.buyIns.map(buyIn => (
+              <li key={buyIn.owner} className="py-2 flex justify-between text-sm">
+                <span className="font-medium text-gray-900">
+                  {buyIn.username} <span className="text-gray-500 font-normal">({buyIn.teamsOwned} team{buyIn.teamsOwned !== 1 ? 's' : ''})</span>
+                </span>
+                <span className="font-semibold text-gray-900">{formatMoney(buyIn.amount)}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {balances.length > 0 && (
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <h2 className="text-xl font-semibold text-gray-900 mb-1">Net Balances</h2>
+          <p className="text-sm text-gray-500 mb-4">
+            Winnings plus each owner's share of any undistributed pool, less their buy-in.
+          </p>
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Owner</th>
+                  <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Buy-in</th>
+                  <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Winnings</th>
+                  <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Pool Share</th>
+                  <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Net</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {balances.map(balance => (
+                  <tr key={balance.owner}>
+                    <td className="px-4 py-2 text-sm font-medium text-gray-900">{balance.username}</td>
+                    <td className="px-4 py-2 text-sm text-right text-gray-900">{formatMoney(balance.buyIn)}</td>
+                    <td className="px-4 py-2 text-sm text-right text-gray-900">{formatMoney(balance.winnings)}</td>
+                    <td className="px-4 py-2 text-sm text-right text-gray-600">{formatMoney(balance.refund)}</td>
+                    <td className={`px-4 py-2 text-sm text-right font-semibold ${valueClass(balance.net)}`}>
+                      {formatMoney(balance.net)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {/* Transfers */}
+      {settlement?.finalizedAt && (
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <h2 className="text-xl font-semibold text-gray-900 mb-4">Transfers</h2>
+          {transfers.length === 0 ? (
+            <p className="text-sm text-gray-500">Everyone is already square.</p>
+          ) : (
+            <ul className="divide-y divide-gray-100">
+              {transfers.map(transfer => (
+                <li key={transfer._id} className="py-3 flex flex-wrap items-center justify-between gap-3">
+                  <div>
+                    <div className="text-sm font-medium text-gray-900">
+                      {transfer.fromUsername} pays {transfer.toUsername}{' '}
+                      <span className="font-semibold">{formatMoney(transfer.amount)}</span>
+                    </div>
+                    <div className="text-xs text-gray-500">
+                      {transfer.status === 'paid'
+                        ? `Received ${new Date(transfer.paidAt).toLocaleDateString()}${transfer.markedBy?.username ? ` · marked by ${transfer.markedBy.username}` : ''}${transfer.note ? ` · ${transfer.note}` : ''}`
+                        : 'Pending'}
+                    </div>
+                  </div>
+                  {isCommissioner && (
+                    <div className="flex items-center space-x-2">
+                      {transfer.status === 'pending' && (
+                        <input
+                          type="text"
+                          maxLength={200}
+                          placeholder="Note (optional)"
+                          value={notes[transfer._id] || ''}
+                          onChange={(e) => setNotes(current => ({ ...current, [transfer._id]: e.target.value }))}
+                          className="px-3 py-1 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
+                        />
+                      )}
+                      <Button
+                        size="sm"
+                        variant={transfer.status === 'paid' ? 'outline' : 'primary'}
+                        loading={busy === transfer._id}
+                        onClick={() => handleMarkTransfer(transfer, transfer.status !== 'paid')}
+                      >
+                        {transfer.status === 'paid' ? 'Undo' : 'Mark Received'}
+                      </Button>
+                    </div>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {/* Ledger */}
+      {settlement && (
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <h2 className="text-xl font-semibold text-gray-900 mb-4">Ledger</h2>
+          <SettlementLedgerTable ledger={settlement.ledger} />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SettlementPage;
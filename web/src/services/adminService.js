@@ -0,0 +1,35 @@
+import api from './api';
+
+export const adminService = {
+  // Enter or correct a game's score and status
+  updateGame: async (gameId, updates) => {
+    const response = await api.put(`/admin/games/${gameId}`, updates);
+    return response.data;
+  },
+
+  // Override a team's playoff outcome
+  setPlayoffOutcome: async (season, teamId, outcome) => {
+    const response = await api.put(`/admin/playoffs/${season}/teams/${teamId}`, outcome);
+    return response.data;
+  },
+
+  // Clear a team's playoff outcome override
+  clearPlayoffOutcome: async (season, teamId, reason) => {
+    const response = await api.delete(`/admin/playoffs/${season}/teams/${teamId}`, {
+      data: { reason }
+    });
+    return response.data;
+  },
+
+  // Recalculate active league earnings
+  recalculateLeagues: async (season, reason) => {
+    const response = await api.post('/admin/leagues/recalculate', { season, reason });
+    return response.data;
+  },
+
+  // Get the audit log of manual result changes
+  getResultAudit: async (params = {}) => {
+    const response = await api.get('/admin/results/audit', { params });
+    return response.data;
+  }
+};
@@ -55,6 +55,12 @@ export const auctionService = {
     return response.data;
   },
 
+  // Reverse the most recent sale, optionally putting the team straight back up
+  reverseLastSale: async (auctionId, { reopen = false, reason } = {}) => {
+    const response = await api.post(`/auctions/${auctionId}/reverse-sale`, { reopen, reason });
+    return response.data;
+  },
+
   // Get auction bids
   getAuctionBids: async (auctionId) => {
     const response = await api.get(`/auctions/${auctionId}/bids`);
@@ -85,7 +91,7 @@ export const auctionService = {
     return response.data;
   },
 
-  // Set proxy bid (if implemented)
+  // Set proxy (max) bid
   setProxyBid: async (auctionId, teamId, maxBid) => {
     const response = await api.post(`/auctions/${auctionId}/proxy-bid`, {
       teamId,
@@ -100,6 +106,12 @@ export const auctionService = {
     return response.data;
   },
 
+  // Get current user's proxy bids
+  getProxyBids: async (auctionId) => {
+    const response = await api.get(`/auctions/${auctionId}/proxy-bids`);
+    return response.data;
+  },
+
   // Get available teams for nomination
   getAvailableTeams: async (auctionId) => {
     const response = await api.get(`/auctions/${auctionId}/available-teams`);
@@ -107,8 +119,8 @@ export const auctionService = {
   },
 
   // Get auction timeline/events
-  getAuctionTimeline: async (auctionId) => {
-    const response = await api.get(`/auctions/${auctionId}/timeline`);
+  getAuctionTimeline: async (auctionId, params = {}) => {
+    const response = await api.get(`/auctions/${auctionId}/timeline`, { params });
     return response.data;
   },
 
@@ -55,6 +55,78 @@ export const leagueService = {
     return response.data;
   },
 
+  // Get live scores for games involving the league's owned teams
+  getLiveScores: async (leagueId) => {
+    const response = await api.get(`/leagues/${leagueId}/live-scores`);
+    return response.data;
+  },
+
+  // Get ROI and value analytics for the league's auction purchases
+  getAnalytics: async (leagueId) => {
+    const response = await api.get(`/leagues/${leagueId}/analytics`);
+    return response.data;
+  },
+
+  // Get the payout simulator's remaining games, owned teams and payout preview
+  getSimulatorOptions: async (leagueId) => {
+    const response = await api.get(`/leagues/${leagueId}/simulator`);
+    return response.data;
+  },
+
+  // Project final earnings per owner from picked winners and playoff runs
+  runScenario: async (leagueId, scenario) => {
+    const response = await api.post(`/leagues/${leagueId}/simulator/scenario`, scenario);
+    return response.data;
+  },
+
+  // Estimate expected payouts and first place odds over many simulated seasons
+  runMonteCarlo: async (leagueId, simulation) => {
+    const response = await api.post(`/leagues/${leagueId}/simulator/monte-carlo`, simulation);
+    return response.data;
+  },
+
+  // Get the league's settlement: buy-ins, balances, transfers and ledger
+  getSettlement: async (leagueId) => {
+    const response = await api.get(`/leagues/${leagueId}/settlement`);
+    return response.data;
+  },
+
+  // Record buy-ins from the league's auction purchases
+  recordBuyIns: async (leagueId) => {
+    const response = await api.post(`/leagues/${leagueId}/settlement/buy-ins`);
+    return response.data;
+  },
+
+  // Work out balances and transfers for a completed season
+  finalizeSettlement: async (leagueId) => {
+    const response = await api.post(`/leagues/${leagueId}/settlement/finalize`);
+    return response.data;
+  },
+
+  // Mark a settlement transfer as received or pending
+  markTransfer: async (leagueId, transferId, update) => {
+    const response = await api.put(`/leagues/${leagueId}/settlement/transfers/${transferId}`, update);
+    return response.data;
+  },
+
+  // Renew a completed league into the next season
+  renewLeague: async (leagueId, renewalData = {}) => {
+    const response = await api.post(`/leagues/${leagueId}/renew`, renewalData);
+    return response.data;
+  },
+
+  // Get the current user's keeper options for a renewed league
+  getKeepers: async (leagueId) => {
+    const response = await api.get(`/leagues/${leagueId}/keepers`);
+    return response.data;
+  },
+
+  // Choose which of last season's teams to keep
+  setKeepers: async (leagueId, nflTeamIds) => {
+    const response = await api.put(`/leagues/${leagueId}/keepers`, { nflTeamIds });
+    return response.data;
+  },
+
   // Get league members
   getMembers: async (leagueId) => {
     const response = await api.get(`/leagues/${leagueId}/members`);
@@ -25,18 +25,18 @@ export const nflService = {
     return response.data;
   },
 
-  // Get playoff teams
-  getPlayoffTeams: async () => {
-    const response = await api.get('/nfl/playoffs');
-    return response.data;
-  },
-
   // Get team schedule/results
   getTeamSchedule: async (teamId, params = {}) => {
     const response = await api.get(`/nfl/teams/${teamId}/schedule`, { params });
     return response.data;
   },
 
+  // Get games for a week or team
+  getGames: async (params = {}) => {
+    const response = await api.get('/nfl/games', { params });
+    return response.data;
+  },
+
   // Get current week info
   getCurrentWeek: async () => {
     const response = await api.get('/nfl/current-week');
@@ -95,10 +95,10 @@ export const nflService = {
     return response.data;
   },
 
-  // Get playoff bracket
-  getPlayoffBracket: async (year = new Date().getFullYear()) => {
-    const response = await api.get('/nfl/playoff-bracket', {
-      params: { year }
+  // Get playoff bracket (defaults to the current season)
+  getPlayoffBracket: async (season) => {
+    const response = await api.get('/nfl/playoffs', {
+      params: season ? { season } : {}
     });
     return response.data;
   },
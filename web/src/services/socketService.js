@@ -9,6 +9,7 @@ class SocketService {
   constructor() {
     this.socket = null;
     this.isConnected = false;
+    this.rooms = new Set(); // rooms to (re)join once connected
   }
 
   // Initialize store and actions dynamically
@@ -16,21 +17,31 @@ class SocketService {
     if (!store) {
       store = storeInstance;
       // Dynamically import actions to avoid circular dependencies
+      // (slices load in any order, so each one adds to the shared actions map)
       import('../store/slices/auctionSlice').then(module => {
-        if (!actions) {
-          actions = {
-            updateCurrentTeam: module.updateCurrentTeam,
-            addBid: module.addBid,
-            completeTeamSale: module.completeTeamSale,
-            updateAuctionStatus: module.updateAuctionStatus,
-            updateNextNominator: module.updateNextNominator,
-          };
-        }
+        actions = {
+          ...actions,
+          updateCurrentTeam: module.updateCurrentTeam,
+          addBid: module.addBid,
+          completeTeamSale: module.completeTeamSale,
+          reverseTeamSale: module.reverseTeamSale,
+          updateAuctionStatus: module.updateAuctionStatus,
+          updateNextNominator: module.updateNextNominator,
+          updateNominationClock: module.updateNominationClock,
+          updateBidTimer: module.updateBidTimer,
+          updatePauseState: module.updatePauseState,
+          updatePresence: module.updatePresence,
+        };
       });
       import('../store/slices/uiSlice').then(module => {
         if (!actions) actions = {};
         actions.addNotification = module.addNotification;
       });
+      import('../store/slices/leagueSlice').then(module => {
+        if (!actions) actions = {};
+        actions.updateLeagueAuction = module.updateLeagueAuction;
+        actions.updateLiveScores = module.updateLiveScores;
+      });
     }
   }
 
@@ -60,6 +71,8 @@ class SocketService {
       reconnection: true,
       reconnectionAttempts: 5,
       reconnectionDelay: 1000,
+      // Read the token on every (re)connect so a refreshed login is picked up
+      auth: (cb) => cb({ token: localStorage.getItem('token') }),
       query: {
         userId: userId
       }
@@ -83,6 +96,9 @@ class SocketService {
     this.socket.on('connect', () => {
       console.log('Connected to socket server');
       this.isConnected = true;
+
+      // Rooms are per-connection on the server, so rejoin after every (re)connect
+      this.rooms.forEach(room => this.emitJoin(room));
     });
 
     this.socket.on('disconnect', () => {
@@ -93,6 +109,12 @@ class SocketService {
     this.socket.on('connect_error', (error) => {
       console.error('Socket connection error:', error);
       this.isConnected = false;
+
+      // The server rejected the handshake token - retrying will not help
+      if (error.message.includes('Access denied')) {
+        this.socket.disconnect();
+        return;
+      }
       
       // If it's a timeout error, try to reconnect with polling only
       if (error.message.includes('timeout')) {
@@ -152,8 +174,14 @@ class SocketService {
     });
 
     this.socket.on('auction-started', (data) => {
-      toast.success('Auction has started!');
+      toast.success(data.message || 'Auction has started!');
       this.dispatch(actions?.updateAuctionStatus('active'));
+      if (data.leagueId && data.auction) {
+        this.dispatch(actions?.updateLeagueAuction({
+          leagueId: data.leagueId,
+          auction: data.auction
+        }));
+      }
       this.dispatch(actions?.addNotification({
         type: 'success',
         title: 'Auction Started',
@@ -162,7 +190,7 @@ class SocketService {
     });
 
     this.socket.on('team-nominated', (data) => {
-      const { team, nominator, startingBid, bidEndTime } = data;
+      const { team, nominator, startingBid, bidEndTime, autoNominated } = data;
       
       this.dispatch(actions?.updateCurrentTeam({
         team: team,
@@ -170,8 +198,15 @@ class SocketService {
         bidder: nominator,
         bidEndTime: bidEndTime
       }));
+      this.dispatch(actions?.updateNominationClock(null));
 
-      toast.success(`${team.name} nominated by ${nominator.username}`);
+      if (autoNominated) {
+        toast(`${nominator.username} ran out of time - ${team.name} nominated automatically`, {
+          icon: '⏱️',
+        });
+      } else {
+        toast.success(`${team.name} nominated by ${nominator.username}`);
+      }
       
       this.dispatch(actions?.addNotification({
         type: 'info',
@@ -181,13 +216,14 @@ class SocketService {
     });
 
     this.socket.on('bid-placed', (data) => {
-      const { bidder, bidAmount, bidEndTime } = data;
+      const { bidder, bidAmount, bidEndTime, isProxy } = data;
       
       this.dispatch(actions?.addBid({
         bidder: bidder,
         amount: bidAmount,
         timestamp: new Date(),
-        team: data.teamId
+        team: data.teamId,
+        isProxy: Boolean(isProxy)
       }));
 
       // Update current auction state
@@ -203,7 +239,7 @@ class SocketService {
       const currentUser = state.auth.user;
       
       if (bidder._id !== currentUser?.id) {
-        toast(`${bidder.username} bid $${bidAmount}`, {
+        toast(`${bidder.username} bid $${bidAmount}${isProxy ? ' (auto)' : ''}`, {
           icon: '💰',
           duration: 2000,
         });
@@ -222,6 +258,7 @@ class SocketService {
       if (nextNominator) {
         this.dispatch(actions?.updateNextNominator(nextNominator));
       }
+      this.dispatch(actions?.updateNominationClock(data.nominationEndTime || null));
 
       toast.success(`${team.name} sold to ${winner.username} for $${finalPrice}`);
       
@@ -237,9 +274,57 @@ class SocketService {
       }
     });
 
+    this.socket.on('sale-reversed', (data) => {
+      const { team, formerOwner, amount, reopened, reason } = data;
+
+      this.dispatch(actions?.reverseTeamSale({ team, formerOwner, amount, reopened }));
+      this.dispatch(actions?.updateAuctionStatus(data.status));
+      this.dispatch(actions?.updateCurrentTeam({
+        team: data.currentTeam,
+        bid: data.currentBid,
+        bidder: data.currentHighBidder,
+        bidEndTime: data.bidEndTime
+      }));
+      this.dispatch(actions?.updateNextNominator(data.nextNominator));
+      this.dispatch(actions?.updateNominationClock(data.nominationEndTime || null));
+
+      const action = reopened ? 'reopened for bidding' : 'returned to the pool';
+      toast(`Commissioner reversed the sale of ${team.name} to ${formerOwner?.username || 'Unknown User'} ($${amount}) - ${action}`, {
+        icon: '↩️',
+        duration: 5000,
+      });
+
+      this.dispatch(actions?.addNotification({
+        type: 'warning',
+        title: 'Sale Reversed',
+        message: reason || `${team.name} sale reversed`,
+      }));
+    });
+
+    this.socket.on('nomination-skipped', (data) => {
+      const { skippedNominator, nextNominator, nominationEndTime } = data;
+
+      if (nextNominator) {
+        this.dispatch(actions?.updateNextNominator(nextNominator));
+      }
+      this.dispatch(actions?.updateNominationClock(nominationEndTime || null));
+
+      toast(`${skippedNominator?.username || 'Nominator'} ran out of time - turn skipped`, {
+        icon: '⏱️',
+      });
+    });
+
+    this.socket.on('presence-updated', (data) => {
+      this.dispatch(actions?.updatePresence(data.onlineUsers || []));
+    });
+
     this.socket.on('auction-paused', (data) => {
       this.dispatch(actions?.updateAuctionStatus('paused'));
-      toast.info('Auction paused');
+      this.dispatch(actions?.updatePauseState({
+        reason: data.reason || null,
+        resumeAt: data.resumeAt || null
+      }));
+      toast(data.autoPaused ? `Auction paused - ${data.reason}` : 'Auction paused', { icon: '⏸️' });
       
       this.dispatch(actions?.addNotification({
         type: 'warning',
@@ -250,7 +335,11 @@ class SocketService {
 
     this.socket.on('auction-resumed', (data) => {
       this.dispatch(actions?.updateAuctionStatus('active'));
-      toast.success('Auction resumed');
+      this.dispatch(actions?.updatePauseState({ reason: null, resumeAt: null }));
+      if (data.bidEndTime) {
+        this.dispatch(actions?.updateBidTimer(data.bidEndTime));
+      }
+      toast.success(data.message || 'Auction resumed');
       
       this.dispatch(actions?.addNotification({
         type: 'success',
@@ -271,6 +360,11 @@ class SocketService {
     });
 
     // NFL data events
+    // Live scores for games involving a league's owned teams (no toast; tickers render them)
+    this.socket.on('live-score', (data) => {
+      this.dispatch(actions?.updateLiveScores(data));
+    });
+
     this.socket.on('nfl-data-updated', (data) => {
       this.dispatch(actions?.addNotification({
         type: 'info',
@@ -317,15 +411,28 @@ class SocketService {
     });
   }
 
+  // Ask the server to join a room; it only admits league members
+  emitJoin(room) {
+    const [type, id] = room.split(':');
+    this.socket.emit(`join-${type}`, id, (response) => {
+      if (response && !response.success) {
+        this.rooms.delete(room);
+        toast.error(response.message || `Unable to join ${type} updates`);
+      }
+    });
+  }
+
   // Join league room
   joinLeague(leagueId) {
+    this.rooms.add(`league:${leagueId}`);
     if (this.socket && this.isConnected) {
-      this.socket.emit('join-league', leagueId);
+      this.emitJoin(`league:${leagueId}`);
     }
   }
 
   // Leave league room
   leaveLeague(leagueId) {
+    this.rooms.delete(`league:${leagueId}`);
     if (this.socket && this.isConnected) {
       this.socket.emit('leave-league', leagueId);
     }
@@ -333,18 +440,43 @@ class SocketService {
 
   // Join auction room
   joinAuction(auctionId) {
+    this.rooms.add(`auction:${auctionId}`);
     if (this.socket && this.isConnected) {
-      this.socket.emit('join-auction', auctionId);
+      this.emitJoin(`auction:${auctionId}`);
     }
   }
 
   // Leave auction room
   leaveAuction(auctionId) {
+    this.rooms.delete(`auction:${auctionId}`);
     if (this.socket && this.isConnected) {
       this.socket.emit('leave-auction', auctionId);
     }
   }
 
+  // Place a bid over the socket; resolves with the server's ack, rejects if the
+  // bid was refused (e.g. outbid before it landed) or no ack arrives in time
+  placeBid(auctionId, teamId, bidAmount) {
+    return new Promise((resolve, reject) => {
+      if (!this.socket || !this.isConnected) {
+        reject(new Error('Not connected to auction server'));
+        return;
+      }
+
+      this.socket.timeout(10000).emit('place-bid', { auctionId, teamId, bidAmount }, (err, response) => {
+        if (err) {
+          reject(new Error('Bid timed out - please check your connection'));
+        } else if (!response?.success) {
+          const error = new Error(response?.message || 'Failed to place bid');
+          error.status = response?.status;
+          reject(error);
+        } else {
+          resolve(response);
+        }
+      });
+    });
+  }
+
   // Send custom event
   emit(event, data) {
     if (this.socket && this.isConnected) {
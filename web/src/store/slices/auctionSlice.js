@@ -1,5 +1,6 @@
 import { createSlice, createAsyncThunk, createSelector } from '@reduxjs/toolkit';
 import { auctionService } from '../../services/auctionService';
+import { socketService } from '../../services/socketService';
 import toast from 'react-hot-toast';
 
 // Sanitize auction object to remove virtual properties and ensure React-safe values
@@ -171,6 +172,7 @@ const sanitizeBids = (bidsData) => {
     
     // Ensure amount is a number
     cleanBid.amount = Number(cleanBid.amount) || 0;
+    cleanBid.isProxy = Boolean(cleanBid.isProxy);
     
     return cleanBid;
   });
@@ -182,10 +184,12 @@ const sanitizeBudget = (budgetData) => {
   
   const { id, ...cleanBudget } = budgetData;
   
-  // Ensure numeric values
+  // Ensure numeric values (null means unlimited)
   cleanBudget.spent = Number(cleanBudget.spent) || 0;
-  cleanBudget.remaining = Number(cleanBudget.remaining) || 0;
+  cleanBudget.remainingBudget = cleanBudget.remainingBudget === null || cleanBudget.remainingBudget === undefined ? null : Number(cleanBudget.remainingBudget);
+  cleanBudget.maxBid = cleanBudget.maxBid === null || cleanBudget.maxBid === undefined ? null : Number(cleanBudget.maxBid);
   cleanBudget.teamsOwned = Number(cleanBudget.teamsOwned) || 0;
+  cleanBudget.rosterSlotsRemaining = Number(cleanBudget.rosterSlotsRemaining) || 0;
   
   return cleanBudget;
 };
@@ -195,6 +199,8 @@ const initialState = {
   currentAuction: null,
   bids: [],
   participantBudget: null,
+  proxyBids: [],
+  onlineUsers: [],
   loading: false,
   error: null,
   bidLoading: false,
@@ -264,10 +270,16 @@ export const placeBid = createAsyncThunk(
   'auctions/placeBid',
   async ({ auctionId, teamId, bidAmount }, { rejectWithValue }) => {
     try {
-      const response = await auctionService.placeBid(auctionId, teamId, bidAmount);
+      // Prefer the socket (acknowledged, lowest latency); fall back to REST
+      const response = socketService.isSocketConnected()
+        ? await socketService.placeBid(auctionId, teamId, bidAmount)
+        : await auctionService.placeBid(auctionId, teamId, bidAmount);
       return response.data;
     } catch (error) {
-      const message = error.response?.data?.message || 'Failed to place bid';
+      const message = error.response?.data?.message
+        || error.response?.data?.error?.message
+        || error.message
+        || 'Failed to place bid';
       toast.error(message);
       return rejectWithValue(message);
     }
@@ -304,6 +316,23 @@ export const resumeAuction = createAsyncThunk(
   }
 );
 
+export const reverseLastSale = createAsyncThunk(
+  'auctions/reverseLastSale',
+  async ({ auctionId, reopen = false, reason }, { rejectWithValue }) => {
+    try {
+      const response = await auctionService.reverseLastSale(auctionId, { reopen, reason });
+      toast.success(response.message || 'Sale reversed');
+      return response.data;
+    } catch (error) {
+      const message = error.response?.data?.error?.message
+        || error.response?.data?.message
+        || 'Failed to reverse sale';
+      toast.error(message);
+      return rejectWithValue(message);
+    }
+  }
+);
+
 export const fetchAuctionBids = createAsyncThunk(
   'auctions/fetchBids',
   async (auctionId, { rejectWithValue }) => {
@@ -330,6 +359,49 @@ export const fetchParticipantBudget = createAsyncThunk(
   }
 );
 
+export const fetchProxyBids = createAsyncThunk(
+  'auctions/fetchProxyBids',
+  async (auctionId, { rejectWithValue }) => {
+    try {
+      const response = await auctionService.getProxyBids(auctionId);
+      return response.data;
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to fetch max bids';
+      return rejectWithValue(message);
+    }
+  }
+);
+
+export const setProxyBid = createAsyncThunk(
+  'auctions/setProxyBid',
+  async ({ auctionId, teamId, maxBid }, { rejectWithValue }) => {
+    try {
+      const response = await auctionService.setProxyBid(auctionId, teamId, maxBid);
+      toast.success(`Max bid of $${maxBid} saved`);
+      return response.data;
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to set max bid';
+      toast.error(message);
+      return rejectWithValue(message);
+    }
+  }
+);
+
+export const cancelProxyBid = createAsyncThunk(
+  'auctions/cancelProxyBid',
+  async ({ auctionId, teamId }, { rejectWithValue }) => {
+    try {
+      const response = await auctionService.cancelProxyBid(auctionId, teamId);
+      toast.success('Max bid cancelled');
+      return response.data;
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to cancel max bid';
+      toast.error(message);
+      return rejectWithValue(message);
+    }
+  }
+);
+
 // Auction slice
 const auctionSlice = createSlice({
   name: 'auctions',
@@ -345,6 +417,8 @@ const auctionSlice = createSlice({
       state.currentAuction = null;
       state.bids = [];
       state.participantBudget = null;
+      state.proxyBids = [];
+      state.onlineUsers = [];
     },
     updateAuctionStatus: (state, action) => {
       if (state.currentAuction) {
@@ -387,14 +461,6 @@ const auctionSlice = createSlice({
           state.currentAuction.teams[teamIndex].finalPrice = action.payload.finalPrice;
         }
         
-        // Update participant budget
-        if (state.participantBudget && 
-            state.participantBudget.user === action.payload.winner._id) {
-          state.participantBudget.spent += action.payload.finalPrice;
-          state.participantBudget.remaining -= action.payload.finalPrice;
-          state.participantBudget.teamsOwned += 1;
-        }
-        
         // Clear current team
         state.currentAuction.currentTeam = null;
         state.currentAuction.currentBid = 0;
@@ -402,11 +468,45 @@ const auctionSlice = createSlice({
         state.currentAuction.bidEndTime = null;
       }
     },
+    reverseTeamSale: (state, action) => {
+      if (state.currentAuction) {
+        const { team, formerOwner, amount, reopened } = action.payload;
+
+        const auctionTeam = state.currentAuction.teams?.find(t => t.nflTeam?._id === team._id);
+        if (auctionTeam) {
+          auctionTeam.status = reopened ? 'nominated' : 'available';
+          auctionTeam.soldTo = null;
+          auctionTeam.finalPrice = 0;
+        }
+
+        const participant = state.currentAuction.participants?.find(p => p.user?._id === formerOwner?._id);
+        if (participant) {
+          participant.spent = Math.max(0, (participant.spent || 0) - amount);
+          participant.teamsOwned = (participant.teamsOwned || []).filter(
+            owned => (owned?._id || owned) !== team._id
+          );
+        }
+      }
+    },
     updateNextNominator: (state, action) => {
       if (state.currentAuction) {
         state.currentAuction.currentNominator = action.payload;
       }
     },
+    updatePauseState: (state, action) => {
+      if (state.currentAuction) {
+        state.currentAuction.pauseReason = action.payload.reason;
+        state.currentAuction.autoResumeAt = action.payload.resumeAt;
+      }
+    },
+    updatePresence: (state, action) => {
+      state.onlineUsers = action.payload;
+    },
+    updateNominationClock: (state, action) => {
+      if (state.currentAuction) {
+        state.currentAuction.nominationEndTime = action.payload;
+      }
+    },
   },
   extraReducers: (builder) => {
     builder
@@ -517,6 +617,17 @@ const auctionSlice = createSlice({
       // Fetch budget
       .addCase(fetchParticipantBudget.fulfilled, (state, action) => {
         state.participantBudget = sanitizeBudget(action.payload);
+      })
+      
+      // Proxy bids
+      .addCase(fetchProxyBids.fulfilled, (state, action) => {
+        state.proxyBids = action.payload.proxyBids;
+      })
+      .addCase(setProxyBid.fulfilled, (state, action) => {
+        state.proxyBids = action.payload.proxyBids;
+      })
+      .addCase(cancelProxyBid.fulfilled, (state, action) => {
+        state.proxyBids = action.payload.proxyBids;
       });
   },
 });
@@ -530,7 +641,11 @@ export const {
   updateBidTimer,
   addBid,
   completeTeamSale,
+  reverseTeamSale,
   updateNextNominator,
+  updateNominationClock,
+  updatePauseState,
+  updatePresence,
 } = auctionSlice.actions;
 
 // Base selectors
@@ -552,6 +667,16 @@ export const selectParticipantBudget = createSelector(
   (auctions) => auctions.participantBudget
 );
 
+export const selectProxyBids = createSelector(
+  [selectAuctionState],
+  (auctions) => auctions.proxyBids
+);
+
+export const selectOnlineUsers = createSelector(
+  [selectAuctionState],
+  (auctions) => auctions.onlineUsers
+);
+
 export const selectAuctionLoading = createSelector(
   [selectAuctionState],
   (auctions) => auctions.loading
@@ -105,6 +105,7 @@ const initialState = {
   leagues: [],
   currentLeague: null,
   standings: null,
+  liveScores: {}, // live-score snapshots by league ID
   loading: false,
   error: null,
   createLoading: false,
@@ -241,6 +242,19 @@ export const fetchStandings = createAsyncThunk(
   }
 );
 
+export const fetchLiveScores = createAsyncThunk(
+  'leagues/fetchLiveScores',
+  async (leagueId, { rejectWithValue }) => {
+    try {
+      const response = await leagueService.getLiveScores(leagueId);
+      return response.data;
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to fetch live scores';
+      return rejectWithValue(message);
+    }
+  }
+);
+
 // League slice
 const leagueSlice = createSlice({
   name: 'leagues',
@@ -268,6 +282,18 @@ const leagueSlice = createSlice({
     removeLeagueFromList: (state, action) => {
       state.leagues = state.leagues.filter(league => league._id !== action.payload);
     },
+    updateLeagueAuction: (state, action) => {
+      const { leagueId, auction } = action.payload;
+      if (state.currentLeague && state.currentLeague._id === leagueId) {
+        state.currentLeague.auction = auction;
+        if (auction?.status === 'active') {
+          state.currentLeague.status = 'auction';
+        }
+      }
+    },
+    updateLiveScores: (state, action) => {
+      state.liveScores[action.payload.leagueId] = action.payload;
+    },
   },
   extraReducers: (builder) => {
     builder
@@ -393,6 +419,11 @@ const leagueSlice = createSlice({
       .addCase(fetchStandings.rejected, (state, action) => {
         state.loading = false;
         state.error = action.payload;
+      })
+
+      // Fetch live scores (failures leave the ticker empty rather than flagging an error)
+      .addCase(fetchLiveScores.fulfilled, (state, action) => {
+        state.liveScores[action.payload.leagueId] = action.payload;
       });
   },
 });
@@ -404,12 +435,15 @@ export const {
   updateLeagueInList,
   addLeagueToList,
   removeLeagueFromList,
+  updateLeagueAuction,
+  updateLiveScores,
 } = leagueSlice.actions;
 
 // Selectors
 export const selectLeagues = (state) => state.leagues.leagues;
 export const selectCurrentLeague = (state) => state.leagues.currentLeague;
 export const selectStandings = (state) => state.leagues.standings;
+export const selectLiveScores = (state) => state.leagues.liveScores;
 export const selectLeagueLoading = (state) => state.leagues.loading;
 export const selectCreateLoading = (state) => state.leagues.createLoading;
 export const selectJoinLoading = (state) => state.leagues.joinLoading;
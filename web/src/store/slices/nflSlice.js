@@ -62,7 +62,7 @@ const sanitizeNFLTeams = (teamsData) => {
 const initialState = {
   teams: [],
   standings: null,
-  playoffTeams: [],
+  playoffBracket: null,
   currentWeek: null,
   loading: false,
   error: null,
@@ -95,14 +95,14 @@ export const fetchNFLStandings = createAsyncThunk(
   }
 );
 
-export const fetchPlayoffTeams = createAsyncThunk(
-  'nfl/fetchPlayoffTeams',
-  async (_, { rejectWithValue }) => {
+export const fetchPlayoffBracket = createAsyncThunk(
+  'nfl/fetchPlayoffBracket',
+  async (season, { rejectWithValue }) => {
     try {
-      const response = await nflService.getPlayoffTeams();
+      const response = await nflService.getPlayoffBracket(season);
       return response.data;
     } catch (error) {
-      const message = error.response?.data?.message || 'Failed to fetch playoff teams';
+      const message = error.response?.data?.message || 'Failed to fetch playoff bracket';
       return rejectWithValue(message);
     }
   }
@@ -222,18 +222,19 @@ const nflSlice = createSlice({
         state.error = action.payload;
       })
       
-      // Fetch playoff teams
-      .addCase(fetchPlayoffTeams.pending, (state) => {
+      // Fetch playoff bracket
+      .addCase(fetchPlayoffBracket.pending, (state) => {
         state.loading = true;
         state.error = null;
       })
-      .addCase(fetchPlayoffTeams.fulfilled, (state, action) => {
+      .addCase(fetchPlayoffBracket.fulfilled, (state, action) => {
         state.loading = false;
-        state.playoffTeams = action.payload;
+        state.playoffBracket = action.payload;
         state.error = null;
       })
-      .addCase(fetchPlayoffTeams.rejected, (state, action) => {
+      .addCase(fetchPlayoffBracket.rejected, (state, action) => {
         state.loading = false;
+        state.playoffBracket = null;
         state.error = action.payload;
       })
       
@@ -264,7 +265,7 @@ export const {
 // Selectors
 export const selectNFLTeams = (state) => state.nfl.teams;
 export const selectNFLStandings = (state) => state.nfl.standings;
-export const selectPlayoffTeams = (state) => state.nfl.playoffTeams;
+export const selectPlayoffBracket = (state) => state.nfl.playoffBracket;
 export const selectCurrentWeek = (state) => state.nfl.currentWeek;
 export const selectNFLLoading = (state) => state.nfl.loading;
 export const selectNFLError = (state) => state.nfl.error;